@@ -6,19 +6,31 @@ import { AuthProvider, useAuth } from "./context/AuthContext.js";
 import HomePage      from "./pages/HomePage.js";
 import DetailPage    from "./pages/DetailPage.js";
 import DashboardPage from "./pages/DashboardPage.js";
+import MyBookingsPage from "./pages/MyBookingsPage.js";
+import KitchenPage   from "./pages/KitchenPage.js";
+import ReceiptPage   from "./pages/ReceiptPage.js";
+import AdminPage     from "./pages/AdminPage.js";
 import BookingModal  from "./components/BookingModal.js";
-import { Search, User } from "lucide-react";
+import { useCart }   from "./hooks/useCart.js";
+import { findMenuItem, unavailableReason } from "./utils/menuAvailability.js";
+import { isAdmin } from "./constants/admin.js";
+import { Search, CalendarDays, User, Shield } from "lucide-react";
 
 function AppContent() {
-  const { user } = useAuth();
+  const { user, userProfile } = useAuth();
   // ── routing ─────────────────────────────────────
   const [page,               setPage]                = useState("home");
   const [selectedRestaurant, setSelectedRestaurant] = useState(null);
 
-  const [cart,               setCart]               = useState({});
-  const [cartRestaurantId,   setCartRestaurantId]   = useState(null);
+  const { cart, cartRestaurantId, cartRestaurantName, conflictsWith, addItem, changeQty, removeItem, clearCart } = useCart();
   const [bookingOpen,          setBookingOpen]          = useState(false);
   const [bookingRestaurant,    setBookingRestaurant]    = useState(null);
+  const [kitchenRestaurant,    setKitchenRestaurant]    = useState(null);
+  // receipt overlay: { booking } or { reference } (shared ?receipt=NC-… links)
+  const [receipt, setReceipt] = useState(() => {
+    const reference = new URLSearchParams(window.location.search).get("receipt");
+    return reference ? { reference } : null;
+  });
   const [toast, setToast] = useState(null);
 
   const showToast = useCallback((msg) => {
@@ -28,36 +40,33 @@ function AppContent() {
 
   // ── navigation helpers ──────────────────────────
   const goDetail = useCallback((restaurant) => {
-    if (cartRestaurantId && cartRestaurantId !== restaurant.id) {
-      setCart({});
-      setCartRestaurantId(null);
-    }
     setSelectedRestaurant(restaurant);
     setPage("detail");
-  }, [cartRestaurantId]);
+  }, []);
 
   const goHome = useCallback(() => {
     setPage("home");
     setSelectedRestaurant(null);
   }, []);
 
-  const addToCart = useCallback((item, restaurantId) => {
-    if (cartRestaurantId && cartRestaurantId !== restaurantId) {
-      setCart({});
+  // a cart holds one restaurant's dishes — ask before replacing it;
+  // sold-out / hidden / out-of-hours dishes are refused
+  const addToCart = useCallback((item, restaurant) => {
+    const { item: menuItem, section } = findMenuItem(restaurant.menu, item.name);
+    const reason = unavailableReason(menuItem, section, restaurant);
+    if (reason) {
+      showToast(`⚠️ ${item.name}: ${reason.toLowerCase()}`);
+      return;
     }
-    setCartRestaurantId(restaurantId);
-    setCart((prev) => ({
-      ...prev,
-      [item.name]: prev[item.name]
-        ? { ...prev[item.name], qty: prev[item.name].qty + 1 }
-        : { ...item, qty: 1 }
-    }));
-  }, [cartRestaurantId]);
-
-  const clearCart = useCallback(() => {
-    setCart({});
-    setCartRestaurantId(null);
-  }, []);
+    if (conflictsWith(restaurant.id) &&
+        !window.confirm(`Your cart has items from ${cartRestaurantName || "another restaurant"} — start a new cart?`)) {
+      return;
+    }
+    addItem(item, restaurant);
+  }, [conflictsWith, cartRestaurantName, addItem, showToast]);
+
+  // only hand a page the cart if it belongs to that restaurant
+  const cartFor = (restaurant) => (restaurant && cartRestaurantId === restaurant.id ? cart : {});
 
   const openBooking = useCallback((restaurant) => {
     setBookingRestaurant(restaurant);
@@ -66,8 +75,16 @@ function AppContent() {
 
   const closeBooking = useCallback(() => {
     setBookingOpen(false);
-    clearCart();
-  }, [clearCart]);
+  }, []);
+
+  const openReceipt = useCallback((booking) => setReceipt({ booking }), []);
+
+  const closeReceipt = useCallback(() => {
+    setReceipt(null);
+    if (window.location.search.includes("receipt=")) {
+      window.history.replaceState(null, "", window.location.pathname);
+    }
+  }, []);
 
   return (
     <div style={{ fontFamily:"'DM Sans', sans-serif", background:"#FFFBEB", minHeight:"100vh" }}>
@@ -84,20 +101,38 @@ function AppContent() {
           <DetailPage
             restaurant={selectedRestaurant}
             onBack={goHome}
-            cart={cart}
-            onAddToCart={(item) => addToCart(item, selectedRestaurant.id)}
+            cart={cartFor(selectedRestaurant)}
+            onAddToCart={(item) => addToCart(item, selectedRestaurant)}
+            onChangeQty={changeQty}
             onOpenBooking={() => openBooking(selectedRestaurant)}
             currentUser={user}
           />
         )}
 
+        {page === "bookings" && (
+          <MyBookingsPage showToast={showToast} onOpenReceipt={openReceipt} />
+        )}
+
         {page === "dashboard" && (
           <DashboardPage
             onBack={goHome}
             showToast={showToast}
+            onOpenKitchen={(restaurant) => { setKitchenRestaurant(restaurant); setPage("kitchen"); }}
+          />
+        )}
+
+        {page === "kitchen" && kitchenRestaurant && (
+          <KitchenPage
+            restaurant={kitchenRestaurant}
+            onBack={() => setPage("dashboard")}
+            showToast={showToast}
           />
         )}
 
+        {page === "admin" && isAdmin(userProfile) && (
+          <AdminPage showToast={showToast} />
+        )}
+
         <nav style={{
           position:"fixed", bottom:0, left:"50%", transform:"translateX(-50%)",
           width:"100%", maxWidth:480, background:"#fff",
@@ -106,7 +141,9 @@ function AppContent() {
         }}>
           {[
             { id:"home",      label:"Explore",  Icon: Search },
-            { id:"dashboard", label:"Owner",    Icon: User   }
+            { id:"bookings",  label:"Bookings", Icon: CalendarDays },
+            { id:"dashboard", label:"Owner",    Icon: User   },
+            ...(isAdmin(userProfile) ? [{ id:"admin", label:"Admin", Icon: Shield }] : [])
           ].map(({ id, label, Icon }) => (
             <div key={id}
               onClick={() => { if (id === "home") goHome(); else setPage(id); }}
@@ -125,11 +162,24 @@ function AppContent() {
         {bookingOpen && bookingRestaurant && (
           <BookingModal
             restaurant={bookingRestaurant}
-            cart={cart}
+            cart={cartFor(bookingRestaurant)}
+            onChangeQty={changeQty}
+            onRemoveItem={removeItem}
+            onBooked={clearCart}
+            onOpenReceipt={(booking) => { closeBooking(); openReceipt(booking); }}
             onClose={closeBooking}
           />
         )}
 
+        {receipt && (
+          <ReceiptPage
+            key={receipt.booking?.id || receipt.reference}
+            booking={receipt.booking}
+            reference={receipt.reference}
+            onBack={closeReceipt}
+          />
+        )}
+
         {toast && (
           <div style={{
             position:"fixed", top:16, left:"50%", transform:"translateX(-50%)",
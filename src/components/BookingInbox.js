@@ -0,0 +1,378 @@
+// =============================================================
+// FILE: src/components/BookingInbox.js
+// =============================================================
+// Owner-side live bookings inbox, rendered inside DashboardPage.
+// • Subscribes to /bookings for the active restaurant via
+//   listenToRestaurantBookings (onSnapshot) — new bookings
+//   appear without a refresh.
+// • Filter chips: Today / Upcoming / Pending / Past, or search
+//   every booking by reference (NC-XXXXXX), diner name or phone.
+// • Tapping a row opens a bottom-sheet with the diner's details,
+//   pre-order lines and status history. The action buttons are
+//   the legal next steps from BOOKING_TRANSITIONS (confirm,
+//   decline, seat, complete, no-show, cancel), wired to
+//   updateBookingStatus with the signed-in owner or staff member
+//   (`role`, see constants/staff.js) as the actor.
+// • Diners with previous no-shows are flagged.
+// • Diner change requests (booking.reschedule) can be accepted
+//   or declined from the same sheet.
+// • Delivery orders show the drop-off address, distance, fee and
+//   a directions link to the diner's pin.
+// • Prepaid pickups show the payment status; a successful
+//   payment can be refunded (refundBookingPayment).
+// • "Receipt" opens the same printable ReceiptPage diners get.
+// =============================================================
+
+import { useState, useEffect } from "react";
+import { Inbox, Phone, X } from "lucide-react";
+import { useAuth } from "../context/AuthContext.js";
+import {
+  listenToRestaurantBookings,
+  updateBookingStatus,
+  acceptReschedule,
+  declineReschedule,
+  getUserNoShowCount,
+  refundBookingPayment
+} from "../utils/firestoreService.js";
+import { BOOKING_TRANSITIONS, canTransition, statusMeta, bookingReference, normaliseReference } from "../constants/bookings.js";
+import { kampalaToday } from "../utils/scheduling.js";
+import { paymentMeta, PICKUP_PAYMENT_MODES } from "../constants/payments.js";
+import { NETWORKS } from "../utils/payments.js";
+import { lineLabel } from "../utils/menuOptions.js";
+import StatusPill from "./StatusPill.js";
+import ReceiptPage from "../pages/ReceiptPage.js";
+
+const FILTERS = [
+  { id:"today",    label:"Today"    },
+  { id:"upcoming", label:"Upcoming" },
+  { id:"pending",  label:"Pending"  },
+  { id:"past",     label:"Past"     }
+];
+
+// Owner-facing buttons for each target status
+const ACTIONS = {
+  confirmed:  { label:"✅ Confirm",   bg:"#16A34A", color:"#fff" },
+  seated:     { label:"🪑 Seated",    bg:"#2563EB", color:"#fff" },
+  completed:  { label:"✔️ Completed", bg:"#57534E", color:"#fff" },
+  "no-show":  { label:"👻 No-show",   bg:"#FFEDD5", color:"#9A3412", askReason:true },
+  declined:   { label:"✋ Decline",   bg:"#FEE2E2", color:"#991B1B", askReason:true },
+  cancelled:  { label:"🚫 Cancel",    bg:"#FEE2E2", color:"#991B1B", askReason:true }
+};
+
+const slotKey  = (b) => `${b.date || ""} ${b.time || ""}`;
+
+function applyFilter(bookings, filter, today) {
+  switch (filter) {
+    case "today":
+      return bookings.filter(b => b.date === today).sort((a, b) => slotKey(a).localeCompare(slotKey(b)));
+    case "upcoming":
+      return bookings.filter(b => b.date > today).sort((a, b) => slotKey(a).localeCompare(slotKey(b)));
+    case "pending":
+      return bookings.filter(b => b.status === "pending" && b.date >= today).sort((a, b) => slotKey(a).localeCompare(slotKey(b)));
+    case "past":
+      return bookings.filter(b => b.date < today).sort((a, b) => slotKey(b).localeCompare(slotKey(a)));
+    default:
+      return bookings;
+  }
+}
+
+// Reference (any part of the code), diner name, or phone digits
+function searchBookings(bookings, text) {
+  const words  = text.trim().toLowerCase();
+  const code   = normaliseReference(text).slice(3);
+  const digits = text.replace(/\D/g, "");
+  return bookings
+    .filter(b =>
+      (code.length >= 3 && bookingReference(b).slice(3).includes(code)) ||
+      (b.userName || "").toLowerCase().includes(words) ||
+      (digits.length >= 4 && (b.userPhone || "").replace(/\D/g, "").includes(digits))
+    )
+    .sort((a, b) => slotKey(b).localeCompare(slotKey(a)));
+}
+
+export default function BookingInbox({ restaurantId, role = "owner", showToast }) {
+  const { user } = useAuth();
+  const [bookings,   setBookings]   = useState([]);
+  const [loading,    setLoading]    = useState(true);
+  const [filter,     setFilter]     = useState("today");
+  const [search,     setSearch]     = useState("");
+  const [selectedId, setSelectedId] = useState(null);
+  const [busy,       setBusy]       = useState(false);
+  const [noShows,    setNoShows]    = useState(0);
+  const [receiptOpen, setReceiptOpen] = useState(false);
+
+  // ── live listener ─────────────────────────────────
+  useEffect(() => {
+    if (!restaurantId) return;
+    setLoading(true);
+    const unsub = listenToRestaurantBookings(
+      restaurantId,
+      (docs) => { setBookings(docs); setLoading(false); },
+      (err)  => { showToast("⚠️ Inbox error: " + err.message); setLoading(false); }
+    );
+    return () => unsub();
+  }, [restaurantId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const today    = kampalaToday();
+  const visible  = search.trim() ? searchBookings(bookings, search) : applyFilter(bookings, filter, today);
+  const selected = bookings.find(b => b.id === selectedId) || null;
+  const actor    = { uid: user?.uid, name: user?.displayName || user?.email, role };
+
+  // ── no-show flag for the open booking ─────────────
+  // Platform-wide count for signed-in diners; guests are
+  // matched by phone against this restaurant's own bookings.
+  useEffect(() => {
+    if (!selected) return;
+    let cancelled = false;
+    if (selected.userId) {
+      getUserNoShowCount(selected.userId)
+        .then((n) => { if (!cancelled) setNoShows(n); })
+        .catch(() => { if (!cancelled) setNoShows(0); });
+    } else {
+      setNoShows(bookings.filter(b => b.userPhone && b.userPhone === selected.userPhone && b.status === "no-show").length);
+    }
+    return () => { cancelled = true; };
+  }, [selectedId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => setReceiptOpen(false), [selectedId]);
+
+  // ── actions ───────────────────────────────────────
+  const setStatus = async (booking, status) => {
+    let reason = null;
+    if (ACTIONS[status]?.askReason) {
+      reason = window.prompt(`Reason for "${statusMeta(status).label}" (optional)`);
+      if (reason === null) return;   // owner backed out
+    }
+    setBusy(true);
+    try {
+      await updateBookingStatus(booking.id, status, { actor, reason: reason?.trim() || null });
+      showToast(`${ACTIONS[status]?.label || statusMeta(status).label} — done`);
+    } catch (err) {
+      showToast("⚠️ Update failed: " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const resolveReschedule = async (booking, accept) => {
+    setBusy(true);
+    try {
+      if (accept) await acceptReschedule(booking.id, { actor });
+      else        await declineReschedule(booking.id, { actor });
+      showToast(accept ? "✅ New time confirmed" : "↩️ Kept original time");
+    } catch (err) {
+      showToast("⚠️ Update failed: " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const refund = async (booking) => {
+    if (!window.confirm(`Refund ${booking.payment.amount.toLocaleString()} UGX to ${booking.userName || "the diner"}?`)) return;
+    setBusy(true);
+    try {
+      await refundBookingPayment(booking.id, { actor });
+      showToast("↩️ Payment refunded");
+    } catch (err) {
+      showToast("⚠️ Refund failed: " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16 }}>
+      <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:12 }}>
+        <div style={{ fontSize:15, fontWeight:700, display:"flex", alignItems:"center", gap:6 }}>
+          <Inbox size={16} color="#78350F"/> Bookings Inbox
+        </div>
+        <span style={{ fontSize:11, color:"#78716C" }}>{bookings.length} total</span>
+      </div>
+
+      {/* search */}
+      <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Search NC- reference, name or phone"
+        style={{ width:"100%", padding:"8px 12px", border:"1.5px solid #E7E5E4", borderRadius:10, fontSize:13, outline:"none", marginBottom:10 }} />
+
+      {/* filter chips */}
+      {!search.trim() && <div style={{ display:"flex", gap:6, marginBottom:12, overflowX:"auto" }}>
+        {FILTERS.map(f => {
+          const count = applyFilter(bookings, f.id, today).length;
+          return (
+            <button key={f.id} onClick={() => setFilter(f.id)} style={{
+              background: filter===f.id ? "#78350F" : "#F3F4F6",
+              color:      filter===f.id ? "#fff"    : "#57534E",
+              border:"none", borderRadius:20, padding:"5px 12px", fontSize:12, fontWeight:600, cursor:"pointer", whiteSpace:"nowrap"
+            }}>
+              {f.label}{count > 0 ? ` · ${count}` : ""}
+            </button>
+          );
+        })}
+      </div>}
+
+      {/* list */}
+      {loading ? (
+        <div style={{ textAlign:"center", padding:20, fontSize:12, color:"#A8A29E" }}>Loading bookings…</div>
+      ) : visible.length === 0 ? (
+        <div style={{ textAlign:"center", padding:20, fontSize:12, color:"#A8A29E" }}>{search.trim() ? "No bookings match." : "No bookings here yet."}</div>
+      ) : (
+        visible.map(b => (
+          <div key={b.id} onClick={() => setSelectedId(b.id)} style={{ display:"flex", justifyContent:"space-between", alignItems:"center", gap:8, padding:"10px 0", borderBottom:"1px solid #F3F4F6", cursor:"pointer" }}>
+            <div style={{ minWidth:0 }}>
+              <div style={{ fontSize:13, fontWeight:600, color:"#1C1917" }}>{b.userName || "Guest"}</div>
+              <div style={{ fontSize:11, color:"#78716C" }}>
+                {b.date} at {b.time} • {b.type === "pickup" ? "🥡 Pick up" : b.type === "delivery" ? "🛵 Delivery" : `🍽️ ${b.guests || 1} guest${b.guests > 1 ? "s" : ""}`}
+                {(b.preOrder || []).length > 0 && " • 🛒 Pre-order"}
+                {b.payment && <span style={{ color:paymentMeta(b.payment.status).color, fontWeight:600 }}> • 📱 {paymentMeta(b.payment.status).label}</span>}
+                {b.reschedule && <span style={{ color:"#2563EB", fontWeight:600 }}> • 🔁 Change requested</span>}
+              </div>
+            </div>
+            <StatusPill status={b.status}/>
+          </div>
+        ))
+      )}
+
+      {/* detail sheet */}
+      {selected && (
+        <div style={{ position:"fixed", inset:0, background:"rgba(28,25,23,0.45)", zIndex:200, display:"flex", alignItems:"flex-end" }} onClick={(e) => { if (e.target === e.currentTarget) setSelectedId(null); }}>
+          <div style={{ background:"#fff", width:"100%", maxWidth:480, margin:"0 auto", borderRadius:"20px 20px 0 0", maxHeight:"90vh", overflowY:"auto", padding:"20px 16px 28px" }}>
+            <div style={{ display:"flex", justifyContent:"space-between", alignItems:"flex-start", marginBottom:12 }}>
+              <div>
+                <div style={{ fontSize:18, fontWeight:700, fontFamily:"'Playfair Display',serif" }}>{selected.userName || "Guest"}</div>
+                <div style={{ fontSize:11, color:"#A8A29E" }}>
+                  Ref: {bookingReference(selected)} •{" "}
+                  <button onClick={() => setReceiptOpen(true)} style={{ background:"none", border:"none", padding:0, fontSize:11, color:"#D97706", fontWeight:700, cursor:"pointer" }}>Receipt</button>
+                </div>
+              </div>
+              <div style={{ display:"flex", alignItems:"center", gap:8 }}>
+                <StatusPill status={selected.status}/>
+                <button onClick={() => setSelectedId(null)} style={{ background:"none", border:"none", cursor:"pointer", color:"#78716C" }}><X size={18}/></button>
+              </div>
+            </div>
+
+            <div style={{ background:"#FFFBEB", borderRadius:10, padding:12, fontSize:12, color:"#57534E", lineHeight:1.8, marginBottom:12 }}>
+              <div>🗓️ {selected.date} at {selected.time}</div>
+              <div>{selected.type === "pickup" ? "🥡 Pick up" : selected.type === "delivery" ? "🛵 Delivery" : `🍽️ Dine in • ${selected.guests || 1} guest${selected.guests > 1 ? "s" : ""}`}</div>
+              {selected.delivery && (
+                <div>
+                  📍 {selected.delivery.address} • {selected.delivery.distanceKm} km • fee <strong>{(selected.delivery.fee || 0).toLocaleString()} UGX</strong>
+                  {" "}
+                  <a href={`https://www.google.com/maps/dir/?api=1&destination=${selected.delivery.lat},${selected.delivery.lng}`} target="_blank" rel="noreferrer" style={{ color:"#2563EB", fontWeight:700, textDecoration:"none" }}>
+                    Directions
+                  </a>
+                </div>
+              )}
+              {selected.userPhone && (
+                <a href={`tel:${selected.userPhone.replace(/\s/g, "")}`} style={{ color:"#166534", fontWeight:700, textDecoration:"none", display:"inline-flex", alignItems:"center", gap:4 }}>
+                  <Phone size={12}/> {selected.userPhone}
+                </a>
+              )}
+              {selected.notes && <div>📝 {selected.notes}</div>}
+            </div>
+
+            {noShows > 0 && (
+              <div style={{ background:"#FFEDD5", borderRadius:10, padding:"8px 12px", fontSize:12, color:"#9A3412", fontWeight:600, marginBottom:12 }}>
+                ⚠️ This diner has {noShows} previous no-show{noShows > 1 ? "s" : ""}.
+              </div>
+            )}
+
+            {selected.reschedule && (
+              <div style={{ background:"#EFF6FF", border:"1px solid #BFDBFE", borderRadius:10, padding:12, marginBottom:12 }}>
+                <div style={{ fontSize:12, fontWeight:700, color:"#1D4ED8", marginBottom:4 }}>🔁 Diner asked to move this booking</div>
+                <div style={{ fontSize:12, color:"#1E3A8A", marginBottom:10 }}>
+                  New time: <strong>{selected.reschedule.date} at {selected.reschedule.time}</strong>
+                </div>
+                <div style={{ display:"flex", gap:8 }}>
+                  <button onClick={() => resolveReschedule(selected, true)} disabled={busy} style={{ flex:1, background:"#2563EB", color:"#fff", border:"none", borderRadius:8, padding:9, fontSize:12, fontWeight:700, cursor:"pointer" }}>
+                    Accept new time
+                  </button>
+                  <button onClick={() => resolveReschedule(selected, false)} disabled={busy} style={{ flex:1, background:"#fff", color:"#1D4ED8", border:"1px solid #BFDBFE", borderRadius:8, padding:9, fontSize:12, fontWeight:700, cursor:"pointer" }}>
+                    Keep original
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {(selected.preOrder || []).length > 0 && (
+              <div style={{ background:"#FEF3C7", borderRadius:10, padding:12, marginBottom:12 }}>
+                <div style={{ fontSize:12, fontWeight:700, color:"#78350F", marginBottom:6 }}>🛒 Pre-Order</div>
+                {selected.preOrder.map((item, i) => (
+                  <div key={i} style={{ display:"flex", justifyContent:"space-between", fontSize:12, color:"#92400E", padding:"2px 0" }}>
+                    <span>{lineLabel(item)} ×{item.qty}</span>
+                    <span style={{ fontWeight:600 }}>{((item.price || 0) * item.qty).toLocaleString()} UGX</span>
+                  </div>
+                ))}
+                {selected.promotion && (
+                  <div style={{ display:"flex", justifyContent:"space-between", fontSize:12, color:"#15803D", padding:"2px 0" }}>
+                    <span>🏷️ {selected.promotion.title}{selected.promotion.code ? ` (${selected.promotion.code})` : ""}</span>
+                    <span style={{ fontWeight:600 }}>−{(selected.promotion.discount || 0).toLocaleString()} UGX</span>
+                  </div>
+                )}
+                <div style={{ borderTop:"1px solid #D97706", marginTop:6, paddingTop:6, display:"flex", justifyContent:"space-between", fontSize:13, fontWeight:700, color:"#78350F" }}>
+                  <span>Total</span><span>{((selected.preOrderTotal || 0) - (selected.promotion?.discount || 0)).toLocaleString()} UGX</span>
+                </div>
+              </div>
+            )}
+
+            {selected.payment && (
+              <div style={{ background:"#F0FDF4", border:"1px solid #BBF7D0", borderRadius:10, padding:12, marginBottom:12 }}>
+                <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:4 }}>
+                  <span style={{ fontSize:12, fontWeight:700, color:"#166534" }}>
+                    📱 {PICKUP_PAYMENT_MODES[selected.payment.mode]?.label || "Payment"}: {selected.payment.amount.toLocaleString()} {selected.payment.currency}
+                  </span>
+                  <StatusPill meta={paymentMeta(selected.payment.status)}/>
+                </div>
+                <div style={{ fontSize:11, color:"#57534E" }}>
+                  {selected.payment.network ? `${NETWORKS[selected.payment.network]?.label || selected.payment.network} • ` : ""}
+                  {selected.payment.transactionId ? `Txn ${selected.payment.transactionId}` : "No payment request sent yet"}
+                  {selected.payment.reason && selected.payment.status === "failed" ? ` — ${selected.payment.reason}` : ""}
+                </div>
+                {selected.payment.status !== "successful" && selected.status === "pending" && (
+                  <div style={{ fontSize:11, color:"#B45309", marginTop:4 }}>The order can be confirmed once the payment succeeds.</div>
+                )}
+                {selected.payment.status === "successful" && (
+                  <button onClick={() => refund(selected)} disabled={busy} style={{ marginTop:8, background:"#fff", color:"#991B1B", border:"1px solid #FECACA", borderRadius:8, padding:"6px 12px", fontSize:11, fontWeight:700, cursor:"pointer" }}>
+                    ↩️ Refund
+                  </button>
+                )}
+              </div>
+            )}
+
+            {/* lifecycle actions — hidden while a change request is open */}
+            {!selected.reschedule && (
+              <div style={{ display:"flex", flexWrap:"wrap", gap:8, marginBottom:12 }}>
+                {(BOOKING_TRANSITIONS[selected.status] || [])
+                  .filter(next => ACTIONS[next] && canTransition(selected.status, next, "owner"))
+                  .map(next => (
+                    <button key={next} onClick={() => setStatus(selected, next)} disabled={busy} style={{ flex:"1 1 40%", background:ACTIONS[next].bg, color:ACTIONS[next].color, border:"none", borderRadius:10, padding:12, fontSize:13, fontWeight:700, cursor:"pointer" }}>
+                      {ACTIONS[next].label}
+                    </button>
+                  ))}
+              </div>
+            )}
+
+            {/* status history */}
+            {(selected.statusHistory || []).length > 0 && (
+              <div style={{ borderTop:"1px solid #F3F4F6", paddingTop:10 }}>
+                <div style={{ fontSize:11, fontWeight:700, color:"#78716C", marginBottom:6 }}>HISTORY</div>
+                {[...selected.statusHistory].reverse().map((h, i) => (
+                  <div key={i} style={{ fontSize:11, color:"#57534E", padding:"3px 0", display:"flex", gap:6 }}>
+                    <span style={{ color:"#A8A29E", whiteSpace:"nowrap" }}>{new Date(h.at).toLocaleString([], { dateStyle:"short", timeStyle:"short" })}</span>
+                    <span>
+                      <strong>{statusMeta(h.to).label}</strong>
+                      {h.by?.name ? ` by ${h.by.name}` : h.by?.role ? ` by ${h.by.role}` : ""}
+                      {h.reason ? ` — ${h.reason}` : ""}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {selected && receiptOpen && (
+        <ReceiptPage booking={selected} onBack={() => setReceiptOpen(false)} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+// =============================================================
+// FILE: src/components/BookingLookup.js
+// =============================================================
+// "Find a booking" card on My Bookings, for guests who booked
+// without an account (or on another device).
+// • Reference (NC-XXXXXX) + the phone number used to book →
+//   getBookingByReference; both must match.
+// • Shows the booking's status, date/time and type, with its
+//   receipt (onOpenReceipt) and, while it is still upcoming,
+//   a Cancel button.
+// =============================================================
+
+import { useState } from "react";
+import { Search } from "lucide-react";
+import { getBookingByReference, updateBookingStatus } from "../utils/firestoreService.js";
+import { isActiveBooking, bookingReference } from "../constants/bookings.js";
+import { kampalaToday } from "../utils/scheduling.js";
+import StatusPill from "./StatusPill.js";
+
+const inputStyle = { width:"100%", padding:"10px 12px", border:"1.5px solid #E7E5E4", borderRadius:10, fontSize:14, outline:"none" };
+
+export default function BookingLookup({ showToast, onOpenReceipt }) {
+  const [reference, setReference] = useState("");
+  const [phone,     setPhone]     = useState("");
+  const [booking,   setBooking]   = useState(null);
+  const [error,     setError]     = useState(null);
+  const [busy,      setBusy]      = useState(false);
+
+  const lookUp = async () => {
+    if (!reference.trim() || !phone.trim()) {
+      setError("Enter your booking reference and phone number.");
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      const found = await getBookingByReference(reference, phone);
+      setBooking(found);
+      if (!found) setError("No booking matches that reference and phone number.");
+    } catch (err) {
+      setError("Lookup failed: " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm(`Cancel your booking at ${booking.restaurantName}?`)) return;
+    setBusy(true);
+    try {
+      await updateBookingStatus(booking.id, "cancelled-by-diner", { actor: { name: booking.userName, role: "diner" }, phone });
+      setBooking(await getBookingByReference(booking.reference || reference, phone));
+      showToast("🚫 Booking cancelled");
+    } catch (err) {
+      showToast("⚠️ Cancel failed: " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const upcoming = booking && booking.date >= kampalaToday();
+
+  return (
+    <div style={{ background:"#fff", borderRadius:16, padding:14, boxShadow:"0 1px 3px rgba(28,25,23,0.08)", textAlign:"left" }}>
+      <div style={{ fontSize:14, fontWeight:700, color:"#1C1917", display:"flex", alignItems:"center", gap:6, marginBottom:2 }}>
+        <Search size={15} color="#D97706"/> Find a booking
+      </div>
+      <div style={{ fontSize:11, color:"#A8A29E", marginBottom:10 }}>Booked as a guest? Use the reference from your confirmation.</div>
+
+      <div style={{ display:"flex", gap:8, marginBottom:8 }}>
+        <input value={reference} onChange={e => setReference(e.target.value.toUpperCase())} placeholder="NC-XXXXXX" style={{ ...inputStyle, flex:1 }} />
+        <input value={phone} onChange={e => setPhone(e.target.value)} placeholder="Phone used" type="tel" style={{ ...inputStyle, flex:1 }} />
+      </div>
+      <button onClick={lookUp} disabled={busy}
+        style={{ width:"100%", background: busy ? "#A8A29E" : "#78350F", color:"#fff", border:"none", borderRadius:10, padding:10, fontSize:13, fontWeight:600, cursor: busy ? "not-allowed" : "pointer" }}>
+        {busy ? "Looking…" : "Find booking"}
+      </button>
+      {error && <div style={{ fontSize:12, color:"#991B1B", marginTop:8 }}>{error}</div>}
+
+      {booking && (
+        <div style={{ marginTop:12, background:"#FFFBEB", borderRadius:10, padding:12 }}>
+          <div style={{ display:"flex", justifyContent:"space-between", alignItems:"flex-start", gap:8, marginBottom:4 }}>
+            <div>
+              <div style={{ fontSize:14, fontWeight:700, color:"#1C1917" }}>{booking.restaurantName}</div>
+              <div style={{ fontSize:11, color:"#A8A29E" }}>Ref: {bookingReference(booking)}</div>
+            </div>
+            <StatusPill status={booking.status}/>
+          </div>
+          <div style={{ fontSize:12, color:"#57534E", marginBottom:10 }}>
+            🗓️ {booking.date} at {booking.time} • {booking.type === "pickup" ? "🥡 Pick up" : booking.type === "delivery" ? "🛵 Delivery" : `🍽️ ${booking.guests || 1} guest${booking.guests > 1 ? "s" : ""}`}
+          </div>
+          <div style={{ display:"flex", gap:8 }}>
+            {onOpenReceipt && (
+              <button onClick={() => onOpenReceipt(booking)} style={{ flex:1, background:"#FEF3C7", color:"#78350F", border:"none", borderRadius:8, padding:"8px 0", fontSize:12, fontWeight:700, cursor:"pointer" }}>
+                Receipt
+              </button>
+            )}
+            {upcoming && isActiveBooking(booking.status) && (
+              <button onClick={handleCancel} disabled={busy} style={{ flex:1, background:"#FEE2E2", color:"#991B1B", border:"none", borderRadius:8, padding:"8px 0", fontSize:12, fontWeight:700, cursor:"pointer" }}>
+                Cancel booking
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,26 +2,69 @@
 // FILE: src/components/BookingModal.js
 // =============================================================
 // • Renders as a bottom-sheet modal.
-// • If cart items exist, shows a pre-order summary.
+// • If cart items exist, shows a pre-order summary with − / + and
+//   remove controls. The cart is cleared (onBooked) only once the
+//   booking has been written; closing the modal keeps it.
+// • Time is picked from the restaurant's booking slots for the
+//   chosen day's opening hours (slotsForDate, Kampala time); slots
+//   without room for the party (per getSlotUsage) or outside the
+//   owner's booking rules (validateBookingTime) are disabled.
+//   Closed days and holidays say so under the date.
+// • Full slots (or a restaurant marked busy) switch the form to
+//   "Join Waitlist" → joinWaitlist; the diner is offered the spot
+//   on "My Bookings" if a confirmed booking is cancelled.
 // • On submit: writes a real /bookings/{id} document to Firestore
 //   with the authenticated user's uid, the restaurant's id and
 //   ownerId (so the owner's security rule lets them read it).
-// • On success: shows a confirmation card with the Firestore
-//   doc ID as the booking reference — no fake IDs.
+// • On success: shows a confirmation card with the booking's
+//   reference (NC-XXXXXX) — with their phone number, guests can
+//   look the booking up again on My Bookings.
+// • Delivery (when the restaurant offers it): the diner drops a pin
+//   on an OwnerMap and gets a live fee quote from utils/delivery.js.
+// • Pickup orders at restaurants that require a deposit or full
+//   prepayment get a mobile-money PaymentPrompt on that card.
+// • The card also offers "Add to calendar" (.ics) and the receipt
+//   (onOpenReceipt → ReceiptPage).
+// • Promotions: the best automatic offer is applied to the
+//   pre-order, or the diner types a promo code. The discount is
+//   shown in the summary and re-checked by createBooking.
+// • Dishes that sold out (or were hidden) since they were added are
+//   flagged in the summary and block submit until removed.
 // =============================================================
 
-import { useState } from "react";
-import { Check } from "lucide-react";
+import { useState, useEffect } from "react";
+import { Check, Plus, Minus, Trash2, CalendarPlus, Receipt } from "lucide-react";
 import { useAuth } from "../context/AuthContext.js"; // Added .js
-import { createBooking } from "../utils/firestoreService.js"; // Added .js
+import {
+  createBooking, getSlotUsage, joinWaitlist, getAutomaticPromotions, findPromotionByCode
+} from "../utils/firestoreService.js"; // Added .js
+import {
+  slotsForDate, slotLimit, validateBookingTime, closedOnDate, hasHours, kampalaToday, addDays, DEFAULT_BOOKING_RULES
+} from "../utils/scheduling.js";
+import { resolveServiceFee } from "../constants/fees.js";
+import { paymentDue, PICKUP_PAYMENT_MODES } from "../constants/payments.js";
+import PaymentPrompt from "./PaymentPrompt.js";
+import { unavailableLineError } from "../utils/menuAvailability.js";
+import { OwnerMap } from "./MapComponents.js";
+import { deliveryRules, quoteDelivery } from "../utils/delivery.js";
+import { lineLabel } from "../utils/menuOptions.js";
+import { evaluatePromotion, bestAutomaticPromotion } from "../utils/promotions.js";
+import { downloadBookingICS } from "../utils/calendar.js";
 
-export default function BookingModal({ restaurant, cart, onClose }) {
+const ORDER_TYPES = {
+  "dine-in": { icon: "🍽️", label: "Dine In"  },
+  pickup:    { icon: "🥡", label: "Pick Up"  },
+  delivery:  { icon: "🛵", label: "Delivery" }
+};
+
+export default function BookingModal({ restaurant, cart, onChangeQty, onRemoveItem, onBooked, onOpenReceipt, onClose }) {
   const { user } = useAuth();
+  const serviceFee = resolveServiceFee(restaurant);
 
   const [form, setForm] = useState({
     name:   user?.displayName || "",
     phone:  "",
-    date:   new Date().toISOString().split("T")[0],
+    date:   kampalaToday(),
     time:   "12:00",
     guests: "2",
     type:   "dine-in",
@@ -31,10 +74,80 @@ export default function BookingModal({ restaurant, cart, onClose }) {
   const [submitting, setSubmitting] = useState(false);
   const [error,      setError]      = useState(null);
   const [bookingId,  setBookingId]  = useState(null); // success state
+  const [waitlistId, setWaitlistId] = useState(null); // waitlist success state
+  const [usage,      setUsage]      = useState({});   // { "HH:MM": covers taken }
+  const [usageTick,  setUsageTick]  = useState(0);    // bump to refetch usage
+  const [dropoff,    setDropoff]    = useState({ address: "", lat: null, lng: null });
+  const [bookedCart, setBookedCart] = useState(null);   // cart snapshot for the success card
+  const [booked,     setBooked]     = useState(null);   // what was written, for the receipt / .ics
+  const [autoOffers, setAutoOffers] = useState([]);
+  const [codeInput,  setCodeInput]  = useState("");
+  const [codePromo,  setCodePromo]  = useState(null);   // promotion found for the typed code
+  const [codeError,  setCodeError]  = useState(null);
+
+  // ── slot availability for the chosen date ─────────
+  useEffect(() => {
+    let cancelled = false;
+    getSlotUsage(restaurant.id, form.date)
+      .then((u) => { if (!cancelled) setUsage(u); })
+      .catch((err) => console.error("Slot usage failed", err));
+    return () => { cancelled = true; };
+  }, [restaurant.id, form.date, usageTick]);
+
+  const slots     = slotsForDate(restaurant, form.date, restaurant.capacity?.slotMinutes);
+  const limit     = slotLimit(restaurant.capacity);
+  const needed    = form.type === "dine-in" ? parseInt(form.guests, 10) || 1 : 0;
+  const roomLeft  = (t) => limit - (usage[t] || 0);
+  const valid     = slots.filter((t) => !validateBookingTime(restaurant, form.date, t));
+  const available = restaurant.busy ? [] : valid.filter((t) => needed === 0 || roomLeft(t) >= needed);
+
+  // full slot (or a busy restaurant) → the form joins the waitlist instead
+  const waitlistMode = !!restaurant.busy || (valid.includes(form.time) && !available.includes(form.time));
+
+  // date picker bounds from the owner's booking rules
+  const maxAdvance = parseInt(restaurant.bookingRules?.maxAdvanceDays ?? DEFAULT_BOOKING_RULES.maxAdvanceDays, 10) || 0;
+  const minDate    = kampalaToday();
+  const maxDate    = maxAdvance > 0 ? addDays(minDate, maxAdvance) : undefined;
+  const blackout   = (restaurant.bookingRules?.blackoutDates || []).find((b) => b.date === form.date);
+  const closedDay  = closedOnDate(restaurant, form.date);
+
+  // ── automatic offers ──────────────────────────────
+  useEffect(() => {
+    getAutomaticPromotions(restaurant.id)
+      .then(setAutoOffers)
+      .catch((err) => console.error("Promotions failed", err));
+  }, [restaurant.id]);
 
   // cart totals
   const cartCount = Object.values(cart).reduce((s, i) => s + i.qty, 0);
   const cartTotal = Object.values(cart).reduce((s, i) => s + i.price * i.qty, 0);
+  const goneError = unavailableLineError(Object.values(cart), restaurant);
+  const isGone    = (line) => !!unavailableLineError([line], restaurant);
+
+  // promotion — a typed code wins over the automatic offer
+  const promoContext = { lines: Object.values(cart), date: form.date, time: form.time };
+  const codeResult   = codePromo ? evaluatePromotion(codePromo, promoContext) : null;
+  const applied      = codePromo && !codeResult.error
+    ? { promo: codePromo, ...codeResult }
+    : cartCount > 0 ? bestAutomaticPromotion(autoOffers, promoContext) : null;
+  const discount     = applied?.discount || 0;
+  const payDue       = form.type === "pickup" ? paymentDue(restaurant, cartTotal - discount) : 0;
+
+  const applyCode = async () => {
+    if (!codeInput.trim()) return;
+    setCodeError(null);
+    try {
+      const promo = await findPromotionByCode(restaurant.id, codeInput);
+      if (!promo) setCodeError("That code isn't valid here.");
+      setCodePromo(promo);
+    } catch (err) {
+      setCodeError("Could not check the code: " + err.message);
+    }
+  };
+
+  // delivery quote (re-checked by createBooking)
+  const types = Object.keys(ORDER_TYPES).filter(t => t !== "delivery" || deliveryRules(restaurant).enabled);
+  const quote = form.type === "delivery" ? quoteDelivery(restaurant, dropoff) : null;
 
   // ── submit → real Firestore write ─────────────────
   const handleSubmit = async () => {
@@ -42,15 +155,38 @@ export default function BookingModal({ restaurant, cart, onClose }) {
       setError("Please fill in your name and phone number.");
       return;
     }
+    const problem = validateBookingTime(restaurant, form.date, form.time);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    if (waitlistMode) {
+      await handleJoinWaitlist();
+      return;
+    }
+    if (goneError) {
+      setError(goneError);
+      return;
+    }
+    if (slots.length > 0 && !available.includes(form.time)) {
+      setError("Please pick one of the available time slots.");
+      return;
+    }
+    if (form.type === "delivery") {
+      if (cartCount === 0)           { setError("Add dishes from the menu to order delivery."); return; }
+      if (!dropoff.address.trim())   { setError("Please add a delivery address."); return; }
+      if (quote.error)               { setError(quote.error); return; }
+    }
     setSubmitting(true);
     setError(null);
     try {
-      const id = await createBooking({
+      const data = {
         restaurantId:         restaurant.id,
         restaurantOwnerId:    restaurant.ownerId,   // for security rules
         restaurantName:       restaurant.name,
         userName:             form.name,
         userPhone:            form.phone,
+        userEmail:            user?.email || null,
         userId:              user ? user.uid : null,
         date:                 form.date,
         time:                 form.time,
@@ -58,16 +194,80 @@ export default function BookingModal({ restaurant, cart, onClose }) {
         type:                 form.type,
         notes:                form.notes,
         preOrder:             cartCount > 0 ? Object.values(cart) : [],
-        preOrderTotal:        cartTotal
+        preOrderTotal:        cartTotal,
+        ...(applied ? { promotionId: applied.promo.id } : {}),
+        ...(form.type === "delivery" ? { delivery: dropoff } : {})
+      };
+      const { id, reference } = await createBooking(data);
+      const { promotionId, ...written } = data;
+      setBooked({
+        ...written,
+        id,
+        reference,
+        status:    "pending",
+        ...(applied ? { promotion: { id: promotionId, code: applied.promo.code || null, title: applied.promo.title, discount } } : {}),
+        ...(quote && !quote.error ? { delivery: { ...dropoff, distanceKm: quote.distanceKm, fee: quote.fee } } : {}),
+        ...(payDue > 0 ? { payment: { mode: restaurant.pickupPayment.mode, amount: payDue, currency: "UGX", status: "initiated" } } : {})
       });
+      setBookedCart({ count: cartCount, total: cartTotal - discount, discount, payDue });
       setBookingId(id);   // triggers success screen
+      onBooked && onBooked();   // cart is only cleared once the booking exists
     } catch (err) {
       setError("Failed to submit booking: " + err.message);
+      setUsageTick((n) => n + 1);   // someone may have taken the slot
     } finally {
       setSubmitting(false);
     }
   };
 
+  // ── waitlist → Firestore write ────────────────────
+  const handleJoinWaitlist = async () => {
+    if (!user) {
+      setError("Please sign in (Bookings tab) to join the waitlist — that's where your offer will appear.");
+      return;
+    }
+    setSubmitting(true);
+    setError(null);
+    try {
+      const id = await joinWaitlist({
+        restaurantId:      restaurant.id,
+        restaurantOwnerId: restaurant.ownerId,
+        restaurantName:    restaurant.name,
+        userName:          form.name,
+        userPhone:         form.phone,
+        userId:            user.uid,
+        date:              form.date,
+        time:              form.time,
+        guests:            parseInt(form.guests, 10),
+        type:              form.type,
+        notes:             form.notes
+      });
+      setWaitlistId(id);
+    } catch (err) {
+      setError("Failed to join the waitlist: " + err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // ── waitlist success screen ─────────────────────
+  if (waitlistId) {
+    return (
+      <div style={{ position:"fixed", inset:0, background:"rgba(28,25,23,0.55)", zIndex:250, display:"flex", alignItems:"center", justifyContent:"center", padding:20 }}>
+        <div style={{ background:"#fff", borderRadius:20, padding:"28px 22px", textAlign:"center", maxWidth:340, width:"100%" }}>
+          <div style={{ fontSize:40, marginBottom:10 }}>⏳</div>
+          <div style={{ fontSize:20, fontWeight:700, fontFamily:"'Playfair Display',serif", color:"#1C1917", marginBottom:4 }}>You're on the Waitlist</div>
+          <div style={{ fontSize:13, color:"#78716C", marginBottom:14, lineHeight:1.5 }}>
+            If a table opens up at <strong>{restaurant.name}</strong> on {form.date} at {form.time}, you'll get an offer under <strong>Bookings</strong>. Accept it before it expires to lock it in.
+          </div>
+          <button onClick={onClose} style={{ width:"100%", background:"#78350F", color:"#fff", border:"none", borderRadius:10, padding:12, fontSize:14, fontWeight:600, cursor:"pointer" }}>
+            Done
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   // ── success screen ──────────────────────────────
   if (bookingId) {
     return (
@@ -76,14 +276,40 @@ export default function BookingModal({ restaurant, cart, onClose }) {
           <div style={{ width:68, height:68, background:"#DCFCE7", borderRadius:"50%", display:"flex", alignItems:"center", justifyContent:"center", margin:"0 auto 14px" }}>
             <Check size={30} color="#16A34A"/>
           </div>
-          <div style={{ fontSize:20, fontWeight:700, fontFamily:"'Playfair Display',serif", color:"#1C1917", marginBottom:4 }}>Booking Confirmed!</div>
+          <div style={{ fontSize:20, fontWeight:700, fontFamily:"'Playfair Display',serif", color:"#1C1917", marginBottom:4 }}>{bookedCart.payDue > 0 ? "Pre-Order Saved" : "Booking Confirmed!"}</div>
           <div style={{ fontSize:13, color:"#78716C", marginBottom:14, lineHeight:1.5 }}>
-            Your {form.type === "pickup" ? "pre-order" : "table"} at <strong>{restaurant.name}</strong> has been saved. They will contact you shortly.
+            Your {form.type === "dine-in" ? "table" : form.type === "delivery" ? "delivery order" : "pre-order"} at <strong>{restaurant.name}</strong> has been saved. We'll message you at {form.phone}{user?.email ? ` and ${user.email}` : ""} when they confirm.
           </div>
           <div style={{ background:"#FFFBEB", borderRadius:8, padding:"10px 14px", fontSize:12, color:"#57534E", marginBottom:16 }}>
-            <span style={{ color:"#78350F", fontWeight:700 }}>Ref: NC-{bookingId.slice(-8).toUpperCase()}</span>
+            <span style={{ color:"#78350F", fontWeight:700 }}>Ref: {booked.reference}</span>
             <br/>{form.date} at {form.time}
-            {cartCount > 0 && <><br/>Pre-order total: <strong>{cartTotal.toLocaleString()} UGX</strong></>}
+            {bookedCart?.count > 0 && <><br/>Pre-order total: <strong>{bookedCart.total.toLocaleString()} UGX</strong></>}
+            {bookedCart?.discount > 0 && <> (saved {bookedCart.discount.toLocaleString()} UGX)</>}
+            {quote && !quote.error && <><br/>Delivery fee: <strong>{quote.fee.toLocaleString()} UGX</strong> to {dropoff.address}</>}
+          </div>
+          {!user && (
+            <div style={{ fontSize:11, color:"#78716C", marginTop:-10, marginBottom:14 }}>
+              Keep this reference — with your phone number it finds this booking under Bookings.
+            </div>
+          )}
+          {bookedCart.payDue > 0 && (
+            <div style={{ marginBottom:16 }}>
+              <PaymentPrompt
+                bookingId={bookingId}
+                payment={{ mode: restaurant.pickupPayment.mode, amount: bookedCart.payDue, currency: "UGX", status: "initiated" }}
+                defaultPhone={form.phone}
+              />
+            </div>
+          )}
+          <div style={{ display:"flex", gap:8, marginBottom:8 }}>
+            <button onClick={() => downloadBookingICS(booked, restaurant)} style={{ flex:1, background:"#FEF3C7", color:"#78350F", border:"none", borderRadius:10, padding:10, fontSize:12, fontWeight:600, cursor:"pointer", display:"flex", alignItems:"center", justifyContent:"center", gap:5 }}>
+              <CalendarPlus size={14}/> Add to calendar
+            </button>
+            {onOpenReceipt && (
+              <button onClick={() => onOpenReceipt(booked)} style={{ flex:1, background:"#FEF3C7", color:"#78350F", border:"none", borderRadius:10, padding:10, fontSize:12, fontWeight:600, cursor:"pointer", display:"flex", alignItems:"center", justifyContent:"center", gap:5 }}>
+                <Receipt size={14}/> Receipt
+              </button>
+            )}
           </div>
           <button onClick={onClose} style={{ width:"100%", background:"#78350F", color:"#fff", border:"none", borderRadius:10, padding:12, fontSize:14, fontWeight:600, cursor:"pointer" }}>
             Done
@@ -105,26 +331,75 @@ export default function BookingModal({ restaurant, cart, onClose }) {
         </div>
         <div style={{ fontSize:13, color:"#A8A29E", marginBottom:18 }}>{restaurant.name} • {restaurant.city}</div>
 
+        {/* busy / full notice */}
+        {waitlistMode && (
+          <div style={{ background:"#EFF6FF", border:"1px solid #BFDBFE", borderRadius:10, padding:"8px 12px", fontSize:12, color:"#1D4ED8", marginBottom:14 }}>
+            ⏳ {restaurant.busy
+              ? `${restaurant.name} is not taking new bookings right now.`
+              : `${form.time} is fully booked.`} Join the waitlist and we'll offer you the table if one opens up.
+          </div>
+        )}
+
         {/* pre-order summary */}
         {cartCount > 0 && (
           <div style={{ background:"#FEF3C7", borderRadius:10, padding:12, marginBottom:14 }}>
             <div style={{ fontSize:12, fontWeight:700, color:"#78350F", marginBottom:6 }}>🛒 Your Pre-Order</div>
             {Object.values(cart).map((item) => (
-              <div key={item.name} style={{ display:"flex", justifyContent:"space-between", fontSize:12, color:"#92400E", padding:"2px 0" }}>
-                <span>{item.name} ×{item.qty}</span>
-                <span style={{ fontWeight:600 }}>{(item.price * item.qty).toLocaleString()} UGX</span>
+              <div key={item.key || item.name} style={{ display:"flex", alignItems:"center", gap:6, fontSize:12, color:"#92400E", padding:"3px 0" }}>
+                <span style={{ flex:1, textDecoration: isGone(item) ? "line-through" : "none" }}>
+                  {lineLabel(item)}{isGone(item) && <strong style={{ color:"#B91C1C", marginLeft:4 }}>Sold out</strong>}
+                </span>
+                {onChangeQty ? (
+                  <span style={{ display:"flex", alignItems:"center", gap:6 }}>
+                    <button onClick={() => onChangeQty(item.key || item.name, -1)} aria-label={`Remove one ${item.name}`} style={{ background:"#fff", color:"#78350F", border:"none", borderRadius:6, padding:2, display:"flex", cursor:"pointer" }}><Minus size={12}/></button>
+                    <strong style={{ minWidth:14, textAlign:"center" }}>{item.qty}</strong>
+                    <button onClick={() => onChangeQty(item.key || item.name, 1)} aria-label={`Add one ${item.name}`} style={{ background:"#fff", color:"#78350F", border:"none", borderRadius:6, padding:2, display:"flex", cursor:"pointer" }}><Plus size={12}/></button>
+                  </span>
+                ) : <span>×{item.qty}</span>}
+                <span style={{ fontWeight:600, minWidth:80, textAlign:"right" }}>{(item.price * item.qty).toLocaleString()} UGX</span>
+                {onRemoveItem && (
+                  <button onClick={() => onRemoveItem(item.key || item.name)} aria-label={`Remove ${item.name}`} style={{ background:"none", color:"#B91C1C", border:"none", padding:2, display:"flex", cursor:"pointer" }}><Trash2 size={13}/></button>
+                )}
               </div>
             ))}
+            {applied && (
+              <div style={{ display:"flex", justifyContent:"space-between", fontSize:12, color:"#15803D", padding:"2px 0" }}>
+                <span>🏷️ {applied.promo.title}{applied.promo.code ? ` (${applied.promo.code})` : ""}</span>
+                <span style={{ fontWeight:600 }}>−{discount.toLocaleString()} UGX</span>
+              </div>
+            )}
+            {quote && !quote.error && (
+              <div style={{ display:"flex", justifyContent:"space-between", fontSize:12, color:"#92400E", padding:"2px 0" }}>
+                <span>🛵 Delivery ({quote.distanceKm} km)</span>
+                <span style={{ fontWeight:600 }}>{quote.fee.toLocaleString()} UGX</span>
+              </div>
+            )}
             <div style={{ borderTop:"1px solid #D97706", marginTop:6, paddingTop:6, display:"flex", justifyContent:"space-between", fontSize:13, fontWeight:700, color:"#78350F" }}>
-              <span>Total</span><span>{cartTotal.toLocaleString()} UGX</span>
+              <span>Total</span><span>{(cartTotal - discount + (quote && !quote.error ? quote.fee : 0)).toLocaleString()} UGX</span>
+            </div>
+
+            {/* promo code */}
+            <div style={{ display:"flex", gap:6, marginTop:8 }}>
+              <input value={codeInput} onChange={e => { setCodeInput(e.target.value.toUpperCase()); setCodeError(null); }} placeholder="Promo code"
+                style={{ flex:1, minWidth:0, padding:"6px 10px", border:"1px solid #FCD34D", borderRadius:8, fontSize:12, outline:"none", background:"#fff" }} />
+              {codePromo ? (
+                <button onClick={() => { setCodePromo(null); setCodeInput(""); }} style={{ background:"#fff", color:"#78350F", border:"1px solid #FCD34D", borderRadius:8, padding:"6px 10px", fontSize:12, fontWeight:600, cursor:"pointer" }}>Remove</button>
+              ) : (
+                <button onClick={applyCode} style={{ background:"#78350F", color:"#fff", border:"none", borderRadius:8, padding:"6px 12px", fontSize:12, fontWeight:600, cursor:"pointer" }}>Apply</button>
+              )}
             </div>
+            {(codeError || codeResult?.error) && (
+              <div style={{ fontSize:11, color:"#991B1B", marginTop:4 }}>{codeError || codeResult.error}</div>
+            )}
           </div>
         )}
 
         {/* type selector */}
-        <label style={{ display:"block", fontSize:13, fontWeight:600, color:"#57534E", marginBottom:6 }}>Pick Up or Dine In?</label>
+        <label style={{ display:"block", fontSize:13, fontWeight:600, color:"#57534E", marginBottom:6 }}>
+          {types.includes("delivery") ? "Dine In, Pick Up or Delivery?" : "Pick Up or Dine In?"}
+        </label>
         <div style={{ display:"flex", gap:8, marginBottom:14 }}>
-          {["dine-in","pickup"].map((t) => (
+          {types.map((t) => (
             <div key={t}
               onClick={() => setForm(p => ({...p, type: t}))}
               style={{
@@ -133,14 +408,38 @@ export default function BookingModal({ restaurant, cart, onClose }) {
                 borderRadius:10, padding:10, textAlign:"center", cursor:"pointer", transition:"all 0.2s"
               }}
             >
-              <div style={{ fontSize:20 }}>{t==="dine-in"?"🍽️":"🥡"}</div>
+              <div style={{ fontSize:20 }}>{ORDER_TYPES[t].icon}</div>
               <div style={{ fontSize:12, fontWeight:600, color: form.type===t ? "#78350F" : "#57534E" }}>
-                {t==="dine-in" ? "Dine In" : "Pick Up"}
+                {ORDER_TYPES[t].label}
               </div>
             </div>
           ))}
         </div>
 
+        {/* delivery drop-off */}
+        {form.type === "delivery" && (
+          <div style={{ marginBottom:14 }}>
+            <label style={{ display:"block", fontSize:12, fontWeight:600, color:"#57534E", marginBottom:4 }}>Delivery address</label>
+            <input value={dropoff.address} onChange={e => setDropoff(p => ({ ...p, address: e.target.value }))} placeholder="e.g. Plot 12, Kira Road — blue gate"
+              style={{ width:"100%", padding:"10px 12px", border:"1.5px solid #E7E5E4", borderRadius:10, fontSize:14, outline:"none", marginBottom:8 }} />
+            <OwnerMap
+              initialLat={dropoff.lat ?? restaurant.lat ?? undefined}
+              initialLng={dropoff.lng ?? restaurant.lng ?? undefined}
+              onPinChange={({ lat, lng }) => setDropoff(p => ({ ...p, lat, lng }))}
+              hint="Drag the green pin or tap the map to your drop-off point"
+            />
+            <div style={{ marginTop:6, borderRadius:8, padding:"7px 10px", fontSize:12, fontWeight:600,
+              background: quote.error ? "#FEE2E2" : "#F0FDF4", color: quote.error ? "#991B1B" : "#166534" }}>
+              {quote.error
+                ? `🛵 ${quote.error}`
+                : `🛵 ${quote.distanceKm} km • Delivery fee ${quote.fee.toLocaleString()} UGX`}
+            </div>
+            {cartCount === 0 && (
+              <div style={{ fontSize:11, color:"#991B1B", marginTop:4 }}>Add dishes from the menu first — delivery is for food orders.</div>
+            )}
+          </div>
+        )}
+
         {/* name + phone */}
         <div style={{ display:"flex", gap:8, marginBottom:10 }}>
           <div style={{ flex:1 }}>
@@ -155,18 +454,61 @@ export default function BookingModal({ restaurant, cart, onClose }) {
           </div>
         </div>
 
-        {/* date + time */}
-        <div style={{ display:"flex", gap:8, marginBottom:10 }}>
-          <div style={{ flex:1 }}>
-            <label style={{ display:"block", fontSize:12, fontWeight:600, color:"#57534E", marginBottom:4 }}>Date</label>
-            <input type="date" value={form.date} onChange={e => setForm(p=>({...p,date:e.target.value}))}
-              style={{ width:"100%", padding:"10px 12px", border:"1.5px solid #E7E5E4", borderRadius:10, fontSize:14, outline:"none" }} />
-          </div>
-          <div style={{ flex:1 }}>
-            <label style={{ display:"block", fontSize:12, fontWeight:600, color:"#57534E", marginBottom:4 }}>Time</label>
+        {/* date */}
+        <div style={{ marginBottom:10 }}>
+          <label style={{ display:"block", fontSize:12, fontWeight:600, color:"#57534E", marginBottom:4 }}>Date</label>
+          <input type="date" value={form.date} min={minDate} max={maxDate} onChange={e => setForm(p=>({...p,date:e.target.value}))}
+            style={{ width:"100%", padding:"10px 12px", border:"1.5px solid #E7E5E4", borderRadius:10, fontSize:14, outline:"none" }} />
+          {closedDay ? (
+            <div style={{ fontSize:11, color:"#991B1B", marginTop:4 }}>🚫 {closedDay}</div>
+          ) : blackout && (
+            <div style={{ fontSize:11, color:"#991B1B", marginTop:4 }}>
+              🚫 Not taking bookings on this date{blackout.reason ? ` — ${blackout.reason}` : ""}.
+            </div>
+          )}
+        </div>
+
+        {/* time — slot picker when the restaurant has hours, free input otherwise */}
+        <div style={{ marginBottom:10 }}>
+          <label style={{ display:"block", fontSize:12, fontWeight:600, color:"#57534E", marginBottom:4 }}>Time</label>
+          {slots.length > 0 ? (
+            <>
+              <div style={{ display:"flex", flexWrap:"wrap", gap:6 }}>
+                {slots.map((t) => {
+                  const open     = valid.includes(t);
+                  const full     = open && !available.includes(t);
+                  const selected = form.time === t;
+                  return (
+                    <button key={t} type="button" disabled={!open}
+                      onClick={() => setForm(p=>({...p,time:t}))}
+                      style={{
+                        border: selected ? "1.5px solid #D97706" : "1.5px solid #E7E5E4",
+                        background: !open ? "#F5F5F4" : selected ? "#FEF3C7" : "#fff",
+                        color: !open ? "#D6D3D1" : selected ? "#78350F" : "#57534E",
+                        borderRadius:8, padding:"6px 8px", fontSize:12, fontWeight:600,
+                        cursor: open ? "pointer" : "not-allowed", textDecoration: open ? "none" : "line-through",
+                        minWidth:58
+                      }}
+                    >
+                      {t}
+                      {full && <div style={{ fontSize:9, fontWeight:500, color:"#2563EB" }}>Waitlist</div>}
+                      {!full && open && needed > 0 && Number.isFinite(limit) && roomLeft(t) <= 10 && (
+                        <div style={{ fontSize:9, fontWeight:500, color:"#D97706" }}>{roomLeft(t)} left</div>
+                      )}
+                    </button>
+                  );
+                })}
+              </div>
+              {valid.length === 0 && !blackout && !closedDay && (
+                <div style={{ fontSize:11, color:"#991B1B", marginTop:6 }}>No times left on this date — try another day.</div>
+              )}
+            </>
+          ) : hasHours(restaurant) ? (
+            !closedDay && <div style={{ fontSize:11, color:"#991B1B" }}>No times on this date — try another day.</div>
+          ) : (
             <input type="time" value={form.time} onChange={e => setForm(p=>({...p,time:e.target.value}))}
               style={{ width:"100%", padding:"10px 12px", border:"1.5px solid #E7E5E4", borderRadius:10, fontSize:14, outline:"none" }} />
-          </div>
+          )}
         </div>
 
         {/* guests (dine-in only) */}
@@ -187,10 +529,19 @@ export default function BookingModal({ restaurant, cart, onClose }) {
             style={{ width:"100%", padding:"10px 12px", border:"1.5px solid #E7E5E4", borderRadius:10, fontSize:14, outline:"none" }} />
         </div>
 
+        {/* prepayment notice (pickup) */}
+        {payDue > 0 && (
+          <div style={{ background:"#F0FDF4", borderRadius:8, padding:"7px 10px", fontSize:11, color:"#166534", marginBottom:8 }}>
+            📱 {restaurant.name} asks for {PICKUP_PAYMENT_MODES[restaurant.pickupPayment.mode].label.toLowerCase()} of {payDue.toLocaleString()} UGX by MTN MoMo or Airtel Money. The order is confirmed once paid.
+          </div>
+        )}
+
         {/* service fee notice */}
-        <div style={{ background:"#F3F4F6", borderRadius:8, padding:"7px 10px", fontSize:11, color:"#6B7280", marginBottom:8, display:"flex", alignItems:"center", gap:5 }}>
-          💳 A service fee of 500 UGX applies to confirmed bookings.
-        </div>
+        {serviceFee > 0 && (
+          <div style={{ background:"#F3F4F6", borderRadius:8, padding:"7px 10px", fontSize:11, color:"#6B7280", marginBottom:8, display:"flex", alignItems:"center", gap:5 }}>
+            💳 A service fee of {serviceFee.toLocaleString()} UGX applies to confirmed bookings.
+          </div>
+        )}
 
         {/* error */}
         {error && <div style={{ background:"#FEE2E2", borderRadius:8, padding:"7px 10px", fontSize:12, color:"#991B1B", marginBottom:8 }}>⚠️ {error}</div>}
@@ -198,7 +549,7 @@ export default function BookingModal({ restaurant, cart, onClose }) {
         {/* submit */}
         <button onClick={handleSubmit} disabled={submitting}
           style={{ width:"100%", background: submitting ? "#A8A29E" : "#78350F", color:"#fff", border:"none", borderRadius:12, padding:14, fontSize:15, fontWeight:600, cursor: submitting?"not-allowed":"pointer", transition:"background 0.2s" }}>
-          {submitting ? "Saving…" : form.type==="pickup" ? "🥡 Confirm Pre-Order" : "🗓️ Confirm Booking"}
+          {submitting ? "Saving…" : waitlistMode ? "⏳ Join Waitlist" : form.type==="pickup" ? "🥡 Confirm Pre-Order" : form.type==="delivery" ? "🛵 Confirm Delivery" : "🗓️ Confirm Booking"}
         </button>
         <button onClick={onClose} style={{ width:"100%", background:"transparent", color:"#A8A29E", border:"none", borderRadius:10, padding:10, fontSize:13, cursor:"pointer", marginTop:4 }}>Cancel</button>
       </div>
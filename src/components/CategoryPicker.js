@@ -0,0 +1,84 @@
+// =============================================================
+// FILE: src/components/CategoryPicker.js
+// =============================================================
+// Owner's cuisine categories card, rendered inside DashboardPage.
+// • Toggle up to MAX_CATEGORIES chips (constants/categories.js) —
+//   these are what the HomePage category chips filter on.
+// • Pick the primary cuisine among the selected ones.
+// • Suggestions inferred from the menu's dish names, each with
+//   "+" to accept (nothing is added without the owner's tap).
+// • Controlled: onChange({ categories, primaryCategory }).
+// =============================================================
+
+import { CATEGORIES, MAX_CATEGORIES, categoryMeta, suggestCategories } from "../constants/categories.js";
+
+export default function CategoryPicker({ categories = [], primaryCategory = "", menu, onChange }) {
+  const full        = categories.length >= MAX_CATEGORIES;
+  const suggestions = suggestCategories(menu, categories);
+
+  // the primary is always one of the selected ids (the first by default)
+  const emit = (next, primary = primaryCategory) => onChange({
+    categories:      next,
+    primaryCategory: next.includes(primary) ? primary : next[0] || ""
+  });
+  const toggle = (id) => {
+    if (categories.includes(id)) emit(categories.filter(c => c !== id));
+    else if (!full)              emit([...categories, id]);
+  };
+  const accept = (ids) => emit([...categories, ...ids].slice(0, MAX_CATEGORIES));
+
+  return (
+    <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16 }}>
+      <div style={{ fontSize:15, fontWeight:700, marginBottom:4 }}>Cuisine & Categories</div>
+      <div style={{ fontSize:11, color:"#78716C", marginBottom:12 }}>
+        Diners filter by these on the home page. Pick up to {MAX_CATEGORIES} ({categories.length} selected).
+      </div>
+
+      <div style={{ display:"flex", flexWrap:"wrap", gap:6, marginBottom:12 }}>
+        {CATEGORIES.map(c => {
+          const on = categories.includes(c.id);
+          return (
+            <button key={c.id} onClick={() => toggle(c.id)} disabled={!on && full}
+              style={{
+                background: on ? "#FEF3C7" : "#fff",
+                border:     on ? "1.5px solid #D97706" : "1.5px solid #E7E5E4",
+                color:      on ? "#78350F" : !on && full ? "#D6D3D1" : "#57534E",
+                borderRadius:20, padding:"6px 12px", fontSize:12, fontWeight: on ? 700 : 500,
+                cursor: !on && full ? "not-allowed" : "pointer"
+              }}>
+              {c.icon} {c.label}{on && c.id === primaryCategory ? " ★" : ""}
+            </button>
+          );
+        })}
+      </div>
+
+      {categories.length > 1 && (
+        <div style={{ marginBottom:12 }}>
+          <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:4 }}>PRIMARY CUISINE</label>
+          <select value={primaryCategory} onChange={e => emit(categories, e.target.value)} style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB" }}>
+            {categories.map(id => <option key={id} value={id}>{categoryMeta(id)?.icon} {categoryMeta(id)?.label}</option>)}
+          </select>
+        </div>
+      )}
+
+      {suggestions.length > 0 && !full && (
+        <div style={{ background:"#FFFBEB", borderRadius:10, padding:10 }}>
+          <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:6 }}>
+            <span style={{ fontSize:11, fontWeight:700, color:"#78716C" }}>SUGGESTED FROM YOUR MENU</span>
+            <button onClick={() => accept(suggestions.map(s => s.id))} style={{ background:"none", border:"none", fontSize:11, color:"#D97706", fontWeight:700, cursor:"pointer" }}>
+              Add all
+            </button>
+          </div>
+          <div style={{ display:"flex", flexWrap:"wrap", gap:6 }}>
+            {suggestions.map(s => (
+              <button key={s.id} onClick={() => accept([s.id])}
+                style={{ background:"#fff", border:"1.5px dashed #D97706", borderRadius:20, padding:"5px 10px", fontSize:12, color:"#78350F", cursor:"pointer" }}>
+                + {categoryMeta(s.id).icon} {categoryMeta(s.id).label} <span style={{ color:"#A8A29E" }}>({s.dishes} dish{s.dishes === 1 ? "" : "es"})</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,11 +1,15 @@
 import { useState, useEffect, useRef } from "react";
 import { Send, X, User } from "lucide-react";
 import { sendMessage, listenToMessages } from "../utils/firestoreService.js"; // Added .js
+import { roleMeta } from "../constants/staff.js";
 
 /**
  * A simple chat window for customers to message a restaurant.
+ * With `actor` ({ uid, name }) it is the restaurant's side: replies
+ * go out for the restaurant (needs the "chat" permission) and every
+ * staff reply shows on the right.
  */
-export default function ChatWindow({ restaurantId, restaurantName, currentUser, onClose }) {
+export default function ChatWindow({ restaurantId, restaurantName, currentUser, onClose, actor, role }) {
   const [messages, setMessages] = useState([]);
   const [text, setText] = useState("");
   const scrollRef = useRef(null);
@@ -31,7 +35,8 @@ export default function ChatWindow({ restaurantId, restaurantName, currentUser,
     if (!text.trim() || !currentUser) return;
     
     try {
-      await sendMessage(restaurantId, currentUser.uid, currentUser.displayName || "Customer", text);
+      if (actor) await sendMessage(restaurantId, currentUser.uid, restaurantName, text, { actor });
+      else await sendMessage(restaurantId, currentUser.uid, currentUser.displayName || "Customer", text);
       setText("");
     } catch (err) {
       console.error("Failed to send message:", err);
@@ -54,7 +59,7 @@ export default function ChatWindow({ restaurantId, restaurantName, currentUser,
           </div>
           <div>
             <div style={{ fontSize: 14, fontWeight: 700 }}>{restaurantName}</div>
-            <div style={{ fontSize: 11, opacity: 0.8 }}>Live Chat</div>
+            <div style={{ fontSize: 11, opacity: 0.8 }}>{actor ? `Replying as ${roleMeta(role).label}` : "Live Chat"}</div>
           </div>
         </div>
         <button onClick={onClose} style={{ background: "none", border: "none", color: "#fff", cursor: "pointer" }}>
@@ -69,11 +74,11 @@ export default function ChatWindow({ restaurantId, restaurantName, currentUser,
       >
         {messages.length === 0 ? (
           <div style={{ textAlign: "center", color: "#9CA3AF", marginTop: 40, fontSize: 13 }}>
-            No messages yet. Say hi to {restaurantName}!
+            {actor ? "No messages from diners yet." : `No messages yet. Say hi to ${restaurantName}!`}
           </div>
         ) : (
           messages.map((m) => {
-            const isMe = m.senderId === currentUser?.uid;
+            const isMe = actor ? !!m.senderRole : m.senderId === currentUser?.uid;
             return (
               <div key={m.id} style={{
                 alignSelf: isMe ? "flex-end" : "flex-start",
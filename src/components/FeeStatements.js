@@ -0,0 +1,115 @@
+// =============================================================
+// FILE: src/components/FeeStatements.js
+// =============================================================
+// Owner's service-fee statements, rendered inside DashboardPage.
+// • Loads the restaurant's /fees ledger (getRestaurantFees).
+// • Groups entries by month ("YYYY-MM") with total, paid and
+//   outstanding amounts; tap a month to see its line items.
+// • "Export CSV" downloads the open month's line items.
+// =============================================================
+
+import { useState, useEffect } from "react";
+import { Receipt, Download } from "lucide-react";
+import { getRestaurantFees } from "../utils/firestoreService.js";
+import { FEE_PLANS, periodLabel } from "../constants/fees.js";
+import { bookingReference } from "../constants/bookings.js";
+import { toCSV, downloadFile } from "../utils/csv.js";
+
+const COLUMNS = [
+  { key: (f) => feeReference(f), label: "Booking ref" },
+  { key: "bookingDate", label: "Booking date" },
+  { key: "userName",    label: "Diner" },
+  { key: (f) => FEE_PLANS[f.plan]?.label || f.plan, label: "Plan" },
+  { key: "amount",      label: "Fee (UGX)" },
+  { key: "status",      label: "Status" }
+];
+
+const feeReference = (f) => f.bookingReference || bookingReference(f.bookingId);
+
+function summarise(fees) {
+  const total = fees.reduce((sum, f) => sum + (f.amount || 0), 0);
+  const paid  = fees.filter(f => f.status === "paid").reduce((sum, f) => sum + (f.amount || 0), 0);
+  return { total, paid, unpaid: total - paid };
+}
+
+export default function FeeStatements({ restaurant, showToast }) {
+  const [fees,    setFees]    = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [open,    setOpen]    = useState(null);   // period being viewed
+
+  useEffect(() => {
+    if (!restaurant?.id) return;
+    setLoading(true);
+    getRestaurantFees(restaurant.id)
+      .then(setFees)
+      .catch(err => showToast("⚠️ Could not load statements: " + err.message))
+      .finally(() => setLoading(false));
+  }, [restaurant?.id]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const months = {};
+  fees.forEach(f => { (months[f.period] = months[f.period] || []).push(f); });
+  const periods = Object.keys(months).sort().reverse();
+
+  const exportMonth = (period) => {
+    const csv  = toCSV(months[period], COLUMNS);
+    const slug = (restaurant.name || "restaurant").toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    downloadFile(`nyamaconnect-fees-${slug}-${period}.csv`, csv);
+  };
+
+  return (
+    <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16 }}>
+      <div style={{ fontSize:15, fontWeight:700, display:"flex", alignItems:"center", gap:6, marginBottom:4 }}>
+        <Receipt size={16} color="#D97706"/> Service-fee Statements
+      </div>
+      <div style={{ fontSize:11, color:"#78716C", marginBottom:12 }}>
+        One fee per confirmed booking • {FEE_PLANS[restaurant.plan]?.label || FEE_PLANS.standard.label} plan
+      </div>
+
+      {loading ? (
+        <div style={{ fontSize:12, color:"#A8A29E" }}>Loading…</div>
+      ) : periods.length === 0 ? (
+        <div style={{ fontSize:12, color:"#A8A29E" }}>No fees yet — they appear here as bookings are confirmed.</div>
+      ) : periods.map((period) => {
+        const { total, paid, unpaid } = summarise(months[period]);
+        const isOpen = open === period;
+        return (
+          <div key={period} style={{ borderTop:"1px solid #F3F4F6", padding:"8px 0" }}>
+            <div onClick={() => setOpen(isOpen ? null : period)} style={{ display:"flex", justifyContent:"space-between", alignItems:"center", cursor:"pointer" }}>
+              <div>
+                <div style={{ fontSize:13, fontWeight:700, color:"#1C1917" }}>{periodLabel(period)}</div>
+                <div style={{ fontSize:11, color:"#78716C" }}>
+                  {months[period].length} booking{months[period].length > 1 ? "s" : ""} • {paid.toLocaleString()} paid
+                </div>
+              </div>
+              <div style={{ textAlign:"right" }}>
+                <div style={{ fontSize:14, fontWeight:800, color:"#78350F" }}>{total.toLocaleString()} UGX</div>
+                {unpaid > 0
+                  ? <div style={{ fontSize:10, fontWeight:700, color:"#B45309" }}>{unpaid.toLocaleString()} due</div>
+                  : <div style={{ fontSize:10, fontWeight:700, color:"#16A34A" }}>Paid</div>}
+              </div>
+            </div>
+
+            {isOpen && (
+              <div style={{ marginTop:8, background:"#FFFBEB", borderRadius:10, padding:10 }}>
+                {months[period].map(f => (
+                  <div key={f.id} style={{ display:"flex", justifyContent:"space-between", fontSize:12, padding:"4px 0", borderBottom:"1px solid #FEF3C7" }}>
+                    <span style={{ color:"#57534E" }}>
+                      {f.bookingDate} • {f.userName || "Guest"}
+                      <span style={{ color:"#A8A29E" }}> • {feeReference(f)}</span>
+                    </span>
+                    <span style={{ fontWeight:700, color: f.status === "paid" ? "#16A34A" : "#B45309" }}>
+                      {(f.amount || 0).toLocaleString()}{f.status === "paid" ? " ✓" : ""}
+                    </span>
+                  </div>
+                ))}
+                <button onClick={() => exportMonth(period)} style={{ marginTop:8, background:"#78350F", color:"#fff", border:"none", borderRadius:8, padding:"6px 12px", fontSize:11, fontWeight:700, cursor:"pointer", display:"flex", alignItems:"center", gap:5 }}>
+                  <Download size={12}/> Export CSV
+                </button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
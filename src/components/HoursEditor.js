@@ -0,0 +1,132 @@
+// =============================================================
+// FILE: src/components/HoursEditor.js
+// =============================================================
+// Owner's "Opening Hours" card, rendered inside DashboardPage.
+// • "Temporarily closed" switch with a note diners see instead of
+//   the hours (renovation, staff holiday…).
+// • One row per weekday with up to MAX_INTERVALS_PER_DAY opening
+//   intervals (e.g. 07:00–11:00 and 17:00–23:00); no interval =
+//   closed that day. A close before the open runs past midnight.
+//   The copy button gives every day the same hours as that row.
+// • Dated exceptions: closed (Eid, Independence Day…) or special
+//   hours for that day only.
+// • Controlled: onChange(patch) with any of weeklyHours,
+//   hoursExceptions, temporarilyClosed, closedNote. All times are
+//   Kampala time (utils/scheduling.js).
+// =============================================================
+
+import { useState } from "react";
+import { Plus, Minus, Copy } from "lucide-react";
+import { WEEK_DAYS, DEFAULT_INTERVAL, MAX_INTERVALS_PER_DAY, dayMeta, formatIntervals } from "../utils/scheduling.js";
+
+const timeInput = { padding:6, borderRadius:8, border:"1px solid #E5E7EB", fontSize:12, minWidth:0 };
+const smallBtn  = { background:"none", border:"none", cursor:"pointer", padding:2, display:"flex", alignItems:"center" };
+
+const EMPTY_EXCEPTION = { date: "", closed: true, open: DEFAULT_INTERVAL.open, close: DEFAULT_INTERVAL.close, reason: "" };
+
+export default function HoursEditor({ weeklyHours, hoursExceptions = [], temporarilyClosed, closedNote = "", onChange }) {
+  const [draft, setDraft] = useState(EMPTY_EXCEPTION);
+
+  const setDay = (key, intervals) => onChange({ weeklyHours: { ...weeklyHours, [key]: intervals } });
+  const setInterval = (key, idx, patch) => setDay(key, weeklyHours[key].map((iv, i) => (i === idx ? { ...iv, ...patch } : iv)));
+  const copyToAll = (key) => onChange({
+    weeklyHours: Object.fromEntries(WEEK_DAYS.map(d => [d.key, weeklyHours[key].map(iv => ({ ...iv }))]))
+  });
+
+  const addException = () => {
+    if (!draft.date) return;
+    const entry = {
+      date:      draft.date,
+      closed:    draft.closed,
+      intervals: draft.closed ? [] : [{ open: draft.open, close: draft.close }],
+      reason:    draft.reason.trim()
+    };
+    onChange({
+      hoursExceptions: [...hoursExceptions.filter(e => e.date !== draft.date), entry].sort((a, b) => a.date.localeCompare(b.date))
+    });
+    setDraft(EMPTY_EXCEPTION);
+  };
+  const removeException = (date) => onChange({ hoursExceptions: hoursExceptions.filter(e => e.date !== date) });
+
+  return (
+    <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16 }}>
+      <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:4 }}>
+        <div style={{ fontSize:15, fontWeight:700 }}>Opening Hours</div>
+        <button onClick={() => onChange({ temporarilyClosed: !temporarilyClosed })} style={{
+          padding:"6px 12px", borderRadius:10, fontSize:12, fontWeight:700, cursor:"pointer",
+          border: temporarilyClosed ? "1.5px solid #EF4444" : "1px solid #E5E7EB",
+          background: temporarilyClosed ? "#FEF2F2" : "#fff", color: temporarilyClosed ? "#991B1B" : "#57534E"
+        }}>
+          {temporarilyClosed ? "⛔ Temporarily closed" : "Open as usual"}
+        </button>
+      </div>
+      <div style={{ fontSize:11, color:"#78716C", marginBottom:12 }}>
+        Kampala time. Add a second interval for split shifts; a closing time before the opening time runs past midnight.
+      </div>
+
+      {temporarilyClosed && (
+        <input value={closedNote} onChange={e => onChange({ closedNote: e.target.value })} placeholder="Note for diners (e.g. Closed for renovation until 1 March)"
+          style={{ width:"100%", padding:10, borderRadius:10, border:"1px solid #FECACA", fontSize:12, marginBottom:12, boxSizing:"border-box" }} />
+      )}
+
+      <div style={{ opacity: temporarilyClosed ? 0.5 : 1 }}>
+        {WEEK_DAYS.map(d => {
+          const intervals = weeklyHours[d.key] || [];
+          return (
+            <div key={d.key} style={{ display:"flex", alignItems:"flex-start", gap:8, padding:"6px 0", borderBottom:"1px solid #F5F5F4" }}>
+              <div style={{ width:36, fontSize:12, fontWeight:700, color:"#57534E", paddingTop:6 }}>{d.short}</div>
+              <div style={{ flex:1, display:"flex", flexDirection:"column", gap:4 }}>
+                {intervals.length === 0 && <div style={{ fontSize:12, color:"#A8A29E", paddingTop:6 }}>Closed</div>}
+                {intervals.map((iv, idx) => (
+                  <div key={idx} style={{ display:"flex", alignItems:"center", gap:4 }}>
+                    <input type="time" value={iv.open} onChange={e => setInterval(d.key, idx, { open: e.target.value })} style={timeInput} />
+                    <span style={{ fontSize:11, color:"#A8A29E" }}>–</span>
+                    <input type="time" value={iv.close} onChange={e => setInterval(d.key, idx, { close: e.target.value })} style={timeInput} />
+                    <button onClick={() => setDay(d.key, intervals.filter((_, i) => i !== idx))} title="Remove" style={{ ...smallBtn, color:"#EF4444" }}>
+                      <Minus size={14}/>
+                    </button>
+                  </div>
+                ))}
+              </div>
+              {intervals.length < MAX_INTERVALS_PER_DAY && (
+                <button onClick={() => setDay(d.key, [...intervals, intervals.length ? { open: "17:00", close: "22:00" } : DEFAULT_INTERVAL])}
+                  title="Add hours" style={{ ...smallBtn, color:"#D97706", paddingTop:6 }}>
+                  <Plus size={14}/>
+                </button>
+              )}
+              <button onClick={() => copyToAll(d.key)} title={`Use ${d.label}'s hours every day`} style={{ ...smallBtn, color:"#A8A29E", paddingTop:6 }}>
+                <Copy size={13}/>
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", margin:"14px 0 4px" }}>HOLIDAYS & SPECIAL HOURS</label>
+      {hoursExceptions.map(e => (
+        <div key={e.date} style={{ display:"flex", justifyContent:"space-between", alignItems:"center", background: e.closed ? "#FEF2F2" : "#FFFBEB", borderRadius:8, padding:"6px 10px", marginBottom:6, fontSize:12, color: e.closed ? "#991B1B" : "#92400E" }}>
+          <span>
+            {e.closed ? "🚫" : "🕐"} {dayMeta(e.date)?.short} {e.date} — {formatIntervals(e.closed ? [] : e.intervals || [])}
+            {e.reason ? ` (${e.reason})` : ""}
+          </span>
+          <button onClick={() => removeException(e.date)} style={{ ...smallBtn, color:"#EF4444" }}><Minus size={14}/></button>
+        </div>
+      ))}
+      <div style={{ display:"flex", gap:6, flexWrap:"wrap" }}>
+        <input type="date" value={draft.date} onChange={e => setDraft(p => ({ ...p, date: e.target.value }))} style={{ ...timeInput, flex:"1 1 120px" }} />
+        <select value={draft.closed ? "closed" : "special"} onChange={e => setDraft(p => ({ ...p, closed: e.target.value === "closed" }))} style={{ ...timeInput, flex:"1 1 100px" }}>
+          <option value="closed">Closed all day</option>
+          <option value="special">Special hours</option>
+        </select>
+        {!draft.closed && (
+          <>
+            <input type="time" value={draft.open} onChange={e => setDraft(p => ({ ...p, open: e.target.value }))} style={timeInput} />
+            <input type="time" value={draft.close} onChange={e => setDraft(p => ({ ...p, close: e.target.value }))} style={timeInput} />
+          </>
+        )}
+        <input value={draft.reason} onChange={e => setDraft(p => ({ ...p, reason: e.target.value }))} placeholder="Reason (e.g. Eid)" style={{ ...timeInput, flex:"2 1 120px" }} />
+        <button onClick={addException} disabled={!draft.date} style={{ background:"#FEF3C7", border:"none", borderRadius:8, padding:"0 10px", fontSize:11, fontWeight:700, color:"#78350F", cursor: draft.date ? "pointer" : "not-allowed" }}>Add</button>
+      </div>
+    </div>
+  );
+}
@@ -17,10 +17,12 @@
 //       initialLat={number}
 //       initialLng={number}
 //       onPinChange={({ lat, lng }) => void}
+//       hint="…"              – optional help text under the map
 //   />
 //       Shows a single draggable marker. On drag-end or map-click,
 //       calls onPinChange with the new coordinates. The owner sees
-//       real-time lat/lng feedback.
+//       real-time lat/lng feedback. BookingModal reuses it for the
+//       diner's delivery drop-off pin.
 // =============================================================
 
 import { useEffect, useRef, useState } from "react";
@@ -126,7 +128,7 @@ export function DinerMap({ restaurants = [], userCoords, onSelectRestaurant }) {
 }
 
 // ─── OWNER MAP (editable pin) ─────────────────────────────
-export function OwnerMap({ initialLat = 0.3187, initialLng = 32.5840, onPinChange }) {
+export function OwnerMap({ initialLat = 0.3187, initialLng = 32.5840, onPinChange, hint = "Drag the green pin or tap the map to set your location" }) {
   const mapRef   = useRef(null);
   const mapObj   = useRef(null);
   const markerRef = useRef(null);
@@ -192,7 +194,7 @@ export function OwnerMap({ initialLat = 0.3187, initialLng = 32.5840, onPinChang
         <span>Lng: {pinCoords.lng.toFixed(6)}</span>
       </div>
       <p style={{ fontSize: 11, color: "#78716C", marginTop: 4, textAlign: "center" }}>
-        Drag the green pin or tap the map to set your location
+        {hint}
       </p>
     </div>
   );
@@ -0,0 +1,287 @@
+// =============================================================
+// FILE: src/components/MenuEditor.js
+// =============================================================
+// Owner's "Menu & Pricing" card, rendered inside DashboardPage.
+// • Sections with items (photo, name, price, short description,
+//   🔥 popular flag).
+// • Drag the grip to reorder sections, or items within / between
+//   sections (drop on a section's title to move an item to its
+//   end); the arrows do the same on touch screens. Items can also
+//   be duplicated or moved to another section.
+// • "Options" on an item opens its variants (one is picked, each
+//   with a price delta — e.g. Protein: Chicken / Beef +3,000) and
+//   add-on groups (min / max picks, each option priced), plus its
+//   dietary / allergen tags and spice level (constants/dietary.js).
+// • Each item is Available / Sold out today / Hidden; sold-out
+//   dishes come back at the reset hour (utils/menuAvailability.js).
+//   onAvailabilityChange(name, patch) lets the dashboard save that
+//   straight away instead of waiting for "Save".
+// • Sections can have serving hours (e.g. Breakfast 06:00–11:00).
+// • Controlled: the whole menu comes in via `menu` and every edit
+//   goes out via onChange(nextMenu). Photo uploads are delegated
+//   to onImageUpload(event, sectionIndex, itemIndex).
+// =============================================================
+
+import { useState } from "react";
+import { Camera, Minus, SlidersHorizontal, GripVertical, Copy, Flame, ArrowUp, ArrowDown } from "lucide-react";
+import { ITEM_AVAILABILITY, currentAvailability } from "../utils/menuAvailability.js";
+import { DIETARY_TAGS, SPICE_LEVELS } from "../constants/dietary.js";
+
+const EMPTY_ITEM = { name: "", price: "", image: "" };
+
+const inputStyle = { padding:8, borderRadius:8, border:"1px solid #E5E7EB", fontSize:12, minWidth:0 };
+const linkBtn    = { background:"none", border:"none", fontSize:11, color:"#D97706", fontWeight:600, cursor:"pointer" };
+const removeBtn  = { background:"none", border:"none", color:"#EF4444", cursor:"pointer", display:"flex" };
+const iconBtn    = { background:"none", border:"none", borderRadius:6, padding:3, color:"#A8A29E", cursor:"pointer", display:"flex" };
+const gripStyle  = { color:"#D6D3D1", cursor:"grab", display:"flex", flexShrink:0 };
+
+export default function MenuEditor({
+  menu, onChange, onImageUpload, uploading = {},
+  resetHour, onResetHourChange, onAvailabilityChange
+}) {
+  const [openOptions, setOpenOptions] = useState(null);   // "si-ii" of the item being configured
+  const [dragging,    setDragging]    = useState(null);   // { si } section or { si, ii } item
+
+  // ── immutable helpers ─────────────────────────────
+  const updateSection = (si, patch) => onChange(menu.map((s, i) => (i === si ? { ...s, ...patch } : s)));
+  const updateItem = (si, ii, patch) => updateSection(si, {
+    items: menu[si].items.map((it, j) => (j === ii ? { ...it, ...patch } : it))
+  });
+  const addSection = () => onChange([...menu, { category: "New Section", items: [{ ...EMPTY_ITEM }] }]);
+  const addItem    = (si) => updateSection(si, { items: [...menu[si].items, { ...EMPTY_ITEM }] });
+  const removeItem = (si, ii) => updateSection(si, { items: menu[si].items.filter((_, j) => j !== ii) });
+
+  // ── reordering ────────────────────────────────────
+  // An item dropped on another takes its place; on a section
+  // (to.ii undefined) it goes to the end.
+  const moveItem = (from, to) => {
+    const next = menu.map(s => ({ ...s, items: [...s.items] }));
+    const [item] = next[from.si].items.splice(from.ii, 1);
+    next[to.si].items.splice(to.ii ?? next[to.si].items.length, 0, item);
+    setOpenOptions(null);
+    onChange(next);
+  };
+  const moveSection = (from, to) => {
+    if (to < 0 || to >= menu.length || from === to) return;
+    const next = [...menu];
+    next.splice(to, 0, next.splice(from, 1)[0]);
+    setOpenOptions(null);
+    onChange(next);
+  };
+  const duplicateItem = (si, ii) => {
+    const copy = { ...menu[si].items[ii], name: `${menu[si].items[ii].name} (copy)` };
+    updateSection(si, { items: [...menu[si].items.slice(0, ii + 1), copy, ...menu[si].items.slice(ii + 1)] });
+  };
+
+  // items land on items or sections, sections only on sections
+  const accepts   = (target) => dragging && (target.ii === undefined || dragging.ii !== undefined);
+  const dropProps = (target) => ({
+    onDragOver: (e) => {
+      if (!accepts(target)) return;
+      e.preventDefault();
+      e.stopPropagation();
+    },
+    onDrop: (e) => {
+      if (!accepts(target)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (dragging.ii !== undefined) moveItem(dragging, target);
+      else moveSection(dragging.si, target.si);
+      setDragging(null);
+    }
+  });
+  const grip = (source) => ({
+    draggable: true,
+    onDragStart: (e) => { e.dataTransfer.effectAllowed = "move"; setDragging(source); },
+    onDragEnd:   () => setDragging(null)
+  });
+
+  const setAvailability = (si, ii, availability) => {
+    const patch = { availability, soldOutAt: availability === "sold-out" ? new Date().toISOString() : null };
+    updateItem(si, ii, patch);
+    if (onAvailabilityChange && menu[si].items[ii].name) onAvailabilityChange(menu[si].items[ii].name, patch);
+  };
+
+  return (
+    <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16 }}>
+      <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:12 }}>
+        <div style={{ fontSize:15, fontWeight:700 }}>Menu & Pricing</div>
+        <button onClick={addSection} style={{ background:"#FEF3C7", border:"none", borderRadius:8, padding:"4px 10px", fontSize:11, fontWeight:700, color:"#78350F" }}>+ Section</button>
+      </div>
+      {onResetHourChange && (
+        <div style={{ display:"flex", alignItems:"center", gap:6, fontSize:11, color:"#78716C", marginBottom:12 }}>
+          Sold-out dishes come back at
+          <select value={resetHour} onChange={e => onResetHourChange(parseInt(e.target.value, 10))} style={{ ...inputStyle, padding:"4px 6px" }}>
+            {Array.from({ length: 24 }, (_, h) => <option key={h} value={h}>{String(h).padStart(2, "0")}:00</option>)}
+          </select>
+        </div>
+      )}
+
+      {menu.map((sec, si) => (
+        <div key={si} {...dropProps({ si })}
+          style={{ marginBottom:20, borderBottom:"1px solid #F3F4F6", paddingBottom:12, opacity: dragging && dragging.ii === undefined && dragging.si === si ? 0.4 : 1 }}>
+          <div style={{ display:"flex", alignItems:"center", gap:4, marginBottom:4 }}>
+            <span {...grip({ si })} title="Drag to reorder sections" style={gripStyle}><GripVertical size={16}/></span>
+            <input value={sec.category} onChange={e => updateSection(si, { category: e.target.value })}
+              style={{ fontWeight:700, border:"none", fontSize:14, color:"#78350F", flex:1, minWidth:0 }} />
+            <button onClick={() => moveSection(si, si - 1)} disabled={si === 0} title="Move section up" style={iconBtn}><ArrowUp size={14}/></button>
+            <button onClick={() => moveSection(si, si + 1)} disabled={si === menu.length - 1} title="Move section down" style={iconBtn}><ArrowDown size={14}/></button>
+          </div>
+          <div style={{ display:"flex", alignItems:"center", gap:6, fontSize:11, color:"#78716C", marginBottom:8 }}>
+            Served
+            <input type="time" value={sec.availableFrom || ""} onChange={e => updateSection(si, { availableFrom: e.target.value })} style={{ ...inputStyle, padding:"4px 6px" }} />
+            –
+            <input type="time" value={sec.availableTo || ""} onChange={e => updateSection(si, { availableTo: e.target.value })} style={{ ...inputStyle, padding:"4px 6px" }} />
+            {(sec.availableFrom || sec.availableTo)
+              ? <button onClick={() => updateSection(si, { availableFrom: "", availableTo: "" })} style={linkBtn}>All day</button>
+              : <span>(all day)</span>}
+          </div>
+
+          {sec.items.map((it, ii) => {
+            const key     = `${si}-${ii}`;
+            const optsOn  = (it.variants || []).length + (it.addonGroups || []).length;
+            const state   = currentAvailability(it, resetHour);
+            return (
+              <div key={ii} {...dropProps({ si, ii })}
+                style={{ marginBottom:8, opacity: dragging?.si === si && dragging?.ii === ii ? 0.4 : 1 }}>
+                <div style={{ display:"flex", gap:8, alignItems:"center" }}>
+                  <span {...grip({ si, ii })} title="Drag to reorder" style={{ ...gripStyle, marginRight:-6 }}><GripVertical size={14}/></span>
+                  {/* Item Image Upload */}
+                  <div style={{ position:"relative", width:40, height:40, background:"#F3F4F6", borderRadius:8, overflow:"hidden", flexShrink:0 }}>
+                    {it.image ? <img src={it.image} style={{width:"100%", height:"100%", objectFit:"cover"}} alt="item"/> : <Camera size={16} style={{margin:"12px", color:"#9CA3AF"}}/>}
+                    <input type="file" onChange={e => onImageUpload(e, si, ii)} style={{ position:"absolute", inset:0, opacity:0, cursor:"pointer" }} />
+                    {uploading[`menu-${si}-${ii}`] && <div style={{ position:"absolute", inset:0, background:"rgba(255,255,255,0.8)", display:"flex", alignItems:"center", justifyContent:"center", fontSize:10 }}>...</div>}
+                  </div>
+
+                  <input value={it.name} onChange={e => updateItem(si, ii, { name: e.target.value })} placeholder="Item name" style={{ ...inputStyle, flex:2 }} />
+                  <input value={it.price} onChange={e => updateItem(si, ii, { price: e.target.value })} placeholder="Price" style={{ ...inputStyle, flex:1 }} />
+
+                  <button onClick={() => setOpenOptions(openOptions === key ? null : key)} title="Options & dietary tags"
+                    style={{ background: optsOn ? "#FEF3C7" : "none", border:"none", borderRadius:6, padding:4, color:"#78350F", cursor:"pointer", display:"flex" }}>
+                    <SlidersHorizontal size={15}/>
+                  </button>
+                  <button onClick={() => removeItem(si, ii)} style={removeBtn}><Minus size={16}/></button>
+                </div>
+                <input value={it.description || ""} onChange={e => updateItem(si, ii, { description: e.target.value })} placeholder="Short description (optional)"
+                  style={{ ...inputStyle, width:"calc(100% - 64px)", margin:"4px 0 0 64px", padding:6, fontSize:11 }} />
+                <div style={{ display:"flex", alignItems:"center", flexWrap:"wrap", gap:4, margin:"4px 0 0 64px" }}>
+                  <button onClick={() => updateItem(si, ii, { popular: !it.popular })} title="Show as 🔥 Popular"
+                    style={{ ...iconBtn, background: it.popular ? "#FEF3C7" : "none", color: it.popular ? "#D97706" : "#A8A29E" }}>
+                    <Flame size={13}/>
+                  </button>
+                  <button onClick={() => duplicateItem(si, ii)} title="Duplicate" style={iconBtn}><Copy size={13}/></button>
+                  <button onClick={() => moveItem({ si, ii }, { si, ii: ii - 1 })} disabled={ii === 0} title="Move up" style={iconBtn}><ArrowUp size={13}/></button>
+                  <button onClick={() => moveItem({ si, ii }, { si, ii: ii + 1 })} disabled={ii === sec.items.length - 1} title="Move down" style={iconBtn}><ArrowDown size={13}/></button>
+                  {menu.length > 1 && (
+                    <select value="" onChange={e => moveItem({ si, ii }, { si: parseInt(e.target.value, 10) })} title="Move to section"
+                      style={{ ...inputStyle, padding:"2px 4px", fontSize:10, color:"#78716C", maxWidth:110 }}>
+                      <option value="" disabled>Move to…</option>
+                      {menu.map((s, ti) => ti !== si && <option key={ti} value={ti}>{s.category || "Untitled"}</option>)}
+                    </select>
+                  )}
+                </div>
+                <div style={{ display:"flex", gap:4, margin:"4px 0 0 64px" }}>
+                  {Object.entries(ITEM_AVAILABILITY).map(([id, meta]) => (
+                    <button key={id} onClick={() => setAvailability(si, ii, id)}
+                      style={{ border:"none", borderRadius:6, padding:"2px 7px", fontSize:10, fontWeight:700, cursor:"pointer",
+                        background: state === id ? meta.bg : "transparent", color: state === id ? meta.color : "#A8A29E" }}>
+                      {meta.label}
+                    </button>
+                  ))}
+                  <span style={{ marginLeft:"auto", fontSize:11 }} title="Dietary tags">
+                    {(it.dietary || []).map(t => DIETARY_TAGS[t]?.icon).join(" ")}{it.spiceLevel > 0 ? ` ${SPICE_LEVELS[it.spiceLevel]?.icon}` : ""}
+                  </span>
+                </div>
+
+                {openOptions === key && (
+                  <>
+                    <DietaryEditor item={it} onChange={(patch) => updateItem(si, ii, patch)} />
+                    <ItemOptionsEditor item={it} onChange={(patch) => updateItem(si, ii, patch)} />
+                  </>
+                )}
+              </div>
+            );
+          })}
+          <button onClick={() => addItem(si)} style={linkBtn}>+ Add Item</button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ── dietary / allergen tags + spice level for one item ────
+function DietaryEditor({ item, onChange }) {
+  const tags   = item.dietary || [];
+  const toggle = (t) => onChange({ dietary: tags.includes(t) ? tags.filter(x => x !== t) : [...tags, t] });
+
+  return (
+    <div style={{ margin:"6px 0 4px 64px", background:"#F0FDF4", borderRadius:10, padding:10 }}>
+      <div style={{ fontSize:11, fontWeight:700, color:"#78716C", marginBottom:4 }}>DIETARY & ALLERGENS</div>
+      <div style={{ display:"flex", flexWrap:"wrap", gap:4, marginBottom:6 }}>
+        {Object.entries(DIETARY_TAGS).map(([id, tag]) => (
+          <button key={id} onClick={() => toggle(id)}
+            style={{ border:"1px solid " + (tags.includes(id) ? "#16A34A" : "#E5E7EB"), borderRadius:12, padding:"3px 8px", fontSize:11, cursor:"pointer",
+              background: tags.includes(id) ? "#DCFCE7" : "#fff", color: tags.includes(id) ? "#166534" : "#57534E", fontWeight: tags.includes(id) ? 700 : 400 }}>
+            {tag.icon} {tag.label}
+          </button>
+        ))}
+      </div>
+      <div style={{ display:"flex", alignItems:"center", gap:6, fontSize:11, color:"#78716C" }}>
+        Spice
+        <select value={item.spiceLevel || 0} onChange={e => onChange({ spiceLevel: parseInt(e.target.value, 10) })} style={{ ...inputStyle, padding:"4px 6px" }}>
+          {SPICE_LEVELS.map(s => <option key={s.level} value={s.level}>{s.label}</option>)}
+        </select>
+      </div>
+    </div>
+  );
+}
+
+// ── variants + add-on groups for one item ─────────────────
+function ItemOptionsEditor({ item, onChange }) {
+  const variants = item.variants    || [];
+  const groups   = item.addonGroups || [];
+
+  const setVariant = (vi, patch) => onChange({ variants: variants.map((v, i) => (i === vi ? { ...v, ...patch } : v)) });
+  const setGroup   = (gi, patch) => onChange({ addonGroups: groups.map((g, i) => (i === gi ? { ...g, ...patch } : g)) });
+  const setOption  = (gi, oi, patch) => setGroup(gi, { options: groups[gi].options.map((o, i) => (i === oi ? { ...o, ...patch } : o)) });
+
+  return (
+    <div style={{ margin:"6px 0 4px 64px", background:"#FFFBEB", borderRadius:10, padding:10 }}>
+      {/* variants */}
+      <div style={{ fontSize:11, fontWeight:700, color:"#78716C", marginBottom:4 }}>VARIANTS (CUSTOMER PICKS ONE)</div>
+      {variants.length > 0 && (
+        <input value={item.variantLabel || ""} onChange={e => onChange({ variantLabel: e.target.value })} placeholder="Label, e.g. Size or Protein" style={{ ...inputStyle, width:"100%", marginBottom:6 }} />
+      )}
+      {variants.map((v, vi) => (
+        <div key={vi} style={{ display:"flex", gap:6, marginBottom:6 }}>
+          <input value={v.name} onChange={e => setVariant(vi, { name: e.target.value })} placeholder="e.g. 3 eggs" style={{ ...inputStyle, flex:2 }} />
+          <input value={v.priceDelta ?? ""} onChange={e => setVariant(vi, { priceDelta: e.target.value })} placeholder="± price" style={{ ...inputStyle, flex:1 }} />
+          <button onClick={() => onChange({ variants: variants.filter((_, i) => i !== vi) })} style={removeBtn}><Minus size={14}/></button>
+        </div>
+      ))}
+      <button onClick={() => onChange({ variants: [...variants, { name: "", priceDelta: "" }] })} style={linkBtn}>+ Variant</button>
+
+      {/* add-on groups */}
+      <div style={{ fontSize:11, fontWeight:700, color:"#78716C", margin:"10px 0 4px" }}>ADD-ON GROUPS</div>
+      {groups.map((g, gi) => (
+        <div key={gi} style={{ background:"#fff", borderRadius:8, padding:8, marginBottom:6 }}>
+          <div style={{ display:"flex", gap:6, marginBottom:6, alignItems:"center" }}>
+            <input value={g.name} onChange={e => setGroup(gi, { name: e.target.value })} placeholder="Group, e.g. Extras" style={{ ...inputStyle, flex:2 }} />
+            <input type="number" min="0" value={g.min ?? ""} onChange={e => setGroup(gi, { min: e.target.value })} placeholder="Min" title="Minimum picks" style={{ ...inputStyle, width:52 }} />
+            <input type="number" min="0" value={g.max ?? ""} onChange={e => setGroup(gi, { max: e.target.value })} placeholder="Max" title="Maximum picks (0 = no limit)" style={{ ...inputStyle, width:52 }} />
+            <button onClick={() => onChange({ addonGroups: groups.filter((_, i) => i !== gi) })} style={removeBtn}><Minus size={14}/></button>
+          </div>
+          {(g.options || []).map((o, oi) => (
+            <div key={oi} style={{ display:"flex", gap:6, marginBottom:4, paddingLeft:10 }}>
+              <input value={o.name} onChange={e => setOption(gi, oi, { name: e.target.value })} placeholder="e.g. Avocado" style={{ ...inputStyle, flex:2 }} />
+              <input value={o.price ?? ""} onChange={e => setOption(gi, oi, { price: e.target.value })} placeholder="+ price" style={{ ...inputStyle, flex:1 }} />
+              <button onClick={() => setGroup(gi, { options: g.options.filter((_, i) => i !== oi) })} style={removeBtn}><Minus size={14}/></button>
+            </div>
+          ))}
+          <button onClick={() => setGroup(gi, { options: [...(g.options || []), { name: "", price: "" }] })} style={{ ...linkBtn, paddingLeft:10 }}>+ Option</button>
+        </div>
+      ))}
+      <button onClick={() => onChange({ addonGroups: [...groups, { name: "", min: 0, max: 0, options: [{ name: "", price: "" }] }] })} style={linkBtn}>+ Add-on group</button>
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+// =============================================================
+// FILE: src/components/MenuTransfer.js
+// =============================================================
+// Menu import / export bar above the MenuEditor (DashboardPage).
+// • Export CSV / JSON of the menu being edited — for backups or
+//   copying a menu to another branch.
+// • Import a .csv or .json file (utils/menuTransfer.js): shows
+//   every row with a problem and a preview of what would be
+//   added, changed and removed. "Apply" hands the new menu to
+//   onApply(nextMenu); it is saved with the rest of the form.
+// =============================================================
+
+import { useState } from "react";
+import { Download, Upload } from "lucide-react";
+import { downloadFile } from "../utils/csv.js";
+import { menuToCSV, menuToJSON, parseMenuFile, rowsToMenu, diffMenus } from "../utils/menuTransfer.js";
+
+const smallBtn = { background:"#FEF3C7", border:"none", borderRadius:8, padding:"6px 10px", fontSize:11, fontWeight:700, color:"#78350F", cursor:"pointer", display:"flex", alignItems:"center", gap:4 };
+
+function fileSlug(name) {
+  return (name || "menu").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "menu";
+}
+
+export default function MenuTransfer({ menu, restaurantName, onApply, showToast }) {
+  const [preview,     setPreview]     = useState(null);   // { filename, rows, error }
+  const [keepMissing, setKeepMissing] = useState(false);
+
+  const exportAs = (kind) => {
+    const name = `${fileSlug(restaurantName)}-menu.${kind}`;
+    if (kind === "csv") downloadFile(name, menuToCSV(menu));
+    else downloadFile(name, menuToJSON(menu), "application/json;charset=utf-8");
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";   // picking the same file again re-imports it
+    if (!file) return;
+    try {
+      const text = await file.text();
+      setPreview({ filename: file.name, ...parseMenuFile(text, file.name) });
+    } catch (err) {
+      setPreview({ filename: file.name, rows: [], error: "Could not read the file: " + err.message });
+    }
+  };
+
+  const rows   = preview?.rows || [];
+  const bad    = rows.filter(r => r.errors.length > 0);
+  const good   = rows.length - bad.length;
+  const next   = preview && !preview.error ? rowsToMenu(rows, menu, { keepMissing }) : null;
+  const diff   = next ? diffMenus(menu, next) : null;
+
+  const apply = () => {
+    onApply(next);
+    setPreview(null);
+    showToast(`✅ Imported ${good} dish${good === 1 ? "" : "es"} — review and Save`);
+  };
+
+  return (
+    <div style={{ background:"#fff", borderRadius:16, padding:12, marginBottom:16 }}>
+      <div style={{ display:"flex", alignItems:"center", gap:6, flexWrap:"wrap" }}>
+        <div style={{ fontSize:13, fontWeight:600, color:"#78716C", marginRight:"auto" }}>MENU FILE</div>
+        <button onClick={() => exportAs("csv")} style={smallBtn}><Download size={12}/> CSV</button>
+        <button onClick={() => exportAs("json")} style={smallBtn}><Download size={12}/> JSON</button>
+        <label style={{ ...smallBtn, background:"#78350F", color:"#fff" }}>
+          <Upload size={12}/> Import
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} style={{ display:"none" }} />
+        </label>
+      </div>
+      <div style={{ fontSize:10, color:"#A8A29E", marginTop:4 }}>
+        Columns: section, name, price, description, tags (e.g. halal;contains-nuts;spicy:2), image
+      </div>
+
+      {preview && (
+        <div style={{ marginTop:10, background:"#FFFBEB", borderRadius:10, padding:10, fontSize:12 }}>
+          <div style={{ fontWeight:700, color:"#78350F", marginBottom:6 }}>{preview.filename}</div>
+
+          {preview.error ? (
+            <div style={{ color:"#991B1B" }}>⚠️ {preview.error}</div>
+          ) : (
+            <>
+              <div style={{ color:"#57534E", marginBottom:6 }}>
+                {good} of {rows.length} row{rows.length === 1 ? "" : "s"} ready{bad.length ? ` • ${bad.length} skipped` : ""}
+              </div>
+
+              {bad.length > 0 && (
+                <div style={{ background:"#FEF2F2", borderRadius:8, padding:8, marginBottom:8, maxHeight:140, overflowY:"auto" }}>
+                  {bad.map(r => (
+                    <div key={r.line} style={{ color:"#991B1B", padding:"2px 0" }}>
+                      <strong>Row {r.line}{r.item.name ? ` (${r.item.name})` : ""}:</strong> {r.errors.join(" ")}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div style={{ display:"flex", flexDirection:"column", gap:3, marginBottom:8 }}>
+                {diff.added.length > 0 && <div style={{ color:"#166534" }}>＋ {diff.added.length} new: {diff.added.join(", ")}</div>}
+                {diff.changed.length > 0 && (
+                  <div style={{ color:"#B45309" }}>
+                    ✎ {diff.changed.length} changed: {diff.changed.map(c => `${c.name} (${c.fields.join(", ")})`).join("; ")}
+                  </div>
+                )}
+                {diff.removed.length > 0 && <div style={{ color:"#991B1B" }}>− {diff.removed.length} removed: {diff.removed.join(", ")}</div>}
+                {!diff.added.length && !diff.changed.length && !diff.removed.length && <div style={{ color:"#78716C" }}>No changes to the menu.</div>}
+              </div>
+
+              <label style={{ display:"flex", alignItems:"center", gap:6, color:"#57534E", marginBottom:8 }}>
+                <input type="checkbox" checked={keepMissing} onChange={e => setKeepMissing(e.target.checked)} />
+                Keep dishes that aren't in the file
+              </label>
+            </>
+          )}
+
+          <div style={{ display:"flex", gap:8 }}>
+            <button onClick={() => setPreview(null)} style={{ flex:1, background:"#fff", border:"1px solid #E7E5E4", borderRadius:8, padding:8, fontSize:12, fontWeight:600, color:"#57534E", cursor:"pointer" }}>Cancel</button>
+            {!preview.error && (
+              <button onClick={apply} disabled={good === 0}
+                style={{ flex:1, background: good ? "#16A34A" : "#A8A29E", border:"none", borderRadius:8, padding:8, fontSize:12, fontWeight:700, color:"#fff", cursor: good ? "pointer" : "not-allowed" }}>
+                Apply
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+// =============================================================
+// FILE: src/components/OptionsSheet.js
+// =============================================================
+// Bottom-sheet opened from DetailPage for menu items that have
+// variants or add-on groups (see utils/menuOptions.js).
+// • Variants: pick exactly one (radio style), price delta shown.
+// • Add-on groups: tick between min and max options.
+// • The button shows the unit price for the current choice and
+//   calls onAdd(cartLine) once the choice is valid.
+// =============================================================
+
+import { useState } from "react";
+import { X, Check } from "lucide-react";
+import { defaultSelection, validateSelection, unitPrice, buildCartLine } from "../utils/menuOptions.js";
+
+const signed = (n) => (n > 0 ? `+${n.toLocaleString()}` : n < 0 ? `−${Math.abs(n).toLocaleString()}` : "");
+
+export default function OptionsSheet({ item, onAdd, onClose }) {
+  const [selection, setSelection] = useState(() => defaultSelection(item));
+  const problem = validateSelection(item, selection);
+
+  const toggleAddon = (group, name) => setSelection(p => {
+    const picked = p.addons[group.name] || [];
+    const max    = parseInt(group.max, 10) || 0;
+    let next;
+    if (picked.includes(name))              next = picked.filter(n => n !== name);
+    else if (max === 1)                     next = [name];          // behaves like a radio
+    else if (max > 0 && picked.length >= max) return p;
+    else                                    next = [...picked, name];
+    return { ...p, addons: { ...p.addons, [group.name]: next } };
+  });
+
+  const rowStyle = (on) => ({
+    display:"flex", justifyContent:"space-between", alignItems:"center", padding:"10px 12px", borderRadius:10, marginBottom:6, cursor:"pointer",
+    border: on ? "1.5px solid #D97706" : "1.5px solid #E7E5E4", background: on ? "#FEF3C7" : "#fff"
+  });
+
+  return (
+    <div style={{ position:"fixed", inset:0, background:"rgba(28,25,23,0.45)", zIndex:200, display:"flex", alignItems:"flex-end" }} onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}>
+      <div style={{ background:"#fff", width:"100%", maxWidth:480, margin:"0 auto", borderRadius:"20px 20px 0 0", maxHeight:"85vh", overflowY:"auto", padding:"20px 16px 28px" }}>
+        <div style={{ display:"flex", justifyContent:"space-between", alignItems:"flex-start", marginBottom:14 }}>
+          <div>
+            <div style={{ fontSize:18, fontWeight:700, fontFamily:"'Playfair Display',serif" }}>{item.name}</div>
+            <div style={{ fontSize:12, color:"#A8A29E" }}>From {(item.price || 0).toLocaleString()} UGX</div>
+          </div>
+          <button onClick={onClose} style={{ background:"none", border:"none", cursor:"pointer", color:"#78716C" }}><X size={18}/></button>
+        </div>
+
+        {/* variants */}
+        {(item.variants || []).length > 0 && (
+          <div style={{ marginBottom:14 }}>
+            <div style={{ fontSize:12, fontWeight:700, color:"#57534E", marginBottom:6 }}>
+              {item.variantLabel || "Option"} <span style={{ color:"#A8A29E", fontWeight:500 }}>• choose 1</span>
+            </div>
+            {item.variants.map(v => {
+              const on = selection.variant === v.name;
+              return (
+                <div key={v.name} onClick={() => setSelection(p => ({ ...p, variant: v.name }))} style={rowStyle(on)}>
+                  <span style={{ fontSize:13, fontWeight:600, color:"#1C1917" }}>{on ? "◉" : "○"} {v.name}</span>
+                  <span style={{ fontSize:12, color:"#78350F" }}>{signed(v.priceDelta || 0)}</span>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* add-on groups */}
+        {(item.addonGroups || []).map(group => {
+          const picked = selection.addons[group.name] || [];
+          const min = parseInt(group.min, 10) || 0;
+          const max = parseInt(group.max, 10) || 0;
+          return (
+            <div key={group.name} style={{ marginBottom:14 }}>
+              <div style={{ fontSize:12, fontWeight:700, color:"#57534E", marginBottom:6 }}>
+                {group.name}{" "}
+                <span style={{ color:"#A8A29E", fontWeight:500 }}>
+                  • {min > 0 ? `at least ${min}` : "optional"}{max > 0 ? `, up to ${max}` : ""}
+                </span>
+              </div>
+              {group.options.map(o => {
+                const on = picked.includes(o.name);
+                return (
+                  <div key={o.name} onClick={() => toggleAddon(group, o.name)} style={rowStyle(on)}>
+                    <span style={{ fontSize:13, fontWeight:600, color:"#1C1917", display:"flex", alignItems:"center", gap:6 }}>
+                      <span style={{ width:16, height:16, borderRadius:4, border:"1.5px solid #D97706", background: on ? "#D97706" : "#fff", display:"inline-flex", alignItems:"center", justifyContent:"center" }}>
+                        {on && <Check size={11} color="#fff"/>}
+                      </span>
+                      {o.name}
+                    </span>
+                    <span style={{ fontSize:12, color:"#78350F" }}>{signed(o.price || 0)}</span>
+                  </div>
+                );
+              })}
+            </div>
+          );
+        })}
+
+        {problem && <div style={{ fontSize:11, color:"#B45309", marginBottom:8 }}>{problem}</div>}
+
+        <button onClick={() => { onAdd(buildCartLine(item, selection)); onClose(); }} disabled={!!problem}
+          style={{ width:"100%", background: problem ? "#A8A29E" : "#78350F", color:"#fff", border:"none", borderRadius:12, padding:14, fontSize:15, fontWeight:600, cursor: problem ? "not-allowed" : "pointer" }}>
+          Add to order • {unitPrice(item, selection).toLocaleString()} UGX
+        </button>
+      </div>
+    </div>
+  );
+}
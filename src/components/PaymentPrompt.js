@@ -0,0 +1,90 @@
+// =============================================================
+// FILE: src/components/PaymentPrompt.js
+// =============================================================
+// Mobile-money prepayment for a pickup pre-order. Used on the
+// BookingModal success screen and on MyBookingsPage.
+// • Shows the amount due and the payment status.
+// • "Pay" sends a collection request to the diner's phone
+//   (requestBookingPayment); failed payments can be retried.
+// • While the request is pending it polls refreshPaymentStatus.
+// =============================================================
+
+import { useState, useEffect } from "react";
+import { requestBookingPayment, refreshPaymentStatus } from "../utils/firestoreService.js";
+import { paymentMeta, PAYABLE_STATUSES, PICKUP_PAYMENT_MODES } from "../constants/payments.js";
+import { normaliseMsisdn, detectNetwork, NETWORKS } from "../utils/payments.js";
+import StatusPill from "./StatusPill.js";
+
+const POLL_MS = 3000;
+
+export default function PaymentPrompt({ bookingId, payment, defaultPhone }) {
+  const [phone,  setPhone]  = useState(defaultPhone || "");
+  const [status, setStatus] = useState(payment.status);
+  const [reason, setReason] = useState(payment.reason || null);
+  const [busy,   setBusy]   = useState(false);
+
+  // a live booking (MyBookingsPage) pushes newer states down
+  useEffect(() => {
+    setStatus(payment.status);
+    setReason(payment.reason || null);
+  }, [payment.status, payment.reason]);
+
+  useEffect(() => {
+    if (status !== "pending") return;
+    const id = setInterval(() => {
+      refreshPaymentStatus(bookingId)
+        .then((s) => { if (s) setStatus(s); })
+        .catch((err) => console.error("Payment status check failed", err));
+    }, POLL_MS);
+    return () => clearInterval(id);
+  }, [bookingId, status]);
+
+  const network = NETWORKS[detectNetwork(normaliseMsisdn(phone))];
+
+  const handlePay = async () => {
+    setBusy(true);
+    setReason(null);
+    try {
+      setStatus(await requestBookingPayment(bookingId, phone));
+    } catch (err) {
+      setStatus("failed");
+      setReason(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div style={{ background:"#F0FDF4", border:"1px solid #BBF7D0", borderRadius:10, padding:10, textAlign:"left" }}>
+      <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:6 }}>
+        <span style={{ fontSize:12, fontWeight:700, color:"#166534" }}>
+          📱 {PICKUP_PAYMENT_MODES[payment.mode]?.label || "Payment"}: {payment.amount.toLocaleString()} {payment.currency}
+        </span>
+        <StatusPill meta={paymentMeta(status)}/>
+      </div>
+
+      {status === "pending" && (
+        <div style={{ fontSize:11, color:"#1D4ED8" }}>Check your phone and enter your PIN to approve the payment.</div>
+      )}
+      {status === "refunded" && (
+        <div style={{ fontSize:11, color:"#57534E" }}>This payment was refunded to your mobile money account.</div>
+      )}
+      {reason && status === "failed" && (
+        <div style={{ fontSize:11, color:"#991B1B", marginBottom:6 }}>⚠️ {reason}</div>
+      )}
+
+      {PAYABLE_STATUSES.includes(status) && (
+        <div style={{ display:"flex", gap:6, alignItems:"center" }}>
+          <input value={phone} onChange={e => setPhone(e.target.value)} placeholder="07XX XXX XXX" type="tel"
+            style={{ flex:1, minWidth:0, padding:"8px 10px", border:"1.5px solid #E7E5E4", borderRadius:8, fontSize:13, outline:"none" }} />
+          <button onClick={handlePay} disabled={busy} style={{ background: busy ? "#A8A29E" : "#16A34A", color:"#fff", border:"none", borderRadius:8, padding:"8px 12px", fontSize:12, fontWeight:700, cursor:"pointer", whiteSpace:"nowrap" }}>
+            {busy ? "Sending…" : status === "failed" ? "Try again" : "Pay now"}
+          </button>
+        </div>
+      )}
+      {PAYABLE_STATUSES.includes(status) && network && (
+        <div style={{ fontSize:10, color:"#78716C", marginTop:4 }}>via {network.label}</div>
+      )}
+    </div>
+  );
+}
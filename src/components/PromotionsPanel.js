@@ -0,0 +1,240 @@
+// =============================================================
+// FILE: src/components/PromotionsPanel.js
+// =============================================================
+// Owner's "Promotions" card, rendered inside DashboardPage.
+// • Lists the restaurant's promo codes and automatic offers with
+//   their rules and how many times each has been redeemed.
+// • Pause / resume, edit and delete.
+// • The form covers discount type, minimum spend, valid days and
+//   hours, date range, usage limits and eligible dishes (picked
+//   from the saved menu). Leave the code empty for an automatic
+//   offer that BookingModal applies on its own.
+// =============================================================
+
+import { useState, useEffect } from "react";
+import { Tag, Pencil, Trash2 } from "lucide-react";
+import { useAuth } from "../context/AuthContext.js";
+import {
+  getRestaurantPromotions, createPromotion, updatePromotion, deletePromotion
+} from "../utils/firestoreService.js";
+import {
+  PROMOTION_TYPES, DAY_NAMES, EMPTY_PROMOTION, describePromotion, normaliseCode
+} from "../utils/promotions.js";
+
+const inputStyle = { padding:8, borderRadius:8, border:"1px solid #E5E7EB", fontSize:12, minWidth:0, boxSizing:"border-box" };
+const labelStyle = { fontSize:11, fontWeight:700, color:"#78716C", margin:"10px 0 4px" };
+const chip = (on) => ({
+  padding:"4px 9px", borderRadius:14, fontSize:11, fontWeight:600, cursor:"pointer",
+  border: on ? "1.5px solid #D97706" : "1.5px solid #E7E5E4", background: on ? "#FEF3C7" : "#fff", color:"#78350F"
+});
+
+const toInt = (v) => Math.max(0, parseInt(v, 10) || 0);
+
+// Form values → what gets saved (numbers parsed, blanks dropped)
+function cleanPromotion(p) {
+  return {
+    title:          p.title.trim(),
+    code:           normaliseCode(p.code),
+    type:           p.type,
+    value:          p.type === "free-item" ? 0 : toInt(p.value),
+    freeItem:       p.type === "free-item" ? p.freeItem : "",
+    eligibleItems:  p.eligibleItems,
+    minSpend:       toInt(p.minSpend),
+    days:           [...p.days].sort(),
+    startTime:      p.startTime && p.endTime ? p.startTime : "",
+    endTime:        p.startTime && p.endTime ? p.endTime : "",
+    validFrom:      p.validFrom || "",
+    validTo:        p.validTo || "",
+    maxRedemptions: toInt(p.maxRedemptions),
+    maxPerDiner:    toInt(p.maxPerDiner),
+    active:         p.active
+  };
+}
+
+function formProblem(p, promotions) {
+  if (!p.title.trim()) return "Give the offer a name diners will see.";
+  if (p.type === "free-item" && !p.freeItem) return "Pick the dish that's given free.";
+  if (p.type !== "free-item" && toInt(p.value) <= 0) return "Enter the discount amount.";
+  if (p.type === "percent" && toInt(p.value) > 100) return "A percentage can't be over 100.";
+  if (!!p.startTime !== !!p.endTime) return "Set both a start and an end time, or neither.";
+  if (p.startTime && p.endTime && p.startTime >= p.endTime) return "The end time must be after the start time.";
+  if (p.validFrom && p.validTo && p.validFrom > p.validTo) return "The end date must be after the start date.";
+  const code = normaliseCode(p.code);
+  if (code && promotions.some(o => o.code === code && o.id !== p.id)) return `You already have a ${code} code.`;
+  return null;
+}
+
+export default function PromotionsPanel({ restaurant, showToast }) {
+  const { user } = useAuth();
+  const actor = { uid: user?.uid, name: user?.displayName || user?.email };
+  const [promotions, setPromotions] = useState([]);
+  const [loading,    setLoading]    = useState(true);
+  const [editing,    setEditing]    = useState(null);   // form values, or null when closed
+  const [busy,       setBusy]       = useState(false);
+
+  const dishes = (restaurant.menu || []).flatMap(s => s.items || []).map(i => i.name).filter(Boolean);
+
+  const load = () => getRestaurantPromotions(restaurant.id)
+    .then(setPromotions)
+    .catch(err => showToast("⚠️ Could not load promotions: " + err.message))
+    .finally(() => setLoading(false));
+
+  useEffect(() => {
+    if (!restaurant?.id) return;
+    setLoading(true);
+    load();
+  }, [restaurant?.id]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const set = (patch) => setEditing(p => ({ ...p, ...patch }));
+  const toggleIn = (field, value) => set({
+    [field]: editing[field].includes(value) ? editing[field].filter(v => v !== value) : [...editing[field], value]
+  });
+
+  const problem = editing ? formProblem(editing, promotions) : null;
+
+  const save = async () => {
+    setBusy(true);
+    try {
+      const data = cleanPromotion(editing);
+      if (editing.id) await updatePromotion(editing.id, data, { actor });
+      else await createPromotion(restaurant, data, { actor });
+      showToast(editing.id ? "✅ Promotion updated" : "✅ Promotion created");
+      setEditing(null);
+      await load();
+    } catch (err) {
+      showToast("⚠️ " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleActive = async (p) => {
+    try {
+      await updatePromotion(p.id, { active: !p.active }, { actor });
+      setPromotions(list => list.map(o => (o.id === p.id ? { ...o, active: !p.active } : o)));
+    } catch (err) {
+      showToast("⚠️ " + err.message);
+    }
+  };
+
+  const remove = async (p) => {
+    if (!window.confirm(`Delete "${p.title}"? Bookings that already used it keep their discount.`)) return;
+    try {
+      await deletePromotion(p.id, { actor });
+      setPromotions(list => list.filter(o => o.id !== p.id));
+      showToast("🗑 Promotion deleted");
+    } catch (err) {
+      showToast("⚠️ " + err.message);
+    }
+  };
+
+  return (
+    <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16 }}>
+      <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:4 }}>
+        <div style={{ fontSize:15, fontWeight:700, display:"flex", alignItems:"center", gap:6 }}>
+          <Tag size={16} color="#D97706"/> Promotions
+        </div>
+        {!editing && (
+          <button onClick={() => setEditing({ ...EMPTY_PROMOTION })} style={{ background:"#FEF3C7", border:"none", borderRadius:8, padding:"4px 10px", fontSize:11, fontWeight:700, color:"#78350F" }}>+ New</button>
+        )}
+      </div>
+      <div style={{ fontSize:11, color:"#78716C", marginBottom:12 }}>
+        Promo codes diners type in, or automatic offers applied to every qualifying pre-order
+      </div>
+
+      {loading ? (
+        <div style={{ fontSize:12, color:"#A8A29E" }}>Loading…</div>
+      ) : promotions.length === 0 && !editing ? (
+        <div style={{ fontSize:12, color:"#A8A29E" }}>No promotions yet.</div>
+      ) : promotions.map(p => (
+        <div key={p.id} style={{ borderTop:"1px solid #F3F4F6", padding:"8px 0", display:"flex", alignItems:"center", gap:8, opacity: p.active ? 1 : 0.55 }}>
+          <div style={{ flex:1, minWidth:0 }}>
+            <div style={{ fontSize:13, fontWeight:700, color:"#1C1917" }}>
+              {p.title}{" "}
+              <span style={{ fontSize:10, fontWeight:700, borderRadius:6, padding:"2px 6px", background: p.code ? "#1C1917" : "#DCFCE7", color: p.code ? "#fff" : "#166534" }}>
+                {p.code || "AUTO"}
+              </span>
+            </div>
+            <div style={{ fontSize:11, color:"#78716C" }}>{describePromotion(p)}</div>
+            <div style={{ fontSize:10, color:"#A8A29E" }}>
+              Used {p.redemptionCount || 0}{p.maxRedemptions ? ` / ${p.maxRedemptions}` : ""} times
+              {p.maxPerDiner ? ` • ${p.maxPerDiner} per diner` : ""}
+              {p.validTo ? ` • until ${p.validTo}` : ""}
+            </div>
+          </div>
+          <button onClick={() => toggleActive(p)} style={{ ...chip(p.active), padding:"3px 8px" }}>{p.active ? "Live" : "Paused"}</button>
+          <button onClick={() => setEditing({ ...EMPTY_PROMOTION, ...p })} style={{ background:"none", border:"none", color:"#78350F", cursor:"pointer", display:"flex" }}><Pencil size={14}/></button>
+          <button onClick={() => remove(p)} style={{ background:"none", border:"none", color:"#EF4444", cursor:"pointer", display:"flex" }}><Trash2 size={14}/></button>
+        </div>
+      ))}
+
+      {editing && (
+        <div style={{ background:"#FFFBEB", borderRadius:12, padding:12, marginTop:8 }}>
+          <div style={{ display:"flex", gap:6 }}>
+            <input value={editing.title} onChange={e => set({ title: e.target.value })} placeholder="Name, e.g. Tuesday Lunch Deal" style={{ ...inputStyle, flex:2 }} />
+            <input value={editing.code} onChange={e => set({ code: e.target.value.toUpperCase() })} placeholder="Code (blank = auto)" style={{ ...inputStyle, flex:1 }} />
+          </div>
+
+          <div style={labelStyle}>DISCOUNT</div>
+          <div style={{ display:"flex", gap:6, alignItems:"center" }}>
+            <select value={editing.type} onChange={e => set({ type: e.target.value })} style={{ ...inputStyle, flex:1 }}>
+              {Object.entries(PROMOTION_TYPES).map(([k, t]) => <option key={k} value={k}>{t.label}</option>)}
+            </select>
+            {editing.type === "free-item" ? (
+              <select value={editing.freeItem} onChange={e => set({ freeItem: e.target.value })} style={{ ...inputStyle, flex:2 }}>
+                <option value="">Dish given free…</option>
+                {dishes.map(d => <option key={d} value={d}>{d}</option>)}
+              </select>
+            ) : (
+              <input type="number" min="0" value={editing.value} onChange={e => set({ value: e.target.value })} placeholder={editing.type === "percent" ? "%" : "UGX"} style={{ ...inputStyle, flex:2 }} />
+            )}
+          </div>
+
+          <div style={labelStyle}>
+            {editing.type === "free-item" ? "FREE WITH (NONE = ANY ORDER)" : "ON DISHES (NONE = WHOLE ORDER)"}
+          </div>
+          <div style={{ display:"flex", flexWrap:"wrap", gap:5 }}>
+            {dishes.length === 0 && <span style={{ fontSize:11, color:"#A8A29E" }}>Save your menu first to pick dishes.</span>}
+            {dishes.map(d => (
+              <span key={d} onClick={() => toggleIn("eligibleItems", d)} style={chip(editing.eligibleItems.includes(d))}>{d}</span>
+            ))}
+          </div>
+
+          <div style={labelStyle}>WHEN</div>
+          <div style={{ display:"flex", flexWrap:"wrap", gap:5, marginBottom:6 }}>
+            {DAY_NAMES.map((d, i) => (
+              <span key={d} onClick={() => toggleIn("days", i)} style={chip(editing.days.includes(i))}>{d}</span>
+            ))}
+          </div>
+          <div style={{ display:"flex", gap:6, alignItems:"center", fontSize:11, color:"#78716C", marginBottom:6 }}>
+            Booking time
+            <input type="time" value={editing.startTime} onChange={e => set({ startTime: e.target.value })} style={{ ...inputStyle, flex:1 }} />–
+            <input type="time" value={editing.endTime} onChange={e => set({ endTime: e.target.value })} style={{ ...inputStyle, flex:1 }} />
+          </div>
+          <div style={{ display:"flex", gap:6, alignItems:"center", fontSize:11, color:"#78716C" }}>
+            Dates
+            <input type="date" value={editing.validFrom} onChange={e => set({ validFrom: e.target.value })} style={{ ...inputStyle, flex:1 }} />–
+            <input type="date" value={editing.validTo} onChange={e => set({ validTo: e.target.value })} style={{ ...inputStyle, flex:1 }} />
+          </div>
+
+          <div style={labelStyle}>LIMITS (0 = NO LIMIT)</div>
+          <div style={{ display:"flex", gap:6 }}>
+            <input type="number" min="0" value={editing.minSpend} onChange={e => set({ minSpend: e.target.value })} title="Minimum spend (UGX)" placeholder="Min spend" style={{ ...inputStyle, flex:1 }} />
+            <input type="number" min="0" value={editing.maxRedemptions} onChange={e => set({ maxRedemptions: e.target.value })} title="Total uses" placeholder="Total uses" style={{ ...inputStyle, flex:1 }} />
+            <input type="number" min="0" value={editing.maxPerDiner} onChange={e => set({ maxPerDiner: e.target.value })} title="Uses per diner (diners must sign in)" placeholder="Per diner" style={{ ...inputStyle, flex:1 }} />
+          </div>
+          <div style={{ fontSize:10, color:"#A8A29E", marginTop:3 }}>Min spend (UGX) • total uses • uses per diner</div>
+
+          {problem && <div style={{ fontSize:11, color:"#B45309", marginTop:8 }}>{problem}</div>}
+          <div style={{ display:"flex", gap:8, marginTop:10 }}>
+            <button onClick={() => setEditing(null)} style={{ flex:1, background:"#fff", border:"1px solid #E7E5E4", borderRadius:10, padding:10, fontSize:13, fontWeight:600, color:"#57534E", cursor:"pointer" }}>Cancel</button>
+            <button onClick={save} disabled={busy || !!problem}
+              style={{ flex:2, background: busy || problem ? "#A8A29E" : "#78350F", color:"#fff", border:"none", borderRadius:10, padding:10, fontSize:13, fontWeight:700, cursor: busy || problem ? "not-allowed" : "pointer" }}>
+              {busy ? "Saving…" : editing.id ? "Save changes" : "Create promotion"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
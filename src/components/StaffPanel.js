@@ -0,0 +1,155 @@
+// =============================================================
+// FILE: src/components/StaffPanel.js
+// =============================================================
+// Owner's "Staff & Access" card, rendered inside DashboardPage.
+// • Lists the restaurant's staff (restaurant.staff) with a role
+//   picker and "Revoke", which takes their access away at once.
+// • Pending email invites, each of which can be cancelled.
+// • Invite form: email + role (manager / host / kitchen), with
+//   what the chosen role may do (constants/staff.js).
+// • onStaffChange(staff) hands the updated map back so the
+//   dashboard's copy of the restaurant stays current.
+// =============================================================
+
+import { useState, useEffect } from "react";
+import { Users, UserPlus, UserX } from "lucide-react";
+import { useAuth } from "../context/AuthContext.js";
+import {
+  inviteStaff, getStaffInvites, cancelStaffInvite, setStaffRole, revokeStaff
+} from "../utils/firestoreService.js";
+import { PERMISSIONS, INVITABLE_ROLES, roleMeta } from "../constants/staff.js";
+
+const inputStyle = { padding:8, borderRadius:8, border:"1px solid #E5E7EB", fontSize:12, minWidth:0, boxSizing:"border-box" };
+
+function RoleBadge({ role }) {
+  const meta = roleMeta(role);
+  return (
+    <span style={{ background:meta.bg, color:meta.color, borderRadius:10, padding:"2px 8px", fontSize:10, fontWeight:700 }}>
+      {meta.label}
+    </span>
+  );
+}
+
+export default function StaffPanel({ restaurant, showToast, onStaffChange }) {
+  const { user } = useAuth();
+  const actor = { uid: user?.uid, name: user?.displayName || user?.email };
+
+  const [invites, setInvites] = useState([]);
+  const [email,   setEmail]   = useState("");
+  const [role,    setRole]    = useState("host");
+  const [busy,    setBusy]    = useState(false);
+
+  const staff = Object.entries(restaurant.staff || {})
+    .map(([uid, m]) => ({ uid, ...m }))
+    .sort((a, b) => (a.name || a.email).localeCompare(b.name || b.email));
+
+  const load = () => getStaffInvites(restaurant.id)
+    .then(setInvites)
+    .catch(err => showToast("⚠️ Could not load invites: " + err.message));
+
+  useEffect(() => {
+    if (!restaurant?.id) return;
+    load();
+  }, [restaurant?.id]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const invite = async () => {
+    setBusy(true);
+    try {
+      await inviteStaff(restaurant.id, email, role, { actor });
+      showToast(`📧 Invite sent to ${email.trim()}`);
+      setEmail("");
+      await load();
+    } catch (err) {
+      showToast("⚠️ " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const cancel = async (inv) => {
+    try {
+      await cancelStaffInvite(inv.id, { actor });
+      setInvites(list => list.filter(i => i.id !== inv.id));
+    } catch (err) {
+      showToast("⚠️ " + err.message);
+    }
+  };
+
+  const changeRole = async (member, next) => {
+    try {
+      await setStaffRole(restaurant.id, member.uid, next, { actor });
+      onStaffChange({ ...restaurant.staff, [member.uid]: { ...restaurant.staff[member.uid], role: next } });
+      showToast(`✅ ${member.name || member.email} is now ${roleMeta(next).label}`);
+    } catch (err) {
+      showToast("⚠️ " + err.message);
+    }
+  };
+
+  const revoke = async (member) => {
+    if (!window.confirm(`Remove ${member.name || member.email}? They lose access to ${restaurant.name || "this restaurant"} straight away.`)) return;
+    try {
+      await revokeStaff(restaurant.id, member.uid, { actor });
+      const { [member.uid]: gone, ...rest } = restaurant.staff;
+      onStaffChange(rest);
+      showToast(`🚫 ${member.name || member.email} removed`);
+    } catch (err) {
+      showToast("⚠️ " + err.message);
+    }
+  };
+
+  return (
+    <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16 }}>
+      <div style={{ fontSize:15, fontWeight:700, marginBottom:4, display:"flex", alignItems:"center", gap:6 }}>
+        <Users size={16} color="#D97706"/> Staff & Access
+      </div>
+      <div style={{ fontSize:11, color:"#78716C", marginBottom:12 }}>
+        Invite your team by email. They sign in with that address and only see what their role allows.
+      </div>
+
+      {staff.length === 0 && invites.length === 0 && (
+        <div style={{ fontSize:12, color:"#A8A29E", marginBottom:12 }}>No staff yet — it's just you.</div>
+      )}
+
+      {staff.map(m => (
+        <div key={m.uid} style={{ display:"flex", alignItems:"center", gap:8, padding:"8px 0", borderBottom:"1px solid #F5F5F4" }}>
+          <div style={{ flex:1, minWidth:0 }}>
+            <div style={{ fontSize:13, fontWeight:600, color:"#1C1917", overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }}>{m.name || m.email}</div>
+            <div style={{ fontSize:11, color:"#A8A29E" }}>{m.email}</div>
+          </div>
+          <select value={m.role} onChange={e => changeRole(m, e.target.value)} style={inputStyle}>
+            {INVITABLE_ROLES.map(r => <option key={r} value={r}>{roleMeta(r).label}</option>)}
+          </select>
+          <button onClick={() => revoke(m)} title="Revoke access" style={{ background:"none", border:"none", color:"#EF4444", cursor:"pointer" }}>
+            <UserX size={16}/>
+          </button>
+        </div>
+      ))}
+
+      {invites.map(inv => (
+        <div key={inv.id} style={{ display:"flex", alignItems:"center", gap:8, padding:"8px 0", borderBottom:"1px solid #F5F5F4" }}>
+          <div style={{ flex:1, minWidth:0, fontSize:12, color:"#57534E", overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }}>
+            ✉️ {inv.email} <span style={{ color:"#A8A29E" }}>— invite pending</span>
+          </div>
+          <RoleBadge role={inv.role} />
+          <button onClick={() => cancel(inv)} style={{ background:"none", border:"none", fontSize:11, color:"#EF4444", fontWeight:700, cursor:"pointer" }}>
+            Cancel
+          </button>
+        </div>
+      ))}
+
+      <div style={{ display:"flex", gap:6, marginTop:12 }}>
+        <input type="email" value={email} onChange={e => setEmail(e.target.value)} placeholder="staff@example.com" style={{ ...inputStyle, flex:2 }} />
+        <select value={role} onChange={e => setRole(e.target.value)} style={{ ...inputStyle, flex:1 }}>
+          {INVITABLE_ROLES.map(r => <option key={r} value={r}>{roleMeta(r).label}</option>)}
+        </select>
+        <button onClick={invite} disabled={busy || !email.trim()}
+          style={{ background: email.trim() ? "#78350F" : "#A8A29E", color:"#fff", border:"none", borderRadius:8, padding:"0 12px", fontSize:12, fontWeight:700, cursor: email.trim() ? "pointer" : "not-allowed", display:"flex", alignItems:"center", gap:4 }}>
+          <UserPlus size={14}/> {busy ? "…" : "Invite"}
+        </button>
+      </div>
+      <div style={{ fontSize:10, color:"#A8A29E", marginTop:6 }}>
+        {roleMeta(role).label} can: {roleMeta(role).permissions.map(p => PERMISSIONS[p].toLowerCase()).join("; ")}.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+import { statusMeta } from "../constants/bookings.js";
+
+/**
+ * Small coloured badge for a booking status. Pass `meta` to badge
+ * something else (e.g. paymentMeta(payment.status)).
+ */
+export default function StatusPill({ status, meta: override }) {
+  const meta = override || statusMeta(status);
+  return (
+    <span style={{ background:meta.bg, color:meta.color, borderRadius:6, padding:"2px 7px", fontSize:10, fontWeight:700, textTransform:"uppercase", whiteSpace:"nowrap" }}>
+      {meta.label}
+    </span>
+  );
+}
@@ -0,0 +1,126 @@
+// =============================================================
+// FILE: src/components/VerificationPanel.js
+// =============================================================
+// Owner's "Verified badge" card, rendered inside DashboardPage.
+// • Shows where the listing stands (constants/admin.js) and, after
+//   a rejection, the admin's reason.
+// • Upload documents (photo or PDF, via uploadImage) one type at a
+//   time; REQUIRED_DOCUMENTS must all be there before "Submit for
+//   review" sends them to the admin verification queue.
+// • onVerificationChange(verification) hands the submitted record
+//   back so the dashboard's copy of the restaurant stays current.
+// =============================================================
+
+import { useState } from "react";
+import { BadgeCheck, FileText, Minus, Upload } from "lucide-react";
+import { useAuth } from "../context/AuthContext.js";
+import { uploadImage, submitVerification } from "../utils/firestoreService.js";
+import { DOCUMENT_TYPES, REQUIRED_DOCUMENTS, verificationMeta } from "../constants/admin.js";
+
+const inputStyle = { padding:8, borderRadius:8, border:"1px solid #E5E7EB", fontSize:12, minWidth:0, boxSizing:"border-box" };
+
+export default function VerificationPanel({ restaurant, showToast, onVerificationChange }) {
+  const { user } = useAuth();
+  const actor = { uid: user?.uid, name: user?.displayName || user?.email };
+
+  const verification = restaurant.verification || {};
+  const status       = restaurant.verified && !verification.status ? "approved" : verification.status || "none";
+  const meta         = verificationMeta(status);
+  const pending      = status === "pending";
+
+  // a rejected or approved owner starts from the documents they sent last time
+  const [documents, setDocuments] = useState(verification.documents || []);
+  const [type,      setType]      = useState(REQUIRED_DOCUMENTS[0]);
+  const [uploading, setUploading] = useState(false);
+  const [busy,      setBusy]      = useState(false);
+
+  const missing = REQUIRED_DOCUMENTS.filter(t => !documents.some(d => d.type === t));
+
+  const upload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setUploading(true);
+    try {
+      const url = await uploadImage(file);
+      setDocuments(list => [...list.filter(d => d.type !== type), { type, url, name: file.name, uploadedAt: new Date().toISOString() }]);
+      showToast(`📄 ${DOCUMENT_TYPES[type]} uploaded`);
+    } catch (err) {
+      showToast("⚠️ Upload failed: " + err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const submit = async () => {
+    setBusy(true);
+    try {
+      await submitVerification(restaurant.id, documents, { actor });
+      onVerificationChange({ status: "pending", documents, submittedAt: new Date().toISOString() });
+      showToast("✅ Sent for review — we'll let you know");
+    } catch (err) {
+      showToast("⚠️ " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16 }}>
+      <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:4 }}>
+        <div style={{ fontSize:15, fontWeight:700, display:"flex", alignItems:"center", gap:6 }}>
+          <BadgeCheck size={16} color="#D97706"/> Verified Badge
+        </div>
+        <span style={{ background:meta.bg, color:meta.color, borderRadius:10, padding:"2px 8px", fontSize:10, fontWeight:700 }}>{meta.label}</span>
+      </div>
+      <div style={{ fontSize:11, color:"#78716C", marginBottom:12 }}>
+        Diners trust verified restaurants more. Upload your {REQUIRED_DOCUMENTS.map(t => DOCUMENT_TYPES[t].toLowerCase()).join(" and ")}; our team reviews them within two working days.
+      </div>
+
+      {status === "rejected" && verification.reason && (
+        <div style={{ background:"#FEF2F2", borderRadius:10, padding:10, fontSize:12, color:"#991B1B", marginBottom:12 }}>
+          Not approved: {verification.reason}
+        </div>
+      )}
+
+      {documents.map(d => (
+        <div key={d.type} style={{ display:"flex", alignItems:"center", gap:8, padding:"6px 0", borderBottom:"1px solid #F5F5F4", fontSize:12 }}>
+          <FileText size={14} color="#A8A29E"/>
+          <a href={d.url} target="_blank" rel="noreferrer" style={{ flex:1, minWidth:0, color:"#1C1917", overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }}>
+            {DOCUMENT_TYPES[d.type] || d.type} <span style={{ color:"#A8A29E" }}>— {d.name || "file"}</span>
+          </a>
+          {!pending && (
+            <button onClick={() => setDocuments(list => list.filter(x => x.type !== d.type))} title="Remove" style={{ background:"none", border:"none", color:"#EF4444", cursor:"pointer", display:"flex" }}>
+              <Minus size={14}/>
+            </button>
+          )}
+        </div>
+      ))}
+
+      {pending ? (
+        <div style={{ fontSize:12, color:"#1D4ED8", marginTop:10 }}>Your documents are with our team. You can't change them until they've been reviewed.</div>
+      ) : (
+        <>
+          <div style={{ display:"flex", gap:6, marginTop:12 }}>
+            <select value={type} onChange={e => setType(e.target.value)} style={{ ...inputStyle, flex:1 }}>
+              {Object.entries(DOCUMENT_TYPES).map(([id, label]) => (
+                <option key={id} value={id}>{label}{REQUIRED_DOCUMENTS.includes(id) ? " *" : ""}</option>
+              ))}
+            </select>
+            <label style={{ position:"relative", background:"#FEF3C7", borderRadius:8, padding:"0 12px", fontSize:12, fontWeight:700, color:"#78350F", cursor:"pointer", display:"flex", alignItems:"center", gap:4 }}>
+              <Upload size={14}/> {uploading ? "…" : "Upload"}
+              <input type="file" accept="image/*,application/pdf" onChange={upload} disabled={uploading} style={{ position:"absolute", inset:0, opacity:0, cursor:"pointer" }} />
+            </label>
+          </div>
+          {missing.length > 0 && (
+            <div style={{ fontSize:10, color:"#A8A29E", marginTop:6 }}>Still needed: {missing.map(t => DOCUMENT_TYPES[t]).join(", ")}</div>
+          )}
+          <button onClick={submit} disabled={busy || uploading || missing.length > 0}
+            style={{ width:"100%", marginTop:12, background: missing.length ? "#A8A29E" : "#78350F", color:"#fff", border:"none", borderRadius:10, padding:10, fontSize:13, fontWeight:700, cursor: missing.length ? "not-allowed" : "pointer" }}>
+            {busy ? "Sending…" : status === "approved" ? "Send updated documents" : "Submit for review"}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+// =============================================================
+// FILE: src/components/WaitlistPanel.js
+// =============================================================
+// Owner view of the restaurant's waitlist, rendered inside
+// DashboardPage under the bookings inbox.
+// • Live via listenToRestaurantWaitlist.
+// • Groups open entries (waiting / offered) by slot, in queue
+//   order, with the offer countdown.
+// • "Offer next" hands a slot to the next diner manually (e.g.
+//   after a walk-in leaves early).
+// • Every minute it re-processes slots whose offer has lapsed,
+//   so the spot moves down the queue without the diner acting.
+// =============================================================
+
+import { useState, useEffect } from "react";
+import { Clock } from "lucide-react";
+import { listenToRestaurantWaitlist, offerNextWaitlistSpot } from "../utils/firestoreService.js";
+import StatusPill from "./StatusPill.js";
+
+const SWEEP_MS = 60000;
+
+export default function WaitlistPanel({ restaurantId, showToast }) {
+  const [entries, setEntries] = useState([]);
+  const [busy,    setBusy]    = useState(null);   // slot key being processed
+
+  useEffect(() => {
+    if (!restaurantId) return;
+    const unsub = listenToRestaurantWaitlist(
+      restaurantId,
+      (docs) => setEntries(docs.filter(e => e.status === "waiting" || e.status === "offered")),
+      (err)  => showToast("⚠️ Waitlist error: " + err.message)
+    );
+    return () => unsub();
+  }, [restaurantId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // ── lapse sweep ───────────────────────────────────
+  useEffect(() => {
+    const sweep = () => {
+      const lapsed = entries.filter(e => e.status === "offered" && new Date(e.offerExpiresAt).getTime() <= Date.now());
+      const slots  = [...new Set(lapsed.map(e => `${e.date}|${e.time}`))];
+      slots.forEach((key) => {
+        const [date, time] = key.split("|");
+        offerNextWaitlistSpot(restaurantId, date, time).catch(err => console.error("Waitlist sweep failed", err));
+      });
+    };
+    sweep();
+    const id = setInterval(sweep, SWEEP_MS);
+    return () => clearInterval(id);
+  }, [entries, restaurantId]);
+
+  const offerNext = async (date, time) => {
+    const key = `${date}|${time}`;
+    setBusy(key);
+    try {
+      const offered = await offerNextWaitlistSpot(restaurantId, date, time);
+      showToast(offered ? "📨 Offer sent to the next diner" : "Nobody waiting, or an offer is already open");
+    } catch (err) {
+      showToast("⚠️ Offer failed: " + err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (entries.length === 0) return null;
+
+  // group by slot, slots in date/time order
+  const groups = {};
+  entries.forEach(e => { (groups[`${e.date}|${e.time}`] = groups[`${e.date}|${e.time}`] || []).push(e); });
+  const keys = Object.keys(groups).sort();
+
+  return (
+    <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16 }}>
+      <div style={{ fontSize:15, fontWeight:700, display:"flex", alignItems:"center", gap:6, marginBottom:12 }}>
+        <Clock size={16} color="#2563EB"/> Waitlist
+        <span style={{ fontSize:11, color:"#78716C", fontWeight:500 }}>{entries.length} waiting</span>
+      </div>
+
+      {keys.map((key) => {
+        const [date, time] = key.split("|");
+        return (
+          <div key={key} style={{ marginBottom:12 }}>
+            <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:4 }}>
+              <span style={{ fontSize:12, fontWeight:700, color:"#1D4ED8" }}>{date} at {time}</span>
+              <button onClick={() => offerNext(date, time)} disabled={busy === key} style={{ background:"#EFF6FF", color:"#1D4ED8", border:"none", borderRadius:8, padding:"3px 10px", fontSize:11, fontWeight:700, cursor:"pointer" }}>
+                Offer next
+              </button>
+            </div>
+            {groups[key].map((e, i) => (
+              <div key={e.id} style={{ display:"flex", justifyContent:"space-between", alignItems:"center", padding:"6px 0", borderBottom:"1px solid #F3F4F6", fontSize:12 }}>
+                <span style={{ color:"#57534E" }}>
+                  {i + 1}. <strong>{e.userName || "Guest"}</strong> • {e.guests || 1} guest{e.guests > 1 ? "s" : ""}
+                  {e.status === "offered" && (
+                    <span style={{ color:"#A8A29E" }}> • expires {new Date(e.offerExpiresAt).toLocaleTimeString([], { hour:"2-digit", minute:"2-digit" })}</span>
+                  )}
+                </span>
+                <StatusPill status={e.status}/>
+              </div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
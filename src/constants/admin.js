@@ -0,0 +1,80 @@
+// =============================================================
+// FILE: src/constants/admin.js
+// =============================================================
+// Platform admins: listing verification, boost approvals and
+// moderation (AdminPage).
+//
+//   /users/{uid}.role === "admin"  – set by hand in the Firebase
+//                                    console; never from the app
+//
+//   restaurant.verification  { status, documents: [{ type, url,
+//                              name, uploadedAt }], submittedAt,
+//                              reviewedAt, reviewedBy, reason }
+//   restaurant.boostRequest  { status, requestedAt, requestedBy,
+//                              reviewedAt, reviewedBy, reason }
+//   restaurant.suspended     boolean, suspendedReason string —
+//                            hidden from diners, no new bookings
+//   restaurant.plan,         fee plan and per-restaurant fee
+//   restaurant.serviceFee    override, see constants/fees.js
+//
+// Only the admin functions in firestoreService write these (and
+// verified / featured / boosted); every one adds an /adminAudit
+// entry in the same transaction.
+// =============================================================
+
+export function isAdmin(profile) {
+  return profile?.role === "admin";
+}
+
+export const VERIFICATION_STATUS = {
+  none:     { label: "Not submitted", color: "#57534E", bg: "#F3F4F6" },
+  pending:  { label: "In review",     color: "#1D4ED8", bg: "#DBEAFE" },
+  approved: { label: "Verified",      color: "#166534", bg: "#DCFCE7" },
+  rejected: { label: "Rejected",      color: "#991B1B", bg: "#FEE2E2" }
+};
+
+export function verificationMeta(status) {
+  return VERIFICATION_STATUS[status] || VERIFICATION_STATUS.none;
+}
+
+// What owners upload for the verified badge
+export const DOCUMENT_TYPES = {
+  "trading-licence":    "Trading licence",
+  "tin-certificate":    "URA TIN certificate",
+  "health-certificate": "Health / food-handling certificate",
+  "owner-id":           "Owner's national ID"
+};
+
+export const REQUIRED_DOCUMENTS = ["trading-licence", "owner-id"];
+
+// Boost requests use the same statuses, minus "none"
+export const BOOST_STATUS = {
+  pending:  { label: "Pending approval", color: "#1D4ED8" },
+  approved: { label: "Active",           color: "#16A34A" },
+  rejected: { label: "Not approved",     color: "#991B1B" },
+  ended:    { label: "Ended",            color: "#57534E" }
+};
+
+// /adminAudit action ids → log labels
+export const ADMIN_ACTIONS = {
+  "verification-approved": "Approved verification",
+  "verification-rejected": "Rejected verification",
+  "boost-approved":        "Approved boost",
+  "boost-rejected":        "Rejected boost",
+  "boost-ended":           "Ended boost",
+  featured:                "Featured listing",
+  unfeatured:              "Unfeatured listing",
+  suspended:               "Suspended listing",
+  reinstated:              "Reinstated listing",
+  "fee-plan-changed":      "Changed fee plan",
+  "fees-paid":             "Marked service fees paid"
+};
+
+// Actions an admin must give a reason for
+export const REASON_REQUIRED = ["verification-rejected", "boost-rejected", "suspended"];
+
+// Restaurant fields only the admin functions may change
+export const ADMIN_FIELDS = [
+  "verified", "featured", "boosted", "boostRequested", "boostRequest",
+  "verification", "suspended", "suspendedReason", "plan", "serviceFee"
+];
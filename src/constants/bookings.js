@@ -0,0 +1,131 @@
+// =============================================================
+// FILE: src/constants/bookings.js
+// =============================================================
+// Booking lifecycle and waitlist statuses, shared by the owner
+// inbox, the diner's "My Bookings" page and firestoreService.
+//
+//   pending → confirmed → seated → completed
+//      │          ├──→ no-show
+//      │          ├──→ cancelled            (by the restaurant)
+//      │          └──→ pending              (diner asked for a new time —
+//      │                                     requestReschedule only)
+//      ├──→ declined                        (restaurant said no)
+//      └──→ cancelled-by-diner              (also from confirmed)
+// =============================================================
+
+export const BOOKING_STATUS = {
+  pending:              { label: "Pending",    color: "#B45309", bg: "#FEF3C7" },
+  confirmed:            { label: "Confirmed",  color: "#166534", bg: "#DCFCE7" },
+  seated:               { label: "Seated",     color: "#1D4ED8", bg: "#DBEAFE" },
+  completed:            { label: "Completed",  color: "#57534E", bg: "#E7E5E4" },
+  "no-show":            { label: "No-show",    color: "#9A3412", bg: "#FFEDD5" },
+  declined:             { label: "Declined",   color: "#991B1B", bg: "#FEE2E2" },
+  cancelled:            { label: "Cancelled",  color: "#991B1B", bg: "#FEE2E2" },
+  "cancelled-by-diner": { label: "Cancelled by diner", color: "#991B1B", bg: "#FEE2E2" }
+};
+
+// Allowed next statuses for each status. Anything else is rejected.
+// Going back to "pending" isn't here: only a reschedule request
+// does that (RESCHEDULABLE_STATUSES).
+export const BOOKING_TRANSITIONS = {
+  pending:              ["confirmed", "declined", "cancelled-by-diner"],
+  confirmed:            ["seated", "no-show", "cancelled", "cancelled-by-diner"],
+  seated:               ["completed"],
+  completed:            [],
+  "no-show":            [],
+  declined:             [],
+  cancelled:            [],
+  "cancelled-by-diner": []
+};
+
+// The only status change a diner may make on their own booking.
+export const DINER_TRANSITIONS = ["cancelled-by-diner"];
+
+// Bookings a diner may ask to move (→ "pending" until the owner answers)
+export const RESCHEDULABLE_STATUSES = ["pending", "confirmed"];
+
+// Statuses that free the booking's slot.
+export const RELEASED_STATUSES = ["declined", "cancelled", "cancelled-by-diner"];
+
+// ── waitlist ──────────────────────────────────────────────
+
+export const DEFAULT_OFFER_MINUTES = 15;
+
+export const WAITLIST_STATUS = {
+  waiting:  { label: "Waiting",  color: "#57534E", bg: "#F3F4F6" },
+  offered:  { label: "Offered",  color: "#1D4ED8", bg: "#DBEAFE" },
+  accepted: { label: "Booked",   color: "#166534", bg: "#DCFCE7" },
+  expired:  { label: "Expired",  color: "#9A3412", bg: "#FFEDD5" },
+  left:     { label: "Left",     color: "#A8A29E", bg: "#F5F5F4" }
+};
+
+// ── kitchen (pickup pre-orders) ───────────────────────────
+// Tracked separately from the booking status on booking.kitchenStatus.
+
+export const KITCHEN_FLOW = ["received", "preparing", "ready", "collected"];
+
+export const KITCHEN_STATUS = {
+  received:  { label: "Received",  action: "Start preparing", color: "#B45309", bg: "#FEF3C7" },
+  preparing: { label: "Preparing", action: "Mark ready",      color: "#1D4ED8", bg: "#DBEAFE" },
+  ready:     { label: "Ready",     action: "Collected",       color: "#166534", bg: "#DCFCE7" },
+  collected: { label: "Collected", action: null,              color: "#57534E", bg: "#E7E5E4" }
+};
+
+export function nextKitchenStatus(current) {
+  const i = KITCHEN_FLOW.indexOf(current || "received");
+  return i >= 0 && i < KITCHEN_FLOW.length - 1 ? KITCHEN_FLOW[i + 1] : null;
+}
+
+export function statusMeta(status) {
+  return BOOKING_STATUS[status] || WAITLIST_STATUS[status] || { label: status || "Unknown", color: "#57534E", bg: "#F3F4F6" };
+}
+
+export function canTransition(from, to, role = "owner") {
+  if (!(BOOKING_TRANSITIONS[from] || []).includes(to)) return false;
+  return role !== "diner" || DINER_TRANSITIONS.includes(to);
+}
+
+// ── references ────────────────────────────────────────────
+// Diners get a short code like "NC-K7M2QX", reserved in
+// /bookingRefs so it is unique. The alphabet leaves out 0/O and
+// 1/I/L so it can be read out over the phone. Bookings made
+// before references were stored fall back to "NC-" + the last 8
+// characters of the doc id.
+const REFERENCE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const REFERENCE_LENGTH   = 6;
+
+// Bookings made before references existed: "NC-" + the last 8
+// characters of the doc id
+export const LEGACY_REFERENCE_LENGTH = 8;
+
+export function newBookingReference() {
+  let code = "";
+  for (let i = 0; i < REFERENCE_LENGTH; i++) {
+    code += REFERENCE_ALPHABET[Math.floor(Math.random() * REFERENCE_ALPHABET.length)];
+  }
+  return `NC-${code}`;
+}
+
+// What a diner or owner typed → "NC-K7M2QX" ("nc k7m2qx", "K7M2QX" …).
+// A code can itself start with N and C ("NCK7QX"), so "NC" is only
+// dropped when it reads as the prefix: followed by a separator, or
+// in front of a full-length code ("NCK7M2QX").
+export function normaliseReference(input) {
+  const typed = String(input || "").trim().toUpperCase();
+  let   code  = typed.replace(/[^A-Z0-9]/g, "");
+  const prefixed = /^NC[^A-Z0-9]/.test(typed) ||
+    (code.startsWith("NC") && [REFERENCE_LENGTH, LEGACY_REFERENCE_LENGTH].includes(code.length - 2));
+  if (prefixed) code = code.slice(2);
+  return code ? `NC-${code}` : "";
+}
+
+// The reference to show for a booking (or a booking id)
+export function bookingReference(bookingOrId) {
+  if (bookingOrId?.reference) return bookingOrId.reference;
+  const id = typeof bookingOrId === "string" ? bookingOrId : bookingOrId?.id || "";
+  return `NC-${id.slice(-LEGACY_REFERENCE_LENGTH).toUpperCase()}`;
+}
+
+export function isActiveBooking(status) {
+  return status === "pending" || status === "confirmed";
+}
@@ -0,0 +1,66 @@
+import {
+  newBookingReference, normaliseReference, bookingReference, LEGACY_REFERENCE_LENGTH,
+  canTransition, BOOKING_STATUS, RESCHEDULABLE_STATUSES
+} from "./bookings.js";
+
+describe("canTransition", () => {
+  // from → statuses the restaurant may move it to; diners may only cancel
+  const owner = {
+    pending:              ["confirmed", "declined", "cancelled-by-diner"],
+    confirmed:            ["seated", "no-show", "cancelled", "cancelled-by-diner"],
+    seated:               ["completed"],
+    completed:            [],
+    "no-show":            [],
+    declined:             [],
+    cancelled:            [],
+    "cancelled-by-diner": []
+  };
+  const statuses = Object.keys(BOOKING_STATUS);
+
+  it.each(statuses)("allows only the listed moves from %s", (from) => {
+    statuses.forEach((to) => {
+      expect([to, canTransition(from, to, "owner")]).toEqual([to, owner[from].includes(to)]);
+      expect([to, canTransition(from, to, "diner")]).toEqual([to, to === "cancelled-by-diner" && owner[from].includes(to)]);
+    });
+  });
+
+  it("never moves a booking back to pending — only a reschedule request does", () => {
+    statuses.forEach((from) => {
+      expect(canTransition(from, "pending", "owner")).toBe(false);
+      expect(canTransition(from, "pending", "diner")).toBe(false);
+    });
+    expect(RESCHEDULABLE_STATUSES).toEqual(["pending", "confirmed"]);
+  });
+
+  it("rejects unknown statuses", () => {
+    expect(canTransition("lost", "confirmed")).toBe(false);
+    expect(canTransition("pending", "lost")).toBe(false);
+  });
+});
+
+describe("booking references", () => {
+  it("makes phone-friendly codes without 0/O or 1/I/L", () => {
+    for (let i = 0; i < 50; i++) expect(newBookingReference()).toMatch(/^NC-[A-HJKMNP-Z2-9]{6}$/);
+  });
+
+  it("normalises whatever the diner types", () => {
+    expect(normaliseReference(" nc-k7m2qx ")).toBe("NC-K7M2QX");
+    expect(normaliseReference("k7m2qx")).toBe("NC-K7M2QX");
+    expect(normaliseReference("NC K7 M2 QX")).toBe("NC-K7M2QX");
+    expect(normaliseReference("")).toBe("");
+  });
+
+  it("keeps an un-prefixed code that starts with NC", () => {
+    expect(normaliseReference("NCK7QX")).toBe("NC-NCK7QX");
+    expect(normaliseReference("nc-NCK7QX")).toBe("NC-NCK7QX");
+    expect(normaliseReference("NCNCK7QX")).toBe("NC-NCK7QX");
+    expect(normaliseReference("NCAB12CD34")).toBe("NC-AB12CD34");
+  });
+
+  it("shows the stored reference, else the legacy doc-id suffix", () => {
+    expect(bookingReference({ id: "abcdEFGH12345678", reference: "NC-K7M2QX" })).toBe("NC-K7M2QX");
+    expect(bookingReference({ id: "abcdEFGH1234wxyz" })).toBe("NC-1234WXYZ");
+    expect(bookingReference("abcdEFGH1234wxyz")).toBe("NC-1234WXYZ");
+    expect(normaliseReference(bookingReference("abcdEFGH1234wxyz"))).toHaveLength(LEGACY_REFERENCE_LENGTH + 3);
+  });
+});
@@ -0,0 +1,77 @@
+// =============================================================
+// FILE: src/constants/categories.js
+// =============================================================
+// Restaurant cuisine categories — the HomePage chips and the
+// owner's category picker on the dashboard.
+//
+//   restaurant.categories       string[] – ids below, at most
+//                                          MAX_CATEGORIES
+//   restaurant.primaryCategory  string   – one of categories, shown
+//                                          first / on the card
+//
+// suggestCategories() guesses ids from the menu's dish names
+// (KEYWORDS) for owners who haven't picked any yet.
+// =============================================================
+
+import { hasTag } from "./dietary.js";
+
+export const CATEGORIES = [
+  { id:"local",      label:"Local Food",     icon:"🥘" },
+  { id:"matooke",    label:"Matooke/Sauce",  icon:"🍌" },
+  { id:"muchomo",    label:"Muchomo",        icon:"🥩" },
+  { id:"luwombo",    label:"Luwombo",        icon:"🍲" },
+  { id:"pilau",      label:"Pilau",          icon:"🍚" },
+  { id:"breakfast",  label:"Breakfast/Chai", icon:"☕" },
+  { id:"indian",     label:"Indian",         icon:"🫕" },
+  { id:"fastfood",   label:"Fast Food",      icon:"🍔" },
+  { id:"seafood",    label:"Seafood",        icon:"🐟" },
+  { id:"vegetarian", label:"Vegetarian",     icon:"🥗" },
+];
+
+export const MAX_CATEGORIES = 4;
+
+export function categoryMeta(id) {
+  return CATEGORIES.find(c => c.id === id) || null;
+}
+
+// Known ids only, primary first, capped at MAX_CATEGORIES
+export function cleanCategories(categories, primary) {
+  const known = (categories || []).filter((id, i, all) => categoryMeta(id) && all.indexOf(id) === i);
+  const first = known.includes(primary) ? [primary, ...known.filter(id => id !== primary)] : known;
+  return first.slice(0, MAX_CATEGORIES);
+}
+
+// Dish-name keywords per category (lower case)
+const KEYWORDS = {
+  local:     ["posho", "beans", "groundnut", "g-nut", "gnut", "katogo", "malakwang", "eshabwe", "kalo", "millet", "cassava", "dodo"],
+  matooke:   ["matooke", "matoke", "banana"],
+  muchomo:   ["muchomo", "nyama choma", "choma", "roast", "grill", "bbq", "goat ribs", "skewer"],
+  luwombo:   ["luwombo"],
+  pilau:     ["pilau", "pilao"],
+  breakfast: ["chai", "tea", "rolex", "mandazi", "chapati", "coffee", "breakfast", "omelette", "samosa"],
+  indian:    ["curry", "masala", "naan", "biryani", "tikka", "dal", "paneer", "tandoori"],
+  fastfood:  ["burger", "chips", "fries", "pizza", "shawarma", "hot dog", "wings", "sandwich"],
+  seafood:   ["fish", "tilapia", "nile perch", "prawn", "seafood", "mukene"]
+};
+
+// A dish counts towards vegetarian when it's tagged so; the
+// restaurant does once at least this share of its dishes are
+const VEGETARIAN_SHARE = 0.5;
+
+// Category ids inferred from the menu, most dishes first, that
+// aren't already in `current` → [{ id, dishes }]
+export function suggestCategories(menu, current = []) {
+  const items = (menu || []).flatMap(s => s.items || []).filter(i => i.name);
+  if (items.length === 0) return [];
+
+  const counts = Object.entries(KEYWORDS).map(([id, words]) => ({
+    id,
+    dishes: items.filter(i => words.some(w => i.name.toLowerCase().includes(w))).length
+  }));
+  const veg = items.filter(i => hasTag(i, "vegetarian") || hasTag(i, "vegan")).length;
+  if (veg / items.length >= VEGETARIAN_SHARE) counts.push({ id: "vegetarian", dishes: veg });
+
+  return counts
+    .filter(c => c.dishes > 0 && !current.includes(c.id))
+    .sort((a, b) => b.dishes - a.dishes);
+}
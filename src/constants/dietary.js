@@ -0,0 +1,66 @@
+// =============================================================
+// FILE: src/constants/dietary.js
+// =============================================================
+// Item-level dietary / allergen tags and spice level, set in
+// MenuEditor and shown as badges on DetailPage.
+//
+//   item.dietary     string[] – ids from DIETARY_TAGS
+//   item.spiceLevel  number   – 0 (not spicy) … 3, see SPICE_LEVELS
+//
+// HomePage filters restaurants by DIETARY_FILTERS: a dish matches
+// when it passes every selected filter, and a restaurant is shown
+// when at least N of its visible dishes match.
+// =============================================================
+
+export const DIETARY_TAGS = {
+  halal:             { label: "Halal",           icon: "☪️", kind: "diet" },
+  vegetarian:        { label: "Vegetarian",      icon: "🥦", kind: "diet" },
+  vegan:             { label: "Vegan",           icon: "🌱", kind: "diet" },
+  "contains-nuts":   { label: "Contains nuts",   icon: "🥜", kind: "allergen" },
+  "contains-gluten": { label: "Contains gluten", icon: "🌾", kind: "allergen" },
+  "contains-dairy":  { label: "Contains dairy",  icon: "🥛", kind: "allergen" }
+};
+
+export const SPICE_LEVELS = [
+  { level: 0, label: "Not spicy" },
+  { level: 1, label: "Mild",   icon: "🌶️" },
+  { level: 2, label: "Medium", icon: "🌶️🌶️" },
+  { level: 3, label: "Hot",    icon: "🌶️🌶️🌶️" }
+];
+
+export function hasTag(item, tag) {
+  return (item?.dietary || []).includes(tag);
+}
+
+// Diner-side filters. Vegan dishes count as vegetarian too.
+export const DIETARY_FILTERS = [
+  { id: "halal",       label: "Halal",       icon: "☪️", match: (i) => hasTag(i, "halal") },
+  { id: "vegetarian",  label: "Vegetarian",  icon: "🥦", match: (i) => hasTag(i, "vegetarian") || hasTag(i, "vegan") },
+  { id: "vegan",       label: "Vegan",       icon: "🌱", match: (i) => hasTag(i, "vegan") },
+  { id: "nut-free",    label: "Nut-free",    icon: "🥜", match: (i) => !hasTag(i, "contains-nuts") },
+  { id: "gluten-free", label: "Gluten-free", icon: "🌾", match: (i) => !hasTag(i, "contains-gluten") },
+  { id: "dairy-free",  label: "Dairy-free",  icon: "🥛", match: (i) => !hasTag(i, "contains-dairy") },
+  { id: "not-spicy",   label: "Not spicy",   icon: "🧊", match: (i) => !(i.spiceLevel > 0) }
+];
+
+// Minimum matching dishes the diner can ask for
+export const MIN_MATCHING_DISHES = [1, 3, 5];
+
+// Dishes on a restaurant's menu that pass every filter id in
+// `filterIds` (hidden dishes don't count)
+export function matchingDishCount(restaurant, filterIds) {
+  const filters = DIETARY_FILTERS.filter(f => filterIds.includes(f.id));
+  return (restaurant?.menu || [])
+    .flatMap(s => s.items || [])
+    .filter(i => i.name && i.availability !== "hidden" && filters.every(f => f.match(i)))
+    .length;
+}
+
+// Tag ids + spice level kept from an edited item
+export function cleanDietary(item) {
+  const level = parseInt(item.spiceLevel, 10) || 0;
+  return {
+    dietary:    (item.dietary || []).filter(t => DIETARY_TAGS[t]),
+    spiceLevel: Math.min(Math.max(level, 0), SPICE_LEVELS.length - 1)
+  };
+}
@@ -0,0 +1,33 @@
+// =============================================================
+// FILE: src/constants/fees.js
+// =============================================================
+// Platform service fee charged per confirmed booking.
+// Each restaurant is on a plan; restaurant.serviceFee (UGX), when
+// set, overrides the plan's fee for that one restaurant.
+// =============================================================
+
+export const FEE_PLANS = {
+  standard: { label: "Standard", bookingFee: 500 },
+  partner:  { label: "Partner",  bookingFee: 300 },
+  trial:    { label: "Trial",    bookingFee: 0   }
+};
+
+export const DEFAULT_PLAN = "standard";
+
+export function planFor(restaurant) {
+  return FEE_PLANS[restaurant?.plan] ? restaurant.plan : DEFAULT_PLAN;
+}
+
+export function resolveServiceFee(restaurant) {
+  const override = restaurant?.serviceFee;
+  if (override !== undefined && override !== null && override !== "") {
+    return Math.max(0, parseInt(override, 10) || 0);
+  }
+  return FEE_PLANS[planFor(restaurant)].bookingFee;
+}
+
+// "2026-10" → "October 2026" (fee periods are Kampala months)
+export function periodLabel(period) {
+  const [y, m] = period.split("-").map(Number);
+  return new Date(y, m - 1, 1).toLocaleDateString([], { month: "long", year: "numeric" });
+}
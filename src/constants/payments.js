@@ -0,0 +1,49 @@
+// =============================================================
+// FILE: src/constants/payments.js
+// =============================================================
+// Mobile-money payment states tracked on booking.payment, and the
+// owner's pickup prepayment rule (restaurant.pickupPayment).
+//
+//   initiated → pending → successful → refunded
+//       │          └──→ failed   (diner may retry → pending)
+//       └── the amount is set, the diner hasn't approved yet
+// =============================================================
+
+export const PAYMENT_STATUS = {
+  initiated:  { label: "Awaiting payment", color: "#B45309", bg: "#FEF3C7" },
+  pending:    { label: "Approve on phone", color: "#1D4ED8", bg: "#DBEAFE" },
+  successful: { label: "Paid",             color: "#166534", bg: "#DCFCE7" },
+  failed:     { label: "Payment failed",   color: "#991B1B", bg: "#FEE2E2" },
+  refunded:   { label: "Refunded",         color: "#57534E", bg: "#E7E5E4" }
+};
+
+// Statuses from which the diner can (re)start a collection request.
+export const PAYABLE_STATUSES = ["initiated", "failed"];
+
+export const PICKUP_PAYMENT_MODES = {
+  none:    { label: "Pay on collection" },
+  deposit: { label: "Deposit" },
+  full:    { label: "Full prepayment" }
+};
+
+export const DEFAULT_PICKUP_PAYMENT = {
+  mode:           "none",
+  depositPercent: 30
+};
+
+export function paymentMeta(status) {
+  return PAYMENT_STATUS[status] || { label: status || "Unknown", color: "#57534E", bg: "#F3F4F6" };
+}
+
+// Amount (UGX) a pickup pre-order must prepay under the
+// restaurant's rule; 0 when nothing is required.
+export function paymentDue(restaurant, preOrderTotal) {
+  const rule  = { ...DEFAULT_PICKUP_PAYMENT, ...(restaurant?.pickupPayment || {}) };
+  const total = Math.max(0, parseInt(preOrderTotal, 10) || 0);
+  if (rule.mode === "full") return total;
+  if (rule.mode === "deposit") {
+    const pct = Math.min(100, Math.max(0, parseInt(rule.depositPercent, 10) || 0));
+    return Math.ceil((total * pct) / 100);
+  }
+  return 0;
+}
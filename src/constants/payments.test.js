@@ -0,0 +1,27 @@
+import { paymentDue, paymentMeta } from "./payments.js";
+
+describe("paymentDue", () => {
+  it("is nothing unless the restaurant asks for prepayment", () => {
+    expect(paymentDue({}, 20000)).toBe(0);
+    expect(paymentDue({ pickupPayment: { mode: "none" } }, 20000)).toBe(0);
+  });
+
+  it("asks for the whole pre-order on full prepayment", () => {
+    expect(paymentDue({ pickupPayment: { mode: "full" } }, 20000)).toBe(20000);
+    expect(paymentDue({ pickupPayment: { mode: "full" } }, -500)).toBe(0);
+  });
+
+  it("rounds a deposit up to the next shilling, capping the percentage", () => {
+    expect(paymentDue({ pickupPayment: { mode: "deposit", depositPercent: 30 } }, 12345)).toBe(3704);
+    expect(paymentDue({ pickupPayment: { mode: "deposit" } }, 10000)).toBe(3000);
+    expect(paymentDue({ pickupPayment: { mode: "deposit", depositPercent: 150 } }, 10000)).toBe(10000);
+    expect(paymentDue({ pickupPayment: { mode: "deposit", depositPercent: "abc" } }, 10000)).toBe(0);
+  });
+});
+
+describe("paymentMeta", () => {
+  it("labels known and unknown statuses", () => {
+    expect(paymentMeta("pending").label).toBe("Approve on phone");
+    expect(paymentMeta("weird").label).toBe("weird");
+  });
+});
@@ -0,0 +1,54 @@
+// =============================================================
+// FILE: src/constants/staff.js
+// =============================================================
+// Who may do what at a restaurant.
+//
+//   restaurant.ownerId              – the owner, every permission
+//   restaurant.staff[uid]           – { role, email, name, addedAt }
+//   restaurant.staffIds             – uids in `staff`, for
+//                                     array-contains queries
+//
+// Staff join through an email invite (/staffInvites) the owner
+// sends from the dashboard; firestoreService checks PERMISSIONS
+// before every staff write (security rules must mirror them).
+// =============================================================
+
+export const PERMISSIONS = {
+  bookings:   "Confirm and manage bookings and the waitlist",
+  kitchen:    "Work the kitchen display",
+  chat:       "Reply to diner chats",
+  menu:       "Edit the menu and dish availability",
+  settings:   "Edit restaurant details, hours and booking rules",
+  promotions: "Create promo codes and offers",
+  billing:    "See service-fee statements and request boosts",
+  staff:      "Invite and remove staff"
+};
+
+export const STAFF_ROLES = {
+  owner:   { label: "Owner",   color: "#78350F", bg: "#FEF3C7", permissions: Object.keys(PERMISSIONS) },
+  manager: { label: "Manager", color: "#1D4ED8", bg: "#DBEAFE", permissions: ["bookings", "kitchen", "chat", "menu", "settings", "promotions"] },
+  host:    { label: "Host",    color: "#166534", bg: "#DCFCE7", permissions: ["bookings", "chat"] },
+  kitchen: { label: "Kitchen", color: "#B45309", bg: "#FFEDD5", permissions: ["kitchen"] }
+};
+
+// Roles an owner can hand out
+export const INVITABLE_ROLES = ["manager", "host", "kitchen"];
+
+export function roleMeta(role) {
+  return STAFF_ROLES[role] || { label: role || "No access", color: "#57534E", bg: "#F3F4F6", permissions: [] };
+}
+
+// "owner", a staff role, or null for someone with no access
+export function roleFor(restaurant, uid) {
+  if (!restaurant || !uid) return null;
+  if (restaurant.ownerId === uid) return "owner";
+  return restaurant.staff?.[uid]?.role || null;
+}
+
+export function can(role, permission) {
+  return !!role && roleMeta(role).permissions.includes(permission);
+}
+
+export function normaliseEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
@@ -0,0 +1,102 @@
+// =============================================================
+// FILE: src/hooks/useCart.js
+// =============================================================
+// Pre-order cart, persisted to localStorage so a refresh doesn't
+// lose it. A cart belongs to one restaurant at a time.
+//
+// Returns:
+//   cart              – { [lineKey]: { ...line, qty } } — lines come
+//                       from buildCartLine (utils/menuOptions.js);
+//                       the key includes the chosen options
+//   cartRestaurantId  – id of the restaurant the cart is for
+//   cartRestaurantName
+//   cartCount         – total quantity
+//   conflictsWith(id) – true if adding from restaurant `id` would
+//                       need a new cart (caller asks the diner)
+//   addItem(line, restaurant) – starts a new cart if it's for
+//                       another restaurant
+//   changeQty(key, delta)     – +1 / -1; dropping to 0 removes it
+//   removeItem(key)
+//   clearCart()
+//
+// Stored carts older than CART_TTL_HOURS are discarded on load.
+// =============================================================
+
+import { useState, useEffect, useCallback } from "react";
+
+const STORAGE_KEY    = "nyamaconnect.cart";
+const CART_TTL_HOURS = 12;
+
+const EMPTY = { restaurantId: null, restaurantName: "", items: {}, updatedAt: 0 };
+
+function loadCart() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved?.restaurantId || Date.now() - saved.updatedAt > CART_TTL_HOURS * 3600000) {
+      localStorage.removeItem(STORAGE_KEY);
+      return EMPTY;
+    }
+    return { ...EMPTY, ...saved };
+  } catch {
+    return EMPTY;   // storage blocked or corrupt — start fresh
+  }
+}
+
+export function useCart() {
+  const [state, setState] = useState(loadCart);
+
+  // ── persist ─────────────────────────────────────────
+  useEffect(() => {
+    try {
+      if (Object.keys(state.items).length === 0) localStorage.removeItem(STORAGE_KEY);
+      else localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch {
+      // private mode / quota — the cart still works in memory
+    }
+  }, [state]);
+
+  const conflictsWith = useCallback((restaurantId) =>
+    !!state.restaurantId && state.restaurantId !== restaurantId && Object.keys(state.items).length > 0
+  , [state]);
+
+  const addItem = useCallback((line, restaurant) => {
+    const key = line.key || line.name;
+    setState((prev) => {
+      const items = prev.restaurantId === restaurant.id ? prev.items : {};
+      return {
+        restaurantId:   restaurant.id,
+        restaurantName: restaurant.name,
+        items: {
+          ...items,
+          [key]: items[key]
+            ? { ...items[key], qty: items[key].qty + 1 }
+            : { ...line, key, qty: 1 }
+        },
+        updatedAt: Date.now()
+      };
+    });
+  }, []);
+
+  const changeQty = useCallback((key, delta) => {
+    setState((prev) => {
+      const line = prev.items[key];
+      if (!line) return prev;
+      const items = { ...prev.items };
+      if (line.qty + delta <= 0) delete items[key];
+      else items[key] = { ...line, qty: line.qty + delta };
+      return { ...prev, items, updatedAt: Date.now() };
+    });
+  }, []);
+
+  const removeItem = useCallback((key) => changeQty(key, -Infinity), [changeQty]);
+
+  const clearCart = useCallback(() => setState(EMPTY), []);
+
+  return {
+    cart:               state.items,
+    cartRestaurantId:   state.restaurantId,
+    cartRestaurantName: state.restaurantName,
+    cartCount:          Object.values(state.items).reduce((s, i) => s + i.qty, 0),
+    conflictsWith, addItem, changeQty, removeItem, clearCart
+  };
+}
@@ -13,13 +13,16 @@
 //   sortByDistance(list) – pure helper: returns a new array sorted
 //                   ascending by Haversine distance from coords.
 //                   Each item gains a `distance` property (km).
+//
+// Also exports haversine(lat1, lng1, lat2, lng2) → km.
 // =============================================================
 
 import { useState, useCallback } from "react";
 
 // ── Haversine formula ─────────────────────────────────────
 // Returns distance in kilometres between two lat/lng points.
-function haversine(lat1, lng1, lat2, lng2) {
+// Also used by utils/delivery.js for delivery fees.
+export function haversine(lat1, lng1, lat2, lng2) {
   const R = 6371; // Earth radius km
   const dLat = (lat2 - lat1) * (Math.PI / 180);
   const dLng = (lng2 - lng1) * (Math.PI / 180);
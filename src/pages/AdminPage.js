@@ -0,0 +1,298 @@
+// =============================================================
+// FILE: src/pages/AdminPage.js
+// =============================================================
+// Platform admin console (nav tab only shown to /users role
+// "admin" — see constants/admin.js). Five tabs:
+// • Verification — listings waiting for review, with the owner's
+//   documents; approve, or reject with a reason the owner sees.
+// • Boosts — pending boost requests to approve or reject (with a
+//   reason), and live boosts that can be ended.
+// • Listings — search every restaurant, suspended ones included;
+//   feature / unfeature, suspend (reason required) / reinstate,
+//   and set the fee plan or a per-restaurant fee override.
+// • Fees — unpaid service fees as one statement per restaurant and
+//   month; "Mark paid" settles a statement once the owner has paid.
+// • Audit log — every admin action, newest first (/adminAudit).
+// Each action runs as one transaction with its audit entry
+// (firestoreService ADMIN functions).
+// =============================================================
+
+import { useState, useEffect } from "react";
+import { BadgeCheck, Zap, Store, Receipt, ScrollText, FileText, Star, Ban } from "lucide-react";
+import { useAuth } from "../context/AuthContext.js";
+import {
+  getVerificationQueue, getBoostQueue, getListingsForModeration, getAuditLog, getUnpaidFees,
+  reviewVerification, reviewBoost, endBoost, setFeatured, setSuspended, setFeePlan, markFeesPaid
+} from "../utils/firestoreService.js";
+import { DOCUMENT_TYPES, REQUIRED_DOCUMENTS, ADMIN_ACTIONS, REASON_REQUIRED, isAdmin, verificationMeta } from "../constants/admin.js";
+import { FEE_PLANS, planFor, periodLabel } from "../constants/fees.js";
+
+const TABS = [
+  { id: "verification", label: "Verification", Icon: BadgeCheck },
+  { id: "boosts",       label: "Boosts",       Icon: Zap },
+  { id: "listings",     label: "Listings",     Icon: Store },
+  { id: "fees",         label: "Fees",         Icon: Receipt },
+  { id: "audit",        label: "Audit log",    Icon: ScrollText }
+];
+
+const card     = { background:"#fff", borderRadius:16, padding:14, marginBottom:10 };
+const smallBtn = { border:"none", borderRadius:8, padding:"6px 12px", fontSize:12, fontWeight:700, cursor:"pointer" };
+
+function when(value) {
+  if (!value) return "";
+  const date = typeof value.toDate === "function" ? value.toDate() : new Date(value);
+  return date.toLocaleString([], { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" });
+}
+
+function Empty({ children }) {
+  return <div style={{ textAlign:"center", padding:30, fontSize:13, color:"#A8A29E" }}>{children}</div>;
+}
+
+export default function AdminPage({ showToast }) {
+  const { user, userProfile } = useAuth();
+  const actor = { uid: user?.uid, name: user?.displayName || user?.email };
+
+  const [tab,      setTab]      = useState("verification");
+  const [items,    setItems]    = useState([]);
+  const [loading,  setLoading]  = useState(true);
+  const [busyId,   setBusyId]   = useState(null);
+  const [search,   setSearch]   = useState("");
+
+  const load = () => {
+    setLoading(true);
+    const loader = {
+      verification: getVerificationQueue,
+      boosts:       () => Promise.all([getBoostQueue(), getListingsForModeration()])
+        .then(([queue, all]) => [...queue, ...all.filter(r => r.boosted)]),
+      listings:     getListingsForModeration,
+      fees:         getUnpaidFees,
+      audit:        () => getAuditLog()
+    }[tab];
+    return loader()
+      .then(setItems)
+      .catch(err => showToast("⚠️ Could not load: " + err.message))
+      .finally(() => setLoading(false));
+  };
+
+  useEffect(() => {
+    if (!isAdmin(userProfile)) return;
+    load();
+  }, [tab, userProfile]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // action: an ADMIN_ACTIONS id; run(reason) makes the change
+  const act = async (restaurant, action, run) => {
+    let reason = null;
+    if (REASON_REQUIRED.includes(action)) {
+      reason = window.prompt(`${ADMIN_ACTIONS[action]} — ${restaurant.name || "this listing"}. Reason (the owner sees this):`);
+      if (reason === null) return;   // admin backed out
+      if (!reason.trim()) { showToast("⚠️ A reason is required"); return; }
+    }
+    setBusyId(restaurant.id);
+    try {
+      await run(reason);
+      showToast(`✅ ${ADMIN_ACTIONS[action]}: ${restaurant.name || "listing"}`);
+      await load();
+    } catch (err) {
+      showToast("⚠️ " + err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const changeFeeOverride = (restaurant) => {
+    const value = window.prompt(
+      `Fee per confirmed booking for ${restaurant.name || "this listing"}, in UGX. Leave blank to use the ${FEE_PLANS[planFor(restaurant)].label} plan's fee:`,
+      restaurant.serviceFee ?? ""
+    );
+    if (value === null) return;
+    act(restaurant, "fee-plan-changed", () => setFeePlan(restaurant.id, { plan: planFor(restaurant), serviceFee: value.trim() }, { actor }));
+  };
+
+  const settle = (statement) => {
+    const total = statement.fees.reduce((sum, f) => sum + (f.amount || 0), 0);
+    if (!window.confirm(`Mark ${total.toLocaleString()} UGX from ${statement.name} for ${periodLabel(statement.period)} as paid?`)) return;
+    act(statement, "fees-paid", () => markFeesPaid(statement.fees.map(f => f.id), { actor }));
+  };
+
+  // ── render ────────────────────────────────────────
+  if (!isAdmin(userProfile)) {
+    return <Empty>Admins only.</Empty>;
+  }
+
+  const needle   = search.trim().toLowerCase();
+  const listings = tab !== "listings" ? [] : items
+    .filter(r => !needle || `${r.name} ${r.city} ${r.address}`.toLowerCase().includes(needle))
+    .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+
+  // unpaid fees → one statement per restaurant and month, oldest first
+  const statements = tab !== "fees" ? [] : Object.values(items.reduce((acc, f) => {
+    const id = `${f.restaurantId}_${f.period}`;
+    (acc[id] = acc[id] || { id, name: f.restaurantName || "Untitled", period: f.period, fees: [] }).fees.push(f);
+    return acc;
+  }, {})).sort((a, b) => a.period.localeCompare(b.period) || a.name.localeCompare(b.name));
+
+  return (
+    <div style={{ paddingBottom:80 }}>
+      <div style={{ background:"linear-gradient(135deg,#1C1917,#44403C)", padding:"40px 16px 20px", color:"#fff" }}>
+        <div style={{ fontSize:22, fontWeight:800, fontFamily:"'Playfair Display',serif" }}>Admin Console</div>
+        <div style={{ opacity:0.8, fontSize:13, marginTop:2 }}>Verification, boosts, moderation and fees</div>
+      </div>
+
+      <div style={{ display:"flex", gap:6, padding:"12px 16px 0", overflowX:"auto" }}>
+        {TABS.map(({ id, label, Icon }) => (
+          <button key={id} onClick={() => { setItems([]); setTab(id); }} style={{
+            ...smallBtn, display:"flex", alignItems:"center", gap:4, whiteSpace:"nowrap", padding:"8px 12px",
+            background: tab === id ? "#78350F" : "#fff", color: tab === id ? "#fff" : "#57534E"
+          }}>
+            <Icon size={14}/> {label}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ padding:16 }}>
+        {loading && <Empty>Loading…</Empty>}
+
+        {/* Verification queue */}
+        {tab === "verification" && !loading && items.length === 0 && <Empty>No listings waiting for verification.</Empty>}
+        {tab === "verification" && items.map(r => {
+          const docs    = r.verification?.documents || [];
+          const missing = REQUIRED_DOCUMENTS.filter(t => !docs.some(d => d.type === t));
+          return (
+            <div key={r.id} style={card}>
+              <div style={{ fontSize:14, fontWeight:700 }}>{r.emoji || "🍽️"} {r.name || "Untitled"}</div>
+              <div style={{ fontSize:11, color:"#A8A29E", marginBottom:8 }}>
+                {r.city}{r.address ? ` — ${r.address}` : ""} · submitted {when(r.verification?.submittedAt)}
+                {r.verification?.submittedBy?.name ? ` by ${r.verification.submittedBy.name}` : ""}
+              </div>
+              {docs.map(d => (
+                <a key={d.type} href={d.url} target="_blank" rel="noreferrer" style={{ display:"flex", alignItems:"center", gap:6, fontSize:12, color:"#1D4ED8", padding:"3px 0" }}>
+                  <FileText size={13}/> {DOCUMENT_TYPES[d.type] || d.type}
+                </a>
+              ))}
+              {missing.length > 0 && (
+                <div style={{ fontSize:11, color:"#991B1B", marginTop:4 }}>Missing: {missing.map(t => DOCUMENT_TYPES[t]).join(", ")}</div>
+              )}
+              <div style={{ display:"flex", gap:6, marginTop:10 }}>
+                <button disabled={busyId === r.id} onClick={() => act(r, "verification-approved", () => reviewVerification(r.id, true, null, { actor }))}
+                  style={{ ...smallBtn, background:"#16A34A", color:"#fff" }}>Approve</button>
+                <button disabled={busyId === r.id} onClick={() => act(r, "verification-rejected", (reason) => reviewVerification(r.id, false, reason, { actor }))}
+                  style={{ ...smallBtn, background:"#FEE2E2", color:"#991B1B" }}>Reject</button>
+              </div>
+            </div>
+          );
+        })}
+
+        {/* Boost approvals + live boosts */}
+        {tab === "boosts" && !loading && items.length === 0 && <Empty>No boost requests and no live boosts.</Empty>}
+        {tab === "boosts" && items.map(r => (
+          <div key={r.id} style={{ ...card, display:"flex", alignItems:"center", gap:10 }}>
+            <div style={{ flex:1, minWidth:0 }}>
+              <div style={{ fontSize:14, fontWeight:700 }}>{r.emoji || "🍽️"} {r.name || "Untitled"}</div>
+              <div style={{ fontSize:11, color:"#A8A29E" }}>
+                {r.boosted
+                  ? (r.boostRequest?.reviewedAt ? `Live since ${when(r.boostRequest.reviewedAt)}` : "Live")
+                  : `Requested ${when(r.boostRequest?.requestedAt)}${r.boostRequest?.requestedBy?.name ? ` by ${r.boostRequest.requestedBy.name}` : ""}`}
+                {r.verified ? " · ✓ verified" : " · not verified"}
+              </div>
+            </div>
+            {r.boosted ? (
+              <button disabled={busyId === r.id} onClick={() => act(r, "boost-ended", () => endBoost(r.id, null, { actor }))}
+                style={{ ...smallBtn, background:"#F3F4F6", color:"#57534E" }}>End boost</button>
+            ) : (
+              <>
+                <button disabled={busyId === r.id} onClick={() => act(r, "boost-approved", () => reviewBoost(r.id, true, null, { actor }))}
+                  style={{ ...smallBtn, background:"#16A34A", color:"#fff" }}>Approve</button>
+                <button disabled={busyId === r.id} onClick={() => act(r, "boost-rejected", (reason) => reviewBoost(r.id, false, reason, { actor }))}
+                  style={{ ...smallBtn, background:"#FEE2E2", color:"#991B1B" }}>Reject</button>
+              </>
+            )}
+          </div>
+        ))}
+
+        {/* All listings: feature / suspend */}
+        {tab === "listings" && (
+          <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Search by name, district or address"
+            style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB", marginBottom:12, boxSizing:"border-box" }} />
+        )}
+        {tab === "listings" && !loading && listings.length === 0 && <Empty>No listings match.</Empty>}
+        {listings.map(r => {
+          const meta = verificationMeta(r.verified ? "approved" : r.verification?.status);
+          return (
+            <div key={r.id} style={{ ...card, border: r.suspended ? "1.5px solid #FECACA" : "none" }}>
+              <div style={{ display:"flex", alignItems:"center", gap:8 }}>
+                <div style={{ flex:1, minWidth:0, fontSize:14, fontWeight:700, overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }}>
+                  {r.emoji || "🍽️"} {r.name || "Untitled"}
+                </div>
+                <span style={{ background:meta.bg, color:meta.color, borderRadius:10, padding:"2px 8px", fontSize:10, fontWeight:700 }}>{meta.label}</span>
+              </div>
+              <div style={{ fontSize:11, color:"#A8A29E", marginTop:2 }}>
+                {r.city}{r.featured ? " · ⭐ featured" : ""}{r.boosted ? " · 🚀 boosted" : ""}
+              </div>
+              {r.suspended && (
+                <div style={{ fontSize:12, color:"#991B1B", marginTop:4 }}>⛔ Suspended{r.suspendedReason ? `: ${r.suspendedReason}` : ""}</div>
+              )}
+              <div style={{ display:"flex", gap:6, marginTop:10 }}>
+                {!r.suspended && (
+                  <button disabled={busyId === r.id} onClick={() => act(r, r.featured ? "unfeatured" : "featured", () => setFeatured(r.id, !r.featured, { actor }))}
+                    style={{ ...smallBtn, background:"#FEF3C7", color:"#78350F", display:"flex", alignItems:"center", gap:4 }}>
+                    <Star size={13} fill={r.featured ? "#78350F" : "none"}/> {r.featured ? "Unfeature" : "Feature"}
+                  </button>
+                )}
+                <button disabled={busyId === r.id}
+                  onClick={() => act(r, r.suspended ? "reinstated" : "suspended", (reason) => setSuspended(r.id, !r.suspended, reason, { actor }))}
+                  style={{ ...smallBtn, background: r.suspended ? "#DCFCE7" : "#FEE2E2", color: r.suspended ? "#166534" : "#991B1B", display:"flex", alignItems:"center", gap:4 }}>
+                  <Ban size={13}/> {r.suspended ? "Reinstate" : "Suspend"}
+                </button>
+              </div>
+              <div style={{ display:"flex", alignItems:"center", gap:6, marginTop:8, fontSize:11, color:"#78716C" }}>
+                Fee plan
+                <select value={planFor(r)} disabled={busyId === r.id}
+                  onChange={e => act(r, "fee-plan-changed", () => setFeePlan(r.id, { plan: e.target.value, serviceFee: r.serviceFee }, { actor }))}
+                  style={{ padding:"4px 6px", borderRadius:8, border:"1px solid #E5E7EB", fontSize:11 }}>
+                  {Object.entries(FEE_PLANS).map(([id, p]) => (
+                    <option key={id} value={id}>{p.label} — {p.bookingFee.toLocaleString()} UGX</option>
+                  ))}
+                </select>
+                <button disabled={busyId === r.id} onClick={() => changeFeeOverride(r)} style={{ ...smallBtn, padding:"4px 8px", fontSize:11, background:"#F3F4F6", color:"#57534E" }}>
+                  {r.serviceFee != null ? `Override: ${Number(r.serviceFee).toLocaleString()} UGX` : "Set override"}
+                </button>
+              </div>
+            </div>
+          );
+        })}
+
+        {/* Unpaid service-fee statements */}
+        {tab === "fees" && !loading && statements.length === 0 && <Empty>No unpaid service fees.</Empty>}
+        {statements.map(st => {
+          const total = st.fees.reduce((sum, f) => sum + (f.amount || 0), 0);
+          return (
+            <div key={st.id} style={{ ...card, display:"flex", alignItems:"center", gap:10 }}>
+              <div style={{ flex:1, minWidth:0 }}>
+                <div style={{ fontSize:14, fontWeight:700 }}>{st.name}</div>
+                <div style={{ fontSize:11, color:"#A8A29E" }}>
+                  {periodLabel(st.period)} · {st.fees.length} booking{st.fees.length > 1 ? "s" : ""} · {total.toLocaleString()} UGX due
+                </div>
+              </div>
+              <button disabled={busyId === st.id} onClick={() => settle(st)}
+                style={{ ...smallBtn, background:"#16A34A", color:"#fff" }}>Mark paid</button>
+            </div>
+          );
+        })}
+
+        {/* Audit log */}
+        {tab === "audit" && !loading && items.length === 0 && <Empty>No admin actions yet.</Empty>}
+        {tab === "audit" && items.map(e => (
+          <div key={e.id} style={{ ...card, padding:"10px 14px" }}>
+            <div style={{ display:"flex", justifyContent:"space-between", gap:8, fontSize:13 }}>
+              <span><strong>{ADMIN_ACTIONS[e.action] || e.action}</strong> — {e.restaurantName || e.restaurantId}</span>
+              <span style={{ fontSize:11, color:"#A8A29E", whiteSpace:"nowrap" }}>{when(e.createdAt)}</span>
+            </div>
+            <div style={{ fontSize:11, color:"#78716C", marginTop:2 }}>
+              by {e.actor?.name || e.actor?.uid}{e.reason ? ` — “${e.reason}”` : ""}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
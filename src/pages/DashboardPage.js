@@ -3,30 +3,98 @@
 // =============================================================
 // Two states:
 //   1. Not logged in  → Login / Register form (real Firebase Auth).
-//   2. Logged in as owner → Dashboard with:
-//        • Stats fetched from Firestore (booking count, etc.)
-//        • Restaurant info editor (name, city, address, hours)
-//        • Menu editor (add / remove / edit items)
+//   2. Logged in as owner or staff → Dashboard with:
+//        • Restaurant switcher for owners with several branches
+//          (and staff of several restaurants), and "Add restaurant"
+//          (blank, or copying another one's menu and branding);
+//          every panel follows the selection
+//        • Each panel only shows when the signed-in user's role at
+//          the selected restaurant allows it (constants/staff.js)
+//        • Pending staff invites for the user's email, to accept
+//        • Staff & access: invite, change role, revoke (StaffPanel)
+//        • Boost request and verification documents (VerificationPanel),
+//          both reviewed by platform admins in AdminPage; a banner
+//          with the reason when the listing is suspended
+//        • Diner chat, answered as the restaurant (ChatWindow)
+//        • Live bookings inbox (BookingInbox → onSnapshot)
+//        • "Open Kitchen Display" → KitchenPage (pickup queue)
+//        • Waitlist queue (WaitlistPanel) + "busy" switch
+//        • Monthly service-fee statements (FeeStatements)
+//        • Promo codes and automatic offers (PromotionsPanel)
+//        • Restaurant info editor (name, city, address, phone, and the
+//          email booking alerts go to)
+//        • Opening hours (HoursEditor): per-day intervals, holidays /
+//          special hours, "temporarily closed"
+//        • Cuisine categories + primary cuisine (CategoryPicker),
+//          with suggestions from the menu
+//        • Capacity settings (seats, slot length, max covers/slot)
+//        • Booking rules (lead time, booking window, blackout dates)
+//        • Pickup payments (deposit / full prepayment by mobile money)
+//        • Delivery pricing (base fee, per km, max radius)
+//        • Menu editor (MenuEditor — items, descriptions, popular flag,
+//          reordering, variants, add-ons, dietary tags,
+//          sold-out / hidden toggles saved at once, section hours)
+//        • Menu import / export as CSV or JSON (MenuTransfer)
 //        • OwnerMap for real lat/lng pinning
 //        • Save buttons that call updateRestaurant() or createRestaurant()
+//        • Sends due booking notifications (processOutbox) while open
 // =============================================================
 
 import { useState, useEffect, useCallback } from "react";
-import { ArrowLeft, Check, Plus, Minus, LogOut, Camera, Upload, Zap } from "lucide-react";
+import { ArrowLeft, Check, Plus, Minus, LogOut, Camera, Upload, Zap, ChefHat, Store, CopyPlus, MessageCircle } from "lucide-react";
 import { useAuth } from "../context/AuthContext.js"; // Added .js
 import { 
-  getOwnerRestaurants, 
+  getManagedRestaurants, 
   createRestaurant, 
   updateRestaurant, 
-  getRestaurantBookings,
-  uploadImage 
+  uploadImage,
+  processOutbox,
+  setMenuItemAvailability,
+  getMyStaffInvites,
+  acceptStaffInvite,
+  requestBoost
 } from "../utils/firestoreService.js"; // Added .js
 import { OwnerMap } from "../components/MapComponents.js"; // Added .js
+import BookingInbox from "../components/BookingInbox.js";
+import WaitlistPanel from "../components/WaitlistPanel.js";
+import FeeStatements from "../components/FeeStatements.js";
+import PromotionsPanel from "../components/PromotionsPanel.js";
+import MenuEditor from "../components/MenuEditor.js";
+import MenuTransfer from "../components/MenuTransfer.js";
+import CategoryPicker from "../components/CategoryPicker.js";
+import HoursEditor from "../components/HoursEditor.js";
+import StaffPanel from "../components/StaffPanel.js";
+import ChatWindow from "../components/ChatWindow.js";
+import VerificationPanel from "../components/VerificationPanel.js";
+import { can, roleMeta } from "../constants/staff.js";
+import { BOOST_STATUS } from "../constants/admin.js";
+import { cleanCategories } from "../constants/categories.js";
+import { cleanItemOptions } from "../utils/menuOptions.js";
+import { cleanDietary } from "../constants/dietary.js";
+import { DEFAULT_RESET_HOUR, resetHourFor } from "../utils/menuAvailability.js";
 import { UGANDAN_DISTRICTS } from "../constants/uganda.js"; // Added .js
+import {
+  DEFAULT_CAPACITY, DEFAULT_BOOKING_RULES, DEFAULT_WEEKLY_HOURS, WEEK_DAYS, weeklyHoursFor, cleanIntervals
+} from "../utils/scheduling.js";
+import { DEFAULT_OFFER_MINUTES } from "../constants/bookings.js";
+import { DEFAULT_PICKUP_PAYMENT, PICKUP_PAYMENT_MODES } from "../constants/payments.js";
+import { DEFAULT_DELIVERY } from "../utils/delivery.js";
 
 const DISTRICTS = UGANDAN_DISTRICTS;
+const OUTBOX_POLL_MS = 60000;
 
-export default function DashboardPage({ onBack, showToast }) {
+// What a new branch copies from an existing restaurant — menu,
+// branding and settings, not its address, phone or status
+const BRANCH_FIELDS = [
+  "city", "weeklyHours", "openTime", "closeTime", "emoji", "categories", "primaryCategory", "menu", "menuResetHour",
+  "profilePic", "coverPhoto", "capacity", "bookingRules", "waitlistOfferMinutes", "pickupPayment", "delivery"
+];
+
+function branchFrom(source) {
+  return Object.fromEntries(BRANCH_FIELDS.filter(f => source[f] !== undefined).map(f => [f, source[f]]));
+}
+
+export default function DashboardPage({ onBack, showToast, onOpenKitchen }) {
   const { user, userProfile, loading: authLoading, signUp, loginEmail, loginGoogle, logout } = useAuth();
 
   // ── states ────────────────────────────────────────
@@ -39,27 +107,42 @@ export default function DashboardPage({ onBack, showToast }) {
 
   const [restaurants,  setRestaurants]  = useState([]);
   const [activeRes,    setActiveRes]    = useState(null);
-  const [bookingCount, setBookingCount] = useState(0);
   const [dashLoading,  setDashLoading]  = useState(false);
   const [saveBusy,     setSaveBusy]     = useState(false);
+  const [adding,       setAdding]       = useState(false);   // "Add restaurant" chooser open
+  const [savedForm,    setSavedForm]    = useState(null);    // form as last loaded, for unsaved-changes checks
+  const [invites,      setInvites]      = useState([]);      // staff invites waiting for this user
+  const [chatOpen,     setChatOpen]     = useState(false);
 
   const [form, setForm] = useState({
     name:      "",
     city:      "Kampala",
     address:   "",
     phone:     "",
-    openTime:  "08:00",
-    closeTime: "22:00",
+    email:     "",
     emoji:     "🍽️",
+    categories: [],
+    primaryCategory: "",
     menu:      [{ category: "Main Course", items: [{ name: "", price: "", image: "" }] }],
     lat:       0.3187,
     lng:       32.5840,
+    weeklyHours: DEFAULT_WEEKLY_HOURS,
+    hoursExceptions: [],
+    temporarilyClosed: false,
+    closedNote: "",
+    capacity:  DEFAULT_CAPACITY,
+    bookingRules: DEFAULT_BOOKING_RULES,
+    busy:      false,
+    waitlistOfferMinutes: DEFAULT_OFFER_MINUTES,
+    pickupPayment: DEFAULT_PICKUP_PAYMENT,
+    delivery:  DEFAULT_DELIVERY,
+    menuResetHour: DEFAULT_RESET_HOUR,
     profilePic: "",
-    coverPhoto: "",
-    boosted:    false,
-    boostRequested: false
+    coverPhoto: ""
   });
 
+  const [newBlackout, setNewBlackout] = useState({ date: "", reason: "" });
+
   // ── image upload local states (files) ──────────────
   const [uploadProgress, setUploadProgress] = useState({}); // { field: boolean }
 
@@ -116,14 +199,13 @@ export default function DashboardPage({ onBack, showToast }) {
     async function load() {
       setDashLoading(true);
       try {
-        const docs = await getOwnerRestaurants(user.uid);
+        const [docs, pending] = await Promise.all([getManagedRestaurants(user.uid), getMyStaffInvites(user.email)]);
         if (!cancelled) {
           setRestaurants(docs);
+          setInvites(pending);
           if (docs.length > 0) {
             setActiveRes(docs[0]);
             populateForm(docs[0]);
-            const bookings = await getRestaurantBookings(docs[0].id);
-            if (!cancelled) setBookingCount(bookings.length);
           }
         }
       } catch (err) {
@@ -136,6 +218,16 @@ export default function DashboardPage({ onBack, showToast }) {
     return () => { cancelled = true; };
   }, [user]);
 
+  // ── notification outbox: retries + reminders ──────
+  // No server worker yet, so the open dashboard sends what's due.
+  useEffect(() => {
+    if (!activeRes?.id) return;
+    const run = () => processOutbox(activeRes.id).catch((err) => console.error("Outbox failed", err));
+    run();
+    const id = setInterval(run, OUTBOX_POLL_MS);
+    return () => clearInterval(id);
+  }, [activeRes?.id]);
+
   function populateForm(doc) {
     // Migration: if menu is old format [{name, price}], wrap it in a category
     let cleanMenu = doc.menu || [{ category: "Main Course", items: [{ name: "", price: "", image: "" }] }];
@@ -143,24 +235,75 @@ export default function DashboardPage({ onBack, showToast }) {
       cleanMenu = [{ category: "Main Course", items: cleanMenu }];
     }
 
-    setForm({
+    const next = {
       name:       doc.name       || "",
       city:       doc.city       || "Kampala",
       address:    doc.address    || "",
       phone:      doc.phone      || "",
-      openTime:   doc.openTime   || "08:00",
-      closeTime:  doc.closeTime  || "22:00",
+      // booking alerts: the owner's sign-in email until one is saved
+      email:      doc.email || (!doc.id || doc.ownerId === user?.uid ? user?.email || "" : ""),
       emoji:      doc.emoji      || "🍽️",
+      categories: cleanCategories(doc.categories, doc.primaryCategory),
+      primaryCategory: cleanCategories(doc.categories, doc.primaryCategory)[0] || "",
       menu:       cleanMenu,
       lat:        doc.lat        || 0.3187,
       lng:        doc.lng        || 32.5840,
+      weeklyHours: weeklyHoursFor(doc) || DEFAULT_WEEKLY_HOURS,
+      hoursExceptions: doc.hoursExceptions || [],
+      temporarilyClosed: !!doc.temporarilyClosed,
+      closedNote: doc.closedNote || "",
+      capacity:   { ...DEFAULT_CAPACITY, ...(doc.capacity || {}) },
+      bookingRules: { ...DEFAULT_BOOKING_RULES, ...(doc.bookingRules || {}) },
+      busy:       doc.busy       || false,
+      waitlistOfferMinutes: doc.waitlistOfferMinutes || DEFAULT_OFFER_MINUTES,
+      pickupPayment: { ...DEFAULT_PICKUP_PAYMENT, ...(doc.pickupPayment || {}) },
+      delivery:   { ...DEFAULT_DELIVERY, ...(doc.delivery || {}) },
+      menuResetHour: resetHourFor(doc),
       profilePic: doc.profilePic || "",
-      coverPhoto: doc.coverPhoto || "",
-      boosted:    doc.boosted    || false,
-      boostRequested: doc.boostRequested || false
-    });
+      coverPhoto: doc.coverPhoto || ""
+    };
+    setForm(next);
+    setSavedForm(next);
   }
 
+  // ── role at the selected restaurant ───────────────
+  // A restaurant being created is the user's own.
+  const myRole  = activeRes?.myRole || "owner";
+  const allowed = (permission) => can(myRole, permission);
+  const actor   = { uid: user?.uid, name: user?.displayName || user?.email };
+
+  // boost: live, waiting for an admin, or how the last request ended
+  const boostState = activeRes?.boosted ? "approved" : activeRes?.boostRequested ? "pending" : activeRes?.boostRequest?.status;
+
+  // ── restaurant switching ──────────────────────────
+  // keeps the selected restaurant and the switcher list in step
+  const updateActive = (patch) => {
+    const saved = { ...activeRes, ...patch };
+    setActiveRes(saved);
+    setRestaurants(p => p.map(r => (r.id === saved.id ? saved : r)));
+  };
+
+  const confirmDiscard = () => JSON.stringify(form) === JSON.stringify(savedForm) ||
+    window.confirm("You have unsaved changes — discard them?");
+
+  const selectRestaurant = (id) => {
+    const doc = restaurants.find(r => r.id === id);
+    if (!doc || doc.id === activeRes?.id || !confirmDiscard()) return;
+    setAdding(false);
+    setChatOpen(false);
+    setActiveRes(doc);
+    populateForm(doc);
+  };
+
+  // source: a restaurant to copy the menu + branding from, or null
+  const startNewRestaurant = (source) => {
+    if (!confirmDiscard()) return;
+    setAdding(false);
+    setActiveRes(null);
+    populateForm(source ? branchFrom(source) : {});
+    showToast(source ? `📋 Copied ${source.name || "the menu"} — add the new branch's details` : "🆕 New restaurant — fill in the details");
+  };
+
   // ── auth handlers ─────────────────────────────────
   const handleLogin = async () => {
     setAuthBusy(true); setAuthErr(null);
@@ -183,38 +326,129 @@ export default function DashboardPage({ onBack, showToast }) {
     setAuthBusy(false);
   };
 
-  // ── menu helpers ──────────────────────────────────
-  const addSection = () => setForm(p => ({ ...p, menu: [...p.menu, { category: "New Section", items: [{ name: "", price: "", image: "" }] }] }));
-  const addItem = (si) => setForm(p => ({
-    ...p,
-    menu: p.menu.map((s, i) => i === si ? { ...s, items: [...s.items, { name: "", price: "", image: "" }] } : s)
-  }));
+  // ── staff ─────────────────────────────────────────
+  const handleAcceptInvite = async (invite) => {
+    try {
+      await acceptStaffInvite(invite.id, user);
+      const docs   = await getManagedRestaurants(user.uid);
+      const joined = docs.find(r => r.id === invite.restaurantId);
+      setRestaurants(docs);
+      setInvites(list => list.filter(i => i.id !== invite.id));
+      if (joined && confirmDiscard()) { setActiveRes(joined); populateForm(joined); }
+      showToast(`✅ You joined ${invite.restaurantName || "the restaurant"} as ${roleMeta(invite.role).label}`);
+    } catch (err) {
+      showToast("⚠️ " + err.message);
+    }
+  };
+
+  const handleStaffChange = (staff) => updateActive({ staff, staffIds: Object.keys(staff) });
+
+  // ── verification & boost (reviewed in AdminPage) ─
+  const handleVerificationChange = (verification) => updateActive({ verification });
+
+  const handleRequestBoost = async () => {
+    try {
+      await requestBoost(activeRes.id, { actor });
+      updateActive({ boostRequested: true, boostRequest: { status: "pending", requestedAt: new Date().toISOString() } });
+      showToast("🚀 Boost requested — our team will review it");
+    } catch (err) {
+      showToast("⚠️ " + err.message);
+    }
+  };
+
+  // ── booking rule helpers ──────────────────────────
+  const setRule = (key, value) => setForm(p => ({ ...p, bookingRules: { ...p.bookingRules, [key]: value } }));
+  const addBlackout = () => {
+    if (!newBlackout.date) return;
+    const rest = form.bookingRules.blackoutDates.filter(b => b.date !== newBlackout.date);
+    setRule("blackoutDates", [...rest, { date: newBlackout.date, reason: newBlackout.reason.trim() }].sort((a, b) => a.date.localeCompare(b.date)));
+    setNewBlackout({ date: "", reason: "" });
+  };
+  const removeBlackout = (date) => setRule("blackoutDates", form.bookingRules.blackoutDates.filter(b => b.date !== date));
+
+  // ── menu availability (saved straight away) ───────
+  const handleAvailabilityChange = async (itemName, patch) => {
+    if (!activeRes) return;
+    try {
+      await setMenuItemAvailability(activeRes.id, itemName, patch, { actor });
+      showToast(`✅ ${itemName}: ${patch.availability === "sold-out" ? "sold out today" : patch.availability}`);
+    } catch (err) {
+      showToast("⚠️ " + err.message);
+    }
+  };
 
   // ── save ──────────────────────────────────────────
   const handleSave = async () => {
     setSaveBusy(true);
     const payload = {
       ...form,
+      weeklyHours: Object.fromEntries(WEEK_DAYS.map(d => [d.key, cleanIntervals(form.weeklyHours[d.key])])),
+      hoursExceptions: form.hoursExceptions
+        .filter(e => e.date)
+        .map(e => ({ date: e.date, closed: !!e.closed, intervals: e.closed ? [] : cleanIntervals(e.intervals), reason: e.reason || "" })),
+      closedNote: form.temporarilyClosed ? form.closedNote.trim() : "",
+      email:      form.email.trim(),
+      capacity: {
+        seats:            parseInt(form.capacity.seats, 10)            || 0,
+        slotMinutes:      parseInt(form.capacity.slotMinutes, 10)      || DEFAULT_CAPACITY.slotMinutes,
+        maxCoversPerSlot: parseInt(form.capacity.maxCoversPerSlot, 10) || 0
+      },
+      waitlistOfferMinutes: parseInt(form.waitlistOfferMinutes, 10) || DEFAULT_OFFER_MINUTES,
+      pickupPayment: {
+        mode:           form.pickupPayment.mode,
+        depositPercent: Math.min(100, parseInt(form.pickupPayment.depositPercent, 10) || 0)
+      },
+      delivery: {
+        enabled:     !!form.delivery.enabled,
+        baseFee:     parseInt(form.delivery.baseFee, 10) || 0,
+        perKm:       parseInt(form.delivery.perKm, 10)   || 0,
+        maxRadiusKm: parseFloat(form.delivery.maxRadiusKm) || 0
+      },
+      bookingRules: {
+        minLeadMinutes: parseInt(form.bookingRules.minLeadMinutes, 10) || 0,
+        maxAdvanceDays: parseInt(form.bookingRules.maxAdvanceDays, 10) || 0,
+        blackoutDates:  form.bookingRules.blackoutDates || []
+      },
+      categories:      cleanCategories(form.categories, form.primaryCategory),
+      primaryCategory: cleanCategories(form.categories, form.primaryCategory)[0] || "",
+      menuResetHour: resetHourFor(form),
+      // fields are normalised, not whitelisted — anything else on a
+      // section or item (e.g. from an import) is kept as it is
       menu: form.menu.map(s => ({
+        ...s,
         category: s.category,
-        items: s.items.filter(i => i.name).map(i => ({ 
-          name: i.name, 
+        availableFrom: s.availableFrom && s.availableTo ? s.availableFrom : "",
+        availableTo:   s.availableFrom && s.availableTo ? s.availableTo   : "",
+        items: s.items.filter(i => i.name).map(({ variantLabel, variants, addonGroups, ...i }) => ({ 
+          ...i,
+          name: i.name.trim(), 
           price: parseInt(i.price, 10) || 0,
-          image: i.image || ""
+          image: i.image || "",
+          description: (i.description || "").trim(),
+          popular: !!i.popular,
+          availability: i.availability || "available",
+          soldOutAt: i.availability === "sold-out" ? i.soldOutAt || null : null,
+          ...cleanItemOptions({ variantLabel, variants, addonGroups }),
+          ...cleanDietary(i)
         }))
       })).filter(s => s.items.length > 0)
     };
 
     try {
       if (activeRes) {
-        await updateRestaurant(activeRes.id, payload);
+        await updateRestaurant(activeRes.id, payload, { actor });
+        const saved = { ...activeRes, ...payload };
+        setActiveRes(saved);
+        setRestaurants(p => p.map(r => (r.id === saved.id ? saved : r)));
+        setSavedForm(form);
         showToast("✅ Saved!");
       } else {
         const id = await createRestaurant(payload, user.uid);
         showToast("✅ Registered!");
-        const docs = await getOwnerRestaurants(user.uid);
+        const docs = await getManagedRestaurants(user.uid);
+        const created = docs.find(r => r.id === id) || docs[0];
         setRestaurants(docs);
-        if (docs.length) { setActiveRes(docs[0]); populateForm(docs[0]); }
+        if (created) { setActiveRes(created); populateForm(created); }
       }
     } catch (err) {
       showToast("⚠️ Save failed: " + err.message);
@@ -277,186 +511,385 @@ export default function DashboardPage({ onBack, showToast }) {
             Logout
           </button>
         </div>
+
+        {/* Restaurant switcher */}
+        {restaurants.length > 0 && (
+          <div style={{ display:"flex", gap:8, marginTop:14 }}>
+            <div style={{ flex:1, position:"relative", minWidth:0 }}>
+              <Store size={15} style={{ position:"absolute", left:10, top:"50%", transform:"translateY(-50%)", color:"#78350F", pointerEvents:"none" }}/>
+              <select value={activeRes?.id || ""} onChange={e => selectRestaurant(e.target.value)}
+                style={{ width:"100%", padding:"10px 10px 10px 32px", borderRadius:10, border:"none", fontSize:13, fontWeight:600, color:"#1C1917" }}>
+                {!activeRes && <option value="">{form.name || "New restaurant"} (not saved yet)</option>}
+                {restaurants.map(r => (
+                  <option key={r.id} value={r.id}>
+                    {r.emoji || "🍽️"} {r.name || "Untitled"}{r.city ? ` — ${r.city}` : ""}{r.myRole !== "owner" ? ` (${roleMeta(r.myRole).label})` : ""}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <button onClick={() => setAdding(a => !a)} style={{ background: adding ? "#fff" : "rgba(255,255,255,0.15)", color: adding ? "#78350F" : "#fff", border:"none", borderRadius:10, padding:"0 12px", fontSize:12, fontWeight:700, cursor:"pointer", display:"flex", alignItems:"center", gap:4 }}>
+              <Plus size={14}/> Add
+            </button>
+          </div>
+        )}
       </div>
 
       <div style={{ padding:16 }}>
-        {/* Boost / Featured Status */}
-        <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16, border:"1px solid #FEF3C7", display:"flex", justifyContent:"space-between", alignItems:"center" }}>
+        {/* Add restaurant: blank or copied from a branch */}
+        {adding && (
+          <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16, border:"1.5px solid #D97706" }}>
+            <div style={{ fontSize:15, fontWeight:700, marginBottom:4 }}>Add a restaurant</div>
+            <div style={{ fontSize:11, color:"#78716C", marginBottom:12 }}>
+              Copying a branch brings its menu, photos, categories and booking settings — you add the new address and phone.
+            </div>
+            <button onClick={() => startNewRestaurant(null)} style={{ width:"100%", background:"#FFFBEB", border:"1px solid #FEF3C7", borderRadius:10, padding:12, fontSize:13, fontWeight:600, color:"#78350F", cursor:"pointer", display:"flex", alignItems:"center", gap:8, marginBottom:8 }}>
+              <Plus size={16}/> Start from scratch
+            </button>
+            {restaurants.filter(r => r.myRole === "owner").map(r => (
+              <button key={r.id} onClick={() => startNewRestaurant(r)} style={{ width:"100%", background:"#fff", border:"1px solid #E7E5E4", borderRadius:10, padding:12, fontSize:13, color:"#1C1917", cursor:"pointer", display:"flex", alignItems:"center", gap:8, marginBottom:8, textAlign:"left" }}>
+                <CopyPlus size={16} color="#D97706"/>
+                <span style={{ flex:1 }}>Copy <strong>{r.name || "Untitled"}</strong>{r.city ? ` (${r.city})` : ""}</span>
+                <span style={{ fontSize:11, color:"#A8A29E" }}>{(r.menu || []).reduce((n, s) => n + (s.items || []).length, 0)} dishes</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Staff invites for this user */}
+        {invites.map(inv => (
+          <div key={inv.id} style={{ background:"#EFF6FF", borderRadius:16, padding:14, marginBottom:16, display:"flex", alignItems:"center", gap:10 }}>
+            <div style={{ flex:1, fontSize:13, color:"#1E3A8A" }}>
+              <strong>{inv.invitedBy?.name || "An owner"}</strong> invited you to <strong>{inv.restaurantName || "their restaurant"}</strong> as {roleMeta(inv.role).label}.
+            </div>
+            <button onClick={() => handleAcceptInvite(inv)} style={{ background:"#1D4ED8", color:"#fff", border:"none", borderRadius:10, padding:"8px 14px", fontSize:12, fontWeight:700, cursor:"pointer" }}>
+              Accept
+            </button>
+          </div>
+        ))}
+
+        {activeRes?.suspended && (
+          <div style={{ background:"#FEF2F2", border:"1px solid #FECACA", borderRadius:16, padding:14, marginBottom:16, fontSize:13, color:"#991B1B" }}>
+            <strong>⛔ This listing is suspended.</strong> Diners can't find or book {activeRes.name || "it"} until our team reinstates it.
+            {activeRes.suspendedReason && <div style={{ marginTop:4, fontSize:12 }}>Reason: {activeRes.suspendedReason}</div>}
+          </div>
+        )}
+
+        {activeRes && myRole !== "owner" && (
+          <div style={{ background:"#fff", borderRadius:12, padding:"10px 14px", marginBottom:16, fontSize:12, color:"#57534E" }}>
+            You're <strong style={{ color:roleMeta(myRole).color }}>{roleMeta(myRole).label}</strong> at {activeRes.name}: you see only what that role allows.
+          </div>
+        )}
+
+        {/* Kitchen display launcher */}
+        {activeRes && onOpenKitchen && allowed("kitchen") && (
+          <button onClick={() => onOpenKitchen(activeRes)} style={{ width:"100%", background:"#1C1917", color:"#fff", border:"none", borderRadius:16, padding:14, marginBottom:16, fontSize:14, fontWeight:700, cursor:"pointer", display:"flex", alignItems:"center", justifyContent:"center", gap:8 }}>
+            <ChefHat size={18}/> Open Kitchen Display
+          </button>
+        )}
+
+        {/* Live Bookings Inbox */}
+        {/* keyed by restaurant so no selection or filter carries over between branches */}
+        {activeRes && allowed("bookings") && <BookingInbox key={`inbox-${activeRes.id}`} restaurantId={activeRes.id} role={myRole} showToast={showToast} />}
+        {activeRes && allowed("bookings") && <WaitlistPanel key={`waitlist-${activeRes.id}`} restaurantId={activeRes.id} showToast={showToast} />}
+
+        {/* Diner chat */}
+        {activeRes && allowed("chat") && (
+          <button onClick={() => setChatOpen(true)} style={{ width:"100%", background:"#fff", color:"#78350F", border:"1px solid #FEF3C7", borderRadius:16, padding:14, marginBottom:16, fontSize:14, fontWeight:700, cursor:"pointer", display:"flex", alignItems:"center", justifyContent:"center", gap:8 }}>
+            <MessageCircle size={18}/> Diner Chat
+          </button>
+        )}
+        {chatOpen && activeRes && (
+          <ChatWindow
+            restaurantId={activeRes.id}
+            restaurantName={activeRes.name}
+            currentUser={user}
+            actor={actor}
+            role={myRole}
+            onClose={() => setChatOpen(false)}
+          />
+        )}
+
+        {activeRes && allowed("billing") && <FeeStatements key={`fees-${activeRes.id}`} restaurant={activeRes} showToast={showToast} />}
+        {activeRes && allowed("promotions") && <PromotionsPanel key={`promos-${activeRes.id}`} restaurant={activeRes} showToast={showToast} />}
+        {activeRes && allowed("staff") && <StaffPanel key={`staff-${activeRes.id}`} restaurant={activeRes} showToast={showToast} onStaffChange={handleStaffChange} />}
+
+        {/* Boost: owners ask, an admin approves (AdminPage) */}
+        {activeRes && allowed("billing") && <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16, border:"1px solid #FEF3C7", display:"flex", justifyContent:"space-between", alignItems:"center" }}>
           <div style={{ flex: 1 }}>
             <div style={{ fontSize:14, fontWeight:700, display:"flex", alignItems:"center", gap:5 }}>
-              <Zap size={16} color={form.boosted ? "#D97706" : form.boostRequested ? "#3B82F6" : "#A8A29E"} fill={form.boosted ? "#D97706" : "none"} />
-              Boost Status: <span style={{ color: form.boosted ? "#16A34A" : form.boostRequested ? "#3B82F6" : "#A8A29E" }}>
-                {form.boosted ? "ACTIVE" : form.boostRequested ? "PENDING APPROVAL" : "Standard"}
+              <Zap size={16} color={boostState === "approved" ? "#D97706" : boostState === "pending" ? "#3B82F6" : "#A8A29E"} fill={boostState === "approved" ? "#D97706" : "none"} />
+              Boost Status: <span style={{ color: BOOST_STATUS[boostState]?.color || "#A8A29E" }}>
+                {BOOST_STATUS[boostState]?.label || "Standard"}
               </span>
             </div>
             <div style={{ fontSize:11, color:"#78716C", marginTop:2 }}>
-              {form.boosted 
-                ? "Your restaurant is featured at the top!" 
-                : form.boostRequested 
-                  ? "Admin is reviewing your boost request. Contact support for faster activation." 
-                  : "Get featured at the top of search results for a small fee."}
+              {boostState === "approved"
+                ? "Your restaurant is featured at the top!"
+                : boostState === "pending"
+                  ? "Our team is reviewing your boost request."
+                  : boostState === "rejected" && activeRes.boostRequest.reason
+                    ? `Not approved: ${activeRes.boostRequest.reason}`
+                    : "Get featured at the top of search results for a small fee."}
             </div>
           </div>
           <div style={{ marginLeft: 12 }}>
-            {!form.boosted && (
-              <button 
-                onClick={() => {
-                  if (!form.boostRequested) {
-                    setForm(p => ({ ...p, boostRequested: true }));
-                    window.open(`https://wa.me/256700000000?text=I%20want%20to%20boost%20my%20restaurant:%20${form.name}`, '_blank');
-                  }
-                }}
-                disabled={form.boostRequested}
-                style={{ 
-                  background: form.boostRequested ? "#F3F4F6" : "#78350F", 
-                  color: form.boostRequested ? "#9CA3AF" : "#fff",
-                  border: "none", borderRadius:10, padding:"8px 16px", fontSize:12, fontWeight:700, cursor: form.boostRequested ? "default" : "pointer"
-                }}
-              >
-                {form.boostRequested ? "Requested" : "🚀 Boost Now"}
-              </button>
-            )}
-            {form.boosted && (
+            {boostState === "approved" ? (
               <div style={{ fontSize:10, color:"#16A34A", fontWeight:800 }}>⭐ LIVE</div>
+            ) : (
+              <button onClick={handleRequestBoost} disabled={boostState === "pending" || activeRes.suspended}
+                style={{
+                  background: boostState === "pending" || activeRes.suspended ? "#F3F4F6" : "#78350F",
+                  color: boostState === "pending" || activeRes.suspended ? "#9CA3AF" : "#fff",
+                  border: "none", borderRadius:10, padding:"8px 16px", fontSize:12, fontWeight:700, cursor: boostState === "pending" || activeRes.suspended ? "default" : "pointer"
+                }}>
+                {boostState === "pending" ? "Requested" : boostState === "rejected" || boostState === "ended" ? "🚀 Ask again" : "🚀 Boost Now"}
+              </button>
             )}
           </div>
-        </div>
+        </div>}
+
+        {activeRes && allowed("settings") && (
+          <VerificationPanel key={`verify-${activeRes.id}`} restaurant={activeRes} showToast={showToast} onVerificationChange={handleVerificationChange} />
+        )}
+
+        {/* Restaurant settings */}
+        {allowed("settings") && (
+          <>
+            {/* Media Section (Profile / Cover) */}
+            <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16, boxShadow:"0 2px 8px rgba(0,0,0,0.03)" }}>
+              <div style={{ fontSize:15, fontWeight:700, marginBottom:12 }}>Photos & Branding</div>
+              
+              <div style={{ display:"flex", gap:12 }}>
+                {/* Profile Pic */}
+                <div style={{ flex:1 }}>
+                  <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:6 }}>LOGO / PROFILE</label>
+                  <div style={{ position:"relative", width:80, height:80, background:"#F3F4F6", borderRadius:20, overflow:"hidden", border:"2px dashed #D1D5DB" }}>
+                    {form.profilePic ? (
+                      <img src={form.profilePic} style={{ width:"100%", height:"100%", objectFit:"cover" }} alt="profile" />
+                    ) : (
+                      <div style={{ display:"flex", alignItems:"center", justifyContent:"center", height:"100%", color:"#9CA3AF" }}><Camera size={24}/></div>
+                    )}
+                    <input type="file" onChange={e => handleFileUpload(e, 'profile')} style={{ position:"absolute", inset:0, opacity:0, cursor:"pointer" }} />
+                    {uploadProgress.profile && <div style={{ position:"absolute", inset:0, background:"rgba(255,255,255,0.8)", display:"flex", alignItems:"center", justifyContent:"center", fontSize:10 }}>...</div>}
+                  </div>
+                </div>
 
-        {/* Media Section (Profile / Cover) */}
-        <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16, boxShadow:"0 2px 8px rgba(0,0,0,0.03)" }}>
-          <div style={{ fontSize:15, fontWeight:700, marginBottom:12 }}>Photos & Branding</div>
-          
-          <div style={{ display:"flex", gap:12 }}>
-            {/* Profile Pic */}
-            <div style={{ flex:1 }}>
-              <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:6 }}>LOGO / PROFILE</label>
-              <div style={{ position:"relative", width:80, height:80, background:"#F3F4F6", borderRadius:20, overflow:"hidden", border:"2px dashed #D1D5DB" }}>
-                {form.profilePic ? (
-                  <img src={form.profilePic} style={{ width:"100%", height:"100%", objectFit:"cover" }} alt="profile" />
-                ) : (
-                  <div style={{ display:"flex", alignItems:"center", justifyContent:"center", height:"100%", color:"#9CA3AF" }}><Camera size={24}/></div>
-                )}
-                <input type="file" onChange={e => handleFileUpload(e, 'profile')} style={{ position:"absolute", inset:0, opacity:0, cursor:"pointer" }} />
-                {uploadProgress.profile && <div style={{ position:"absolute", inset:0, background:"rgba(255,255,255,0.8)", display:"flex", alignItems:"center", justifyContent:"center", fontSize:10 }}>...</div>}
+                {/* Cover Photo */}
+                <div style={{ flex:2 }}>
+                  <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:6 }}>COVER PHOTO</label>
+                  <div style={{ position:"relative", height:80, background:"#F3F4F6", borderRadius:20, overflow:"hidden", border:"2px dashed #D1D5DB" }}>
+                    {form.coverPhoto ? (
+                      <img src={form.coverPhoto} style={{ width:"100%", height:"100%", objectFit:"cover" }} alt="cover" />
+                    ) : (
+                      <div style={{ display:"flex", alignItems:"center", justifyContent:"center", height:"100%", color:"#9CA3AF" }}><Upload size={24}/></div>
+                    )}
+                    <input type="file" onChange={e => handleFileUpload(e, 'cover')} style={{ position:"absolute", inset:0, opacity:0, cursor:"pointer" }} />
+                    {uploadProgress.cover && <div style={{ position:"absolute", inset:0, background:"rgba(255,255,255,0.8)", display:"flex", alignItems:"center", justifyContent:"center", fontSize:10 }}>...</div>}
+                  </div>
+                </div>
               </div>
             </div>
 
-            {/* Cover Photo */}
-            <div style={{ flex:2 }}>
-              <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:6 }}>COVER PHOTO</label>
-              <div style={{ position:"relative", height:80, background:"#F3F4F6", borderRadius:20, overflow:"hidden", border:"2px dashed #D1D5DB" }}>
-                {form.coverPhoto ? (
-                  <img src={form.coverPhoto} style={{ width:"100%", height:"100%", objectFit:"cover" }} alt="cover" />
-                ) : (
-                  <div style={{ display:"flex", alignItems:"center", justifyContent:"center", height:"100%", color:"#9CA3AF" }}><Upload size={24}/></div>
-                )}
-                <input type="file" onChange={e => handleFileUpload(e, 'cover')} style={{ position:"absolute", inset:0, opacity:0, cursor:"pointer" }} />
-                {uploadProgress.cover && <div style={{ position:"absolute", inset:0, background:"rgba(255,255,255,0.8)", display:"flex", alignItems:"center", justifyContent:"center", fontSize:10 }}>...</div>}
+            {/* Basic Info */}
+            <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16 }}>
+              <div style={{ fontSize:15, fontWeight:700, marginBottom:12 }}>Restaurant Details</div>
+              <input value={form.name} onChange={e => setForm(p=>({...p, name:e.target.value}))} placeholder="Restaurant Name" style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB", marginBottom:10 }} />
+              
+              <div style={{ display:"flex", gap:10, marginBottom:10 }}>
+                <div style={{ flex: 1 }}>
+                  <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:4 }}>DISTRICT</label>
+                  <select value={form.city} onChange={e => setForm(p=>({...p, city:e.target.value}))} style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB" }}>
+                    {DISTRICTS.map(d => <option key={d} value={d}>{d}</option>)}
+                  </select>
+                </div>
+                <div style={{ flex: 1 }}>
+                  <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:4 }}>PHONE</label>
+                  <input value={form.phone} onChange={e => setForm(p=>({...p, phone:e.target.value}))} placeholder="Phone Number" style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB" }} />
+                </div>
               </div>
-            </div>
-          </div>
-        </div>
 
-        {/* Basic Info */}
-        <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16 }}>
-          <div style={{ fontSize:15, fontWeight:700, marginBottom:12 }}>Restaurant Details</div>
-          <input value={form.name} onChange={e => setForm(p=>({...p, name:e.target.value}))} placeholder="Restaurant Name" style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB", marginBottom:10 }} />
-          
-          <div style={{ display:"flex", gap:10, marginBottom:10 }}>
-            <div style={{ flex: 1 }}>
-              <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:4 }}>DISTRICT</label>
-              <select value={form.city} onChange={e => setForm(p=>({...p, city:e.target.value}))} style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB" }}>
-                {DISTRICTS.map(d => <option key={d} value={d}>{d}</option>)}
-              </select>
-            </div>
-            <div style={{ flex: 1 }}>
-              <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:4 }}>PHONE</label>
-              <input value={form.phone} onChange={e => setForm(p=>({...p, phone:e.target.value}))} placeholder="Phone Number" style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB" }} />
-            </div>
-          </div>
+              <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:4 }}>BOOKING ALERTS EMAIL</label>
+              <input type="email" value={form.email} onChange={e => setForm(p=>({...p, email:e.target.value}))} placeholder="bookings@yourrestaurant.com" style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB", marginBottom:10 }} />
 
-          <div style={{ display:"flex", gap:10, marginBottom:10 }}>
-            <div style={{ flex:1 }}>
-              <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:4 }}>OPENING TIME</label>
-              <input type="time" value={form.openTime} onChange={e => setForm(p=>({...p, openTime:e.target.value}))} style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB" }} />
-            </div>
-            <div style={{ flex:1 }}>
-              <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:4 }}>CLOSING TIME</label>
-              <input type="time" value={form.closeTime} onChange={e => setForm(p=>({...p, closeTime:e.target.value}))} style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB" }} />
+              <div style={{ display:"flex", gap:6 }}>
+                <input value={form.address} onChange={e => setForm(p=>({...p, address:e.target.value}))} placeholder="Street Address / Location" style={{ flex:1, padding:12, borderRadius:10, border:"1px solid #E5E7EB" }} />
+                <button onClick={handleGeocode} style={{ padding:"0 12px", background:"#FEF3C7", border:"none", borderRadius:10, color:"#78350F", fontWeight:700, fontSize:12 }}>Sync Map</button>
+              </div>
             </div>
-          </div>
-
-          <div style={{ display:"flex", gap:6 }}>
-            <input value={form.address} onChange={e => setForm(p=>({...p, address:e.target.value}))} placeholder="Street Address / Location" style={{ flex:1, padding:12, borderRadius:10, border:"1px solid #E5E7EB" }} />
-            <button onClick={handleGeocode} style={{ padding:"0 12px", background:"#FEF3C7", border:"none", borderRadius:10, color:"#78350F", fontWeight:700, fontSize:12 }}>Sync Map</button>
-          </div>
-        </div>
 
-        {/* Map */}
-        <div style={{ background:"#fff", borderRadius:16, padding:12, marginBottom:16 }}>
-          <div style={{ fontSize:13, fontWeight:600, color:"#78716C", marginBottom:8 }}>PIN YOUR EXACT LOCATION</div>
-          <OwnerMap initialLat={form.lat} initialLng={form.lng} onPinChange={({lat, lng}) => setForm(p=>({...p, lat, lng}))} />
-        </div>
+            {/* Opening hours */}
+            <HoursEditor
+              weeklyHours={form.weeklyHours}
+              hoursExceptions={form.hoursExceptions}
+              temporarilyClosed={form.temporarilyClosed}
+              closedNote={form.closedNote}
+              onChange={(patch) => setForm(p => ({ ...p, ...patch }))}
+            />
+
+            {/* Categories */}
+            <CategoryPicker
+              categories={form.categories}
+              primaryCategory={form.primaryCategory}
+              menu={form.menu}
+              onChange={(patch) => setForm(p => ({ ...p, ...patch }))}
+            />
+
+            {/* Capacity */}
+            <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16 }}>
+              <div style={{ fontSize:15, fontWeight:700, marginBottom:4 }}>Capacity & Booking Slots</div>
+              <div style={{ fontSize:11, color:"#78716C", marginBottom:12 }}>Diners only see slots that still have room. Leave seats and max covers at 0 for no limit.</div>
+              <div style={{ display:"flex", gap:10 }}>
+                {[
+                  { key:"seats",            label:"SEATS"          },
+                  { key:"slotMinutes",      label:"SLOT (MIN)"     },
+                  { key:"maxCoversPerSlot", label:"MAX COVERS/SLOT" }
+                ].map(({ key, label }) => (
+                  <div key={key} style={{ flex:1 }}>
+                    <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:4 }}>{label}</label>
+                    <input type="number" min="0" value={form.capacity[key]} onChange={e => setForm(p=>({...p, capacity:{ ...p.capacity, [key]: e.target.value }}))} style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB" }} />
+                  </div>
+                ))}
+              </div>
 
-        {/* Menu Editor */}
-        <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16 }}>
-          <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:12 }}>
-            <div style={{ fontSize:15, fontWeight:700 }}>Menu & Pricing</div>
-            <button onClick={addSection} style={{ background:"#FEF3C7", border:"none", borderRadius:8, padding:"4px 10px", fontSize:11, fontWeight:700, color:"#78350F" }}>+ Section</button>
-          </div>
+              <div style={{ display:"flex", gap:10, alignItems:"flex-end", marginTop:12 }}>
+                <div style={{ flex:1 }}>
+                  <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:4 }}>WAITLIST OFFER (MIN)</label>
+                  <input type="number" min="1" value={form.waitlistOfferMinutes} onChange={e => setForm(p=>({...p, waitlistOfferMinutes: e.target.value}))} style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB" }} />
+                </div>
+                <button onClick={() => setForm(p => ({ ...p, busy: !p.busy }))} style={{
+                  flex:1, padding:12, borderRadius:10, fontSize:12, fontWeight:700, cursor:"pointer",
+                  border: form.busy ? "1.5px solid #2563EB" : "1px solid #E5E7EB",
+                  background: form.busy ? "#EFF6FF" : "#fff", color: form.busy ? "#1D4ED8" : "#57534E"
+                }}>
+                  {form.busy ? "⏳ Busy — waitlist only" : "Accepting bookings"}
+                </button>
+              </div>
+            </div>
 
-          {form.menu.map((sec, si) => (
-            <div key={si} style={{ marginBottom:20, borderBottom:"1px solid #F3F4F6", pb:12 }}>
-              <input value={sec.category} onChange={e => {
-                const newMenu = [...form.menu];
-                newMenu[si].category = e.target.value;
-                setForm(p=>({...p, menu: newMenu}));
-              }} style={{ fontWeight:700, border:"none", fontSize:14, color:"#78350F", width:"100%", marginBottom:8 }} />
-              
-              {sec.items.map((it, ii) => (
-                <div key={ii} style={{ display:"flex", gap:8, alignItems:"center", marginBottom:8 }}>
-                  {/* Item Image Upload */}
-                  <div style={{ position:"relative", width:40, height:40, background:"#F3F4F6", borderRadius:8, overflow:"hidden", flexShrink:0 }}>
-                    {it.image ? <img src={it.image} style={{width:"100%", height:"100%", objectFit:"cover"}} alt="item"/> : <Camera size={16} style={{margin:"12px", color:"#9CA3AF"}}/>}
-                    <input type="file" onChange={e => handleFileUpload(e, 'menu', si, ii)} style={{ position:"absolute", inset:0, opacity:0, cursor:"pointer" }} />
-                  </div>
+            {/* Booking Rules */}
+            <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16 }}>
+              <div style={{ fontSize:15, fontWeight:700, marginBottom:12 }}>Booking Rules</div>
+              <div style={{ display:"flex", gap:10, marginBottom:12 }}>
+                <div style={{ flex:1 }}>
+                  <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:4 }}>MIN NOTICE (MIN)</label>
+                  <input type="number" min="0" value={form.bookingRules.minLeadMinutes} onChange={e => setRule("minLeadMinutes", e.target.value)} style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB" }} />
+                </div>
+                <div style={{ flex:1 }}>
+                  <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:4 }}>BOOK AHEAD (DAYS)</label>
+                  <input type="number" min="0" value={form.bookingRules.maxAdvanceDays} onChange={e => setRule("maxAdvanceDays", e.target.value)} style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB" }} />
+                </div>
+              </div>
 
-                  <input value={it.name} onChange={e => {
-                    const newMenu = [...form.menu];
-                    newMenu[si].items[ii].name = e.target.value;
-                    setForm(p=>({...p, menu: newMenu}));
-                  }} placeholder="Item name" style={{ flex:2, padding:8, borderRadius:8, border:"1px solid #E5E7EB", fontSize:12 }} />
-                  
-                  <input value={it.price} onChange={e => {
-                    const newMenu = [...form.menu];
-                    newMenu[si].items[ii].price = e.target.value;
-                    setForm(p=>({...p, menu: newMenu}));
-                  }} placeholder="Price" style={{ flex:1, padding:8, borderRadius:8, border:"1px solid #E5E7EB", fontSize:12 }} />
-                  
-                  <button onClick={() => {
-                    const newMenu = [...form.menu];
-                    newMenu[si].items.splice(ii, 1);
-                    setForm(p=>({...p, menu: newMenu}));
-                  }} style={{ background:"none", border:"none", color:"#EF4444" }}><Minus size={16}/></button>
+              <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:4 }}>BLACKOUT DATES</label>
+              {form.bookingRules.blackoutDates.map(b => (
+                <div key={b.date} style={{ display:"flex", justifyContent:"space-between", alignItems:"center", background:"#FEF2F2", borderRadius:8, padding:"6px 10px", marginBottom:6, fontSize:12, color:"#991B1B" }}>
+                  <span>🚫 {b.date}{b.reason ? ` — ${b.reason}` : ""}</span>
+                  <button onClick={() => removeBlackout(b.date)} style={{ background:"none", border:"none", color:"#EF4444" }}><Minus size={14}/></button>
                 </div>
               ))}
-              <button onClick={() => addItem(si)} style={{ background:"none", border:"none", fontSize:11, color:"#D97706", fontWeight:600 }}>+ Add Item</button>
+              <div style={{ display:"flex", gap:6 }}>
+                <input type="date" value={newBlackout.date} onChange={e => setNewBlackout(p => ({ ...p, date: e.target.value }))} style={{ flex:1, padding:8, borderRadius:8, border:"1px solid #E5E7EB", fontSize:12 }} />
+                <input value={newBlackout.reason} onChange={e => setNewBlackout(p => ({ ...p, reason: e.target.value }))} placeholder="Reason (e.g. Eid, private event)" style={{ flex:2, padding:8, borderRadius:8, border:"1px solid #E5E7EB", fontSize:12 }} />
+                <button onClick={addBlackout} style={{ background:"#FEF3C7", border:"none", borderRadius:8, padding:"0 10px", fontSize:11, fontWeight:700, color:"#78350F" }}>Add</button>
+              </div>
             </div>
-          ))}
-        </div>
+
+            {/* Pickup Payments */}
+            <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16 }}>
+              <div style={{ fontSize:15, fontWeight:700, marginBottom:4 }}>Pickup Payments</div>
+              <div style={{ fontSize:11, color:"#78716C", marginBottom:12 }}>Ask for mobile money (MTN MoMo / Airtel Money) before a pickup pre-order can be confirmed.</div>
+              <div style={{ display:"flex", gap:8, marginBottom: form.pickupPayment.mode === "deposit" ? 12 : 0 }}>
+                {Object.keys(PICKUP_PAYMENT_MODES).map(mode => (
+                  <button key={mode} onClick={() => setForm(p => ({ ...p, pickupPayment: { ...p.pickupPayment, mode } }))} style={{
+                    flex:1, padding:10, borderRadius:10, fontSize:12, fontWeight:700, cursor:"pointer",
+                    border: form.pickupPayment.mode === mode ? "1.5px solid #D97706" : "1px solid #E5E7EB",
+                    background: form.pickupPayment.mode === mode ? "#FEF3C7" : "#fff",
+                    color: form.pickupPayment.mode === mode ? "#78350F" : "#57534E"
+                  }}>
+                    {PICKUP_PAYMENT_MODES[mode].label}
+                  </button>
+                ))}
+              </div>
+              {form.pickupPayment.mode === "deposit" && (
+                <div>
+                  <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:4 }}>DEPOSIT (% OF PRE-ORDER)</label>
+                  <input type="number" min="1" max="100" value={form.pickupPayment.depositPercent} onChange={e => setForm(p=>({...p, pickupPayment:{ ...p.pickupPayment, depositPercent: e.target.value }}))} style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB" }} />
+                </div>
+              )}
+            </div>
+
+            {/* Delivery */}
+            <div style={{ background:"#fff", borderRadius:16, padding:16, marginBottom:16 }}>
+              <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:4 }}>
+                <div style={{ fontSize:15, fontWeight:700 }}>Delivery</div>
+                <button onClick={() => setForm(p => ({ ...p, delivery: { ...p.delivery, enabled: !p.delivery.enabled } }))} style={{
+                  padding:"6px 12px", borderRadius:10, fontSize:12, fontWeight:700, cursor:"pointer",
+                  border: form.delivery.enabled ? "1.5px solid #16A34A" : "1px solid #E5E7EB",
+                  background: form.delivery.enabled ? "#F0FDF4" : "#fff", color: form.delivery.enabled ? "#166534" : "#57534E"
+                }}>
+                  {form.delivery.enabled ? "🛵 Delivering" : "Off"}
+                </button>
+              </div>
+              <div style={{ fontSize:11, color:"#78716C", marginBottom:12 }}>Fee = base + per-km × straight-line distance from your map pin, rounded up to 100 UGX.</div>
+              {form.delivery.enabled && (
+                <div style={{ display:"flex", gap:10 }}>
+                  {[
+                    { key:"baseFee",     label:"BASE FEE (UGX)" },
+                    { key:"perKm",       label:"PER KM (UGX)"   },
+                    { key:"maxRadiusKm", label:"MAX RADIUS (KM)" }
+                  ].map(({ key, label }) => (
+                    <div key={key} style={{ flex:1 }}>
+                      <label style={{ display:"block", fontSize:11, fontWeight:600, color:"#78716C", marginBottom:4 }}>{label}</label>
+                      <input type="number" min="0" value={form.delivery[key]} onChange={e => setForm(p=>({...p, delivery:{ ...p.delivery, [key]: e.target.value }}))} style={{ width:"100%", padding:12, borderRadius:10, border:"1px solid #E5E7EB" }} />
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Map */}
+            <div style={{ background:"#fff", borderRadius:16, padding:12, marginBottom:16 }}>
+              <div style={{ fontSize:13, fontWeight:600, color:"#78716C", marginBottom:8 }}>PIN YOUR EXACT LOCATION</div>
+              <OwnerMap initialLat={form.lat} initialLng={form.lng} onPinChange={({lat, lng}) => setForm(p=>({...p, lat, lng}))} />
+            </div>
+          </>
+        )}
+
+        {/* Menu Editor */}
+        {allowed("menu") && (
+          <>
+            <MenuTransfer
+              menu={form.menu}
+              restaurantName={form.name}
+              onApply={(menu) => setForm(p => ({ ...p, menu }))}
+              showToast={showToast}
+            />
+            <MenuEditor
+              menu={form.menu}
+              onChange={(menu) => setForm(p => ({ ...p, menu }))}
+              onImageUpload={(e, si, ii) => handleFileUpload(e, 'menu', si, ii)}
+              uploading={uploadProgress}
+              resetHour={form.menuResetHour}
+              onResetHourChange={(menuResetHour) => setForm(p => ({ ...p, menuResetHour }))}
+              onAvailabilityChange={activeRes ? handleAvailabilityChange : undefined}
+            />
+          </>
+        )}
 
         {/* Save Button */}
-        <button 
-          onClick={handleSave} 
-          disabled={saveBusy}
-          style={{ 
-            width:"100%", background:"#16A34A", color:"#fff", border:"none", 
-            padding:16, borderRadius:16, fontWeight:800, fontSize:16, 
-            boxShadow:"0 10px 20px rgba(22,163,74,0.2)", cursor:"pointer" 
-          }}
-        >
-          {saveBusy ? "SAVING..." : "SAVE ALL CHANGES"}
-        </button>
+        {(allowed("menu") || allowed("settings")) && (
+          <button 
+            onClick={handleSave} 
+            disabled={saveBusy}
+            style={{ 
+              width:"100%", background:"#16A34A", color:"#fff", border:"none", 
+              padding:16, borderRadius:16, fontWeight:800, fontSize:16, 
+              boxShadow:"0 10px 20px rgba(22,163,74,0.2)", cursor:"pointer" 
+            }}
+          >
+            {saveBusy ? "SAVING..." : "SAVE ALL CHANGES"}
+          </button>
+        )}
       </div>
     </div>
   );
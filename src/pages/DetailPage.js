@@ -6,20 +6,39 @@
 // • Call button  → tel: deep link (real phone call on mobile).
 // • Directions   → Google Maps directions deep link.
 // • Menu rendered from restaurant.menu array.
-// • Add-to-cart updates the cart state lifted to App.
+// • Add-to-cart updates the cart state lifted to App (useCart);
+//   dishes already in the cart get − / + quantity controls.
+// • Dishes with variants / add-ons open OptionsSheet first; the
+//   chosen options become part of the cart line.
+// • Dish descriptions, plus dietary / allergen badges and spice level under each dish.
+// • Hidden dishes are left out; sold-out ones and sections outside
+//   their serving hours are greyed out and can't be added.
+// • Open / closed now (Kampala time), plus a collapsible week of
+//   opening hours and the next few holiday / special-hours dates.
 // • "Book" opens the BookingModal.
 // =============================================================
 
 import { useState } from "react";
-import { ArrowLeft, Phone, MapPin, Star, Plus, Copy, Check, ChevronDown, ChevronUp, MessageCircle } from "lucide-react";
+import { ArrowLeft, Phone, MapPin, Star, Plus, Minus, Copy, Check, ChevronDown, ChevronUp, MessageCircle } from "lucide-react";
 import { ReadOnlyMap } from "../components/MapComponents.js"; // Added .js
 import ChatWindow from "../components/ChatWindow.js"; // Added .js
+import OptionsSheet from "../components/OptionsSheet.js";
+import { hasOptions, buildCartLine } from "../utils/menuOptions.js";
+import { unavailableReason, sectionHours } from "../utils/menuAvailability.js";
+import { DIETARY_TAGS, SPICE_LEVELS } from "../constants/dietary.js";
+import {
+  openStatus, weeklyHoursFor, formatIntervals, kampalaToday, addDays, dayMeta, WEEK_DAYS
+} from "../utils/scheduling.js";
 
-export default function DetailPage({ restaurant: r, onBack, cart, onAddToCart, onOpenBooking, currentUser }) {
+const UPCOMING_EXCEPTION_DAYS = 30;   // holidays / special hours listed this far ahead
+
+export default function DetailPage({ restaurant: r, onBack, cart, onAddToCart, onChangeQty, onOpenBooking, currentUser }) {
   const [revealed, setRevealed] = useState(false);
   const [copied, setCopied] = useState(false);
   const [showMap, setShowMap] = useState(false);
   const [showChat, setShowChat] = useState(false);
+  const [showHours, setShowHours] = useState(false);
+  const [optionsItem, setOptionsItem] = useState(null);   // item whose options sheet is open
 
   if (!r) return null;
 
@@ -37,6 +56,15 @@ export default function DetailPage({ restaurant: r, onBack, cart, onAddToCart, o
     ? `https://www.openstreetmap.org/directions?from=&to=${r.lat}%2C${r.lng}`
     : null;
 
+  // opening hours, Kampala time
+  const status   = openStatus(r);
+  const weekly   = weeklyHoursFor(r);
+  const today    = kampalaToday();
+  const todayKey = dayMeta(today).key;
+  const upcoming = (r.hoursExceptions || [])
+    .filter(e => e.date >= today && e.date <= addDays(today, UPCOMING_EXCEPTION_DAYS))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
   // cart count for this restaurant
   const cartCount = Object.values(cart).reduce((s, i) => s + i.qty, 0);
   const cartTotal = Object.values(cart).reduce((s, i) => s + i.price * i.qty, 0);
@@ -88,8 +116,8 @@ export default function DetailPage({ restaurant: r, onBack, cart, onAddToCart, o
         <div style={{ display:"flex", gap:6, justifyContent:"center", marginTop:10, flexWrap:"wrap" }}>
           {r.verified && <span style={{ background:"rgba(34,197,94,0.2)", color:"#86efac", borderRadius:14, padding:"3px 10px", fontSize:11 }}>✓ Verified</span>}
           {r.featured && <span style={{ background:"rgba(217,119,6,0.2)", color:"#fcd34d", borderRadius:14, padding:"3px 10px", fontSize:11 }}>⭐ Featured</span>}
-          <span style={{ background:"rgba(255,255,255,0.12)", color:"rgba(255,255,255,0.85)", borderRadius:14, padding:"3px 10px", fontSize:11 }}>
-            🕐 {r.openTime || "—"} – {r.closeTime || "—"}
+          <span style={{ background: status.open ? "rgba(34,197,94,0.2)" : "rgba(239,68,68,0.2)", color: status.open ? "#86efac" : "#fca5a5", borderRadius:14, padding:"3px 10px", fontSize:11 }}>
+            🕐 {status.label}
           </span>
         </div>
       </div>
@@ -162,6 +190,42 @@ export default function DetailPage({ restaurant: r, onBack, cart, onAddToCart, o
         </div>
       </div>
 
+      {/* ── Opening hours (Collapsible) ───────────────── */}
+      {(weekly || upcoming.length > 0) && (
+        <div style={{ padding:"0 16px 14px" }}>
+          <div style={{ background:"#fff", borderRadius:16, border:"1px solid #F5F5F4", overflow:"hidden" }}>
+            <button
+              onClick={() => setShowHours(!showHours)}
+              style={{ width:"100%", padding:"12px 16px", background:"#fff", border:"none", display:"flex", justifyContent:"space-between", alignItems:"center", cursor:"pointer", fontSize:13, fontWeight:700, color:"#78350F" }}
+            >
+              <span>🕐 Opening hours</span>
+              {showHours ? <ChevronUp size={16}/> : <ChevronDown size={16}/>}
+            </button>
+            {showHours && (
+              <div style={{ padding:"0 16px 12px", fontSize:12, color:"#57534E" }}>
+                {weekly && WEEK_DAYS.map(d => (
+                  <div key={d.key} style={{ display:"flex", justifyContent:"space-between", padding:"3px 0", fontWeight: d.key === todayKey ? 700 : 400, color: d.key === todayKey ? "#1C1917" : "#57534E" }}>
+                    <span>{d.label}</span>
+                    <span>{formatIntervals(weekly[d.key])}</span>
+                  </div>
+                ))}
+                {upcoming.length > 0 && (
+                  <div style={{ marginTop:8, paddingTop:8, borderTop:"1px solid #F5F5F4" }}>
+                    {upcoming.map(e => (
+                      <div key={e.date} style={{ display:"flex", justifyContent:"space-between", padding:"3px 0", color:"#B45309" }}>
+                        <span>{dayMeta(e.date).short} {e.date}{e.reason ? ` — ${e.reason}` : ""}</span>
+                        <span>{e.closed ? "Closed" : formatIntervals(e.intervals || [])}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <div style={{ fontSize:10, color:"#A8A29E", marginTop:6 }}>All times are Kampala time (EAT).</div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* ── Chat Modal ────────────────────────────────── */}
       {showChat && (
         <ChatWindow 
@@ -173,13 +237,18 @@ export default function DetailPage({ restaurant: r, onBack, cart, onAddToCart, o
       )}
 
       {/* ── Menu ────────────────────────────────────── */}
-      {(r.menu || []).map((section, si) => (
+      {(r.menu || []).map((section, si) => ({ section, si, items: (section.items || []).filter(i => i.availability !== "hidden") }))
+        .filter(({ items }) => items.length > 0)
+        .map(({ section, si, items }) => (
         <div key={si} style={{ padding:"0 16px", marginBottom:14 }}>
-          <div style={{ fontSize:15, fontWeight:700, fontFamily:"'Playfair Display',serif", color:"#1C1917", padding:"10px 0 6px", borderBottom:"2px solid #FEF3C7", marginBottom:6 }}>
-            {section.category}
+          <div style={{ display:"flex", justifyContent:"space-between", alignItems:"baseline", padding:"10px 0 6px", borderBottom:"2px solid #FEF3C7", marginBottom:6 }}>
+            <span style={{ fontSize:15, fontWeight:700, fontFamily:"'Playfair Display',serif", color:"#1C1917" }}>{section.category}</span>
+            {sectionHours(section) && <span style={{ fontSize:11, color:"#A8A29E" }}>🕒 {sectionHours(section)}</span>}
           </div>
-          {(section.items || []).map((item, ii) => (
-            <div key={ii} style={{ display:"flex", gap:12, alignItems:"center", padding:"12px 0", borderBottom:"1px solid #F3F4F6" }}>
+          {items.map((item, ii) => {
+            const reason = unavailableReason(item, section, r);
+            return (
+            <div key={ii} style={{ display:"flex", gap:12, alignItems:"center", padding:"12px 0", borderBottom:"1px solid #F3F4F6", opacity: reason ? 0.5 : 1 }}>
               {item.image && (
                 <div style={{ width:60, height:60, borderRadius:12, overflow:"hidden", flexShrink:0 }}>
                   <img src={item.image} style={{ width:"100%", height:"100%", objectFit:"cover" }} alt={item.name} />
@@ -194,23 +263,71 @@ export default function DetailPage({ restaurant: r, onBack, cart, onAddToCart, o
                         🔥 Popular
                       </span>
                     )}
+                    {item.description && <div style={{ fontSize:12, color:"#78716C", marginTop:2 }}>{item.description}</div>}
+                    {((item.dietary || []).length > 0 || item.spiceLevel > 0) && (
+                      <div style={{ display:"flex", flexWrap:"wrap", gap:4, marginTop:4 }}>
+                        {(item.dietary || []).filter(t => DIETARY_TAGS[t]).map(t => (
+                          <span key={t} style={{ background: DIETARY_TAGS[t].kind === "allergen" ? "#FEF2F2" : "#F0FDF4", color: DIETARY_TAGS[t].kind === "allergen" ? "#991B1B" : "#166534", borderRadius:4, padding:"1px 5px", fontSize:10, fontWeight:600 }}>
+                            {DIETARY_TAGS[t].icon} {DIETARY_TAGS[t].label}
+                          </span>
+                        ))}
+                        {item.spiceLevel > 0 && (
+                          <span style={{ background:"#FFF7ED", color:"#C2410C", borderRadius:4, padding:"1px 5px", fontSize:10, fontWeight:600 }}>
+                            {SPICE_LEVELS[item.spiceLevel]?.icon} {SPICE_LEVELS[item.spiceLevel]?.label}
+                          </span>
+                        )}
+                      </div>
+                    )}
                   </div>
                   <span style={{ fontSize:14, fontWeight:700, color:"#78350F" }}>{(item.price || 0).toLocaleString()} UGX</span>
                 </div>
                 <div style={{ display:"flex", justifyContent:"flex-end", marginTop:6 }}>
-                  <button
-                    onClick={() => onAddToCart(item)}
-                    style={{ background:"#D97706", color:"#fff", border:"none", borderRadius:8, padding:"4px 10px", fontSize:11, fontWeight:700, display:"flex", alignItems:"center", gap:4, cursor:"pointer" }}
-                  >
-                    <Plus size={14}/> Add
-                  </button>
+                  {reason ? (
+                    <span style={{ fontSize:11, fontWeight:700, color:"#78716C", background:"#F3F4F6", borderRadius:8, padding:"4px 10px" }}>{reason}</span>
+                  ) : hasOptions(item) ? (
+                    <div style={{ display:"flex", alignItems:"center", gap:8 }}>
+                      {Object.values(cart).some(l => l.name === item.name) && (
+                        <span style={{ fontSize:11, fontWeight:700, color:"#78350F" }}>
+                          {Object.values(cart).filter(l => l.name === item.name).reduce((s, l) => s + l.qty, 0)} in cart
+                        </span>
+                      )}
+                      <button
+                        onClick={() => setOptionsItem(item)}
+                        style={{ background:"#D97706", color:"#fff", border:"none", borderRadius:8, padding:"4px 10px", fontSize:11, fontWeight:700, display:"flex", alignItems:"center", gap:4, cursor:"pointer" }}
+                      >
+                        <Plus size={14}/> Choose
+                      </button>
+                    </div>
+                  ) : cart[item.name] ? (
+                    <div style={{ display:"flex", alignItems:"center", gap:8, background:"#FEF3C7", borderRadius:8, padding:"2px 4px" }}>
+                      <button onClick={() => onChangeQty(item.name, -1)} aria-label={`Remove one ${item.name}`} style={{ background:"#fff", color:"#78350F", border:"none", borderRadius:6, padding:3, display:"flex", cursor:"pointer" }}>
+                        <Minus size={14}/>
+                      </button>
+                      <span style={{ fontSize:13, fontWeight:700, color:"#78350F", minWidth:16, textAlign:"center" }}>{cart[item.name].qty}</span>
+                      <button onClick={() => onAddToCart(buildCartLine(item))} aria-label={`Add one ${item.name}`} style={{ background:"#D97706", color:"#fff", border:"none", borderRadius:6, padding:3, display:"flex", cursor:"pointer" }}>
+                        <Plus size={14}/>
+                      </button>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={() => onAddToCart(buildCartLine(item))}
+                      style={{ background:"#D97706", color:"#fff", border:"none", borderRadius:8, padding:"4px 10px", fontSize:11, fontWeight:700, display:"flex", alignItems:"center", gap:4, cursor:"pointer" }}
+                    >
+                      <Plus size={14}/> Add
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
-          ))}
+            );
+          })}
         </div>
       ))}
 
+      {optionsItem && (
+        <OptionsSheet item={optionsItem} onAdd={onAddToCart} onClose={() => setOptionsItem(null)} />
+      )}
+
       {/* ── Floating cart bar ─────────────────────────── */}
       {cartCount > 0 && (
         <div
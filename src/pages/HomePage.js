@@ -1,13 +1,19 @@
 // =============================================================
 // FILE: src/pages/HomePage.js
 // =============================================================
-// • Fetches restaurants live from Firestore on mount.
+// • Fetches restaurants live from Firestore on mount (suspended
+//   listings are left out by getAllRestaurants).
 // • Filters by city, category, and search text (client-side
 //   for speed; swap to server-side queries if the list grows
 //   past ~500 docs).
-// • Integrates real GPS via useGeolocation → sortByDistance.
+// • Dietary filter (halal, vegetarian, nut-free…): keeps
+//   restaurants with at least N dishes passing every chosen
+//   filter (constants/dietary.js).
+// • Integrates real GPS via useGeolocation → sortByDistance;
+//   without it, boosted restaurants are listed first.
 // • Renders DinerMap with all visible restaurants + user pin.
-// • Restaurant cards link to DetailPage via onSelect prop.
+// • Restaurant cards link to DetailPage via onSelect prop and show
+//   open / closed now and today's hours (Kampala time, openStatus).
 // =============================================================
 
 import { useState, useEffect, useCallback } from "react";
@@ -16,43 +22,24 @@ import { useGeolocation } from "../hooks/useGeolocation.js"; // Added .js
 import { getAllRestaurants } from "../utils/firestoreService.js"; // Added .js
 import { DinerMap } from "../components/MapComponents.js"; // Added .js
 import { UGANDAN_DISTRICTS } from "../constants/uganda.js"; // Added .js
+import { openStatus, intervalsOn, formatIntervals, hasHours, kampalaToday } from "../utils/scheduling.js";
+import { CATEGORIES, categoryMeta } from "../constants/categories.js";
+import { DIETARY_FILTERS, MIN_MATCHING_DISHES, matchingDishCount } from "../constants/dietary.js";
 
 const DISTRICTS = ["All Districts", ...UGANDAN_DISTRICTS];
-const CATEGORIES  = [
-  { id:"all",        label:"All",            icon:"🍽️" },
-  { id:"local",      label:"Local Food",     icon:"🥘" },
-  { id:"matooke",    label:"Matooke/Sauce",  icon:"🍌" },
-  { id:"muchomo",    label:"Muchomo",        icon:"🥩" },
-  { id:"luwombo",    label:"Luwombo",        icon:"🍲" },
-  { id:"pilau",      label:"Pilau",          icon:"🍚" },
-  { id:"breakfast",  label:"Breakfast/Chai", icon:"☕" },
-  { id:"indian",     label:"Indian",         icon:"🫕" },
-  { id:"fastfood",   label:"Fast Food",      icon:"🍔" },
-  { id:"seafood",    label:"Seafood",        icon:"🐟" },
-  { id:"vegetarian", label:"Vegetarian",     icon:"🥗" },
-];
+const CATEGORY_CHIPS = [{ id:"all", label:"All", icon:"🍽️" }, ...CATEGORIES];
 
-function isOpen(openTime, closeTime) {
-  if (!openTime || !closeTime) return false;
-  const now = new Date();
-  const currentMinutes = now.getHours() * 60 + now.getMinutes();
-  
-  const [openH, openM] = openTime.split(":").map(Number);
-  const [closeH, closeM] = closeTime.split(":").map(Number);
-  
-  const openMinutes = openH * 60 + openM;
-  let closeMinutes = closeH * 60 + closeM;
-  
-  // Handle overnight hours (e.g., 18:00 to 02:00)
-  if (closeMinutes < openMinutes) {
-    closeMinutes += 24 * 60;
-    // If it's early morning (e.g., 01:00), it's part of the "overnight" session
-    if (currentMinutes < openMinutes) {
-      return currentMinutes + 24 * 60 < closeMinutes || currentMinutes < closeMinutes - 24 * 60;
-    }
-  }
-  
-  return currentMinutes >= openMinutes && currentMinutes < closeMinutes;
+// Open / closed right now and today's hours, in Kampala time
+function HoursRow({ restaurant: r }) {
+  const status = openStatus(r);
+  return (
+    <div style={{ padding:"0 14px 8px", fontSize:11, color:"#78716C", display:"flex", alignItems:"center", gap:6 }}>
+      <span style={{ color: status.open ? "#16A34A" : "#EF4444", fontWeight:600 }}>
+        {status.open ? "🟢" : "🔴"} {status.label}
+      </span>
+      {hasHours(r) && !r.temporarilyClosed && <span>Today {formatIntervals(intervalsOn(r, kampalaToday()))}</span>}
+    </div>
+  );
 }
 
 export default function HomePage({ onSelectRestaurant, onBook }) {
@@ -63,6 +50,8 @@ export default function HomePage({ onSelectRestaurant, onBook }) {
   const [selectedDistrict, setSelectedDistrict] = useState("All Districts");
   const [selectedCat,     setSelectedCat]     = useState("all");
   const [searchQuery,     setSearchQuery]     = useState("");
+  const [dietFilters,     setDietFilters]     = useState([]);
+  const [minDishes,       setMinDishes]       = useState(MIN_MATCHING_DISHES[0]);
 
   // real GPS
   const { coords, gpsLoading, gpsError, gpsActive, requestGPS, sortByDistance, clearGPS } = useGeolocation();
@@ -96,16 +85,20 @@ export default function HomePage({ onSelectRestaurant, onBook }) {
       (r.city || "").toLowerCase().includes(q) ||
       (r.categories || []).some((c) => c.includes(q)) ||
       (r.address || "").toLowerCase().includes(q);
-    return matchDist && matchCat && matchQ;
+    const matchDiet = dietFilters.length === 0 || matchingDishCount(r, dietFilters) >= minDishes;
+    return matchDist && matchCat && matchQ && matchDiet;
   });
 
-  // if GPS is active, sort by real distance; otherwise leave as-is
-  const displayed = gpsActive ? sortByDistance(filtered) : filtered;
+  // if GPS is active, sort by real distance; otherwise boosted
+  // listings (approved by an admin) come first, the rest as-is
+  const displayed = gpsActive ? sortByDistance(filtered) : [...filtered].sort((a, b) => !!b.boosted - !!a.boosted);
 
   // featured banner — pick the first featured restaurant
   const featured = displayed.find((r) => r.featured) || displayed[0] || null;
 
   // ── handlers ────────────────────────────────────────
+  const toggleDiet = (id) => setDietFilters(p => (p.includes(id) ? p.filter(f => f !== id) : [...p, id]));
+
   const handleGPS = useCallback(() => {
     if (gpsActive) { clearGPS(); return; }
     requestGPS();
@@ -193,7 +186,7 @@ export default function HomePage({ onSelectRestaurant, onBook }) {
 
       {/* ── Category chips ──────────────────────────── */}
       <div style={{ display:"flex", gap:8, overflowX:"auto", padding:"4px 16px 10px", WebkitOverflowScrolling:"touch", scrollbarWidth:"none" }}>
-        {CATEGORIES.map((cat) => (
+        {CATEGORY_CHIPS.map((cat) => (
           <button key={cat.id}
             onClick={() => setSelectedCat(cat.id)}
             style={{
@@ -210,6 +203,28 @@ export default function HomePage({ onSelectRestaurant, onBook }) {
         ))}
       </div>
 
+      {/* ── Dietary filter ──────────────────────────── */}
+      <div style={{ display:"flex", gap:6, overflowX:"auto", padding:"0 16px 10px", alignItems:"center", WebkitOverflowScrolling:"touch", scrollbarWidth:"none" }}>
+        {DIETARY_FILTERS.map((f) => (
+          <button key={f.id}
+            onClick={() => toggleDiet(f.id)}
+            style={{
+              background: dietFilters.includes(f.id) ? "#DCFCE7" : "#fff",
+              border:     dietFilters.includes(f.id) ? "1.5px solid #16A34A" : "1.5px solid #E7E5E4",
+              color:      dietFilters.includes(f.id) ? "#166534"            : "#57534E",
+              borderRadius:20, padding:"5px 11px", fontSize:12, fontWeight:500,
+              whiteSpace:"nowrap", cursor:"pointer", transition:"all 0.2s"
+            }}
+          >{f.icon} {f.label}</button>
+        ))}
+        {dietFilters.length > 0 && (
+          <select value={minDishes} onChange={(e) => setMinDishes(parseInt(e.target.value, 10))}
+            style={{ border:"1.5px solid #16A34A", borderRadius:20, padding:"5px 8px", fontSize:12, color:"#166534", background:"#fff", flexShrink:0 }}>
+            {MIN_MATCHING_DISHES.map(n => <option key={n} value={n}>{n}+ dish{n > 1 ? "es" : ""}</option>)}
+          </select>
+        )}
+      </div>
+
       {/* ── Live Map ──────────────────────────────────── */}
       <div style={{ padding:"0 16px", marginBottom:12 }}>
         <DinerMap
@@ -283,18 +298,15 @@ export default function HomePage({ onSelectRestaurant, onBook }) {
                     <Star size={11} fill="#F59E0B" color="#F59E0B"/> {r.rating || "New"}
                   </span>
                   <span style={{ color:"#57534E" }}>{r.city}</span>
+                  {categoryMeta(r.primaryCategory) && <span>{categoryMeta(r.primaryCategory).icon} {categoryMeta(r.primaryCategory).label}</span>}
                   {r.distance != null && <span style={{ color:"#D97706", fontWeight:600 }}>📍 {r.distance} km</span>}
+                  {dietFilters.length > 0 && <span style={{ color:"#16A34A", fontWeight:600 }}>{matchingDishCount(r, dietFilters)} matching dishes</span>}
                 </div>
               </div>
             </div>
 
             {/* hours row */}
-            <div style={{ padding:"0 14px 8px", fontSize:11, color:"#78716C", display:"flex", alignItems:"center", gap:6 }}>
-              <span style={{ color: isOpen(r.openTime, r.closeTime) ? "#16A34A" : "#EF4444", fontWeight:600 }}>
-                {isOpen(r.openTime, r.closeTime) ? "🟢 Open" : "🔴 Closed"}
-              </span>
-              <span>{r.openTime && r.closeTime ? `${r.openTime} – ${r.closeTime}` : ""}</span>
-            </div>
+            <HoursRow restaurant={r} />
 
             {/* action buttons */}
             <div style={{ display:"flex", gap:8, padding:"0 14px 12px" }}>
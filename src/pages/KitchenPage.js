@@ -0,0 +1,182 @@
+// =============================================================
+// FILE: src/pages/KitchenPage.js
+// =============================================================
+// Full-screen kitchen display for pickup and delivery orders,
+// opened from DashboardPage.
+// • Live via listenToKitchenQueue — today's open orders as cards
+//   with items and quantities.
+// • Columns follow KITCHEN_FLOW: Received → Preparing → Ready;
+//   the card button moves an order on (updateKitchenStatus),
+//   the last step marks it collected and clears it.
+// • Each card shows how long it has been in its current step.
+// • A new order plays a short beep (Web Audio). Browsers only
+//   allow sound after a tap, hence the "Sound on" button.
+// =============================================================
+
+import { useState, useEffect, useRef } from "react";
+import { ArrowLeft, Volume2, VolumeX } from "lucide-react";
+import { useAuth } from "../context/AuthContext.js";
+import { listenToKitchenQueue, updateKitchenStatus } from "../utils/firestoreService.js";
+import { KITCHEN_FLOW, KITCHEN_STATUS, nextKitchenStatus, isActiveBooking, bookingReference } from "../constants/bookings.js";
+import { kampalaToday } from "../utils/scheduling.js";
+
+const LATE_MINUTES = { received: 5, preparing: 20, ready: 15 };
+
+// when the order entered its current step (ms)
+function stepStartedAt(order) {
+  const step = order.kitchenStatus || "received";
+  if (step !== "received" && order.kitchenTimes?.[step]) return new Date(order.kitchenTimes[step]).getTime();
+  return order.createdAt?.toMillis ? order.createdAt.toMillis() : Date.now();
+}
+
+function elapsedLabel(ms) {
+  const mins = Math.max(0, Math.floor(ms / 60000));
+  return mins < 60 ? `${mins}m` : `${Math.floor(mins / 60)}h ${mins % 60}m`;
+}
+
+function beep(ctx) {
+  [0, 0.25].forEach((offset) => {
+    const osc  = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.frequency.value = 880;
+    gain.gain.setValueAtTime(0.3, ctx.currentTime + offset);
+    gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + offset + 0.2);
+    osc.connect(gain).connect(ctx.destination);
+    osc.start(ctx.currentTime + offset);
+    osc.stop(ctx.currentTime + offset + 0.2);
+  });
+}
+
+export default function KitchenPage({ restaurant, onBack, showToast }) {
+  const { user } = useAuth();
+  const [orders,  setOrders]  = useState([]);
+  const [now,     setNow]     = useState(Date.now());
+  const [busyId,  setBusyId]  = useState(null);
+  const [soundOn, setSoundOn] = useState(false);
+  const audioRef = useRef(null);      // AudioContext, created on tap
+  const seenRef  = useRef(null);      // order ids already on screen
+
+  // ── live queue ────────────────────────────────────
+  useEffect(() => {
+    const unsub = listenToKitchenQueue(
+      restaurant.id,
+      (docs) => setOrders(docs),
+      (err)  => showToast("⚠️ Kitchen queue error: " + err.message)
+    );
+    return () => unsub();
+  }, [restaurant.id]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(id);
+  }, []);
+
+  const today = kampalaToday();
+  const queue = orders
+    .filter(o => o.date === today && isActiveBooking(o.status) && o.kitchenStatus !== "collected")
+    .sort((a, b) => `${a.time}`.localeCompare(`${b.time}`));
+
+  // ── new order alert ───────────────────────────────
+  useEffect(() => {
+    const ids = queue.map(o => o.id);
+    if (seenRef.current) {
+      const fresh = ids.filter(id => !seenRef.current.has(id));
+      if (fresh.length > 0 && soundOn && audioRef.current) beep(audioRef.current);
+    }
+    seenRef.current = new Set(ids);
+  }, [queue.map(o => o.id).join(","), soundOn]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const toggleSound = () => {
+    if (!soundOn) {
+      const AudioCtx = window.AudioContext || window.webkitAudioContext;
+      if (!AudioCtx) { showToast("⚠️ This browser can't play alerts"); return; }
+      audioRef.current = audioRef.current || new AudioCtx();
+      audioRef.current.resume();
+      beep(audioRef.current);
+    }
+    setSoundOn(on => !on);
+  };
+
+  const advance = async (order) => {
+    const next = nextKitchenStatus(order.kitchenStatus);
+    if (!next) return;
+    setBusyId(order.id);
+    try {
+      await updateKitchenStatus(order.id, next, { actor: { uid: user?.uid, name: user?.displayName || user?.email, role: restaurant.myRole || "owner" } });
+    } catch (err) {
+      showToast("⚠️ " + err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div style={{ position:"fixed", inset:0, background:"#1C1917", color:"#fff", zIndex:150, display:"flex", flexDirection:"column" }}>
+      {/* header */}
+      <div style={{ display:"flex", alignItems:"center", gap:12, padding:"12px 16px", borderBottom:"1px solid #292524" }}>
+        <button onClick={onBack} style={{ background:"#292524", border:"none", borderRadius:10, padding:8, color:"#fff", cursor:"pointer", display:"flex" }}>
+          <ArrowLeft size={18}/>
+        </button>
+        <div style={{ flex:1 }}>
+          <div style={{ fontSize:18, fontWeight:800 }}>Kitchen — {restaurant.name}</div>
+          <div style={{ fontSize:11, color:"#A8A29E" }}>{queue.length} open order{queue.length === 1 ? "" : "s"} today</div>
+        </div>
+        <button onClick={toggleSound} style={{ background: soundOn ? "#16A34A" : "#292524", border:"none", borderRadius:10, padding:"8px 12px", color:"#fff", fontSize:12, fontWeight:700, cursor:"pointer", display:"flex", alignItems:"center", gap:6 }}>
+          {soundOn ? <Volume2 size={16}/> : <VolumeX size={16}/>} {soundOn ? "Sound on" : "Sound off"}
+        </button>
+      </div>
+
+      {/* columns */}
+      <div style={{ flex:1, display:"flex", gap:12, padding:12, overflowX:"auto" }}>
+        {KITCHEN_FLOW.filter(step => step !== "collected").map(step => {
+          const meta  = KITCHEN_STATUS[step];
+          const cards = queue.filter(o => (o.kitchenStatus || "received") === step);
+          return (
+            <div key={step} style={{ flex:"1 0 260px", display:"flex", flexDirection:"column", minHeight:0 }}>
+              <div style={{ fontSize:13, fontWeight:800, color:meta.bg, textTransform:"uppercase", marginBottom:8 }}>
+                {meta.label} <span style={{ color:"#78716C" }}>({cards.length})</span>
+              </div>
+              <div style={{ flex:1, overflowY:"auto", display:"flex", flexDirection:"column", gap:10 }}>
+                {cards.map(order => {
+                  const elapsed = now - stepStartedAt(order);
+                  const late    = elapsed > LATE_MINUTES[step] * 60000;
+                  const next    = nextKitchenStatus(order.kitchenStatus);
+                  const waiting = step === "received" && order.status !== "confirmed";
+                  return (
+                    <div key={order.id} style={{ background:"#fff", color:"#1C1917", borderRadius:12, padding:12, borderTop:`5px solid ${late ? "#DC2626" : meta.color}` }}>
+                      <div style={{ display:"flex", justifyContent:"space-between", alignItems:"baseline", marginBottom:6 }}>
+                        <span style={{ fontSize:15, fontWeight:800 }}>{order.type === "delivery" ? "🛵" : "🥡"} {order.time} • {order.userName || "Guest"}</span>
+                        <span style={{ fontSize:13, fontWeight:800, color: late ? "#DC2626" : "#57534E" }}>{elapsedLabel(elapsed)}</span>
+                      </div>
+                      <div style={{ fontSize:10, color:"#A8A29E", marginBottom:6 }}>{bookingReference(order)}</div>
+                      {order.preOrder.map((item, i) => (
+                        <div key={i} style={{ fontSize:15, padding:"3px 0", borderBottom:"1px dashed #E7E5E4" }}>
+                          <strong style={{ color:"#D97706" }}>{item.qty}×</strong> {item.name}
+                          {(item.variant || (item.addons || []).length > 0) && (
+                            <div style={{ fontSize:12, color:"#57534E", paddingLeft:22 }}>
+                              {[item.variant, ...(item.addons || []).map(a => `+ ${a}`)].filter(Boolean).join(" • ")}
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                      {order.notes && <div style={{ fontSize:12, color:"#9A3412", marginTop:6 }}>📝 {order.notes}</div>}
+                      {waiting ? (
+                        <div style={{ marginTop:10, fontSize:12, fontWeight:700, color:"#B45309", background:"#FEF3C7", borderRadius:8, padding:8, textAlign:"center" }}>
+                          Waiting for the owner to confirm
+                        </div>
+                      ) : next && (
+                        <button onClick={() => advance(order)} disabled={busyId === order.id} style={{ marginTop:10, width:"100%", background:KITCHEN_STATUS[next].color, color:"#fff", border:"none", borderRadius:8, padding:12, fontSize:14, fontWeight:800, cursor:"pointer" }}>
+                          {meta.action}
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
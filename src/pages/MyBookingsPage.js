@@ -0,0 +1,326 @@
+// =============================================================
+// FILE: src/pages/MyBookingsPage.js
+// =============================================================
+// Diner-facing list of their own bookings.
+// • Live via listenToUserBookings (onSnapshot on userId).
+// • Shows status, date/time, party size and the pre-order.
+// • Upcoming bookings can be cancelled, or moved by proposing
+//   a new date/time (requestReschedule) — the owner then
+//   accepts or declines it from their inbox.
+// • Waitlist entries show too; an open offer can be accepted
+//   (acceptWaitlistOffer) before its countdown runs out.
+// • Pickup orders that need prepayment show a PaymentPrompt.
+// • "Receipt" opens the printable receipt (onOpenReceipt).
+// • Guests who are not signed in get a sign-in prompt.
+// • Anyone can find a booking by reference + phone (BookingLookup).
+// =============================================================
+
+import { useState, useEffect } from "react";
+import { CalendarDays } from "lucide-react";
+import { useAuth } from "../context/AuthContext.js";
+import {
+  listenToUserBookings,
+  updateBookingStatus,
+  requestReschedule,
+  listenToUserWaitlist,
+  acceptWaitlistOffer,
+  leaveWaitlist
+} from "../utils/firestoreService.js";
+import StatusPill from "../components/StatusPill.js";
+import PaymentPrompt from "../components/PaymentPrompt.js";
+import BookingLookup from "../components/BookingLookup.js";
+import { isActiveBooking, bookingReference } from "../constants/bookings.js";
+import { kampalaToday } from "../utils/scheduling.js";
+import { PAYABLE_STATUSES } from "../constants/payments.js";
+import { lineLabel } from "../utils/menuOptions.js";
+
+export default function MyBookingsPage({ showToast, onOpenReceipt }) {
+  const { user, loading: authLoading, loginGoogle } = useAuth();
+
+  const [bookings,   setBookings]   = useState([]);
+  const [loading,    setLoading]    = useState(true);
+  const [editingId,  setEditingId]  = useState(null);
+  const [newSlot,    setNewSlot]    = useState({ date: "", time: "" });
+  const [busyId,     setBusyId]     = useState(null);
+  const [waitlist,   setWaitlist]   = useState([]);
+  const [now,        setNow]        = useState(Date.now());
+
+  // ── live listener ─────────────────────────────────
+  useEffect(() => {
+    if (!user) return;
+    setLoading(true);
+    const unsub = listenToUserBookings(
+      user.uid,
+      (docs) => { setBookings(docs); setLoading(false); },
+      (err)  => { showToast("⚠️ Could not load bookings: " + err.message); setLoading(false); }
+    );
+    return () => unsub();
+  }, [user]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    if (!user) return;
+    const unsub = listenToUserWaitlist(
+      user.uid,
+      (docs) => setWaitlist(docs.filter(w => w.status === "waiting" || w.status === "offered")),
+      (err)  => console.error("Waitlist listener failed", err)
+    );
+    return () => unsub();
+  }, [user]);
+
+  // tick once a second while an offer countdown is on screen
+  const hasOffer = waitlist.some(w => w.status === "offered");
+  useEffect(() => {
+    if (!hasOffer) return;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [hasOffer]);
+
+  const actor = { uid: user?.uid, name: user?.displayName || user?.email, role: "diner" };
+
+  // ── actions ───────────────────────────────────────
+  const handleCancel = async (booking) => {
+    if (!window.confirm(`Cancel your booking at ${booking.restaurantName}?`)) return;
+    setBusyId(booking.id);
+    try {
+      await updateBookingStatus(booking.id, "cancelled-by-diner", { actor });
+      showToast("🚫 Booking cancelled");
+    } catch (err) {
+      showToast("⚠️ Cancel failed: " + err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleAcceptOffer = async (entry) => {
+    setBusyId(entry.id);
+    try {
+      await acceptWaitlistOffer(entry.id);
+      showToast("🎉 Table booked from the waitlist!");
+    } catch (err) {
+      showToast("⚠️ " + err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleLeaveWaitlist = async (entry) => {
+    setBusyId(entry.id);
+    try {
+      await leaveWaitlist(entry.id);
+      showToast(entry.status === "offered" ? "Offer declined" : "Left the waitlist");
+    } catch (err) {
+      showToast("⚠️ " + err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const startReschedule = (booking) => {
+    setEditingId(booking.id);
+    setNewSlot({ date: booking.date, time: booking.time });
+  };
+
+  const submitReschedule = async (booking) => {
+    if (!newSlot.date || !newSlot.time) return;
+    setBusyId(booking.id);
+    try {
+      await requestReschedule(booking.id, newSlot.date, newSlot.time, { actor });
+      setEditingId(null);
+      showToast("🔁 Change requested — the restaurant will confirm");
+    } catch (err) {
+      showToast("⚠️ Request failed: " + err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // ── render ────────────────────────────────────────
+  if (authLoading) return <div style={{ textAlign:"center", padding:60 }}>Loading…</div>;
+
+  const header = (
+    <div style={{ background:"linear-gradient(135deg,#78350F,#92400E)", padding:"40px 16px 20px", color:"#fff" }}>
+      <div style={{ fontSize:22, fontWeight:800, fontFamily:"'Playfair Display',serif" }}>My Bookings</div>
+      <div style={{ opacity:0.8, fontSize:13, marginTop:2 }}>Your tables and pre-orders</div>
+    </div>
+  );
+
+  if (!user) {
+    return (
+      <div style={{ paddingBottom:80 }}>
+        {header}
+        <div style={{ textAlign:"center", padding:"40px 24px" }}>
+          <div style={{ fontSize:38, marginBottom:8 }}>🗓️</div>
+          <div style={{ fontWeight:600, fontSize:15, color:"#57534E", marginBottom:4 }}>Sign in to see your bookings</div>
+          <div style={{ fontSize:13, color:"#A8A29E", marginBottom:16 }}>Bookings made while signed in show up here.</div>
+          <button onClick={loginGoogle} style={{ background:"#fff", color:"#1C1917", border:"1px solid #D1D5DB", padding:"10px 16px", borderRadius:12, fontWeight:600, cursor:"pointer", display:"inline-flex", alignItems:"center", gap:8 }}>
+            <img src="https://www.gstatic.com/firebasejs/ui/2.0.0/images/auth/google.svg" width="18" height="18" alt="G" />
+            Sign In with Google
+          </button>
+        </div>
+        <div style={{ padding:"0 16px" }}>
+          <BookingLookup showToast={showToast} onOpenReceipt={onOpenReceipt} />
+        </div>
+      </div>
+    );
+  }
+
+  const today = kampalaToday();
+
+  return (
+    <div style={{ paddingBottom:80 }}>
+      {header}
+
+      <div style={{ padding:16, display:"flex", flexDirection:"column", gap:10 }}>
+        {loading && <div style={{ textAlign:"center", padding:30, fontSize:13, color:"#A8A29E" }}>Loading bookings…</div>}
+
+        {/* waitlist */}
+        {waitlist.map((w) => {
+          const msLeft = w.status === "offered" ? new Date(w.offerExpiresAt).getTime() - now : 0;
+          const live   = w.status === "offered" && msLeft > 0;
+          return (
+            <div key={w.id} style={{ background: live ? "#EFF6FF" : "#fff", border: live ? "1.5px solid #3B82F6" : "1px dashed #D6D3D1", borderRadius:16, padding:14 }}>
+              <div style={{ display:"flex", justifyContent:"space-between", alignItems:"flex-start", gap:8, marginBottom:6 }}>
+                <div>
+                  <div style={{ fontSize:15, fontWeight:700, color:"#1C1917" }}>{w.restaurantName}</div>
+                  <div style={{ fontSize:12, color:"#57534E" }}>⏳ Waitlist • {w.date} at {w.time} • {w.guests || 1} guest{w.guests > 1 ? "s" : ""}</div>
+                </div>
+                <StatusPill status={live ? "offered" : "waiting"}/>
+              </div>
+              {live && (
+                <div style={{ fontSize:12, color:"#1D4ED8", fontWeight:600, marginBottom:8 }}>
+                  🎉 A table opened up! Offer expires in {Math.floor(msLeft / 60000)}:{String(Math.floor(msLeft / 1000) % 60).padStart(2, "0")}
+                </div>
+              )}
+              <div style={{ display:"flex", gap:8 }}>
+                {live && (
+                  <button onClick={() => handleAcceptOffer(w)} disabled={busyId === w.id} style={{ flex:1, background:"#2563EB", color:"#fff", border:"none", borderRadius:8, padding:"8px 0", fontSize:12, fontWeight:700, cursor:"pointer" }}>
+                    Accept table
+                  </button>
+                )}
+                <button onClick={() => handleLeaveWaitlist(w)} disabled={busyId === w.id} style={{ flex:1, background:"#F3F4F6", color:"#57534E", border:"none", borderRadius:8, padding:"8px 0", fontSize:12, fontWeight:600, cursor:"pointer" }}>
+                  {live ? "No thanks" : "Leave waitlist"}
+                </button>
+              </div>
+            </div>
+          );
+        })}
+
+        {!loading && bookings.length === 0 && waitlist.length === 0 && (
+          <div style={{ textAlign:"center", padding:"40px 16px", color:"#A8A29E" }}>
+            <div style={{ fontSize:38, marginBottom:6 }}>🍽️</div>
+            <div style={{ fontWeight:600, fontSize:15, color:"#57534E", marginBottom:3 }}>No bookings yet</div>
+            <div style={{ fontSize:13 }}>Reserve a table from any restaurant page</div>
+          </div>
+        )}
+
+        {bookings.map((b) => {
+          const upcoming   = b.date >= today;
+          const changeable = upcoming && isActiveBooking(b.status);
+          return (
+            <div key={b.id} style={{ background:"#fff", borderRadius:16, padding:14, boxShadow:"0 1px 3px rgba(28,25,23,0.08)", opacity: upcoming ? 1 : 0.75 }}>
+              <div style={{ display:"flex", justifyContent:"space-between", alignItems:"flex-start", gap:8, marginBottom:6 }}>
+                <div>
+                  <div style={{ fontSize:15, fontWeight:700, color:"#1C1917" }}>{b.restaurantName}</div>
+                  <div style={{ fontSize:11, color:"#A8A29E" }}>
+                    Ref: {bookingReference(b)}
+                    {onOpenReceipt && (
+                      <> • <button onClick={() => onOpenReceipt(b)} style={{ background:"none", border:"none", padding:0, fontSize:11, color:"#D97706", fontWeight:700, cursor:"pointer" }}>Receipt</button></>
+                    )}
+                  </div>
+                </div>
+                <StatusPill status={b.status}/>
+              </div>
+
+              <div style={{ fontSize:12, color:"#57534E", display:"flex", alignItems:"center", gap:6, flexWrap:"wrap" }}>
+                <CalendarDays size={13} color="#D97706"/> {b.date} at {b.time}
+                <span>•</span>
+                {b.type === "pickup" ? "🥡 Pick up" : b.type === "delivery" ? "🛵 Delivery" : `🍽️ ${b.guests || 1} guest${b.guests > 1 ? "s" : ""}`}
+              </div>
+
+              {!isActiveBooking(b.status) && b.statusHistory?.length > 0 && b.statusHistory[b.statusHistory.length - 1].reason && (
+                <div style={{ marginTop:8, fontSize:11, color:"#78716C" }}>
+                  Note from {b.statusHistory[b.statusHistory.length - 1].by?.role === "diner" ? "you" : "the restaurant"}: {b.statusHistory[b.statusHistory.length - 1].reason}
+                </div>
+              )}
+
+              {b.reschedule && (
+                <div style={{ marginTop:8, background:"#EFF6FF", borderRadius:8, padding:"6px 10px", fontSize:11, color:"#1D4ED8" }}>
+                  🔁 Change to {b.reschedule.date} at {b.reschedule.time} requested — awaiting the restaurant
+                </div>
+              )}
+
+              {(b.preOrder || []).length > 0 && (
+                <div style={{ marginTop:8, background:"#FEF3C7", borderRadius:8, padding:"8px 10px" }}>
+                  {b.preOrder.map((item, i) => (
+                    <div key={i} style={{ display:"flex", justifyContent:"space-between", fontSize:11, color:"#92400E", padding:"1px 0" }}>
+                      <span>{lineLabel(item)} ×{item.qty}</span>
+                      <span>{((item.price || 0) * item.qty).toLocaleString()} UGX</span>
+                    </div>
+                  ))}
+                  {b.promotion && (
+                    <div style={{ display:"flex", justifyContent:"space-between", fontSize:11, color:"#15803D", padding:"1px 0" }}>
+                      <span>🏷️ {b.promotion.title}</span>
+                      <span>−{(b.promotion.discount || 0).toLocaleString()} UGX</span>
+                    </div>
+                  )}
+                  {b.delivery && (
+                    <div style={{ display:"flex", justifyContent:"space-between", fontSize:11, color:"#92400E", padding:"1px 0" }}>
+                      <span>🛵 Delivery to {b.delivery.address}</span>
+                      <span>{(b.delivery.fee || 0).toLocaleString()} UGX</span>
+                    </div>
+                  )}
+                  <div style={{ display:"flex", justifyContent:"space-between", fontSize:12, fontWeight:700, color:"#78350F", borderTop:"1px solid #FCD34D", marginTop:4, paddingTop:4 }}>
+                    <span>Total</span><span>{((b.preOrderTotal || 0) - (b.promotion?.discount || 0) + (b.delivery?.fee || 0)).toLocaleString()} UGX</span>
+                  </div>
+                </div>
+              )}
+
+              {/* pickup prepayment — payable only while the order is live */}
+              {b.payment && (isActiveBooking(b.status) || !PAYABLE_STATUSES.includes(b.payment.status)) && (
+                <div style={{ marginTop:8 }}>
+                  <PaymentPrompt bookingId={b.id} payment={b.payment} defaultPhone={b.payment.msisdn || b.userPhone}/>
+                </div>
+              )}
+
+              {/* reschedule form */}
+              {editingId === b.id && (
+                <div style={{ marginTop:10, display:"flex", gap:6, alignItems:"center" }}>
+                  <input type="date" value={newSlot.date} min={today} onChange={e => setNewSlot(p => ({ ...p, date: e.target.value }))}
+                    style={{ flex:1, padding:"8px 10px", border:"1.5px solid #E7E5E4", borderRadius:8, fontSize:13 }} />
+                  <input type="time" value={newSlot.time} onChange={e => setNewSlot(p => ({ ...p, time: e.target.value }))}
+                    style={{ flex:1, padding:"8px 10px", border:"1.5px solid #E7E5E4", borderRadius:8, fontSize:13 }} />
+                </div>
+              )}
+
+              {changeable && (
+                <div style={{ display:"flex", gap:8, marginTop:10 }}>
+                  {editingId === b.id ? (
+                    <>
+                      <button onClick={() => submitReschedule(b)} disabled={busyId === b.id} style={{ flex:1, background:"#78350F", color:"#fff", border:"none", borderRadius:8, padding:"8px 0", fontSize:12, fontWeight:600, cursor:"pointer" }}>
+                        Send request
+                      </button>
+                      <button onClick={() => setEditingId(null)} style={{ flex:1, background:"#F3F4F6", color:"#57534E", border:"none", borderRadius:8, padding:"8px 0", fontSize:12, fontWeight:600, cursor:"pointer" }}>
+                        Back
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <button onClick={() => startReschedule(b)} disabled={busyId === b.id} style={{ flex:1, background:"#FFFBEB", color:"#78350F", border:"none", borderRadius:8, padding:"8px 0", fontSize:12, fontWeight:600, cursor:"pointer" }}>
+                        🔁 Change time
+                      </button>
+                      <button onClick={() => handleCancel(b)} disabled={busyId === b.id} style={{ flex:1, background:"#FEE2E2", color:"#991B1B", border:"none", borderRadius:8, padding:"8px 0", fontSize:12, fontWeight:600, cursor:"pointer" }}>
+                        🚫 Cancel
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+
+        {!loading && <BookingLookup showToast={showToast} onOpenReceipt={onOpenReceipt} />}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+// =============================================================
+// FILE: src/pages/ReceiptPage.js
+// =============================================================
+// Printable booking receipt, shown full-screen over any page.
+// • Opened with a `booking` already in hand (BookingModal success
+//   card, My Bookings, the owner's inbox) or just a `reference`
+//   — App opens it for links like ?receipt=NC-K7M2QX. A bare
+//   reference asks for the booking's phone number first.
+// • Shows the restaurant's details, date/time, party or order
+//   type, the pre-order lines, any promotion and delivery fee,
+//   and the payment status.
+// • Print (window.print — only the receipt is printed), Share
+//   (Web Share API, or copies the link), and Add to calendar
+//   (.ics from utils/calendar.js).
+// =============================================================
+
+import { useState, useEffect } from "react";
+import { ArrowLeft, Printer, Share2, CalendarPlus } from "lucide-react";
+import { getBookingByReference, getRestaurant } from "../utils/firestoreService.js";
+import { bookingReference } from "../constants/bookings.js";
+import { paymentMeta } from "../constants/payments.js";
+import { lineLabel } from "../utils/menuOptions.js";
+import { downloadBookingICS } from "../utils/calendar.js";
+import StatusPill from "../components/StatusPill.js";
+
+export function receiptLink(booking) {
+  return `${window.location.origin}${window.location.pathname}?receipt=${bookingReference(booking)}`;
+}
+
+const row = { display:"flex", justifyContent:"space-between", gap:12, fontSize:13, padding:"3px 0" };
+
+export default function ReceiptPage({ booking: initialBooking = null, reference, onBack }) {
+  const [booking,    setBooking]    = useState(initialBooking);
+  const [restaurant, setRestaurant] = useState(null);
+  const [loading,    setLoading]    = useState(false);
+  const [error,      setError]      = useState(null);
+  const [copied,     setCopied]     = useState(false);
+  const [phone,      setPhone]      = useState("");
+
+  // ── booking by reference + phone ──────────────────
+  const lookUp = () => {
+    if (!phone.trim()) return;
+    setLoading(true);
+    setError(null);
+    getBookingByReference(reference, phone)
+      .then((b) => { if (b) setBooking(b); else setError(`No booking matches ${reference} and that phone number.`); })
+      .catch((err) => setError("Could not load the receipt: " + err.message))
+      .finally(() => setLoading(false));
+  };
+
+  // ── restaurant details (address, phone, pin) ──────
+  useEffect(() => {
+    if (!booking?.restaurantId) return;
+    getRestaurant(booking.restaurantId)
+      .then(setRestaurant)
+      .catch((err) => console.error("Restaurant lookup failed", err));
+  }, [booking?.restaurantId]);
+
+  const share = async () => {
+    const url = receiptLink(booking);
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: `Booking ${bookingReference(booking)}`, text: `${booking.restaurantName} — ${booking.date} at ${booking.time}`, url });
+      } catch {
+        // diner closed the share sheet
+      }
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      window.prompt("Copy this link:", url);
+    }
+  };
+
+  const lines    = booking?.preOrder || [];
+  const discount = booking?.promotion?.discount || 0;
+  const total    = (booking?.preOrderTotal || 0) - discount + (booking?.delivery?.fee || 0);
+  const r        = restaurant || {};
+
+  const actionBtn = { flex:1, background:"#fff", border:"1.5px solid #E7E5E4", borderRadius:10, padding:"10px 6px", fontSize:12, fontWeight:600, color:"#78350F", cursor:"pointer", display:"flex", alignItems:"center", justifyContent:"center", gap:5 };
+
+  return (
+    <div style={{ position:"fixed", inset:0, background:"#FFFBEB", zIndex:260, overflowY:"auto" }}>
+      <div style={{ maxWidth:480, margin:"0 auto", padding:"16px 16px 40px" }}>
+        <div className="nc-no-print" style={{ display:"flex", alignItems:"center", gap:10, marginBottom:14 }}>
+          <button onClick={onBack} style={{ background:"#fff", border:"none", borderRadius:10, padding:8, color:"#78350F", cursor:"pointer", display:"flex", boxShadow:"0 1px 3px rgba(28,25,23,0.08)" }}>
+            <ArrowLeft size={18}/>
+          </button>
+          <div style={{ fontSize:17, fontWeight:700, fontFamily:"'Playfair Display',serif", color:"#1C1917" }}>Booking Receipt</div>
+        </div>
+
+        {!booking ? (
+          <div style={{ background:"#fff", borderRadius:16, padding:18, boxShadow:"0 1px 3px rgba(28,25,23,0.08)" }}>
+            <div style={{ fontSize:14, fontWeight:700, color:"#1C1917", marginBottom:2 }}>{reference}</div>
+            <div style={{ fontSize:12, color:"#78716C", marginBottom:10 }}>Enter the phone number this booking was made with.</div>
+            <div style={{ display:"flex", gap:8 }}>
+              <input value={phone} onChange={e => setPhone(e.target.value)} onKeyDown={e => { if (e.key === "Enter") lookUp(); }} placeholder="+256…" type="tel"
+                style={{ flex:1, minWidth:0, padding:"10px 12px", border:"1.5px solid #E7E5E4", borderRadius:10, fontSize:14, outline:"none" }} />
+              <button onClick={lookUp} disabled={loading} style={{ background: loading ? "#A8A29E" : "#78350F", color:"#fff", border:"none", borderRadius:10, padding:"0 16px", fontSize:13, fontWeight:600, cursor: loading ? "not-allowed" : "pointer" }}>
+                {loading ? "…" : "View"}
+              </button>
+            </div>
+            {error && <div style={{ fontSize:12, color:"#991B1B", marginTop:8 }}>⚠️ {error}</div>}
+          </div>
+        ) : (
+          <>
+            <div className="nc-receipt" style={{ background:"#fff", borderRadius:16, padding:18, boxShadow:"0 1px 3px rgba(28,25,23,0.08)" }}>
+              {/* restaurant */}
+              <div style={{ textAlign:"center", borderBottom:"1px dashed #D6D3D1", paddingBottom:12, marginBottom:12 }}>
+                <div style={{ fontSize:11, fontWeight:700, color:"#D97706", letterSpacing:1 }}>NYAMACONNECT</div>
+                <div style={{ fontSize:20, fontWeight:700, fontFamily:"'Playfair Display',serif", color:"#1C1917" }}>{r.name || booking.restaurantName}</div>
+                {(r.address || r.city) && <div style={{ fontSize:12, color:"#78716C" }}>{[r.address, r.city].filter(Boolean).join(", ")}</div>}
+                {r.phone && <div style={{ fontSize:12, color:"#78716C" }}>📞 {r.phone}</div>}
+              </div>
+
+              {/* booking */}
+              <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:8 }}>
+                <div style={{ fontSize:15, fontWeight:700, color:"#78350F" }}>{bookingReference(booking)}</div>
+                <StatusPill status={booking.status}/>
+              </div>
+              <div style={row}><span style={{ color:"#78716C" }}>Date</span><span>{booking.date} at {booking.time}</span></div>
+              <div style={row}>
+                <span style={{ color:"#78716C" }}>Type</span>
+                <span>{booking.type === "pickup" ? "🥡 Pick up" : booking.type === "delivery" ? "🛵 Delivery" : `🍽️ Dine in • ${booking.guests || 1} guest${booking.guests > 1 ? "s" : ""}`}</span>
+              </div>
+              <div style={row}><span style={{ color:"#78716C" }}>Name</span><span>{booking.userName || "Guest"}</span></div>
+              {booking.userPhone && <div style={row}><span style={{ color:"#78716C" }}>Phone</span><span>{booking.userPhone}</span></div>}
+              {booking.delivery && <div style={row}><span style={{ color:"#78716C" }}>Deliver to</span><span style={{ textAlign:"right" }}>{booking.delivery.address}</span></div>}
+              {booking.notes && <div style={row}><span style={{ color:"#78716C" }}>Notes</span><span style={{ textAlign:"right" }}>{booking.notes}</span></div>}
+
+              {/* pre-order */}
+              {lines.length > 0 && (
+                <div style={{ borderTop:"1px dashed #D6D3D1", marginTop:10, paddingTop:10 }}>
+                  {lines.map((item, i) => (
+                    <div key={i} style={row}>
+                      <span>{lineLabel(item)} ×{item.qty}</span>
+                      <span style={{ whiteSpace:"nowrap" }}>{((item.price || 0) * item.qty).toLocaleString()} UGX</span>
+                    </div>
+                  ))}
+                  {booking.promotion && (
+                    <div style={{ ...row, color:"#15803D" }}>
+                      <span>🏷️ {booking.promotion.title}{booking.promotion.code ? ` (${booking.promotion.code})` : ""}</span>
+                      <span style={{ whiteSpace:"nowrap" }}>−{discount.toLocaleString()} UGX</span>
+                    </div>
+                  )}
+                  {booking.delivery && (
+                    <div style={row}><span>🛵 Delivery ({booking.delivery.distanceKm} km)</span><span style={{ whiteSpace:"nowrap" }}>{(booking.delivery.fee || 0).toLocaleString()} UGX</span></div>
+                  )}
+                  <div style={{ ...row, fontSize:15, fontWeight:700, color:"#78350F", borderTop:"1px solid #E7E5E4", marginTop:6, paddingTop:6 }}>
+                    <span>Total</span><span>{total.toLocaleString()} UGX</span>
+                  </div>
+                </div>
+              )}
+
+              {/* payment */}
+              {booking.payment && (
+                <div style={{ ...row, borderTop:"1px dashed #D6D3D1", marginTop:10, paddingTop:10 }}>
+                  <span style={{ color:"#78716C" }}>📱 Mobile money</span>
+                  <span style={{ display:"flex", alignItems:"center", gap:6 }}>
+                    {(booking.payment.amount || 0).toLocaleString()} UGX <StatusPill meta={paymentMeta(booking.payment.status)}/>
+                  </span>
+                </div>
+              )}
+
+              <div style={{ textAlign:"center", fontSize:11, color:"#A8A29E", marginTop:14 }}>
+                Show this reference at {r.name || booking.restaurantName}.
+              </div>
+            </div>
+
+            <div className="nc-no-print" style={{ display:"flex", gap:8, marginTop:14 }}>
+              <button onClick={() => window.print()} style={actionBtn}><Printer size={15}/> Print</button>
+              <button onClick={share} style={actionBtn}><Share2 size={15}/> {copied ? "Link copied" : "Share"}</button>
+              <button onClick={() => downloadBookingICS(booking, r)} style={actionBtn}><CalendarPlus size={15}/> Calendar</button>
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* print only the receipt card */}
+      <style>{`
+        @media print {
+          body * { visibility: hidden; }
+          .nc-receipt, .nc-receipt * { visibility: visible; }
+          .nc-receipt { position: absolute; left: 0; top: 0; width: 100%; box-shadow: none !important; }
+          .nc-no-print { display: none !important; }
+        }
+      `}</style>
+    </div>
+  );
+}
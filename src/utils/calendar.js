@@ -0,0 +1,112 @@
+// =============================================================
+// FILE: src/utils/calendar.js
+// =============================================================
+// iCalendar (.ics) event for a booking, so diners can add the
+// reservation to Google / Apple / Outlook calendars.
+//
+//   bookingToICS(booking, restaurant) → string (RFC 5545)
+//   downloadBookingICS(booking, restaurant)
+//
+// Booking times are Kampala wall-clock times (bookingInstant),
+// written in UTC so every calendar places them right.
+// =============================================================
+
+import { downloadFile } from "./csv.js";
+import { bookingReference } from "../constants/bookings.js";
+import { lineLabel } from "./menuOptions.js";
+import { bookingInstant } from "./scheduling.js";
+
+// How long the event blocks out, by booking type
+const EVENT_MINUTES = { "dine-in": 90, pickup: 15, delivery: 30 };
+
+// 20260314T090000Z
+function icsDate(d) {
+  return d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Commas, semicolons and newlines must be escaped in text values
+function icsText(value) {
+  return String(value ?? "").replace(/\\/g, "\\\\").replace(/([,;])/g, "\\$1").replace(/\r?\n/g, "\\n");
+}
+
+// Lines over 75 octets (UTF-8 bytes) are folded onto continuation
+// lines, which start with a space. Splits fall between code points,
+// so "×" or an emoji in a name or note is never cut in half.
+const MAX_LINE_OCTETS = 75;
+
+function utf8Length(char) {
+  const code = char.codePointAt(0);
+  return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+}
+
+function fold(line) {
+  const parts = [];
+  let part = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    if (octets + size > MAX_LINE_OCTETS - (parts.length ? 1 : 0)) {
+      parts.push(part);
+      part = "";
+      octets = 0;
+    }
+    part += char;
+    octets += size;
+  }
+  parts.push(part);
+  return parts.join("\r\n ");
+}
+
+export function bookingToICS(booking, restaurant = {}) {
+  const start   = bookingInstant(booking.date, booking.time);
+  const end     = new Date(start.getTime() + (EVENT_MINUTES[booking.type] || 60) * 60000);
+  const ref     = bookingReference(booking);
+  const name    = restaurant.name || booking.restaurantName || "Restaurant";
+  const place   = [restaurant.address, restaurant.city].filter(Boolean).join(", ");
+
+  const summary = booking.type === "pickup"   ? `Pick up order — ${name}`
+                : booking.type === "delivery" ? `Delivery from ${name}`
+                : `Table for ${booking.guests || 1} at ${name}`;
+
+  const details = [
+    `Ref: ${ref}`,
+    restaurant.phone ? `Phone: ${restaurant.phone}` : null,
+    booking.delivery ? `Deliver to: ${booking.delivery.address}` : null,
+    ...(booking.preOrder || []).map(l => `${lineLabel(l)} ×${l.qty}`),
+    booking.notes ? `Notes: ${booking.notes}` : null
+  ].filter(Boolean).join("\n");
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//NyamaConnect//Bookings//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${booking.id}@nyamaconnect`,
+    `DTSTAMP:${icsDate(new Date())}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SUMMARY:${icsText(summary)}`,
+    `DESCRIPTION:${icsText(details)}`,
+    place ? `LOCATION:${icsText(place)}` : null,
+    restaurant.lat != null && restaurant.lng != null ? `GEO:${restaurant.lat};${restaurant.lng}` : null,
+    "BEGIN:VALARM",
+    "TRIGGER:-PT1H",
+    "ACTION:DISPLAY",
+    `DESCRIPTION:${icsText(summary)}`,
+    "END:VALARM",
+    "END:VEVENT",
+    "END:VCALENDAR"
+  ].filter(Boolean);
+
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+export function downloadBookingICS(booking, restaurant) {
+  downloadFile(
+    `nyamaconnect-${bookingReference(booking).toLowerCase()}.ics`,
+    bookingToICS(booking, restaurant),
+    "text/calendar;charset=utf-8"
+  );
+}
@@ -0,0 +1,47 @@
+import { bookingToICS } from "./calendar.js";
+
+const booking = {
+  id: "abc123", reference: "NC-K7M2QX", date: "2026-10-20", time: "19:00", type: "dine-in", guests: 4,
+  notes: "Window seat, please; it's a birthday 🎂🎉\nBring the cake at 9"
+};
+const restaurant = { name: "Mama's Kitchen 🍲🔥", address: "Plot 12, Kololo", city: "Kampala", phone: "0414 123456" };
+
+const physicalLines = (ics) => ics.split("\r\n").slice(0, -1);
+const unfold = (ics) => ics.replace(/\r\n /g, "");
+
+describe("bookingToICS", () => {
+  const ics = bookingToICS(booking, restaurant);
+
+  it("writes the Kampala booking time in UTC", () => {
+    expect(ics).toContain("\r\nDTSTART:20261020T160000Z\r\n");
+    expect(ics).toContain("\r\nDTEND:20261020T173000Z\r\n");
+    expect(bookingToICS({ ...booking, type: "pickup" })).toContain("\r\nDTEND:20261020T161500Z\r\n");
+  });
+
+  it("escapes commas, semicolons, backslashes and newlines", () => {
+    const lines = unfold(ics).split("\r\n");
+    expect(lines).toContain("LOCATION:Plot 12\\, Kololo\\, Kampala");
+    expect(lines.find(l => l.startsWith("DESCRIPTION:Ref"))).toBe(
+      "DESCRIPTION:Ref: NC-K7M2QX\\nPhone: 0414 123456\\nNotes: Window seat\\, please\\; it's a birthday 🎂🎉\\nBring the cake at 9"
+    );
+    expect(bookingToICS({ ...booking, notes: "C:\\path" })).toContain("Notes: C:\\\\path");
+  });
+
+  it("folds long lines at 75 octets without splitting a character", () => {
+    const long = bookingToICS({ ...booking, notes: "🎂".repeat(40) + "×".repeat(40) });
+    const lines = physicalLines(long);
+    expect(lines.length).toBeGreaterThan(physicalLines(bookingToICS({ ...booking, notes: "" })).length);
+    lines.forEach(line => {
+      expect(Buffer.byteLength(line, "utf8")).toBeLessThanOrEqual(75);
+      expect(line).not.toMatch(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/);
+    });
+    expect(unfold(long)).toContain("Notes: " + "🎂".repeat(40) + "×".repeat(40));
+  });
+
+  it("wraps the event in a calendar with CRLF line endings", () => {
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(ics.endsWith("END:VEVENT\r\nEND:VCALENDAR\r\n")).toBe(true);
+    expect(ics).toContain("\r\nUID:abc123@nyamaconnect\r\n");
+    expect(unfold(ics)).toContain("SUMMARY:Table for 4 at Mama's Kitchen 🍲🔥");
+  });
+});
@@ -0,0 +1,64 @@
+// =============================================================
+// FILE: src/utils/csv.js
+// =============================================================
+// Tiny CSV writer / reader + browser download helper.
+//
+//   toCSV(rows, columns)  → string
+//       columns: [{ key, label }] — key may be a function(row)
+//   parseCSV(text)        → string[][] (quoted cells, "" escapes,
+//                           CRLF or LF; blank lines dropped)
+//   downloadFile(filename, content, mime)
+// =============================================================
+
+function escapeCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(rows, columns) {
+  const header = columns.map((c) => escapeCell(c.label)).join(",");
+  const lines  = rows.map((row) =>
+    columns.map((c) => escapeCell(typeof c.key === "function" ? c.key(row) : row[c.key])).join(",")
+  );
+  return [header, ...lines].join("\r\n");
+}
+
+export function parseCSV(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");   // spreadsheet BOM
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell); cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+export function downloadFile(filename, content, mime = "text/csv;charset=utf-8") {
+  const blob = new Blob([content], { type: mime });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement("a");
+  a.href     = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,44 @@
+// =============================================================
+// FILE: src/utils/delivery.js
+// =============================================================
+// Delivery pricing for restaurant.delivery. Pure — used by
+// BookingModal for the live quote and again by createBooking as
+// the authority, so a diner can't pick their own fee.
+//
+//   quoteDelivery(restaurant, { lat, lng })
+//       → { distanceKm, fee, error }   error is a diner-facing
+//                                      message, or null
+// =============================================================
+
+import { haversine } from "../hooks/useGeolocation.js";
+
+export const DEFAULT_DELIVERY = {
+  enabled:     false,
+  baseFee:     3000,   // UGX, charged on every delivery
+  perKm:       1000,   // UGX per km, straight-line distance
+  maxRadiusKm: 8       // no delivery beyond this
+};
+
+const ROUND_TO = 100;  // UGX
+
+export function deliveryRules(restaurant) {
+  return { ...DEFAULT_DELIVERY, ...(restaurant?.delivery || {}) };
+}
+
+export function quoteDelivery(restaurant, dropoff) {
+  const rules = deliveryRules(restaurant);
+  if (!rules.enabled) return { distanceKm: null, fee: 0, error: `${restaurant?.name || "This restaurant"} doesn't deliver.` };
+  if (restaurant?.lat == null || restaurant?.lng == null) {
+    return { distanceKm: null, fee: 0, error: "This restaurant hasn't set its location yet." };
+  }
+  if (dropoff?.lat == null || dropoff?.lng == null) return { distanceKm: null, fee: 0, error: "Pick your drop-off point on the map." };
+
+  const distanceKm = parseFloat(haversine(restaurant.lat, restaurant.lng, dropoff.lat, dropoff.lng).toFixed(2));
+  const maxKm      = parseFloat(rules.maxRadiusKm) || 0;
+  if (maxKm > 0 && distanceKm > maxKm) {
+    return { distanceKm, fee: 0, error: `That's ${distanceKm} km away — ${restaurant.name || "this restaurant"} delivers up to ${maxKm} km.` };
+  }
+
+  const raw = (parseInt(rules.baseFee, 10) || 0) + distanceKm * (parseInt(rules.perKm, 10) || 0);
+  return { distanceKm, fee: Math.ceil(raw / ROUND_TO) * ROUND_TO, error: null };
+}
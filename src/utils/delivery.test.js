@@ -0,0 +1,31 @@
+import { quoteDelivery, deliveryRules, DEFAULT_DELIVERY } from "./delivery.js";
+
+// Kampala Road; 0.02° of latitude north is about 2.22 km
+const restaurant = { name: "Mama's Kitchen", lat: 0.3136, lng: 32.5811, delivery: { enabled: true } };
+const nearby     = { lat: 0.3336, lng: 32.5811 };
+
+describe("quoteDelivery", () => {
+  it("charges the base fee plus the distance, rounded up to 100 UGX", () => {
+    expect(quoteDelivery(restaurant, nearby)).toEqual({ distanceKm: 2.22, fee: 5300, error: null });
+    expect(quoteDelivery({ ...restaurant, delivery: { enabled: true, baseFee: "2000", perKm: "500" } }, nearby).fee).toBe(3200);
+  });
+
+  it("refuses drop-offs beyond the delivery radius", () => {
+    expect(quoteDelivery(restaurant, { lat: 0.4136, lng: 32.5811 }))
+      .toEqual({ distanceKm: 11.12, fee: 0, error: "That's 11.12 km away — Mama's Kitchen delivers up to 8 km." });
+    expect(quoteDelivery({ ...restaurant, delivery: { enabled: true, maxRadiusKm: 0 } }, { lat: 0.4136, lng: 32.5811 }).error).toBeNull();
+  });
+
+  it("explains why it can't quote", () => {
+    expect(quoteDelivery({ ...restaurant, delivery: {} }, nearby).error).toBe("Mama's Kitchen doesn't deliver.");
+    expect(quoteDelivery({ ...restaurant, lat: null }, nearby).error).toBe("This restaurant hasn't set its location yet.");
+    expect(quoteDelivery(restaurant, null).error).toBe("Pick your drop-off point on the map.");
+  });
+});
+
+describe("deliveryRules", () => {
+  it("fills in the defaults", () => {
+    expect(deliveryRules({ delivery: { enabled: true, perKm: 800 } })).toEqual({ ...DEFAULT_DELIVERY, enabled: true, perKm: 800 });
+    expect(deliveryRules(null)).toEqual(DEFAULT_DELIVERY);
+  });
+});
@@ -9,45 +9,188 @@
 //       ownerId        string   – Firebase Auth uid of the owner
 //       name           string
 //       city           string   – e.g. "Kampala"
-//       categories     string[] – e.g. ["local","matooke"]
+//       categories     string[] – e.g. ["local","matooke"], ids from
+//                                   constants/categories.js (max MAX_CATEGORIES)
+//       primaryCategory string  – main cuisine, one of categories
+//       staff          map      – { [uid]: { role, email, name, addedAt } }
+//                                   manager | host | kitchen, see constants/staff.js
+//       staffIds       string[] – uids in staff (array-contains queries)
 //       address        string
 //       lat            number   – latitude  (from owner's map pin)
 //       lng            number   – longitude
 //       phone          string
-//       openTime       string   – "HH:MM"
-//       closeTime      string   – "HH:MM"
-//       menu           array    – [{ category, items: [{ name, price }] }]
-//       verified       boolean
-//       featured       boolean
+//       email          string   – where owner booking emails go (outbox)
+//       weeklyHours    map      – { mon: [{ open, close }], … sun: [] }, Kampala time
+//       hoursExceptions array   – [{ date, closed, intervals, reason }]
+//       temporarilyClosed boolean, closedNote string
+//                                   see utils/scheduling.js
+//       openTime, closeTime string – "HH:MM", older docs only (every day)
+//       menu           array    – [{ category, availableFrom, availableTo,
+//                                   items: [{ name, price, image, description, popular,
+//                                   availability, soldOutAt,
+//                                   variantLabel, variants, addonGroups,
+//                                   dietary, spiceLevel }] }]
+//                                   options: see utils/menuOptions.js,
+//                                   availability: utils/menuAvailability.js,
+//                                   dietary tags: constants/dietary.js
+//       menuResetHour  number   – hour (0–23) sold-out dishes come back
+//       capacity       map      – { seats, slotMinutes, maxCoversPerSlot }
+//       bookingRules   map      – { minLeadMinutes, maxAdvanceDays,
+//                                   blackoutDates: [{ date, reason }] }
+//       busy           boolean  – owner paused new bookings (waitlist only)
+//       pickupPayment  map      – { mode: "none" | "deposit" | "full", depositPercent }
+//       delivery       map      – { enabled, baseFee, perKm, maxRadiusKm }
+//       waitlistOfferMinutes number – how long a waitlist offer stays open
+//       plan           string   – fee plan id (constants/fees.js), set by an admin
+//       serviceFee     number   – optional per-restaurant fee override (UGX), set by an admin
+//       verified       boolean  – set by an admin approving `verification`
+//       featured       boolean  – set by an admin
+//       boosted        boolean  – set by an admin approving `boostRequest`
+//       boostRequested boolean  – a boost request is waiting for review
+//       verification   map      – { status, documents, submittedAt, submittedBy, reviewedAt,
+//                                   reviewedBy, reason }, see constants/admin.js
+//       boostRequest   map      – { status, requestedAt, requestedBy, reviewedAt,
+//                                   reviewedBy, reason }
+//       suspended      boolean  – hidden from diners, no new bookings
+//       suspendedReason string
 //       rating         number   – average (updated via trigger or client)
 //       reviewCount    number
 //       createdAt      timestamp
 //
+//   /restaurants/{id}/slots/{date_HHMM}
+//       date, time            string  – slot start
+//       covers                number  – dine-in guests already booked
+//       hold                  map     – { entryId, covers, expiresAt } covers kept for
+//                                       an open waitlist offer; lapses at expiresAt
+//
 //   /bookings/{autoId}
+//       reference             string  – "NC-K7M2QX", unique (see /bookingRefs); older
+//                                       bookings have "NC-" + last 8 of the doc id
 //       restaurantId          string
 //       restaurantOwnerId     string  – for security-rule read access
 //       restaurantName        string  – denormalised for the diner's view
 //       userName              string
 //       userPhone             string
+//       userEmail             string  – signed-in diner's email, for notifications
 //       userId               string  – Auth uid (or null for anon)
 //       date                  string  – "YYYY-MM-DD"
 //       time                  string  – "HH:MM"
 //       guests                number
-//       type                  string  – "dine-in" | "pickup"
+//       type                  string  – "dine-in" | "pickup" | "delivery"
+//       promotion             map     – { id, code, title, discount, perDiner }
+//                                       applied offer; discount comes off preOrderTotal
+//       delivery              map     – { address, lat, lng, distanceKm, fee }
+//                                       fee priced by utils/delivery.js
 //       notes                 string
-//       status                string  – "pending" | "confirmed" | "cancelled"
+//       status                string  – see constants/bookings.js:
+//                                       pending | confirmed | seated | completed |
+//                                       no-show | declined | cancelled | cancelled-by-diner
+//       statusHistory         array   – [{ from, to, at, by: { uid, name, role }, reason }]
+//       feeId                 string  – /fees entry, set once the booking is confirmed
+//       payment               map     – pickup prepayment, see constants/payments.js:
+//                                       { mode, amount, currency, status, provider,
+//                                         network, msisdn, transactionId, reason,
+//                                         refundId, updatedAt }
+//       slotId, covers        string, number – slot held by a dine-in booking
+//       reschedule            map     – { date, time, previousStatus, requestedAt }
+//                                       set while a diner's change request is open
+//       kitchenStatus         string  – pickup orders: received | preparing | ready | collected
+//       kitchenTimes          map     – { preparing, ready, collected } ISO times
 //       createdAt             timestamp
+//
+//   /waitlist/{autoId}
+//       restaurantId, restaurantOwnerId, restaurantName
+//       date, time, guests, type, userName, userPhone, userId
+//       status                string  – "waiting" | "offered" | "accepted" | "expired" | "left"
+//       offeredAt, offerExpiresAt  ISO string – set while an offer is open
+//                                       (the slot's `hold` keeps the covers meanwhile)
+//       bookingId             string  – the booking created on accept
+//       createdAt             timestamp – queue order
+//
+//   /bookingRefs/{reference}         – reserves a booking reference
+//       bookingId, restaurantId, createdAt
+//
+//   /outbox/{autoId}                 – notifications (utils/notifications.js)
+//       event                 string  – "new-booking" | "confirmed" | "cancelled" | "reminder"
+//                                       | "staff-invite" (no booking fields)
+//       audience              string  – "owner" | "diner" | "staff"
+//       channel, to           string  – "sms" | "whatsapp" | "email", address
+//       subject, body         string  – rendered text
+//       template, params              – WhatsApp template name + parameters
+//       bookingId, bookingDate, bookingTime, restaurantId, restaurantOwnerId
+//       status                string  – queued | sending | retrying | sent | failed | skipped
+//       attempts              number
+//       sendAfter             string  – ISO; not sent before (reminders, retry back-off)
+//       claimedAt, lastError, providerMessageId, sentAt, createdAt
+//
+//   /promotions/{autoId}
+//       restaurantId, restaurantOwnerId
+//       title, code, type, value, freeItem, eligibleItems, minSpend,
+//       days, startTime, endTime, validFrom, validTo,
+//       maxRedemptions, maxPerDiner, active  – see utils/promotions.js
+//       redemptionCount       number  – moved only inside booking transactions
+//
+//   /promotions/{id}/redemptions/{uid}
+//       count                 number  – per-diner uses (maxPerDiner)
+//
+//   /fees/{bookingId}
+//       restaurantId, restaurantOwnerId, restaurantName
+//       bookingId, bookingReference, bookingDate, userName
+//       plan, amount          string, number – fee charged (UGX)
+//       period                string  – "YYYY-MM" month the booking was confirmed (Kampala time)
+//       status                string  – "unpaid" | "paid" (markFeesPaid, admins only)
+//       paidBy                map     – { uid, name } of the admin
+//       paidAt, createdAt     timestamp
+//
+//   /staffInvites/{autoId}
+//       restaurantId, restaurantOwnerId, restaurantName
+//       email                 string  – lower-cased; whoever signs in with it may accept
+//       role                  string  – manager | host | kitchen
+//       invitedBy             map     – { uid, name }
+//       status                string  – "pending" | "accepted" | "cancelled"
+//       acceptedBy, acceptedAt, createdAt
+//
+//   /adminAudit/{autoId}              – every admin action, newest first in AdminPage
+//       action                string  – id from ADMIN_ACTIONS (constants/admin.js)
+//       restaurantId, restaurantName
+//       actor                 map     – { uid, name }
+//       reason                string | null – for "fees-paid", what was settled;
+//                                       for "fee-plan-changed", the new plan
+//       createdAt             timestamp
+//
+//   /users/{uid}
+//       role                  string  – "diner" | "owner" | "admin" (admin set by hand)
+//       noShowCount           number  – bumped when a booking is marked no-show
 // =============================================================
 
 import {
   collection, doc,
-  addDoc, setDoc, updateDoc,
+  addDoc, setDoc, updateDoc, deleteDoc,
   getDoc, getDocs,
   query, where, orderBy, limit,
-  serverTimestamp,
+  serverTimestamp, deleteField, increment, arrayUnion, arrayRemove,
+  runTransaction,
   onSnapshot
 } from "firebase/firestore";
-import { db } from "../firebase.config.js";
+import { db, auth } from "../firebase.config.js";
+import { slotId, slotLimit, validateBookingTime, kampalaToday } from "./scheduling.js";
+import {
+  canTransition, statusMeta, RELEASED_STATUSES, RESCHEDULABLE_STATUSES, DEFAULT_OFFER_MINUTES,
+  KITCHEN_STATUS, nextKitchenStatus, bookingReference, isActiveBooking,
+  newBookingReference, normaliseReference, LEGACY_REFERENCE_LENGTH
+} from "../constants/bookings.js";
+import { resolveServiceFee, planFor, FEE_PLANS } from "../constants/fees.js";
+import { paymentDue, paymentMeta, PAYABLE_STATUSES } from "../constants/payments.js";
+import { getPaymentProvider, normaliseMsisdn, detectNetwork } from "./payments.js";
+import { quoteDelivery } from "./delivery.js";
+import { evaluatePromotion, normaliseCode } from "./promotions.js";
+import { unavailableLineError, findMenuItem } from "./menuAvailability.js";
+import { PERMISSIONS, INVITABLE_ROLES, roleFor, roleMeta, can, normaliseEmail } from "../constants/staff.js";
+import { ADMIN_FIELDS, DOCUMENT_TYPES, REQUIRED_DOCUMENTS, REASON_REQUIRED, ADMIN_ACTIONS, isAdmin } from "../constants/admin.js";
+import {
+  buildNotifications, notificationParams, reminderTime, retryDelayMinutes,
+  getNotificationProvider
+} from "./notifications.js";
 
 // ─── FILE UPLOADS (Cloudinary) ─────────────────────────────
 
@@ -88,14 +231,20 @@ export async function uploadImage(file) {
 
 // ─── RESTAURANTS ──────────────────────────────────────────
 
+// Listing flags only the ADMIN functions below may set
+function withoutAdminFields(data) {
+  return Object.fromEntries(Object.entries(data).filter(([k]) => !ADMIN_FIELDS.includes(k)));
+}
+
 // Create a new restaurant (owner registration)
 export async function createRestaurant(data, ownerId) {
   const ref = await addDoc(collection(db, "restaurants"), {
-    ...data,
+    ...withoutAdminFields(data),
     ownerId,
     verified:    false,
     featured:    false,
     boosted:     false,
+    suspended:   false,
     rating:      0,
     reviewCount: 0,
     createdAt:   serverTimestamp()
@@ -103,14 +252,43 @@ export async function createRestaurant(data, ownerId) {
   return ref.id;   // the new document ID
 }
 
-// Update an existing restaurant doc (owner edits)
-export async function updateRestaurant(restaurantId, data) {
+// Update an existing restaurant doc (owner / manager edits).
+// Menu fields need the "menu" permission, anything else
+// "settings"; ownership and staff only change through the STAFF
+// functions below, listing flags through the ADMIN ones.
+const MENU_FIELDS = ["menu", "menuResetHour"];
+
+export async function updateRestaurant(restaurantId, data, { actor } = {}) {
+  const { ownerId, staff, staffIds, ...fields } = withoutAdminFields(data);
+  const restaurant = await readRestaurantAs(restaurantId, actor, null);
+  if (Object.keys(fields).some(k => MENU_FIELDS.includes(k)))  assertCan(restaurant, actor, "menu");
+  if (Object.keys(fields).some(k => !MENU_FIELDS.includes(k))) assertCan(restaurant, actor, "settings");
   await updateDoc(doc(db, "restaurants", restaurantId), {
-    ...data,
+    ...fields,
     updatedAt: serverTimestamp()
   });
 }
 
+// Marks one dish available / sold out / hidden straight away,
+// without saving the rest of the dashboard form
+export async function setMenuItemAvailability(restaurantId, itemName, { availability, soldOutAt = null }, { actor } = {}) {
+  const ref = doc(db, "restaurants", restaurantId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists()) throw new Error("Restaurant not found.");
+    assertCan(snap.data(), actor, "menu");
+    const menu = snap.data().menu || [];
+    if (!findMenuItem(menu, itemName).item) throw new Error(`${itemName} isn't on the saved menu yet — save the menu first.`);
+    tx.update(ref, {
+      menu: menu.map(s => ({
+        ...s,
+        items: (s.items || []).map(i => (i.name === itemName ? { ...i, availability, soldOutAt } : i))
+      })),
+      updatedAt: serverTimestamp()
+    });
+  });
+}
+
 // Fetch ONE restaurant by ID
 export async function getRestaurant(restaurantId) {
   const snap = await getDoc(doc(db, "restaurants", restaurantId));
@@ -125,7 +303,7 @@ export async function getAllRestaurants(city = null) {
     q = query(q, where("city", "==", city));
   }
   const snap = await getDocs(q);
-  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() })).filter((r) => !r.suspended);
 }
 
 // Fetch restaurants owned by a specific user
@@ -138,6 +316,21 @@ export async function getOwnerRestaurants(ownerId) {
   return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
 }
 
+// Restaurants a user owns or is staff at, each with `myRole`
+// ("owner" | "manager" | "host" | "kitchen") — the dashboard list
+export async function getManagedRestaurants(uid) {
+  const [owned, staffed] = await Promise.all([
+    getOwnerRestaurants(uid),
+    getDocs(query(collection(db, "restaurants"), where("staffIds", "array-contains", uid)))
+      .then((snap) => snap.docs.map((d) => ({ id: d.id, ...d.data() })))
+  ]);
+  const seen = new Set();
+  return [...owned, ...staffed]
+    .filter((r) => !seen.has(r.id) && seen.add(r.id))
+    .map((r) => ({ ...r, myRole: roleFor(r, uid) }))
+    .filter((r) => r.myRole);
+}
+
 // Fetch featured restaurants (for the hero banner)
 export async function getFeaturedRestaurants(limit_ = 3) {
   const q = query(
@@ -147,19 +340,510 @@ export async function getFeaturedRestaurants(limit_ = 3) {
     limit(limit_)
   );
   const snap = await getDocs(q);
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() })).filter((r) => !r.suspended);
+}
+
+// ─── STAFF ────────────────────────────────────────────────
+// Owners invite staff by email; whoever signs in with that email
+// sees the invite on the dashboard and accepts it, which adds them
+// to restaurant.staff / staffIds. Every write made on behalf of a
+// restaurant checks the actor's role (constants/staff.js) first.
+
+// Throws unless `actor` ({ uid }) may do `permission` at `restaurant`
+function assertCan(restaurant, actor, permission) {
+  const role = roleFor(restaurant, actor?.uid);
+  if (can(role, permission)) return;
+  throw new Error(role
+    ? `Your role (${roleMeta(role).label}) doesn't allow this: ${PERMISSIONS[permission].toLowerCase()}.`
+    : `You don't have access to ${restaurant?.name || "this restaurant"}.`);
+}
+
+// Restaurant data, after checking `permission` (null = no check)
+async function readRestaurantAs(restaurantId, actor, permission) {
+  const snap = await getDoc(doc(db, "restaurants", restaurantId));
+  if (!snap.exists()) throw new Error("Restaurant not found.");
+  if (permission) assertCan(snap.data(), actor, permission);
+  return snap.data();
+}
+
+export async function inviteStaff(restaurantId, email, role, { actor } = {}) {
+  const address = normaliseEmail(email);
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(address)) throw new Error("Enter a valid email address.");
+  if (!INVITABLE_ROLES.includes(role)) throw new Error(`Unknown role "${role}".`);
+  const restaurant = await readRestaurantAs(restaurantId, actor, "staff");
+  if (Object.values(restaurant.staff || {}).some((m) => normaliseEmail(m.email) === address)) {
+    throw new Error(`${address} is already on your staff.`);
+  }
+  const pending = await getDocs(query(
+    collection(db, "staffInvites"),
+    where("restaurantId", "==", restaurantId),
+    where("email", "==", address),
+    where("status", "==", "pending")
+  ));
+  if (!pending.empty) throw new Error(`${address} already has an invite waiting.`);
+
+  const invite = {
+    restaurantId,
+    restaurantOwnerId: restaurant.ownerId,
+    restaurantName:    restaurant.name || "",
+    email:             address,
+    role,
+    invitedBy:         { uid: actor.uid, name: actor.name || null },
+    status:            "pending",
+    createdAt:         serverTimestamp()
+  };
+  const ref = doc(collection(db, "staffInvites"));
+  const outboxIds = await runTransaction(db, async (tx) => {
+    tx.set(ref, invite);
+    return queueStaffInvite(tx, { ...invite, id: ref.id }, restaurant);
+  });
+  deliverSoon(outboxIds);
+  return ref.id;
+}
+
+// Pending invites for a restaurant (owner's staff panel)
+export async function getStaffInvites(restaurantId) {
+  const q = query(
+    collection(db, "staffInvites"),
+    where("restaurantId", "==", restaurantId),
+    where("status", "==", "pending")
+  );
+  const snap = await getDocs(q);
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+// Pending invites addressed to a signed-in user's email
+export async function getMyStaffInvites(email) {
+  if (!email) return [];
+  const q = query(
+    collection(db, "staffInvites"),
+    where("email", "==", normaliseEmail(email)),
+    where("status", "==", "pending")
+  );
+  const snap = await getDocs(q);
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+// user: the signed-in Firebase user; the invite must be for their email
+export async function acceptStaffInvite(inviteId, user) {
+  const inviteRef = doc(db, "staffInvites", inviteId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(inviteRef);
+    if (!snap.exists() || snap.data().status !== "pending") throw new Error("This invite is no longer open.");
+    const invite = snap.data();
+    if (normaliseEmail(user?.email) !== invite.email) throw new Error(`This invite is for ${invite.email}.`);
+    const restaurantRef  = doc(db, "restaurants", invite.restaurantId);
+    const restaurantSnap = await tx.get(restaurantRef);
+    if (!restaurantSnap.exists()) throw new Error("Restaurant not found.");
+
+    tx.update(restaurantRef, {
+      [`staff.${user.uid}`]: {
+        role:    invite.role,
+        email:   invite.email,
+        name:    user.displayName || invite.email,
+        addedAt: new Date().toISOString()
+      },
+      staffIds: arrayUnion(user.uid)
+    });
+    tx.update(inviteRef, { status: "accepted", acceptedBy: user.uid, acceptedAt: serverTimestamp() });
+  });
+}
+
+export async function cancelStaffInvite(inviteId, { actor } = {}) {
+  const ref  = doc(db, "staffInvites", inviteId);
+  const snap = await getDoc(ref);
+  if (!snap.exists()) return;
+  await readRestaurantAs(snap.data().restaurantId, actor, "staff");
+  await updateDoc(ref, { status: "cancelled", updatedAt: serverTimestamp() });
+}
+
+export async function setStaffRole(restaurantId, uid, role, { actor } = {}) {
+  if (!INVITABLE_ROLES.includes(role)) throw new Error(`Unknown role "${role}".`);
+  const restaurant = await readRestaurantAs(restaurantId, actor, "staff");
+  if (!restaurant.staff?.[uid]) throw new Error("That person is not on your staff.");
+  await updateDoc(doc(db, "restaurants", restaurantId), { [`staff.${uid}.role`]: role, updatedAt: serverTimestamp() });
+}
+
+// Takes away a staff member's access straight away
+export async function revokeStaff(restaurantId, uid, { actor } = {}) {
+  await readRestaurantAs(restaurantId, actor, "staff");
+  await updateDoc(doc(db, "restaurants", restaurantId), {
+    [`staff.${uid}`]: deleteField(),
+    staffIds:         arrayRemove(uid),
+    updatedAt:        serverTimestamp()
+  });
+}
+
+// ─── VERIFICATION, BOOSTS & ADMIN ─────────────────────────
+// Owners submit documents for the verified badge and ask for a
+// boost; platform admins (/users/{uid}.role === "admin") review
+// both from AdminPage, feature and suspend listings. Every admin
+// write adds an /adminAudit entry in the same transaction.
+
+// documents: [{ type, url, name }] — see DOCUMENT_TYPES
+export async function submitVerification(restaurantId, documents, { actor } = {}) {
+  const restaurant = await readRestaurantAs(restaurantId, actor, "settings");
+  if (restaurant.verification?.status === "pending") throw new Error("Your documents are already being reviewed.");
+  const docs = (documents || []).filter((d) => DOCUMENT_TYPES[d.type] && d.url);
+  const missing = REQUIRED_DOCUMENTS.filter((t) => !docs.some((d) => d.type === t));
+  if (missing.length) throw new Error(`Please upload: ${missing.map((t) => DOCUMENT_TYPES[t]).join(", ")}.`);
+
+  await updateDoc(doc(db, "restaurants", restaurantId), {
+    verification: {
+      status:      "pending",
+      documents:   docs.map((d) => ({ type: d.type, url: d.url, name: d.name || "", uploadedAt: d.uploadedAt || new Date().toISOString() })),
+      submittedAt: new Date().toISOString(),
+      submittedBy: { uid: actor.uid, name: actor.name || null }
+    },
+    updatedAt: serverTimestamp()
+  });
+}
+
+export async function requestBoost(restaurantId, { actor } = {}) {
+  const restaurant = await readRestaurantAs(restaurantId, actor, "billing");
+  if (restaurant.suspended) throw new Error("A suspended listing can't be boosted.");
+  if (restaurant.boosted) throw new Error("Your boost is already live.");
+  if (restaurant.boostRequested) throw new Error("Your boost request is already waiting for approval.");
+  await updateDoc(doc(db, "restaurants", restaurantId), {
+    boostRequested: true,
+    boostRequest: {
+      status:      "pending",
+      requestedAt: new Date().toISOString(),
+      requestedBy: { uid: actor.uid, name: actor.name || null }
+    },
+    updatedAt: serverTimestamp()
+  });
+}
+
+// Reads the actor's profile inside `tx`; throws unless they are an admin
+async function assertAdmin(tx, actor) {
+  if (!actor?.uid) throw new Error("Sign in as an admin to do this.");
+  const snap = await tx.get(doc(db, "users", actor.uid));
+  if (!snap.exists() || !isAdmin(snap.data())) throw new Error("Only platform admins can do this.");
+}
+
+function writeAudit(tx, action, restaurantId, restaurant, actor, reason) {
+  tx.set(doc(collection(db, "adminAudit")), {
+    action,
+    restaurantId,
+    restaurantName: restaurant.name || "",
+    actor:          { uid: actor.uid, name: actor.name || null },
+    reason:         reason || null,
+    createdAt:      serverTimestamp()
+  });
+}
+
+// Runs `change(restaurant)` → restaurant fields as `actor`, an admin,
+// and logs `action` with it
+async function adminAction(restaurantId, action, reason, actor, change) {
+  if (!ADMIN_ACTIONS[action]) throw new Error(`Unknown admin action "${action}".`);
+  const why = String(reason || "").trim();
+  if (REASON_REQUIRED.includes(action) && !why) throw new Error("Please give a reason — the owner sees it.");
+  const ref = doc(db, "restaurants", restaurantId);
+  await runTransaction(db, async (tx) => {
+    await assertAdmin(tx, actor);
+    const snap = await tx.get(ref);
+    if (!snap.exists()) throw new Error("Restaurant not found.");
+    const restaurant = snap.data();
+    tx.update(ref, { ...change(restaurant, why), updatedAt: serverTimestamp() });
+    writeAudit(tx, action, restaurantId, restaurant, actor, why);
+  });
+}
+
+function review(actor, reason) {
+  return { reviewedAt: new Date().toISOString(), reviewedBy: { uid: actor.uid, name: actor.name || null }, reason: reason || null };
+}
+
+// Listings waiting for a verification decision, oldest first
+export async function getVerificationQueue() {
+  const q = query(collection(db, "restaurants"), where("verification.status", "==", "pending"));
+  const snap = await getDocs(q);
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => a.verification.submittedAt.localeCompare(b.verification.submittedAt));
+}
+
+// Listings waiting for a boost decision, oldest first
+export async function getBoostQueue() {
+  const q = query(collection(db, "restaurants"), where("boostRequested", "==", true));
+  const snap = await getDocs(q);
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => (a.boostRequest?.requestedAt || "").localeCompare(b.boostRequest?.requestedAt || ""));
+}
+
+// Every listing, suspended ones included (AdminPage)
+export async function getListingsForModeration() {
+  const snap = await getDocs(collection(db, "restaurants"));
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+export async function reviewVerification(restaurantId, approve, reason, { actor } = {}) {
+  await adminAction(restaurantId, approve ? "verification-approved" : "verification-rejected", reason, actor, (r, why) => {
+    if (r.verification?.status !== "pending") throw new Error("This verification has already been reviewed.");
+    return {
+      verified:     approve,
+      verification: { ...r.verification, status: approve ? "approved" : "rejected", ...review(actor, why) }
+    };
+  });
+}
+
+export async function reviewBoost(restaurantId, approve, reason, { actor } = {}) {
+  await adminAction(restaurantId, approve ? "boost-approved" : "boost-rejected", reason, actor, (r, why) => {
+    if (!r.boostRequested) throw new Error("This boost request has already been reviewed.");
+    return {
+      boosted:        approve,
+      boostRequested: false,
+      boostRequest:   { ...r.boostRequest, status: approve ? "approved" : "rejected", ...review(actor, why) }
+    };
+  });
+}
+
+export async function endBoost(restaurantId, reason, { actor } = {}) {
+  await adminAction(restaurantId, "boost-ended", reason, actor, (r, why) => ({
+    boosted:      false,
+    boostRequest: { ...(r.boostRequest || {}), status: "ended", ...review(actor, why) }
+  }));
+}
+
+export async function setFeatured(restaurantId, featured, { actor } = {}) {
+  await adminAction(restaurantId, featured ? "featured" : "unfeatured", null, actor, () => ({ featured }));
+}
+
+// Suspending hides the listing from diners and stops new bookings;
+// it also drops any featured spot and boost
+export async function setSuspended(restaurantId, suspended, reason, { actor } = {}) {
+  await adminAction(restaurantId, suspended ? "suspended" : "reinstated", reason, actor, (r, why) => (suspended
+    ? { suspended: true, suspendedReason: why, featured: false, boosted: false, boostRequested: false }
+    : { suspended: false, suspendedReason: deleteField() }));
+}
+
+// Puts a listing on a fee plan; serviceFee (UGX) overrides the
+// plan's fee for this one restaurant, "" / null clears it
+export async function setFeePlan(restaurantId, { plan, serviceFee }, { actor } = {}) {
+  if (!FEE_PLANS[plan]) throw new Error(`Unknown fee plan "${plan}".`);
+  const override = serviceFee === "" || serviceFee == null ? null : parseInt(serviceFee, 10);
+  if (override !== null && !(override >= 0)) throw new Error("The fee override must be 0 UGX or more.");
+  const summary = `${FEE_PLANS[plan].label} plan${override !== null ? `, ${override.toLocaleString()} UGX per booking` : ""}`;
+  await adminAction(restaurantId, "fee-plan-changed", summary, actor, () => ({
+    plan,
+    serviceFee: override !== null ? override : deleteField()
+  }));
+}
+
+// Newest first
+export async function getAuditLog(limit_ = 100) {
+  const q = query(collection(db, "adminAudit"), orderBy("createdAt", "desc"), limit(limit_));
+  const snap = await getDocs(q);
   return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
 }
 
 // ─── BOOKINGS ─────────────────────────────────────────────
 
-// Create a new booking
-export async function createBooking(bookingData) {
-  const ref = await addDoc(collection(db, "bookings"), {
-    ...bookingData,
-    status:    "pending",
-    createdAt: serverTimestamp()
+// ── slot capacity (module-private) ────────────────────────
+// Covers per slot live in /restaurants/{id}/slots/{date_HHMM}
+// so diners can check availability without reading other
+// diners' bookings. Only dine-in bookings take covers.
+
+function slotRef(restaurantId, date, time) {
+  return doc(db, "restaurants", restaurantId, "slots", slotId(date, time));
+}
+
+function coversFor(bookingData) {
+  return bookingData.type === "dine-in" ? (parseInt(bookingData.guests, 10) || 1) : 0;
+}
+
+// Covers a slot keeps for an open waitlist offer — none once the
+// offer has lapsed, or for the offered entry (`entryId`) itself
+function heldCovers(slot, entryId = null) {
+  const hold = slot?.hold;
+  if (!hold || hold.entryId === entryId || new Date(hold.expiresAt).getTime() <= Date.now()) return 0;
+  return hold.covers || 0;
+}
+
+// Reads the slot inside a transaction and throws if `covers`
+// more guests would exceed the restaurant's limit. Covers held
+// for a waitlist offer count as taken, except for that offer's
+// own entry (`entryId`).
+async function readSlotWithRoom(tx, restaurantId, capacity, date, time, covers, entryId = null) {
+  const ref   = slotRef(restaurantId, date, time);
+  const snap  = await tx.get(ref);
+  const taken = snap.exists() ? snap.data().covers || 0 : 0;
+  const held  = heldCovers(snap.data(), entryId);
+  const limit = slotLimit(capacity);
+  if (taken + held + covers > limit) {
+    const left = Math.max(0, limit - taken - held);
+    throw new Error(left > 0
+      ? `Only ${left} seat${left > 1 ? "s" : ""} left at ${time}. Please reduce your party or pick another time.`
+      : `${time} on ${date} is fully booked. Please pick another time.`);
+  }
+  return { ref, taken, hold: snap.data()?.hold || null };
+}
+
+// Create a new booking. Runs in a transaction so two diners
+// racing for the last covers in a slot can't both succeed.
+// The date/time is re-checked against the restaurant's hours,
+// lead time, booking window and blackout dates. A booking made
+// from a waitlist offer (`waitlistEntryId`) accepts that offer in
+// the same transaction and uses the covers it held.
+export async function createBooking({ promotionId, ...bookingData }) {
+  const bookingRef    = doc(collection(db, "bookings"));
+  const restaurantRef = doc(db, "restaurants", bookingData.restaurantId);
+  const covers        = coversFor(bookingData);
+
+  const created = await runTransaction(db, async (tx) => {
+    const restaurantSnap = await tx.get(restaurantRef);
+    if (!restaurantSnap.exists()) throw new Error("Restaurant not found.");
+    if (restaurantSnap.data().suspended) throw new Error(`${restaurantSnap.data().name || "This restaurant"} is not taking bookings.`);
+    const offer = bookingData.waitlistEntryId ? await readOpenOffer(tx, bookingData.waitlistEntryId, bookingData) : null;
+    if (restaurantSnap.data().busy && !offer) {
+      throw new Error(`${restaurantSnap.data().name || "This restaurant"} is not taking new bookings right now. You can join the waitlist instead.`);
+    }
+    const problem = validateBookingTime(restaurantSnap.data(), bookingData.date, bookingData.time);
+    if (problem) throw new Error(problem);
+    const soldOut = unavailableLineError(bookingData.preOrder, restaurantSnap.data());
+    if (soldOut) throw new Error(soldOut);
+
+    const extra = {};
+    if (bookingData.type === "delivery") {
+      if (!(bookingData.preOrder || []).length) throw new Error("Add dishes from the menu to order delivery.");
+      if (!bookingData.delivery?.address?.trim()) throw new Error("Please add a delivery address.");
+      const quote = quoteDelivery(restaurantSnap.data(), bookingData.delivery);
+      if (quote.error) throw new Error(quote.error);
+      extra.delivery = {
+        address:    (bookingData.delivery.address || "").trim(),
+        lat:        bookingData.delivery.lat,
+        lng:        bookingData.delivery.lng,
+        distanceKm: quote.distanceKm,
+        fee:        quote.fee
+      };
+    }
+    const redeem = promotionId ? await readPromotionForBooking(tx, promotionId, bookingData) : null;
+    if (redeem) extra.promotion = redeem.promotion;
+    const reference = await readFreeReference(tx);
+
+    const toPay = (bookingData.preOrderTotal || 0) - (redeem?.promotion.discount || 0);
+    const due   = bookingData.type === "pickup" ? paymentDue(restaurantSnap.data(), toPay) : 0;
+    if (due > 0) {
+      extra.payment = {
+        mode:      restaurantSnap.data().pickupPayment.mode,
+        amount:    due,
+        currency:  "UGX",
+        status:    "initiated",
+        updatedAt: new Date().toISOString()
+      };
+    }
+    if (covers > 0) {
+      const { date, time } = bookingData;
+      const slot = await readSlotWithRoom(tx, bookingData.restaurantId, restaurantSnap.data().capacity, date, time, covers, offer?.id);
+      tx.set(slot.ref, {
+        date,
+        time,
+        covers: slot.taken + covers,
+        ...(offer && slot.hold?.entryId === offer.id ? { hold: deleteField() } : {}),
+        updatedAt: serverTimestamp()
+      }, { merge: true });
+      extra.slotId = slot.ref.id;
+      extra.covers = covers;
+    }
+    if (redeem) redeem.commit(bookingRef.id);
+    if (offer) {
+      tx.update(doc(db, "waitlist", offer.id), { status: "accepted", bookingId: bookingRef.id, updatedAt: serverTimestamp() });
+    }
+    tx.set(doc(db, "bookingRefs", reference), {
+      bookingId:    bookingRef.id,
+      restaurantId: bookingData.restaurantId,
+      createdAt:    serverTimestamp()
+    });
+
+    const booking = { ...bookingData, ...extra, reference };
+    tx.set(bookingRef, {
+      ...booking,
+      status:        "pending",
+      statusHistory: [historyEntry(null, "pending", { uid: bookingData.userId, name: bookingData.userName, role: "diner" })],
+      createdAt:     serverTimestamp()
+    });
+    return {
+      id: bookingRef.id,
+      reference,
+      outboxIds: queueNotifications(tx, "new-booking", bookingRef.id, booking, restaurantSnap.data(), { to: ["owner", "diner"] })
+    };
   });
-  return ref.id;   // reference code for the diner
+  deliverSoon(created.outboxIds);
+  return { id: created.id, reference: created.reference };   // reference is the diner's code
+}
+
+// A reference not yet taken in /bookingRefs. Read inside the
+// booking transaction, so a clash with a booking made at the
+// same moment makes the transaction retry with a fresh code.
+const REFERENCE_ATTEMPTS = 5;
+
+async function readFreeReference(tx) {
+  for (let i = 0; i < REFERENCE_ATTEMPTS; i++) {
+    const reference = newBookingReference();
+    const snap = await tx.get(doc(db, "bookingRefs", reference));
+    if (!snap.exists()) return reference;
+  }
+  throw new Error("Could not create a booking reference — please try again.");
+}
+
+// Phone numbers match if they are the same number in any format
+function samePhone(a, b) {
+  const key = (p) => normaliseMsisdn(p) || String(p || "").replace(/\D/g, "");
+  return !!key(a) && key(a) === key(b);
+}
+
+// Ways a diner may have typed the same Ugandan number into the
+// booking form ("0772123456", "+256 772 123 456" …), for equality
+// queries on the stored userPhone
+function phoneVariants(phone) {
+  const typed  = String(phone || "").trim();
+  const msisdn = normaliseMsisdn(typed);
+  if (!msisdn) return [typed];
+  const local  = msisdn.slice(3);
+  const spaced = `${local.slice(0, 3)} ${local.slice(3, 6)} ${local.slice(6)}`;
+  return [...new Set([typed, `0${local}`, msisdn, `+${msisdn}`, `0${spaced}`, `+256 ${spaced}`])];
+}
+
+// Bookings made before references existed show "NC-" + the end of
+// their doc id, upper-cased (bookingReference), which no field
+// stores — find them among the bookings made with that phone number
+async function findLegacyBooking(ref, phone) {
+  const suffix = ref.slice(3);
+  const q = query(collection(db, "bookings"), where("userPhone", "in", phoneVariants(phone)));
+  const snap = await getDocs(q);
+  const match = snap.docs.find((d) => !d.data().reference && d.id.slice(-LEGACY_REFERENCE_LENGTH).toUpperCase() === suffix);
+  return match ? { id: match.id, ...match.data() } : null;
+}
+
+// A booking by its reference ("NC-K7M2QX") and the phone number it
+// was made with — how guests without an account find their booking.
+// Returns null unless both match (no hint which one was wrong).
+export async function getBookingByReference(reference, phone) {
+  const ref = normaliseReference(reference);
+  if (!ref || !phone) return null;
+
+  let booking = null;
+  const refSnap = await getDoc(doc(db, "bookingRefs", ref));
+  if (refSnap.exists()) {
+    const snap = await getDoc(doc(db, "bookings", refSnap.data().bookingId));
+    if (snap.exists()) booking = { id: snap.id, ...snap.data() };
+  } else if (ref.length === LEGACY_REFERENCE_LENGTH + 3) {
+    booking = await findLegacyBooking(ref, phone);
+  }
+  return booking && samePhone(booking.userPhone, phone) ? booking : null;
+}
+
+// Covers already taken per slot on one date → { "13:00": 12, … }
+export async function getSlotUsage(restaurantId, date) {
+  const q = query(
+    collection(db, "restaurants", restaurantId, "slots"),
+    where("date", "==", date)
+  );
+  const snap = await getDocs(q);
+  const usage = {};
+  snap.docs.forEach((d) => { usage[d.data().time] = (d.data().covers || 0) + heldCovers(d.data()); });
+  return usage;
 }
 
 // Fetch all bookings for a specific restaurant (owner view)
@@ -173,25 +857,888 @@ export async function getRestaurantBookings(restaurantId) {
   return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
 }
 
-// Owner confirms or cancels a booking
-export async function updateBookingStatus(bookingId, status) {
-  await updateDoc(doc(db, "bookings", bookingId), {
-    status,
+// Live listener over all bookings for one restaurant (owner inbox).
+// Returns the unsubscribe function from onSnapshot.
+export function listenToRestaurantBookings(restaurantId, callback, onError) {
+  const q = query(
+    collection(db, "bookings"),
+    where("restaurantId", "==", restaurantId),
+    orderBy("createdAt", "desc")
+  );
+  return onSnapshot(q, (snap) => {
+    callback(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+  }, onError);
+}
+
+// Fetch all bookings made by one diner (newest first)
+export async function getUserBookings(userId) {
+  const q = query(
+    collection(db, "bookings"),
+    where("userId", "==", userId),
+    orderBy("createdAt", "desc")
+  );
+  const snap = await getDocs(q);
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+// Live listener over one diner's bookings ("My Bookings" page).
+// Returns the unsubscribe function from onSnapshot.
+export function listenToUserBookings(userId, callback, onError) {
+  const q = query(
+    collection(db, "bookings"),
+    where("userId", "==", userId),
+    orderBy("createdAt", "desc")
+  );
+  return onSnapshot(q, (snap) => {
+    callback(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+  }, onError);
+}
+
+// One entry in booking.statusHistory. `by` is whoever made the
+// change: { uid, name, role } with role "owner" | "diner".
+function historyEntry(from, to, actor, reason) {
+  return {
+    from:   from || null,
+    to,
+    at:     new Date().toISOString(),
+    by:     { uid: actor?.uid || null, name: actor?.name || null, role: actor?.role || "owner" },
+    reason: reason || null
+  };
+}
+
+// Throws unless the signed-in user made `booking` — a diner's own
+// changes skip the staff check, so the role alone proves nothing.
+// Guest bookings (no userId) need the phone number they were made with.
+function assertOwnBooking(booking, phone) {
+  const mine = booking.userId
+    ? booking.userId === auth.currentUser?.uid
+    : samePhone(booking.userPhone, phone);
+  if (!mine) throw new Error("You can only change your own bookings.");
+}
+
+// Checks every path that confirms a booking makes: a pickup
+// pre-order must be paid for first, and a booking moving to a new
+// date/time (`to`) must fit the hours, holidays, lead time and
+// booking window there. The original time was checked when the
+// booking was made, so a plain confirm doesn't re-run lead time.
+function assertConfirmable(booking, restaurant, to = null) {
+  if (booking.payment && booking.payment.status !== "successful") {
+    throw new Error(`Can't confirm yet — ${paymentMeta(booking.payment.status).label.toLowerCase()}.`);
+  }
+  const problem = to ? validateBookingTime(restaurant, to.date, to.time) : null;
+  if (problem) throw new Error(problem);
+}
+
+// Move a booking along its lifecycle (see constants/bookings.js).
+// Diners (actor.role "diner") must own the booking; a guest passes
+// `phone`. Illegal transitions throw. Every change is appended to
+// statusHistory; declining / cancelling gives the booking's covers
+// back to its slot and a no-show bumps the diner's noShowCount.
+// Cancelling a confirmed booking offers the slot to the waitlist.
+export async function updateBookingStatus(bookingId, status, { actor, reason, phone } = {}) {
+  const ref = doc(db, "bookings", bookingId);
+  const { booking, outboxIds } = await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists()) throw new Error("Booking not found.");
+    const booking = snap.data();
+
+    if (!canTransition(booking.status, status, actor?.role)) {
+      throw new Error(`A ${statusMeta(booking.status).label.toLowerCase()} booking can't be marked ${statusMeta(status).label.toLowerCase()}.`);
+    }
+    const restaurantSnap = await tx.get(doc(db, "restaurants", booking.restaurantId));
+    if (actor?.role === "diner") assertOwnBooking(booking, phone);
+    else assertCan(restaurantSnap.data(), actor, "bookings");
+    if (status === "confirmed") assertConfirmable(booking, restaurantSnap.data());
+
+    // the offer may have been deleted since — only give the use back if it's still there
+    const promoSnap = RELEASED_STATUSES.includes(status) && booking.promotion
+      ? await tx.get(doc(db, "promotions", booking.promotion.id))
+      : null;
+
+    const charged = status === "confirmed" && !booking.feeId ? recordFee(tx, bookingId, booking, restaurantSnap.data()) : false;
+
+    if (RELEASED_STATUSES.includes(status) && booking.slotId && booking.covers) {
+      tx.update(doc(db, "restaurants", booking.restaurantId, "slots", booking.slotId), {
+        covers: increment(-booking.covers)
+      });
+    }
+    if (promoSnap?.exists()) {
+      tx.update(doc(db, "promotions", booking.promotion.id), { redemptionCount: increment(-1) });
+      if (booking.promotion.perDiner && booking.userId) {
+        tx.set(doc(db, "promotions", booking.promotion.id, "redemptions", booking.userId), { count: increment(-1) }, { merge: true });
+      }
+    }
+    if (status === "no-show" && booking.userId) {
+      tx.set(doc(db, "users", booking.userId), { noShowCount: increment(1) }, { merge: true });
+    }
+    tx.update(ref, {
+      status,
+      ...(charged ? { feeId: bookingId } : {}),
+      ...(RELEASED_STATUSES.includes(status) && booking.reschedule ? { reschedule: deleteField() } : {}),
+      statusHistory: arrayUnion(historyEntry(booking.status, status, actor, reason)),
+      updatedAt:     serverTimestamp()
+    });
+    return { booking, outboxIds: notifyStatusChange(tx, bookingId, booking, status, restaurantSnap.data(), { actor, reason }) };
+  });
+  deliverSoon(outboxIds);
+
+  // a confirmed table just freed up → offer it to the waitlist
+  if (booking.status === "confirmed" && RELEASED_STATUSES.includes(status)) {
+    await offerNextWaitlistSpot(booking.restaurantId, booking.date, booking.time);
+  }
+}
+
+// Writes the service-fee ledger entry for a booking that just
+// became confirmed. The fee doc id is the booking id, so a booking
+// is only ever charged once. Zero-fee plans write nothing; returns
+// whether an entry was written.
+function recordFee(tx, bookingId, booking, restaurant) {
+  const amount = resolveServiceFee(restaurant);
+  if (amount <= 0) return false;
+  tx.set(doc(db, "fees", bookingId), {
+    restaurantId:      booking.restaurantId,
+    restaurantOwnerId: booking.restaurantOwnerId || restaurant?.ownerId || null,
+    restaurantName:    booking.restaurantName || restaurant?.name || "",
+    bookingId,
+    bookingReference:  bookingReference({ ...booking, id: bookingId }),
+    bookingDate:       booking.date,
+    userName:          booking.userName || "",
+    plan:              planFor(restaurant),
+    amount,
+    period:            kampalaToday().slice(0, 7),   // "YYYY-MM", Kampala time
+    status:            "unpaid",
+    createdAt:         serverTimestamp()
+  });
+  return true;
+}
+
+// How many times a signed-in diner has not shown up, platform-wide
+export async function getUserNoShowCount(userId) {
+  if (!userId) return 0;
+  const snap = await getDoc(doc(db, "users", userId));
+  return snap.exists() ? snap.data().noShowCount || 0 : 0;
+}
+
+// Diner proposes a new date/time. The booking goes back to
+// "pending" until the owner accepts or declines the change.
+export async function requestReschedule(bookingId, date, time, { actor } = {}) {
+  const ref  = doc(db, "bookings", bookingId);
+  const snap = await getDoc(ref);
+  if (!snap.exists()) throw new Error("Booking not found.");
+  const current = snap.data();
+  assertOwnBooking(current);
+  if (!RESCHEDULABLE_STATUSES.includes(current.status)) {
+    throw new Error(`A ${statusMeta(current.status).label.toLowerCase()} booking can't be moved.`);
+  }
+  const restaurant = await getRestaurant(current.restaurantId);
+  const problem = validateBookingTime(restaurant, date, time);
+  if (problem) throw new Error(problem);
+  await updateDoc(ref, {
+    reschedule: {
+      date,
+      time,
+      previousStatus: current.reschedule?.previousStatus || current.status,
+      requestedAt:    new Date().toISOString()
+    },
+    status:        "pending",
+    statusHistory: arrayUnion(historyEntry(current.status, "pending", { ...actor, role: "diner" }, `Asked to move to ${date} at ${time}`)),
+    updatedAt:     serverTimestamp()
+  });
+}
+
+// Owner accepts the proposed date/time → booking is re-confirmed,
+// on the same terms as a first confirmation (assertConfirmable).
+// The covers move to the new slot, subject to its capacity.
+export async function acceptReschedule(bookingId, { actor } = {}) {
+  const ref = doc(db, "bookings", bookingId);
+  const outboxIds = await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists()) throw new Error("Booking not found.");
+    const booking = snap.data();
+    const { reschedule } = booking;
+    if (!reschedule) throw new Error("This booking has no pending change request.");
+
+    const restaurantSnap = await tx.get(doc(db, "restaurants", booking.restaurantId));
+    assertCan(restaurantSnap.data(), actor, "bookings");
+    assertConfirmable(booking, restaurantSnap.data(), reschedule);
+    const update = {
+      date:          reschedule.date,
+      time:          reschedule.time,
+      reschedule:    deleteField(),
+      status:        "confirmed",
+      statusHistory: arrayUnion(historyEntry(booking.status, "confirmed", actor, `Moved to ${reschedule.date} at ${reschedule.time}`)),
+      updatedAt:     serverTimestamp()
+    };
+
+    const covers = booking.covers || 0;
+    const newId  = slotId(reschedule.date, reschedule.time);
+    if (covers > 0 && newId !== booking.slotId) {
+      const slot = await readSlotWithRoom(
+        tx, booking.restaurantId, restaurantSnap.data()?.capacity,
+        reschedule.date, reschedule.time, covers
+      );
+      tx.set(slot.ref, { date: reschedule.date, time: reschedule.time, covers: slot.taken + covers, updatedAt: serverTimestamp() }, { merge: true });
+      if (booking.slotId) {
+        tx.update(doc(db, "restaurants", booking.restaurantId, "slots", booking.slotId), { covers: increment(-covers) });
+      }
+      update.slotId = slot.ref.id;
+    }
+    if (!booking.feeId && recordFee(tx, bookingId, booking, restaurantSnap.data())) {
+      update.feeId = bookingId;
+    }
+    tx.update(ref, update);
+    const moved = { ...booking, date: reschedule.date, time: reschedule.time };
+    return notifyStatusChange(tx, bookingId, moved, "confirmed", restaurantSnap.data(), { actor });
+  });
+  deliverSoon(outboxIds);
+}
+
+// Owner declines the proposed date/time → original slot and status stand
+export async function declineReschedule(bookingId, { actor, reason } = {}) {
+  const ref  = doc(db, "bookings", bookingId);
+  const snap = await getDoc(ref);
+  if (!snap.exists()) throw new Error("Booking not found.");
+  const { reschedule, status, restaurantId } = snap.data();
+  await readRestaurantAs(restaurantId, actor, "bookings");
+  if (!reschedule) return;
+  const restored = reschedule.previousStatus || "pending";
+  await updateDoc(ref, {
+    reschedule:    deleteField(),
+    status:        restored,
+    statusHistory: arrayUnion(historyEntry(status, restored, actor, reason || "Kept the original time")),
+    updatedAt:     serverTimestamp()
+  });
+}
+
+// ─── KITCHEN QUEUE ────────────────────────────────────────
+
+// Live pickup and delivery orders for one restaurant (KitchenPage).
+// Sorting and the "today / still open" cut happen in the page.
+export function listenToKitchenQueue(restaurantId, callback, onError) {
+  const q = query(
+    collection(db, "bookings"),
+    where("restaurantId", "==", restaurantId),
+    where("type", "in", ["pickup", "delivery"])
+  );
+  return onSnapshot(q, (snap) => {
+    callback(snap.docs
+      .map((d) => ({ id: d.id, ...d.data() }))
+      .filter((b) => (b.preOrder || []).length > 0));
+  }, onError);
+}
+
+// Move a pickup order one step along KITCHEN_FLOW
+export async function updateKitchenStatus(bookingId, kitchenStatus, { actor } = {}) {
+  const ref = doc(db, "bookings", bookingId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists()) throw new Error("Order not found.");
+    const booking = snap.data();
+    const restaurantSnap = await tx.get(doc(db, "restaurants", booking.restaurantId));
+    assertCan(restaurantSnap.data(), actor, "kitchen");
+    if (nextKitchenStatus(booking.kitchenStatus) !== kitchenStatus) {
+      throw new Error(`This order is already ${KITCHEN_STATUS[booking.kitchenStatus || "received"].label.toLowerCase()}.`);
+    }
+    if (kitchenStatus === "preparing" && booking.status !== "confirmed") {
+      throw new Error("Confirm the order before the kitchen starts on it.");
+    }
+    tx.update(ref, {
+      kitchenStatus,
+      [`kitchenTimes.${kitchenStatus}`]: new Date().toISOString(),
+      kitchenUpdatedBy: actor?.name || null,
+      updatedAt: serverTimestamp()
+    });
+  });
+}
+
+// ─── WAITLIST ─────────────────────────────────────────────
+// One live offer per slot at a time. When a confirmed booking in
+// a slot is cancelled, the first diner still "waiting" gets an
+// offer that expires after restaurant.waitlistOfferMinutes.
+// Stale offers are expired lazily — whenever the slot is
+// processed again (next cancellation, an accept attempt, or the
+// owner's waitlist panel sweeping).
+
+// Diner joins the waitlist for a full (or busy) slot
+export async function joinWaitlist(entry) {
+  const ref = await addDoc(collection(db, "waitlist"), {
+    ...entry,
+    status:    "waiting",
+    createdAt: serverTimestamp()
+  });
+  return ref.id;
+}
+
+// Live waitlist for one restaurant (owner view), oldest first
+export function listenToRestaurantWaitlist(restaurantId, callback, onError) {
+  const q = query(
+    collection(db, "waitlist"),
+    where("restaurantId", "==", restaurantId),
+    orderBy("createdAt", "asc")
+  );
+  return onSnapshot(q, (snap) => {
+    callback(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+  }, onError);
+}
+
+// Live waitlist entries for one diner ("My Bookings" page)
+export function listenToUserWaitlist(userId, callback, onError) {
+  const q = query(
+    collection(db, "waitlist"),
+    where("userId", "==", userId),
+    orderBy("createdAt", "desc")
+  );
+  return onSnapshot(q, (snap) => {
+    callback(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+  }, onError);
+}
+
+// Ends an entry as "expired" or "left" and gives back any covers
+// its offer held in the slot. Returns the entry as it was, or null
+// when it had already moved on (an expiry only ends open offers).
+async function closeWaitlistEntry(entryId, status) {
+  const ref = doc(db, "waitlist", entryId);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists()) throw new Error("Waitlist entry not found.");
+    const entry = snap.data();
+    const open  = status === "expired" ? ["offered"] : ["waiting", "offered"];
+    if (!open.includes(entry.status)) return null;
+    const slot = await tx.get(slotRef(entry.restaurantId, entry.date, entry.time));
+    tx.update(ref, { status, updatedAt: serverTimestamp() });
+    if (slot.data()?.hold?.entryId === entryId) tx.update(slot.ref, { hold: deleteField() });
+    return entry;
+  });
+}
+
+// Diner leaves the waitlist (or turns down an offer, which passes
+// the spot on)
+export async function leaveWaitlist(entryId) {
+  const entry = await closeWaitlistEntry(entryId, "left");
+  if (entry?.status === "offered") await offerNextWaitlistSpot(entry.restaurantId, entry.date, entry.time);
+}
+
+// Expire stale offers in a slot and, if nobody holds a live offer,
+// offer the spot to the next diner waiting. The offered party's
+// covers are held on the slot until the offer expires, so nobody
+// else can book them in the meantime. Returns the offered entry
+// id, or null when there was nobody to offer it to.
+export async function offerNextWaitlistSpot(restaurantId, date, time) {
+  const q = query(
+    collection(db, "waitlist"),
+    where("restaurantId", "==", restaurantId),
+    where("date", "==", date),
+    where("time", "==", time),
+    orderBy("createdAt", "asc")
+  );
+  const snap    = await getDocs(q);
+  const entries = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  const now     = Date.now();
+
+  for (const e of entries) {
+    if (e.status === "offered" && new Date(e.offerExpiresAt).getTime() <= now) {
+      await closeWaitlistEntry(e.id, "expired");
+      e.status = "expired";
+    }
+  }
+  if (entries.some((e) => e.status === "offered")) return null;
+
+  const restaurant = await getRestaurant(restaurantId);
+  const minutes    = parseInt(restaurant?.waitlistOfferMinutes, 10) || DEFAULT_OFFER_MINUTES;
+
+  for (const e of entries.filter((x) => x.status === "waiting")) {
+    const ref     = doc(db, "waitlist", e.id);
+    const offered = await runTransaction(db, async (tx) => {
+      const fresh = await tx.get(ref);
+      if (!fresh.exists() || fresh.data().status !== "waiting") return false;
+      const expiresAt = new Date(Date.now() + minutes * 60000).toISOString();
+      tx.update(ref, {
+        status:         "offered",
+        offeredAt:      new Date().toISOString(),
+        offerExpiresAt: expiresAt,
+        updatedAt:      serverTimestamp()
+      });
+      const covers = coversFor({ type: "dine-in", ...fresh.data() });
+      if (covers > 0) {
+        tx.set(slotRef(restaurantId, date, time), {
+          date,
+          time,
+          hold:      { entryId: e.id, covers, expiresAt },
+          updatedAt: serverTimestamp()
+        }, { merge: true });
+      }
+      return true;
+    });
+    if (offered) return e.id;
+  }
+  return null;
+}
+
+// The waitlist offer a booking is being made from, read inside the
+// booking transaction. Only the diner it was offered to can use it,
+// for that restaurant and slot, before it expires — otherwise any
+// id would get past the "busy" pause.
+async function readOpenOffer(tx, entryId, bookingData) {
+  const snap  = await tx.get(doc(db, "waitlist", entryId));
+  const entry = snap.exists() ? snap.data() : null;
+  if (!entry || entry.status !== "offered") throw new Error("There is no open offer for this entry.");
+  if (!entry.userId || entry.userId !== auth.currentUser?.uid) throw new Error("This offer was made to another diner.");
+  if (entry.restaurantId !== bookingData.restaurantId || entry.date !== bookingData.date || entry.time !== bookingData.time) {
+    throw new Error("This offer is for a different table.");
+  }
+  if (new Date(entry.offerExpiresAt).getTime() <= Date.now()) throw new Error("Sorry, this offer has expired.");
+  return { id: snap.id, ...entry };
+}
+
+// Diner accepts an offer → it becomes a real booking; the entry
+// turns "accepted" in the booking transaction, so a double tap
+// books once. Expired offers, and offers whose booking fails, are
+// passed on to the next diner.
+export async function acceptWaitlistOffer(entryId) {
+  const ref  = doc(db, "waitlist", entryId);
+  const snap = await getDoc(ref);
+  if (!snap.exists()) throw new Error("Waitlist entry not found.");
+  const entry = snap.data();
+  if (!entry.userId || entry.userId !== auth.currentUser?.uid) throw new Error("This offer was made to another diner.");
+  if (entry.status !== "offered") throw new Error("There is no open offer for this entry.");
+
+  const passOn = async () => {
+    if (await closeWaitlistEntry(entryId, "expired")) {
+      await offerNextWaitlistSpot(entry.restaurantId, entry.date, entry.time);
+    }
+  };
+  if (new Date(entry.offerExpiresAt).getTime() <= Date.now()) {
+    await passOn();
+    throw new Error("Sorry, this offer has expired.");
+  }
+
+  try {
+    const { id: bookingId } = await createBooking({
+      restaurantId:      entry.restaurantId,
+      restaurantOwnerId: entry.restaurantOwnerId,
+      restaurantName:    entry.restaurantName,
+      userName:          entry.userName,
+      userPhone:         entry.userPhone,
+      userId:            entry.userId,
+      date:              entry.date,
+      time:              entry.time,
+      guests:            entry.guests,
+      type:              entry.type || "dine-in",
+      notes:             entry.notes || "",
+      preOrder:          [],
+      preOrderTotal:     0,
+      waitlistEntryId:   entryId
+    });
+    return bookingId;
+  } catch (err) {
+    // still "offered" → this attempt failed rather than losing to another tap
+    const now = await getDoc(ref);
+    if (now.data()?.status === "offered") await passOn();
+    throw err;
+  }
+}
+
+// ─── NOTIFICATIONS ───────────────────────────────────────
+// Booking events become /outbox messages, written in the same
+// transaction as the change they announce. deliverSoon() sends
+// them straight away; anything not yet due (reminders) or that
+// failed is picked up by processOutbox(), which the owner's
+// dashboard runs while open.
+
+const SENDING_TIMEOUT_MS = 5 * 60000;   // a claimed message nobody finished sending
+
+// Queues `event` for the given audiences ("owner" / "diner");
+// returns the new outbox ids.
+function queueNotifications(tx, event, bookingId, booking, restaurant, { to, reason, sendAfter } = {}) {
+  const audiences = {};
+  if (to.includes("diner")) audiences.diner = { phone: booking.userPhone, email: booking.userEmail };
+  if (to.includes("owner")) audiences.owner = { phone: restaurant?.phone, email: restaurant?.email };
+  const params = notificationParams(booking, restaurant, reason ? { reason } : {});
+
+  return buildNotifications(event, params, audiences).map((message) => {
+    const ref = doc(collection(db, "outbox"));
+    tx.set(ref, {
+      ...message,
+      bookingId,
+      bookingDate:       booking.date,
+      bookingTime:       booking.time,
+      restaurantId:      booking.restaurantId,
+      restaurantOwnerId: booking.restaurantOwnerId || restaurant?.ownerId || null,
+      status:            "queued",
+      attempts:          0,
+      sendAfter:         sendAfter || new Date().toISOString(),
+      createdAt:         serverTimestamp()
+    });
+    return ref.id;
+  });
+}
+
+// The invite email for a new staff member; returns the outbox ids
+function queueStaffInvite(tx, invite, restaurant) {
+  const params = {
+    restaurant: restaurant.name || "a restaurant",
+    role:       roleMeta(invite.role).label,
+    inviter:    invite.invitedBy.name || "The owner",
+    email:      invite.email
+  };
+  return buildNotifications("staff-invite", params, { staff: { email: invite.email } }).map((message) => {
+    const ref = doc(collection(db, "outbox"));
+    tx.set(ref, {
+      ...message,
+      bookingId:         null,
+      inviteId:          invite.id,
+      restaurantId:      invite.restaurantId,
+      restaurantOwnerId: invite.restaurantOwnerId,
+      status:            "queued",
+      attempts:          0,
+      sendAfter:         new Date().toISOString(),
+      createdAt:         serverTimestamp()
+    });
+    return ref.id;
+  });
+}
+
+// Messages for a status change: confirmations (plus the reminder)
+// and cancellations go to the diner; a diner's cancellation goes
+// to the restaurant.
+function notifyStatusChange(tx, bookingId, booking, status, restaurant, { actor, reason } = {}) {
+  const withRef = { ...booking, reference: bookingReference({ ...booking, id: bookingId }) };
+  if (status === "confirmed") {
+    const ids = queueNotifications(tx, "confirmed", bookingId, withRef, restaurant, { to: ["diner"] });
+    const remindAt = reminderTime(withRef);
+    return remindAt
+      ? [...ids, ...queueNotifications(tx, "reminder", bookingId, withRef, restaurant, { to: ["diner"], sendAfter: remindAt })]
+      : ids;
+  }
+  if (RELEASED_STATUSES.includes(status)) {
+    const to = status === "cancelled-by-diner" || actor?.role === "diner" ? ["owner"] : ["diner"];
+    return queueNotifications(tx, "cancelled", bookingId, withRef, restaurant, { to, reason });
+  }
+  return [];
+}
+
+function isDue(message, now = Date.now()) {
+  if (message.status === "sending") return now - new Date(message.claimedAt).getTime() > SENDING_TIMEOUT_MS;
+  return (message.status === "queued" || message.status === "retrying") && new Date(message.sendAfter).getTime() <= now;
+}
+
+// Claims one message (so two dashboards don't both send it),
+// hands it to its channel's provider and records the outcome.
+async function deliverOutboxMessage(messageId) {
+  const ref = doc(db, "outbox", messageId);
+  const message = await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists() || !isDue(snap.data())) return null;
+    tx.update(ref, { status: "sending", claimedAt: new Date().toISOString() });
+    return snap.data();
+  });
+  if (!message) return;
+
+  // a reminder for a booking that was cancelled or moved since
+  if (message.event === "reminder") {
+    const bookingSnap = await getDoc(doc(db, "bookings", message.bookingId));
+    const booking = bookingSnap.data();
+    if (!booking || !isActiveBooking(booking.status) || booking.date !== message.bookingDate || booking.time !== message.bookingTime) {
+      await updateDoc(ref, { status: "skipped", updatedAt: serverTimestamp() });
+      return;
+    }
+  }
+
+  const attempts = (message.attempts || 0) + 1;
+  try {
+    const { messageId: providerMessageId } = await getNotificationProvider(message.channel).send(message);
+    await updateDoc(ref, { status: "sent", attempts, providerMessageId, lastError: deleteField(), sentAt: serverTimestamp() });
+  } catch (err) {
+    const wait = retryDelayMinutes(attempts);
+    await updateDoc(ref, {
+      status:    wait ? "retrying" : "failed",
+      attempts,
+      lastError: err.message,
+      ...(wait ? { sendAfter: new Date(Date.now() + wait * 60000).toISOString() } : {}),
+      updatedAt: serverTimestamp()
+    });
+  }
+}
+
+// Fire-and-forget delivery right after a write; failures stay in
+// the outbox for processOutbox to retry.
+function deliverSoon(outboxIds = []) {
+  outboxIds.forEach((id) => {
+    deliverOutboxMessage(id).catch((err) => console.error("Notification delivery failed", err));
+  });
+}
+
+// Sends every due message for a restaurant (new, retries,
+// reminders). Returns how many were attempted.
+export async function processOutbox(restaurantId) {
+  const q = query(
+    collection(db, "outbox"),
+    where("restaurantId", "==", restaurantId),
+    where("status", "in", ["queued", "retrying", "sending"])
+  );
+  const snap = await getDocs(q);
+  const due  = snap.docs.filter((d) => isDue(d.data()));
+  for (const d of due) {
+    await deliverOutboxMessage(d.id);
+  }
+  return due.length;
+}
+
+// ─── PROMOTIONS ───────────────────────────────────────────
+
+// Throws if another active offer at the restaurant already uses
+// `code` — a diner's code must lead to exactly one offer
+async function assertCodeFree(restaurantId, code, promotionId = null) {
+  if (!code) return;
+  const q = query(
+    collection(db, "promotions"),
+    where("restaurantId", "==", restaurantId),
+    where("code", "==", code),
+    where("active", "==", true)
+  );
+  const snap = await getDocs(q);
+  if (snap.docs.some((d) => d.id !== promotionId)) throw new Error(`Another active offer already uses the code ${code}.`);
+}
+
+export async function createPromotion(restaurant, data, { actor } = {}) {
+  await readRestaurantAs(restaurant.id, actor, "promotions");
+  const code = normaliseCode(data.code) || null;
+  if (data.active) await assertCodeFree(restaurant.id, code);
+  const ref = await addDoc(collection(db, "promotions"), {
+    ...data,
+    code,
+    restaurantId:      restaurant.id,
+    restaurantOwnerId: restaurant.ownerId,
+    redemptionCount:   0,
+    createdAt:         serverTimestamp()
+  });
+  return ref.id;
+}
+
+// Reads (and checks) a promotion inside the booking transaction.
+// Returns the promotion summary for the booking plus commit(),
+// which writes the redemption once every read has been made.
+async function readPromotionForBooking(tx, promotionId, bookingData) {
+  const promoRef  = doc(db, "promotions", promotionId);
+  const promoSnap = await tx.get(promoRef);
+  const promo     = promoSnap.exists() ? promoSnap.data() : null;
+  if (!promo || promo.restaurantId !== bookingData.restaurantId) throw new Error("This offer isn't available.");
+
+  const { discount, error } = evaluatePromotion(promo, {
+    lines: bookingData.preOrder || [], date: bookingData.date, time: bookingData.time
+  });
+  if (error) throw new Error(error);
+  if (promo.maxRedemptions && (promo.redemptionCount || 0) >= promo.maxRedemptions) {
+    throw new Error("This offer has been fully redeemed.");
+  }
+
+  let dinerRef = null;
+  if (promo.maxPerDiner) {
+    if (!bookingData.userId) throw new Error("Sign in to use this offer.");
+    dinerRef = doc(db, "promotions", promotionId, "redemptions", bookingData.userId);
+    const dinerSnap = await tx.get(dinerRef);
+    if ((dinerSnap.data()?.count || 0) >= promo.maxPerDiner) throw new Error("You've already used this offer.");
+  }
+
+  return {
+    promotion: { id: promotionId, code: promo.code || null, title: promo.title, discount, perDiner: !!dinerRef },
+    commit: (bookingId) => {
+      tx.update(promoRef, { redemptionCount: increment(1) });
+      if (dinerRef) tx.set(dinerRef, { count: increment(1), lastBookingId: bookingId, updatedAt: serverTimestamp() }, { merge: true });
+    }
+  };
+}
+
+// Reads a promotion and checks the actor may manage its restaurant's offers
+async function readPromotionAs(promotionId, actor) {
+  const snap = await getDoc(doc(db, "promotions", promotionId));
+  if (!snap.exists()) throw new Error("Promotion not found.");
+  await readRestaurantAs(snap.data().restaurantId, actor, "promotions");
+  return snap.data();
+}
+
+export async function updatePromotion(promotionId, data, { actor } = {}) {
+  const current = await readPromotionAs(promotionId, actor);
+  const { redemptionCount, ...rest } = data;   // only bookings move the count
+  if ("code" in rest) rest.code = normaliseCode(rest.code) || null;
+  const next = { ...current, ...rest };
+  if (next.active) await assertCodeFree(current.restaurantId, next.code, promotionId);
+  await updateDoc(doc(db, "promotions", promotionId), {
+    ...rest,
     updatedAt: serverTimestamp()
   });
 }
 
+export async function deletePromotion(promotionId, { actor } = {}) {
+  await readPromotionAs(promotionId, actor);
+  await deleteDoc(doc(db, "promotions", promotionId));
+}
+
+export async function getRestaurantPromotions(restaurantId) {
+  const q = query(collection(db, "promotions"), where("restaurantId", "==", restaurantId));
+  const snap = await getDocs(q);
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+// Code-less offers, for BookingModal to apply on its own
+export async function getAutomaticPromotions(restaurantId) {
+  const q = query(
+    collection(db, "promotions"),
+    where("restaurantId", "==", restaurantId),
+    where("code", "==", null),
+    where("active", "==", true)
+  );
+  const snap = await getDocs(q);
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+// The restaurant's promotion for a diner-entered code, or null.
+// Only one active offer may hold a code; paused or older ones with
+// the same code are returned only when none is active.
+export async function findPromotionByCode(restaurantId, code) {
+  const q = query(
+    collection(db, "promotions"),
+    where("restaurantId", "==", restaurantId),
+    where("code", "==", normaliseCode(code))
+  );
+  const snap  = await getDocs(q);
+  const found = snap.docs.find((d) => d.data().active) || snap.docs[0];
+  return found ? { id: found.id, ...found.data() } : null;
+}
+
+// ─── PAYMENTS ─────────────────────────────────────────────
+// booking.payment is created by createBooking when the restaurant
+// requires prepayment; these move it through its states via the
+// configured provider (utils/payments.js).
+
+function paymentUpdate(fields) {
+  const update = { "payment.updatedAt": new Date().toISOString() };
+  Object.keys(fields).forEach((k) => { update[`payment.${k}`] = fields[k]; });
+  return update;
+}
+
+// Push a collection request to the diner's phone
+export async function requestBookingPayment(bookingId, phone) {
+  const ref  = doc(db, "bookings", bookingId);
+  const snap = await getDoc(ref);
+  const booking = snap.exists() ? snap.data() : null;
+  if (!booking?.payment) throw new Error("This booking has nothing to pay.");
+  if (!PAYABLE_STATUSES.includes(booking.payment.status)) {
+    throw new Error(`Payment is already ${paymentMeta(booking.payment.status).label.toLowerCase()}.`);
+  }
+  const msisdn = normaliseMsisdn(phone);
+  if (!msisdn) throw new Error("Enter a valid MTN or Airtel number.");
+
+  const provider = getPaymentProvider();
+  try {
+    const { transactionId, status } = await provider.requestToPay({
+      amount:       booking.payment.amount,
+      currency:     booking.payment.currency,
+      msisdn,
+      reference:    bookingId,
+      payerMessage: `${booking.restaurantName || "NyamaConnect"} pre-order`
+    });
+    await updateDoc(ref, paymentUpdate({
+      status, transactionId, msisdn,
+      provider: provider.id,
+      network:  detectNetwork(msisdn),
+      reason:   deleteField()
+    }));
+    return status;
+  } catch (err) {
+    await updateDoc(ref, paymentUpdate({ status: "failed", reason: err.message }));
+    throw err;
+  }
+}
+
+// Poll the provider for a pending payment; returns the current status
+export async function refreshPaymentStatus(bookingId) {
+  const ref  = doc(db, "bookings", bookingId);
+  const snap = await getDoc(ref);
+  const payment = snap.exists() ? snap.data().payment : null;
+  if (!payment) return null;
+  if (payment.status !== "pending" || !payment.transactionId) return payment.status;
+
+  const { status, reason } = await getPaymentProvider(payment.provider).getStatus(payment.transactionId);
+  if (status !== payment.status) {
+    await updateDoc(ref, paymentUpdate({ status, ...(reason ? { reason } : {}) }));
+  }
+  return status;
+}
+
+// Return a successful payment to the diner (owner action)
+export async function refundBookingPayment(bookingId, { actor } = {}) {
+  const ref  = doc(db, "bookings", bookingId);
+  const snap = await getDoc(ref);
+  const payment = snap.exists() ? snap.data().payment : null;
+  if (payment?.status !== "successful") throw new Error("Only a successful payment can be refunded.");
+  await readRestaurantAs(snap.data().restaurantId, actor, "bookings");
+
+  const { refundId, status } = await getPaymentProvider(payment.provider).refund({
+    transactionId: payment.transactionId,
+    amount:        payment.amount,
+    currency:      payment.currency,
+    reference:     bookingId
+  });
+  if (status === "failed") throw new Error("The provider rejected the refund.");
+  await updateDoc(ref, paymentUpdate({ status: "refunded", refundId, refundedBy: actor?.name || null }));
+}
+
+// ─── SERVICE-FEE LEDGER ──────────────────────────────────
+
+// All fee entries for one restaurant (owner statements), newest first
+export async function getRestaurantFees(restaurantId) {
+  const q = query(
+    collection(db, "fees"),
+    where("restaurantId", "==", restaurantId),
+    orderBy("createdAt", "desc")
+  );
+  const snap = await getDocs(q);
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+// Every unpaid fee entry, platform-wide (AdminPage "Fees" tab)
+export async function getUnpaidFees() {
+  const q = query(collection(db, "fees"), where("status", "==", "unpaid"));
+  const snap = await getDocs(q);
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+// Settle fee entries once an owner has paid — admins only, with
+// one /adminAudit entry per restaurant
+export async function markFeesPaid(feeIds, { actor } = {}) {
+  const refs = feeIds.map((id) => doc(db, "fees", id));
+  await runTransaction(db, async (tx) => {
+    await assertAdmin(tx, actor);
+    const snaps  = await Promise.all(refs.map((ref) => tx.get(ref)));
+    const unpaid = snaps.filter((snap) => snap.exists() && snap.data().status !== "paid");
+    const byRestaurant = {};
+    unpaid.forEach((snap) => {
+      tx.update(snap.ref, { status: "paid", paidAt: serverTimestamp(), paidBy: { uid: actor.uid, name: actor.name || null } });
+      (byRestaurant[snap.data().restaurantId] = byRestaurant[snap.data().restaurantId] || []).push(snap.data());
+    });
+    Object.entries(byRestaurant).forEach(([restaurantId, fees]) => {
+      const total = fees.reduce((sum, f) => sum + (f.amount || 0), 0);
+      writeAudit(tx, "fees-paid", restaurantId, { name: fees[0].restaurantName }, actor,
+        `${fees.length} fee${fees.length === 1 ? "" : "s"}, ${total.toLocaleString()} UGX`);
+    });
+  });
+}
+
 // ─── MESSAGING ──────────────────────────────────────────
 
 /**
- * Sends a message in a chat thread.
+ * Sends a message in a chat thread. Replies from the restaurant
+ * pass `actor` and need the "chat" permission.
  */
-export async function sendMessage(restaurantId, senderId, senderName, text) {
+export async function sendMessage(restaurantId, senderId, senderName, text, { actor } = {}) {
+  const restaurant = actor ? await readRestaurantAs(restaurantId, actor, "chat") : null;
   await addDoc(collection(db, "messages"), {
     restaurantId,
     senderId,
     senderName,
     text,
+    ...(restaurant ? { senderRole: roleFor(restaurant, actor.uid) } : {}),
     createdAt: serverTimestamp()
   });
 }
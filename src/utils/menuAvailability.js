@@ -0,0 +1,87 @@
+// =============================================================
+// FILE: src/utils/menuAvailability.js
+// =============================================================
+// Whether a dish can be ordered right now. Pure helpers used by
+// MenuEditor, DetailPage, the cart (App, BookingModal) and
+// createBooking.
+//
+// Item:     { …, availability: "available" | "sold-out" | "hidden",
+//             soldOutAt: ISO }        – when it was marked sold out
+// Section:  { category, availableFrom, availableTo, items }
+//             "HH:MM" Kampala-time window, e.g. Breakfast/Chai 06:00–11:00;
+//             both empty = all day (overnight windows wrap)
+// Restaurant: menuResetHour (0–23) – sold-out dishes come back at
+//             this hour the next morning (DEFAULT_RESET_HOUR)
+// =============================================================
+
+import { isOpenAt, kampalaClock, bookingInstant, addDays, fromMinutes } from "./scheduling.js";
+
+export const ITEM_AVAILABILITY = {
+  available:  { label: "Available",      color: "#166534", bg: "#DCFCE7" },
+  "sold-out": { label: "Sold out today", color: "#991B1B", bg: "#FEE2E2" },
+  hidden:     { label: "Hidden",         color: "#57534E", bg: "#F3F4F6" }
+};
+
+export const DEFAULT_RESET_HOUR = 5;
+
+export function resetHourFor(restaurant) {
+  const h = parseInt(restaurant?.menuResetHour, 10);
+  return h >= 0 && h <= 23 ? h : DEFAULT_RESET_HOUR;
+}
+
+// Sold out until the first reset hour (Kampala) after it was marked
+export function isSoldOut(item, resetHour = DEFAULT_RESET_HOUR, now = new Date()) {
+  if (item?.availability !== "sold-out") return false;
+  if (!item.soldOutAt) return true;
+  const marked = new Date(item.soldOutAt);
+  const day    = kampalaClock(marked).date;
+  let   back   = bookingInstant(day, fromMinutes(resetHour * 60));
+  if (back <= marked) back = bookingInstant(addDays(day, 1), fromMinutes(resetHour * 60));
+  return now < back;
+}
+
+export function sectionOpen(section, now = new Date()) {
+  if (!section?.availableFrom || !section?.availableTo) return true;
+  return isOpenAt(section.availableFrom, section.availableTo, kampalaClock(now).minutes);
+}
+
+export function sectionHours(section) {
+  return section?.availableFrom && section?.availableTo ? `${section.availableFrom}–${section.availableTo}` : null;
+}
+
+// Diner-facing reason an item can't be ordered now, or null
+export function unavailableReason(item, section, restaurant, now = new Date()) {
+  if (!item || item.availability === "hidden") return "Not on the menu right now";
+  if (isSoldOut(item, resetHourFor(restaurant), now)) return "Sold out today";
+  if (!sectionOpen(section, now)) return `Served ${sectionHours(section)}`;
+  return null;
+}
+
+// The menu item (and its section) a cart line was built from
+export function findMenuItem(menu, name) {
+  for (const section of menu || []) {
+    const item = (section.items || []).find(i => i.name === name);
+    if (item) return { item, section };
+  }
+  return { item: null, section: null };
+}
+
+// Effective state for the editor — a lapsed sold-out shows as available
+export function currentAvailability(item, resetHour, now = new Date()) {
+  if (item?.availability === "hidden") return "hidden";
+  return isSoldOut(item, resetHour, now) ? "sold-out" : "available";
+}
+
+// Error for the first pre-order line that can't be served any more
+// (hidden or sold out), or null. Section hours aren't checked — the
+// booking is usually for later, when that section may be serving.
+export function unavailableLineError(lines, restaurant, now = new Date()) {
+  const resetHour = resetHourFor(restaurant);
+  for (const line of lines || []) {
+    const { item } = findMenuItem(restaurant?.menu, line.name);
+    if (item?.availability === "hidden" || isSoldOut(item, resetHour, now)) {
+      return `${line.name} is no longer available — please remove it from your order.`;
+    }
+  }
+  return null;
+}
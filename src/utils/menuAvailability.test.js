@@ -0,0 +1,68 @@
+import {
+  resetHourFor, isSoldOut, sectionOpen, unavailableReason, currentAvailability, unavailableLineError
+} from "./menuAvailability.js";
+
+// a UTC instant for a Kampala wall-clock time
+const at = (date, time) => new Date(`${date}T${time}:00+03:00`);
+
+const breakfast = { category: "Breakfast", availableFrom: "06:00", availableTo: "11:00", items: [] };
+const lateNight = { category: "Late night", availableFrom: "22:00", availableTo: "02:00", items: [] };
+
+describe("sold out", () => {
+  const soldOut = { name: "Pilau", availability: "sold-out", soldOutAt: at("2026-10-19", "20:00").toISOString() };
+
+  it("comes back at the reset hour the next Kampala morning", () => {
+    expect(isSoldOut(soldOut, 5, at("2026-10-20", "04:59"))).toBe(true);
+    expect(isSoldOut(soldOut, 5, at("2026-10-20", "05:00"))).toBe(false);
+  });
+
+  it("marked before the reset hour comes back the same morning", () => {
+    const early = { ...soldOut, soldOutAt: at("2026-10-20", "02:00").toISOString() };
+    expect(isSoldOut(early, 5, at("2026-10-20", "06:00"))).toBe(false);
+  });
+
+  it("stays sold out without a timestamp, and shows as available once lapsed", () => {
+    expect(isSoldOut({ availability: "sold-out" })).toBe(true);
+    expect(currentAvailability(soldOut, 5, at("2026-10-21", "09:00"))).toBe("available");
+    expect(currentAvailability({ availability: "hidden" }, 5)).toBe("hidden");
+  });
+
+  it("reads the reset hour from the restaurant", () => {
+    expect(resetHourFor({ menuResetHour: "7" })).toBe(7);
+    expect(resetHourFor({ menuResetHour: 24 })).toBe(5);
+    expect(resetHourFor(null)).toBe(5);
+  });
+});
+
+describe("section hours", () => {
+  it("serves inside the Kampala-time window, wrapping past midnight", () => {
+    expect(sectionOpen(breakfast, at("2026-10-19", "07:00"))).toBe(true);
+    expect(sectionOpen(breakfast, at("2026-10-19", "11:00"))).toBe(false);
+    expect(sectionOpen(lateNight, at("2026-10-19", "01:00"))).toBe(true);
+    expect(sectionOpen({ category: "Mains" }, at("2026-10-19", "03:00"))).toBe(true);
+  });
+});
+
+describe("unavailableReason", () => {
+  const now = at("2026-10-19", "13:00");
+
+  it("explains why a dish can't be ordered now", () => {
+    expect(unavailableReason({ availability: "hidden" }, breakfast, {}, now)).toBe("Not on the menu right now");
+    expect(unavailableReason({ availability: "sold-out" }, breakfast, {}, now)).toBe("Sold out today");
+    expect(unavailableReason({ availability: "available" }, breakfast, {}, now)).toBe("Served 06:00–11:00");
+    expect(unavailableReason({ availability: "available" }, { category: "Mains" }, {}, now)).toBeNull();
+  });
+});
+
+describe("unavailableLineError", () => {
+  it("flags pre-order lines for hidden or sold-out dishes but not section hours", () => {
+    const restaurant = { menu: [{ ...breakfast, items: [
+      { name: "Katogo", availability: "available" },
+      { name: "Chapati", availability: "sold-out" }
+    ] }] };
+    const now = at("2026-10-19", "13:00");
+    expect(unavailableLineError([{ name: "Katogo" }], restaurant, now)).toBeNull();
+    expect(unavailableLineError([{ name: "Katogo" }, { name: "Chapati" }], restaurant, now))
+      .toBe("Chapati is no longer available — please remove it from your order.");
+  });
+});
@@ -0,0 +1,96 @@
+// =============================================================
+// FILE: src/utils/menuOptions.js
+// =============================================================
+// Variants and add-ons on menu items, and the cart lines built
+// from a diner's choice. Pure helpers — no React, no Firestore.
+//
+// Menu item schema (inside restaurant.menu[].items[]):
+//   { name, price, image,
+//     variantLabel: "Protein",                  – optional heading
+//     variants:     [{ name, priceDelta }],     – pick exactly one
+//     addonGroups:  [{ name, min, max,
+//                      options: [{ name, price }] }] }
+//
+// Selection:  { variant: "Beef" | null, addons: { [group]: [option names] } }
+//
+// Cart line (what the cart and booking.preOrder hold):
+//   { key, name, price, image, variant, addons: [names], qty }
+//   key is unique per item + choices, so "Rolex – 2 eggs" and
+//   "Rolex – 3 eggs" are separate lines; price is the unit price
+//   including the variant delta and add-ons.
+// =============================================================
+
+export function hasOptions(item) {
+  return (item?.variants || []).length > 0 || (item?.addonGroups || []).length > 0;
+}
+
+export function defaultSelection(item) {
+  return { variant: item?.variants?.[0]?.name ?? null, addons: {} };
+}
+
+// Diner-facing error for an incomplete choice, or null
+export function validateSelection(item, selection) {
+  if ((item.variants || []).length > 0 && !item.variants.some(v => v.name === selection.variant)) {
+    return `Choose a ${(item.variantLabel || "option").toLowerCase()}.`;
+  }
+  for (const group of item.addonGroups || []) {
+    const picked = (selection.addons[group.name] || []).length;
+    const min    = parseInt(group.min, 10) || 0;
+    const max    = parseInt(group.max, 10) || 0;
+    if (picked < min) return `Choose at least ${min} from ${group.name}.`;
+    if (max > 0 && picked > max) return `Choose up to ${max} from ${group.name}.`;
+  }
+  return null;
+}
+
+export function unitPrice(item, selection) {
+  const variant = (item.variants || []).find(v => v.name === selection?.variant);
+  const addons  = (item.addonGroups || []).reduce((sum, group) => {
+    const picked = selection?.addons?.[group.name] || [];
+    return sum + group.options.filter(o => picked.includes(o.name)).reduce((s, o) => s + (o.price || 0), 0);
+  }, 0);
+  return (item.price || 0) + (variant?.priceDelta || 0) + addons;
+}
+
+export function buildCartLine(item, selection = defaultSelection(item)) {
+  const addons = (item.addonGroups || []).flatMap(group =>
+    group.options.filter(o => (selection.addons[group.name] || []).includes(o.name)).map(o => o.name)
+  );
+  const variant = (item.variants || []).length > 0 ? selection.variant : null;
+  return {
+    key:   [item.name, variant, ...addons].filter(Boolean).join(" | "),
+    name:  item.name,
+    price: unitPrice(item, selection),
+    image: item.image || "",
+    variant,
+    addons
+  };
+}
+
+// "Rolex (3 eggs, + Avocado)" — for carts, inboxes and tickets
+export function lineLabel(line) {
+  const extras = [line.variant, ...(line.addons || []).map(a => `+ ${a}`)].filter(Boolean);
+  return extras.length ? `${line.name} (${extras.join(", ")})` : line.name;
+}
+
+// Strips editor leftovers and parses numbers before saving
+export function cleanItemOptions(item) {
+  const variants = (item.variants || [])
+    .filter(v => v.name)
+    .map(v => ({ name: v.name.trim(), priceDelta: parseInt(v.priceDelta, 10) || 0 }));
+  const addonGroups = (item.addonGroups || [])
+    .filter(g => g.name && (g.options || []).some(o => o.name))
+    .map(g => {
+      const options = g.options.filter(o => o.name).map(o => ({ name: o.name.trim(), price: parseInt(o.price, 10) || 0 }));
+      return {
+        name:    g.name.trim(),
+        min:     Math.min(options.length, Math.max(0, parseInt(g.min, 10) || 0)),
+        max:     Math.min(options.length, Math.max(0, parseInt(g.max, 10) || 0)),
+        options
+      };
+    });
+  return {
+    ...(variants.length ? { variantLabel: (item.variantLabel || "").trim() || "Option", variants } : {}),
+    ...(addonGroups.length ? { addonGroups } : {})
+  };
+}
@@ -0,0 +1,70 @@
+import { hasOptions, defaultSelection, validateSelection, unitPrice, buildCartLine, lineLabel, cleanItemOptions } from "./menuOptions.js";
+
+const rolex = {
+  name: "Rolex", price: 4000, image: "https://img/rolex.jpg",
+  variantLabel: "Eggs",
+  variants: [{ name: "2 eggs", priceDelta: 0 }, { name: "3 eggs", priceDelta: 1000 }],
+  addonGroups: [
+    { name: "Extras", min: 0, max: 2, options: [{ name: "Avocado", price: 1500 }, { name: "Cheese", price: 2000 }, { name: "Sausage", price: 2500 }] },
+    { name: "Sauce",  min: 1, max: 1, options: [{ name: "Chilli", price: 0 }, { name: "Ketchup", price: 0 }] }
+  ]
+};
+
+describe("selections", () => {
+  it("starts on the first variant with no add-ons", () => {
+    expect(hasOptions(rolex)).toBe(true);
+    expect(hasOptions({ name: "Soda", price: 2000 })).toBe(false);
+    expect(defaultSelection(rolex)).toEqual({ variant: "2 eggs", addons: {} });
+  });
+
+  it("enforces a variant and each group's min and max", () => {
+    expect(validateSelection({ ...rolex, variantLabel: "Size" }, { variant: null, addons: {} })).toBe("Choose a size.");
+    expect(validateSelection(rolex, { variant: "2 eggs", addons: {} })).toBe("Choose at least 1 from Sauce.");
+    expect(validateSelection(rolex, { variant: "2 eggs", addons: { Extras: ["Avocado", "Cheese", "Sausage"], Sauce: ["Chilli"] } }))
+      .toBe("Choose up to 2 from Extras.");
+    expect(validateSelection(rolex, { variant: "3 eggs", addons: { Sauce: ["Chilli"] } })).toBeNull();
+  });
+});
+
+describe("cart lines", () => {
+  const choice = { variant: "3 eggs", addons: { Extras: ["Cheese", "Avocado"], Sauce: ["Chilli"] } };
+
+  it("prices the variant delta and every add-on", () => {
+    expect(unitPrice(rolex, choice)).toBe(8500);
+    expect(unitPrice({ name: "Soda", price: 2000 }, defaultSelection({}))).toBe(2000);
+  });
+
+  it("keys lines by item and choices in menu order", () => {
+    expect(buildCartLine(rolex, choice)).toEqual({
+      key: "Rolex | 3 eggs | Avocado | Cheese | Chilli", name: "Rolex", price: 8500,
+      image: "https://img/rolex.jpg", variant: "3 eggs", addons: ["Avocado", "Cheese", "Chilli"]
+    });
+    expect(buildCartLine({ name: "Soda", price: 2000 })).toMatchObject({ key: "Soda", variant: null, addons: [] });
+  });
+
+  it("labels lines for carts and tickets", () => {
+    expect(lineLabel(buildCartLine(rolex, choice))).toBe("Rolex (3 eggs, + Avocado, + Cheese, + Chilli)");
+    expect(lineLabel({ name: "Soda" })).toBe("Soda");
+  });
+});
+
+describe("cleanItemOptions", () => {
+  it("drops blank rows, parses numbers and caps min/max to the options", () => {
+    expect(cleanItemOptions({
+      variantLabel: " ",
+      variants: [{ name: " Small ", priceDelta: "" }, { name: "", priceDelta: "500" }, { name: "Large", priceDelta: "3000" }],
+      addonGroups: [
+        { name: "Extras ", min: "-1", max: "5", options: [{ name: "Avocado", price: "1500" }, { name: "", price: "9" }] },
+        { name: "Empty", min: 0, max: 0, options: [{ name: "", price: "" }] }
+      ]
+    })).toEqual({
+      variantLabel: "Option",
+      variants: [{ name: "Small", priceDelta: 0 }, { name: "Large", priceDelta: 3000 }],
+      addonGroups: [{ name: "Extras", min: 0, max: 1, options: [{ name: "Avocado", price: 1500 }] }]
+    });
+  });
+
+  it("leaves plain dishes without option fields", () => {
+    expect(cleanItemOptions({ variants: [], addonGroups: [] })).toEqual({});
+  });
+});
@@ -0,0 +1,229 @@
+// =============================================================
+// FILE: src/utils/menuTransfer.js
+// =============================================================
+// Menu import / export for the owner dashboard (MenuTransfer).
+//
+//   CSV  – one row per dish:
+//          section, name, price, description, tags, image
+//          tags: dietary ids or labels from constants/dietary.js,
+//          separated by ";" — plus "spicy:1".."spicy:3"
+//   JSON – the menu array as stored ([{ category, items }]), the
+//          same wrapped as { menu: [...] }, or the old flat
+//          [{ name, price }] list (→ one "Main Course" section)
+//
+// parseMenuFile() never throws on bad rows: each row carries its
+// own `errors`, and only clean rows are turned into a menu.
+// Importing keeps what the file can't express (variants, add-ons,
+// availability, photos when the file has none) for dishes whose
+// name already exists.
+// =============================================================
+
+import { toCSV, parseCSV } from "./csv.js";
+import { DIETARY_TAGS, SPICE_LEVELS, cleanDietary } from "../constants/dietary.js";
+
+const DEFAULT_SECTION = "Main Course";
+const MAX_SPICE       = SPICE_LEVELS.length - 1;
+
+export const MENU_CSV_COLUMNS = [
+  { key: "section",     label: "section" },
+  { key: "name",        label: "name" },
+  { key: "price",       label: "price" },
+  { key: "description", label: "description" },
+  { key: "tags",        label: "tags" },
+  { key: "image",       label: "image" }
+];
+
+// ── export ────────────────────────────────────────────────
+function tagsCell(item) {
+  const tags = [...(item.dietary || [])];
+  if (item.spiceLevel > 0) tags.push(`spicy:${item.spiceLevel}`);
+  return tags.join(";");
+}
+
+export function menuToRows(menu) {
+  return (menu || []).flatMap(s => (s.items || []).filter(i => i.name).map(i => ({
+    section:     s.category || DEFAULT_SECTION,
+    name:        i.name,
+    price:       parseInt(i.price, 10) || 0,
+    description: i.description || "",
+    tags:        tagsCell(i),
+    image:       i.image || ""
+  })));
+}
+
+export function menuToCSV(menu) {
+  return toCSV(menuToRows(menu), MENU_CSV_COLUMNS);
+}
+
+export function menuToJSON(menu) {
+  return JSON.stringify({ menu: menu || [] }, null, 2);
+}
+
+// ── import ────────────────────────────────────────────────
+// "Halal", "contains nuts", "contains-nuts" → "halal", "contains-nuts"
+const TAG_BY_NAME = Object.fromEntries(Object.entries(DIETARY_TAGS).flatMap(([id, t]) => [
+  [id, id], [t.label.toLowerCase(), id]
+]));
+
+function parseTags(value, errors) {
+  const dietary = [];
+  let spiceLevel = 0;
+  const parts = Array.isArray(value) ? value : String(value || "").split(/[;|]/);
+  for (const raw of parts) {
+    const tag = String(raw).trim().toLowerCase();
+    if (!tag) continue;
+    const spicy = tag.match(/^spicy(?::(\d))?$/);
+    if (spicy) {
+      spiceLevel = spicy[1] ? parseInt(spicy[1], 10) : 1;
+      if (spiceLevel > MAX_SPICE) errors.push(`Spice level goes up to ${MAX_SPICE}.`);
+    } else if (TAG_BY_NAME[tag]) {
+      if (!dietary.includes(TAG_BY_NAME[tag])) dietary.push(TAG_BY_NAME[tag]);
+    } else {
+      errors.push(`Unknown tag "${String(raw).trim()}".`);
+    }
+  }
+  return { dietary, spiceLevel: Math.min(spiceLevel, MAX_SPICE) };
+}
+
+// One imported dish, validated → { line, section, item, errors }
+function toRow(line, section, raw) {
+  const errors = [];
+  const name   = String(raw.name ?? "").trim();
+  const price  = Number(String(raw.price ?? "").replace(/[\s,]/g, "").replace(/ugx/i, ""));
+  const image  = String(raw.image ?? "").trim();
+
+  if (!name) errors.push("Name is missing.");
+  if (String(raw.price ?? "").trim() === "" || !Number.isFinite(price) || price < 0) {
+    errors.push(`Price "${raw.price ?? ""}" is not a number of UGX.`);
+  }
+  if (image && !/^https?:\/\//i.test(image)) errors.push("Image must be an http(s) link.");
+
+  // CSV has a tags cell; JSON has the stored dietary + spiceLevel
+  const tags = parseTags(raw.tags ?? raw.dietary ?? [], errors);
+  if (raw.spiceLevel !== undefined) tags.spiceLevel = parseInt(raw.spiceLevel, 10) || 0;
+
+  return {
+    line,
+    section: String(section || "").trim() || DEFAULT_SECTION,
+    item: {
+      name,
+      price:       Math.round(price) || 0,
+      description: String(raw.description ?? "").trim(),
+      image,
+      ...cleanDietary(tags)
+    },
+    errors
+  };
+}
+
+function parseCSVMenu(text) {
+  const [header, ...body] = parseCSV(text);
+  if (!header) return { rows: [], error: "The file is empty." };
+  const cols = header.map(h => h.trim().toLowerCase().replace(/[\s_]+/g, ""));
+  const at   = (key) => cols.indexOf(key);
+  const idx  = {
+    section:     at("section") >= 0 ? at("section") : at("category"),
+    name:        at("name"),
+    price:       at("price"),
+    description: at("description"),
+    tags:        at("tags"),
+    image:       at("image") >= 0 ? at("image") : at("imageurl")
+  };
+  if (idx.name < 0 || idx.price < 0) {
+    return { rows: [], error: "The first row must be a header with at least \"name\" and \"price\" columns." };
+  }
+  const cell = (r, key) => (idx[key] >= 0 ? r[idx[key]] ?? "" : "");
+  return {
+    rows: body.map((r, i) => toRow(i + 2, cell(r, "section"), {
+      name: cell(r, "name"), price: cell(r, "price"), description: cell(r, "description"),
+      tags: cell(r, "tags"), image: cell(r, "image")
+    })),
+    error: null
+  };
+}
+
+function parseJSONMenu(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { rows: [], error: "Not valid JSON: " + err.message };
+  }
+  const list = Array.isArray(data) ? data : data?.menu;
+  if (!Array.isArray(list)) return { rows: [], error: "Expected a menu array or { \"menu\": [...] }." };
+
+  // old flat format [{ name, price }] — same migration as populateForm
+  const sections = list.length > 0 && !list[0].items ? [{ category: DEFAULT_SECTION, items: list }] : list;
+  let n = 0;
+  return {
+    rows: sections.flatMap(s => (s.items || []).map(raw => toRow(++n, s.category, raw || {}))),
+    error: null
+  };
+}
+
+// → { rows: [{ line, section, item, errors }], error }
+// `error` is set when the file can't be read at all.
+export function parseMenuFile(text, filename = "") {
+  const json = /\.json$/i.test(filename) || /^\s*[[{]/.test(text);
+  const result = json ? parseJSONMenu(text) : parseCSVMenu(text);
+  if (result.error) return result;
+  if (result.rows.length === 0) return { rows: [], error: "No dishes found in the file." };
+
+  // the same dish twice in one file
+  const seen = {};
+  result.rows.forEach(r => {
+    const key = r.item.name.toLowerCase();
+    if (!key) return;
+    if (seen[key]) r.errors.push(`"${r.item.name}" is already on row ${seen[key]}.`);
+    else seen[key] = r.line;
+  });
+  return result;
+}
+
+// Clean rows → menu sections, keeping what the file can't express
+// from existing dishes of the same name. With keepMissing, dishes
+// not in the file stay where they are.
+export function rowsToMenu(rows, currentMenu = [], { keepMissing = false } = {}) {
+  const existing = {};
+  (currentMenu || []).forEach(s => (s.items || []).forEach(i => { if (i.name) existing[i.name.toLowerCase()] = i; }));
+
+  const bySection = new Map();
+  const imported  = new Set();
+  rows.filter(r => r.errors.length === 0).forEach(({ section, item }) => {
+    const prev = existing[item.name.toLowerCase()] || {};
+    if (!bySection.has(section)) bySection.set(section, []);
+    bySection.get(section).push({ ...prev, ...item, image: item.image || prev.image || "" });
+    imported.add(item.name.toLowerCase());
+  });
+
+  const next = (keepMissing ? currentMenu : []).map(s => ({
+    ...s,
+    items: (s.items || []).filter(i => i.name && !imported.has(i.name.toLowerCase()))
+  }));
+  bySection.forEach((items, category) => {
+    const same = next.find(s => s.category === category);
+    if (same) same.items = [...same.items, ...items];
+    else next.push({ category, items });
+  });
+  return next.filter(s => s.items.length > 0);
+}
+
+// What applying `next` would change, by dish name →
+// { added: [name], removed: [name], changed: [{ name, fields: [field] }] }
+const DIFF_FIELDS = ["section", "price", "description", "tags", "image"];
+
+export function diffMenus(current, next) {
+  const index = (menu) => new Map(menuToRows(menu).map(r => [r.name.toLowerCase(), r]));
+  const before = index(current);
+  const after  = index(next);
+
+  const added   = [...after.values()].filter(r => !before.has(r.name.toLowerCase())).map(r => r.name);
+  const removed = [...before.values()].filter(r => !after.has(r.name.toLowerCase())).map(r => r.name);
+  const changed = [...after.values()].flatMap(r => {
+    const prev = before.get(r.name.toLowerCase());
+    if (!prev) return [];
+    const fields = DIFF_FIELDS.filter(f => String(prev[f]) !== String(r[f]));
+    return fields.length ? [{ name: r.name, fields }] : [];
+  });
+  return { added, removed, changed };
+}
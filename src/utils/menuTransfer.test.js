@@ -0,0 +1,112 @@
+import { parseMenuFile, rowsToMenu, diffMenus, menuToCSV } from "./menuTransfer.js";
+import { toCSV, parseCSV } from "./csv.js";
+
+const menu = [
+  { category: "Mains", items: [
+    { name: "Pilau", price: 12000, description: "Spiced rice", image: "https://img/pilau.jpg",
+      dietary: ["halal"], spiceLevel: 1, availability: "sold-out", variants: [{ label: "Large", price: 15000 }] },
+    { name: "Rolex", price: 5000, description: "", image: "", dietary: [], spiceLevel: 0 }
+  ] }
+];
+
+describe("parseCSV / toCSV", () => {
+  it("round-trips quotes, commas and line breaks", () => {
+    const rows = [{ a: 'Say "hi"', b: "one, two" }, { a: "line\nbreak", b: "" }];
+    const csv  = toCSV(rows, [{ key: "a", label: "a" }, { key: "b", label: "b" }]);
+    expect(parseCSV(csv)).toEqual([["a", "b"], ['Say "hi"', "one, two"], ["line\nbreak", ""]]);
+  });
+
+  it("drops a spreadsheet BOM and blank lines", () => {
+    expect(parseCSV("﻿name,price\r\n\r\nPilau,12000\n")).toEqual([["name", "price"], ["Pilau", "12000"]]);
+  });
+});
+
+describe("parseMenuFile (CSV)", () => {
+  it("reads a clean file with tags and loose headers", () => {
+    const { rows, error } = parseMenuFile(
+      "Category,Name,Price,Description,Tags,Image URL\n" +
+      "Mains,Pilau,\"12,000 UGX\",Spiced rice,Halal;spicy:2,https://img/pilau.jpg\n",
+      "menu.csv"
+    );
+    expect(error).toBeNull();
+    expect(rows).toEqual([{
+      line: 2,
+      section: "Mains",
+      item: { name: "Pilau", price: 12000, description: "Spiced rice", image: "https://img/pilau.jpg", dietary: ["halal"], spiceLevel: 2 },
+      errors: []
+    }]);
+  });
+
+  it("reports every problem on the row it is on", () => {
+    const { rows } = parseMenuFile(
+      "section,name,price,tags,image\n" +
+      "Mains,,abc,spicy:5;gluten,ftp://x\n" +
+      "Mains,Rolex,5000,,\n" +
+      "Drinks,rolex,3000,,\n"
+    );
+    expect(rows[0].errors).toEqual([
+      "Name is missing.",
+      "Price \"abc\" is not a number of UGX.",
+      "Image must be an http(s) link.",
+      "Spice level goes up to 3.",
+      "Unknown tag \"gluten\"."
+    ]);
+    expect(rows[1].errors).toEqual([]);
+    expect(rows[2].errors).toEqual(["\"rolex\" is already on row 3."]);
+  });
+
+  it("puts dishes without a section under Main Course", () => {
+    expect(parseMenuFile("name,price\nChapati,1000").rows[0].section).toBe("Main Course");
+  });
+
+  it("rejects files it can't read at all", () => {
+    expect(parseMenuFile("dish,cost\nPilau,12000").error).toMatch(/header with at least "name" and "price"/);
+    expect(parseMenuFile("name,price\n").error).toBe("No dishes found in the file.");
+    expect(parseMenuFile("").error).toBe("The file is empty.");
+  });
+});
+
+describe("parseMenuFile (JSON)", () => {
+  it("reads the stored menu, the wrapped menu and the old flat list", () => {
+    expect(parseMenuFile(JSON.stringify(menu)).rows).toHaveLength(2);
+    expect(parseMenuFile(JSON.stringify({ menu })).rows[0].item).toMatchObject({ name: "Pilau", dietary: ["halal"], spiceLevel: 1 });
+    expect(parseMenuFile('[{ "name": "Chapati", "price": 1000 }]').rows[0].section).toBe("Main Course");
+  });
+
+  it("explains bad JSON", () => {
+    expect(parseMenuFile("{ nope", "menu.json").error).toMatch(/^Not valid JSON/);
+    expect(parseMenuFile('{ "dishes": [] }').error).toBe("Expected a menu array or { \"menu\": [...] }.");
+  });
+});
+
+describe("rowsToMenu", () => {
+  it("imports only clean rows and keeps what the file can't express", () => {
+    const { rows } = parseMenuFile("section,name,price\nMains,Pilau,13000\nMains,,1\n");
+    const next = rowsToMenu(rows, menu);
+    expect(next).toHaveLength(1);
+    expect(next[0].items).toHaveLength(1);
+    expect(next[0].items[0]).toMatchObject({
+      name: "Pilau", price: 13000, image: "https://img/pilau.jpg", availability: "sold-out",
+      variants: [{ label: "Large", price: 15000 }]
+    });
+  });
+
+  it("keeps dishes missing from the file when asked to", () => {
+    const { rows } = parseMenuFile("section,name,price\nDrinks,Soda,2500\n");
+    const next = rowsToMenu(rows, menu, { keepMissing: true });
+    expect(next.map(s => [s.category, s.items.map(i => i.name)])).toEqual([["Mains", ["Pilau", "Rolex"]], ["Drinks", ["Soda"]]]);
+  });
+});
+
+describe("export + diff", () => {
+  it("exports a CSV that imports back to the same menu", () => {
+    const { rows, error } = parseMenuFile(menuToCSV(menu));
+    expect(error).toBeNull();
+    expect(diffMenus(menu, rowsToMenu(rows, menu))).toEqual({ added: [], removed: [], changed: [] });
+  });
+
+  it("lists added, removed and changed dishes", () => {
+    const next = [{ category: "Mains", items: [{ ...menu[0].items[0], price: 13000 }, { name: "Soda", price: 2500 }] }];
+    expect(diffMenus(menu, next)).toEqual({ added: ["Soda"], removed: ["Rolex"], changed: [{ name: "Pilau", fields: ["price"] }] });
+  });
+});
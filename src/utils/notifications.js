@@ -0,0 +1,225 @@
+// =============================================================
+// FILE: src/utils/notifications.js
+// =============================================================
+// Booking notifications: per-event templates and pluggable
+// delivery providers for SMS, WhatsApp and email.
+//
+// firestoreService turns booking events (and staff invites) into /outbox messages
+// with buildNotifications() and later hands each one to
+// getNotificationProvider(channel).send(); nothing else talks to
+// a provider directly, and this file never touches Firestore.
+//
+// A provider:
+//
+//   {
+//     id, label,
+//     send({ to, subject, body, template, params })
+//         → { messageId }        throws if the message wasn't accepted
+//   }
+//
+//   sms       – to: "2567XXXXXXXX", body
+//   whatsapp  – to: "2567XXXXXXXX", template + params (pre-approved
+//               message template), body as the rendered fallback
+//   email     – to: address, subject, body
+//
+// Only the stub provider ships here: it logs to the console and
+// keeps the last STUB_LOG_SIZE messages in localStorage
+// (getStubMessages()). Pick real providers per channel with
+// REACT_APP_NOTIFY_SMS / _WHATSAPP / _EMAIL once registered.
+// =============================================================
+
+import { normaliseMsisdn } from "./payments.js";
+import { bookingInstant } from "./scheduling.js";
+
+export const CHANNELS = {
+  sms:      { label: "SMS" },
+  whatsapp: { label: "WhatsApp" },
+  email:    { label: "Email" }
+};
+
+// Which channel a phone number is reached on
+export const PHONE_CHANNEL = process.env.REACT_APP_NOTIFY_PHONE_CHANNEL || "sms";
+
+export const OUTBOX_STATUS = {
+  queued:   { label: "Queued",   color: "#92400E", bg: "#FEF3C7" },
+  sending:  { label: "Sending",  color: "#1D4ED8", bg: "#DBEAFE" },
+  retrying: { label: "Retrying", color: "#B45309", bg: "#FFEDD5" },
+  sent:     { label: "Sent",     color: "#166534", bg: "#DCFCE7" },
+  failed:   { label: "Failed",   color: "#991B1B", bg: "#FEE2E2" },
+  skipped:  { label: "Skipped",  color: "#57534E", bg: "#F3F4F6" }
+};
+
+// Attempt n failed → wait RETRY_MINUTES[n - 1] before the next one
+export const RETRY_MINUTES = [1, 5, 15];
+export const MAX_ATTEMPTS  = RETRY_MINUTES.length + 1;
+
+// Diner reminder, this long before the booking
+export const REMINDER_HOURS = 2;
+
+// When the diner's reminder goes out (ISO), or null if the booking
+// is too close for one to be useful
+export function reminderTime(booking, now = new Date()) {
+  const at = bookingInstant(booking.date, booking.time).getTime() - REMINDER_HOURS * 3600000;
+  return at > now.getTime() ? new Date(at).toISOString() : null;
+}
+
+// ── templates ─────────────────────────────────────────────
+// One entry per event, with a message for each audience it goes
+// to. `whatsapp` names the approved template and its parameters.
+const what = (p) => (p.type === "pickup" ? "pick-up order"
+                   : p.type === "delivery" ? "delivery order"
+                   : `table for ${p.guests}`);
+
+export const TEMPLATES = {
+  "new-booking": {
+    owner: {
+      subject:  (p) => `New booking ${p.reference} — ${p.date} ${p.time}`,
+      body:     (p) => `NyamaConnect: new ${what(p)} from ${p.diner} (${p.dinerPhone}) on ${p.date} at ${p.time}. Ref ${p.reference}. Confirm it in your dashboard.`,
+      whatsapp: (p) => ({ template: "owner_new_booking", params: [p.diner, what(p), p.date, p.time, p.reference] })
+    },
+    diner: {
+      subject:  (p) => `We've sent your booking to ${p.restaurant}`,
+      body:     (p) => `NyamaConnect: ${p.restaurant} has your ${what(p)} for ${p.date} at ${p.time} (ref ${p.reference}). We'll message you when they confirm.`,
+      whatsapp: (p) => ({ template: "booking_received", params: [p.restaurant, what(p), p.date, p.time, p.reference] })
+    }
+  },
+  confirmed: {
+    diner: {
+      subject:  (p) => `Confirmed: ${p.restaurant}, ${p.date} ${p.time}`,
+      body:     (p) => `NyamaConnect: ${p.restaurant} confirmed your ${what(p)} on ${p.date} at ${p.time}. Ref ${p.reference}.${p.restaurantPhone ? ` Call ${p.restaurantPhone} with questions.` : ""}`,
+      whatsapp: (p) => ({ template: "booking_confirmed", params: [p.restaurant, what(p), p.date, p.time, p.reference] })
+    }
+  },
+  cancelled: {
+    diner: {
+      subject:  (p) => `Your booking at ${p.restaurant} was cancelled`,
+      body:     (p) => `NyamaConnect: ${p.restaurant} can't take your ${what(p)} on ${p.date} at ${p.time} (ref ${p.reference}).${p.reason ? ` Reason: ${p.reason}.` : ""}`,
+      whatsapp: (p) => ({ template: "booking_cancelled", params: [p.restaurant, p.date, p.time, p.reference, p.reason || "-"] })
+    },
+    owner: {
+      subject:  (p) => `Cancelled by diner: ${p.reference}`,
+      body:     (p) => `NyamaConnect: ${p.diner} cancelled their ${what(p)} on ${p.date} at ${p.time} (ref ${p.reference}).${p.reason ? ` Reason: ${p.reason}.` : ""}`,
+      whatsapp: (p) => ({ template: "owner_booking_cancelled", params: [p.diner, p.date, p.time, p.reference, p.reason || "-"] })
+    }
+  },
+  reminder: {
+    diner: {
+      subject:  (p) => `Reminder: ${p.restaurant} at ${p.time}`,
+      body:     (p) => `NyamaConnect reminder: your ${what(p)} at ${p.restaurant} is today at ${p.time}. Ref ${p.reference}.`,
+      whatsapp: (p) => ({ template: "booking_reminder", params: [p.restaurant, what(p), p.time, p.reference] })
+    }
+  },
+  "staff-invite": {
+    staff: {
+      subject:  (p) => `${p.inviter} invited you to ${p.restaurant} on NyamaConnect`,
+      body:     (p) => `NyamaConnect: ${p.inviter} added you to ${p.restaurant} as ${p.role}. Sign in with ${p.email} and accept the invite on your dashboard.`,
+      whatsapp: (p) => ({ template: "staff_invite", params: [p.inviter, p.restaurant, p.role, p.email] })
+    }
+  }
+};
+
+// Template parameters from a booking and its restaurant
+export function notificationParams(booking, restaurant = {}, extra = {}) {
+  return {
+    reference:       booking.reference || "",
+    diner:           booking.userName || "Guest",
+    dinerPhone:      booking.userPhone || "",
+    restaurant:      restaurant.name || booking.restaurantName || "the restaurant",
+    restaurantPhone: restaurant.phone || "",
+    date:            booking.date,
+    time:            booking.time,
+    type:            booking.type,
+    guests:          booking.guests || 1,
+    ...extra
+  };
+}
+
+// [{ channel, to }] for a person's phone / email
+export function recipientsFor({ phone, email }) {
+  const msisdn = normaliseMsisdn(phone);
+  return [
+    msisdn ? { channel: PHONE_CHANNEL, to: msisdn } : null,
+    email  ? { channel: "email", to: String(email).trim() } : null
+  ].filter(Boolean);
+}
+
+// Rendered messages for one event → [{ event, audience, channel, to,
+// subject, body, template, params }] — one per recipient address.
+// audiences: { diner: { phone, email }, owner: { phone, email } }
+export function buildNotifications(event, params, audiences) {
+  const templates = TEMPLATES[event];
+  if (!templates) throw new Error(`Unknown notification event "${event}".`);
+  return Object.entries(audiences).flatMap(([audience, contact]) => {
+    const t = templates[audience];
+    if (!t || !contact) return [];
+    return recipientsFor(contact).map(({ channel, to }) => ({
+      event, audience, channel, to,
+      subject: t.subject(params),
+      body:    t.body(params),
+      ...(channel === "whatsapp" ? t.whatsapp(params) : { template: null, params: [] })
+    }));
+  });
+}
+
+export function retryDelayMinutes(attempts) {
+  return attempts < MAX_ATTEMPTS ? RETRY_MINUTES[attempts - 1] : null;
+}
+
+// ── stub provider ─────────────────────────────────────────
+// For development: logs every message and "delivers" it, except
+// to numbers or addresses ending in 9999, which fail — handy for
+// exercising retries.
+const STUB_LOG_KEY  = "nyamaconnect.notify-stub";
+const STUB_LOG_SIZE = 50;
+
+export function getStubMessages() {
+  try {
+    return JSON.parse(localStorage.getItem(STUB_LOG_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function stubProvider(channel) {
+  return {
+    id:    "stub",
+    label: `Test ${CHANNELS[channel].label}`,
+
+    async send({ to, subject, body, template, params }) {
+      if (!to) throw new Error("No recipient.");
+      if (/9999$/.test(to.split("@")[0])) throw new Error("Stub: simulated delivery failure.");
+      const messageId = `stub-${channel}-${Date.now()}`;
+      console.info(`[notify:${channel}] → ${to}${subject ? ` | ${subject}` : ""}\n${template ? `(${template} ${JSON.stringify(params)})\n` : ""}${body}`);
+      try {
+        const log = [{ messageId, channel, to, subject, body, template, params, at: new Date().toISOString() }, ...getStubMessages()];
+        localStorage.setItem(STUB_LOG_KEY, JSON.stringify(log.slice(0, STUB_LOG_SIZE)));
+      } catch {
+        // storage blocked — the console line is enough
+      }
+      return { messageId };
+    }
+  };
+}
+
+const providers = {
+  sms:      { stub: stubProvider("sms") },
+  whatsapp: { stub: stubProvider("whatsapp") },
+  email:    { stub: stubProvider("email") }
+};
+
+const ENV_PROVIDER = {
+  sms:      process.env.REACT_APP_NOTIFY_SMS,
+  whatsapp: process.env.REACT_APP_NOTIFY_WHATSAPP,
+  email:    process.env.REACT_APP_NOTIFY_EMAIL
+};
+
+export function registerNotificationProvider(channel, provider) {
+  if (!providers[channel]) throw new Error(`Unknown notification channel "${channel}".`);
+  providers[channel][provider.id] = provider;
+}
+
+export function getNotificationProvider(channel, id = ENV_PROVIDER[channel] || "stub") {
+  const provider = providers[channel]?.[id];
+  if (!provider) throw new Error(`${CHANNELS[channel]?.label || channel} provider "${id}" is not available.`);
+  return provider;
+}
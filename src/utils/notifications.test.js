@@ -0,0 +1,84 @@
+import {
+  buildNotifications, notificationParams, recipientsFor, retryDelayMinutes, reminderTime, MAX_ATTEMPTS
+} from "./notifications.js";
+
+const booking = {
+  reference: "NC-K7M2QX", userName: "Amina", userPhone: "0772 123456",
+  date: "2026-10-20", time: "19:00", type: "dine-in", guests: 4
+};
+const restaurant = { name: "Mama's Kitchen", phone: "0414 123456" };
+const params     = notificationParams(booking, restaurant, { reason: "Kitchen closed early" });
+
+const diner = { phone: "0772 123456", email: "amina@example.com" };
+const owner = { phone: "+256 701 234567", email: "owner@example.com" };
+
+describe("buildNotifications", () => {
+  it("sends a new booking to the owner and the diner on every address they have", () => {
+    const sent = buildNotifications("new-booking", params, { owner, diner });
+    expect(sent.map(m => [m.audience, m.channel, m.to])).toEqual([
+      ["owner", "sms",   "256701234567"],
+      ["owner", "email", "owner@example.com"],
+      ["diner", "sms",   "256772123456"],
+      ["diner", "email", "amina@example.com"]
+    ]);
+    expect(sent[0].body).toBe("NyamaConnect: new table for 4 from Amina (0772 123456) on 2026-10-20 at 19:00. Ref NC-K7M2QX. Confirm it in your dashboard.");
+    expect(sent[3].subject).toBe("We've sent your booking to Mama's Kitchen");
+    expect(sent[0]).toMatchObject({ template: null, params: [] });
+  });
+
+  it("only messages audiences the event has a template for", () => {
+    const sent = buildNotifications("confirmed", params, { owner, diner });
+    expect(sent.map(m => m.audience)).toEqual(["diner", "diner"]);
+    expect(sent[0].body).toMatch(/confirmed your table for 4 .* Call 0414 123456 with questions\.$/);
+    expect(buildNotifications("cancelled", params, { diner }).map(m => m.body)[0]).toMatch(/Reason: Kitchen closed early\.$/);
+  });
+
+  it("skips missing or unusable contact details", () => {
+    expect(buildNotifications("reminder", params, { diner: { phone: diner.phone } }).map(m => m.channel)).toEqual(["sms"]);
+    expect(buildNotifications("reminder", params, { diner: { phone: "12345", email: diner.email } }).map(m => m.channel)).toEqual(["email"]);
+    expect(buildNotifications("new-booking", params, { owner: { phone: "", email: "" }, diner: null })).toEqual([]);
+    expect(recipientsFor({ email: "  a@b.co " })).toEqual([{ channel: "email", to: "a@b.co" }]);
+  });
+
+  it("describes pick-up and delivery orders", () => {
+    const pickup = notificationParams({ ...booking, type: "pickup" }, restaurant);
+    expect(buildNotifications("reminder", pickup, { diner })[0].body).toBe(
+      "NyamaConnect reminder: your pick-up order at Mama's Kitchen is today at 19:00. Ref NC-K7M2QX."
+    );
+  });
+
+  it("rejects unknown events", () => {
+    expect(() => buildNotifications("party", params, { diner })).toThrow('Unknown notification event "party".');
+  });
+
+  it("uses the approved WhatsApp template when phones go over WhatsApp", () => {
+    process.env.REACT_APP_NOTIFY_PHONE_CHANNEL = "whatsapp";
+    jest.isolateModules(() => {
+      const { buildNotifications: build } = require("./notifications.js");
+      expect(build("confirmed", params, { diner: { phone: diner.phone } })).toEqual([expect.objectContaining({
+        channel: "whatsapp", to: "256772123456",
+        template: "booking_confirmed", params: ["Mama's Kitchen", "table for 4", "2026-10-20", "19:00", "NC-K7M2QX"]
+      })]);
+    });
+    delete process.env.REACT_APP_NOTIFY_PHONE_CHANNEL;
+  });
+});
+
+describe("retryDelayMinutes", () => {
+  it("backs off 1, 5, then 15 minutes and then gives up", () => {
+    expect([1, 2, 3].map(retryDelayMinutes)).toEqual([1, 5, 15]);
+    expect(retryDelayMinutes(MAX_ATTEMPTS)).toBeNull();
+    expect(MAX_ATTEMPTS).toBe(4);
+  });
+});
+
+describe("reminderTime", () => {
+  it("is two hours before the booking, in Kampala time", () => {
+    expect(reminderTime(booking, new Date("2026-10-20T08:00:00Z"))).toBe("2026-10-20T14:00:00.000Z");
+  });
+
+  it("is null when that moment has already passed", () => {
+    expect(reminderTime(booking, new Date("2026-10-20T14:00:00Z"))).toBeNull();
+    expect(reminderTime(booking, new Date("2026-10-20T15:30:00Z"))).toBeNull();
+  });
+});
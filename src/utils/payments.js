@@ -0,0 +1,95 @@
+// =============================================================
+// FILE: src/utils/payments.js
+// =============================================================
+// Pluggable mobile-money collection providers. firestoreService
+// calls getPaymentProvider() and records the outcome on the
+// booking; nothing else talks to a provider directly.
+//
+// A provider is shaped after the MTN MoMo / Airtel Money
+// collection APIs:
+//
+//   {
+//     id, label,
+//     requestToPay({ amount, currency, msisdn, reference, payerMessage })
+//         → { transactionId, status }   push a prompt to the payer's phone
+//     getStatus(transactionId)
+//         → { status, reason }          poll until not "pending"
+//     refund({ transactionId, amount, currency, reference })
+//         → { refundId, status }
+//   }
+//
+// status is always one of "pending" | "successful" | "failed"
+// (adapters map the provider's own codes onto these).
+//
+// Only the stub provider ships here. Select a provider with
+// REACT_APP_PAYMENT_PROVIDER once a real adapter is registered.
+// =============================================================
+
+const STUB_APPROVAL_MS = 5000;
+
+// Uganda mobile prefixes (after 256 / 0)
+const NETWORK_PREFIXES = {
+  mtn:    ["76", "77", "78", "39"],
+  airtel: ["70", "74", "75", "20"]
+};
+
+export const NETWORKS = {
+  mtn:    { label: "MTN MoMo" },
+  airtel: { label: "Airtel Money" }
+};
+
+// "+256 772 123456", "0772123456" → "256772123456"; null if not a UG mobile
+export function normaliseMsisdn(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  let local = digits;
+  if (local.startsWith("256")) local = local.slice(3);
+  else if (local.startsWith("0")) local = local.slice(1);
+  return /^\d{9}$/.test(local) ? `256${local}` : null;
+}
+
+export function detectNetwork(msisdn) {
+  const prefix = String(msisdn || "").slice(3, 5);
+  return Object.keys(NETWORK_PREFIXES).find((n) => NETWORK_PREFIXES[n].includes(prefix)) || null;
+}
+
+// ── stub provider ─────────────────────────────────────────
+// For development: every request is approved a few seconds after
+// it is made, except numbers ending in 0000, which are declined.
+// The outcome is encoded in the transaction id, so polling keeps
+// working after a page reload.
+const stubProvider = {
+  id:    "stub",
+  label: "Test payments",
+
+  async requestToPay({ amount, msisdn }) {
+    if (!(amount > 0)) throw new Error("Payment amount must be greater than zero.");
+    if (!msisdn)       throw new Error("A mobile money number is required.");
+    const outcome = msisdn.endsWith("0000") ? "f" : "s";
+    return { transactionId: `stub-${Date.now()}-${outcome}`, status: "pending" };
+  },
+
+  async getStatus(transactionId) {
+    const [, startedAt, outcome] = String(transactionId).split("-");
+    if (!startedAt) return { status: "failed", reason: "Unknown transaction." };
+    if (Date.now() - Number(startedAt) < STUB_APPROVAL_MS) return { status: "pending" };
+    return outcome === "s"
+      ? { status: "successful" }
+      : { status: "failed", reason: "The payer declined the request." };
+  },
+
+  async refund({ transactionId }) {
+    return { refundId: `${transactionId}-refund`, status: "successful" };
+  }
+};
+
+const providers = { [stubProvider.id]: stubProvider };
+
+export function registerPaymentProvider(provider) {
+  providers[provider.id] = provider;
+}
+
+export function getPaymentProvider(id = process.env.REACT_APP_PAYMENT_PROVIDER || "stub") {
+  const provider = providers[id];
+  if (!provider) throw new Error(`Payment provider "${id}" is not available.`);
+  return provider;
+}
@@ -0,0 +1,73 @@
+import { normaliseMsisdn, detectNetwork, getPaymentProvider, registerPaymentProvider } from "./payments.js";
+
+describe("normaliseMsisdn", () => {
+  it("accepts local, +256 and 256 forms with any spacing", () => {
+    expect(normaliseMsisdn("0772123456")).toBe("256772123456");
+    expect(normaliseMsisdn("+256 772 123 456")).toBe("256772123456");
+    expect(normaliseMsisdn("256-701-234567")).toBe("256701234567");
+    expect(normaliseMsisdn("772123456")).toBe("256772123456");
+  });
+
+  it("rejects numbers of the wrong length", () => {
+    expect(normaliseMsisdn("077212345")).toBeNull();
+    expect(normaliseMsisdn("+2567721234567")).toBeNull();
+    expect(normaliseMsisdn("")).toBeNull();
+    expect(normaliseMsisdn(null)).toBeNull();
+  });
+});
+
+describe("detectNetwork", () => {
+  it("tells MTN from Airtel by prefix", () => {
+    ["256772123456", "256762123456", "256782123456", "256392123456"].forEach(n => expect(detectNetwork(n)).toBe("mtn"));
+    ["256702123456", "256742123456", "256752123456", "256202123456"].forEach(n => expect(detectNetwork(n)).toBe("airtel"));
+  });
+
+  it("is null for other prefixes", () => {
+    expect(detectNetwork("256712123456")).toBeNull();
+    expect(detectNetwork(normaliseMsisdn("abc"))).toBeNull();
+  });
+});
+
+describe("stub provider", () => {
+  const stub = getPaymentProvider("stub");
+  let now;
+
+  beforeEach(() => {
+    now = 1_800_000_000_000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it("stays pending until the approval delay, then succeeds", async () => {
+    const { transactionId, status } = await stub.requestToPay({ amount: 5000, msisdn: "256772123456" });
+    expect(status).toBe("pending");
+    expect(await stub.getStatus(transactionId)).toEqual({ status: "pending" });
+    now += 5000;
+    expect(await stub.getStatus(transactionId)).toEqual({ status: "successful" });
+  });
+
+  it("declines numbers ending in 0000", async () => {
+    const { transactionId } = await stub.requestToPay({ amount: 5000, msisdn: "256772120000" });
+    now += 5000;
+    expect(await stub.getStatus(transactionId)).toEqual({ status: "failed", reason: "The payer declined the request." });
+  });
+
+  it("rejects bad requests and unknown transactions", async () => {
+    await expect(stub.requestToPay({ amount: 0, msisdn: "256772123456" })).rejects.toThrow("greater than zero");
+    await expect(stub.requestToPay({ amount: 5000, msisdn: null })).rejects.toThrow("number is required");
+    expect(await stub.getStatus("nonsense")).toEqual({ status: "failed", reason: "Unknown transaction." });
+  });
+
+  it("refunds", async () => {
+    expect(await stub.refund({ transactionId: "stub-1-s" })).toEqual({ refundId: "stub-1-s-refund", status: "successful" });
+  });
+});
+
+describe("provider registry", () => {
+  it("defaults to the stub and finds registered providers", () => {
+    expect(getPaymentProvider().id).toBe("stub");
+    registerPaymentProvider({ id: "test-mtn", label: "MTN" });
+    expect(getPaymentProvider("test-mtn").label).toBe("MTN");
+    expect(() => getPaymentProvider("nope")).toThrow('Payment provider "nope" is not available.');
+  });
+});
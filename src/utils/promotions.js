@@ -0,0 +1,123 @@
+// =============================================================
+// FILE: src/utils/promotions.js
+// =============================================================
+// Promotion rules, evaluated against a pre-order. Pure — used by
+// BookingModal for the live discount and again by createBooking
+// (inside its transaction) as the authority.
+//
+// Promotion (/promotions/{id}):
+//   { title, code,                 – code null/"" = automatic offer
+//     type: "percent" | "fixed" | "free-item",
+//     value,                       – % or UGX (not used by free-item)
+//     freeItem,                    – free-item: the dish given free
+//     eligibleItems: [names],      – [] = every dish counts
+//     minSpend,                    – UGX, on the eligible dishes
+//     days: [0-6],                 – [] = every day (0 = Sunday),
+//                                    Kampala time like scheduling.js
+//     startTime, endTime,          – "HH:MM" window on the booking time
+//     validFrom, validTo,          – "YYYY-MM-DD", optional
+//     maxRedemptions, maxPerDiner, – 0 = unlimited
+//     redemptionCount, active }
+//
+// "20% off Tuesday lunch"          → percent 20, days [2], 12:00–15:00
+// "Free chapati with every pilau"  → free-item "Chapati", eligible ["Pilau"]
+// =============================================================
+
+import { toMinutes, kampalaClock, bookingInstant } from "./scheduling.js";
+
+export const PROMOTION_TYPES = {
+  percent:     { label: "% off"       },
+  fixed:       { label: "UGX off"     },
+  "free-item": { label: "Free item"   }
+};
+
+export const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export const EMPTY_PROMOTION = {
+  title: "", code: "", type: "percent", value: 10, freeItem: "",
+  eligibleItems: [], minSpend: 0, days: [], startTime: "", endTime: "",
+  validFrom: "", validTo: "", maxRedemptions: 0, maxPerDiner: 0, active: true
+};
+
+export function normaliseCode(code) {
+  return String(code || "").trim().toUpperCase().replace(/\s+/g, "");
+}
+
+// "20% off • Tue • 12:00–15:00 • min 20,000 UGX"
+export function describePromotion(p) {
+  const what = p.type === "percent"   ? `${p.value}% off`
+             : p.type === "fixed"     ? `${(p.value || 0).toLocaleString()} UGX off`
+             : `Free ${p.freeItem}`;
+  return [
+    what + ((p.eligibleItems || []).length ? ` ${p.type === "free-item" ? "with" : "on"} ${p.eligibleItems.join(", ")}` : ""),
+    (p.days || []).length ? p.days.map(d => DAY_NAMES[d]).join("/") : null,
+    p.startTime && p.endTime ? `${p.startTime}–${p.endTime}` : null,
+    p.minSpend ? `min ${p.minSpend.toLocaleString()} UGX` : null
+  ].filter(Boolean).join(" • ");
+}
+
+// Returns { discount, error } for a pre-order booked for date/time.
+// error is a diner-facing message (discount 0) when it doesn't apply.
+// Redemption limits are checked by createBooking, not here.
+export function evaluatePromotion(promo, { lines = [], date, time }) {
+  const fail = (error) => ({ discount: 0, error });
+  if (!promo || !promo.active) return fail("This offer isn't running right now.");
+
+  if (promo.validFrom && date < promo.validFrom) return fail(`This offer starts on ${promo.validFrom}.`);
+  if (promo.validTo   && date > promo.validTo)   return fail("This offer has ended.");
+
+  if ((promo.days || []).length) {
+    const day = kampalaClock(bookingInstant(date, time || "12:00")).day;
+    if (!promo.days.includes(day)) return fail(`Valid on ${promo.days.map(d => DAY_NAMES[d]).join(", ")} only.`);
+  }
+  if (promo.startTime && promo.endTime) {
+    const t = toMinutes(time);
+    if (t < toMinutes(promo.startTime) || t >= toMinutes(promo.endTime)) {
+      return fail(`Valid for bookings between ${promo.startTime} and ${promo.endTime}.`);
+    }
+  }
+
+  const eligible = (promo.eligibleItems || []).length
+    ? lines.filter(l => promo.eligibleItems.includes(l.name))
+    : lines;
+  const eligibleTotal = eligible.reduce((s, l) => s + (l.price || 0) * l.qty, 0);
+  if (lines.length === 0) return fail("Add dishes to your pre-order to use this offer.");
+  if (eligible.length === 0) return fail(`Add ${promo.eligibleItems.join(" or ")} to use this offer.`);
+  if (promo.minSpend && eligibleTotal < promo.minSpend) {
+    return fail(`Spend at least ${promo.minSpend.toLocaleString()} UGX to use this offer.`);
+  }
+
+  let discount = 0;
+  if (promo.type === "percent") {
+    discount = Math.round((eligibleTotal * Math.min(100, promo.value || 0)) / 100);
+  } else if (promo.type === "fixed") {
+    discount = Math.min(eligibleTotal, promo.value || 0);
+  } else if (promo.type === "free-item") {
+    const free = lines.filter(l => l.name === promo.freeItem);
+    if (free.length === 0) return fail(`Add ${promo.freeItem} to your order to get it free.`);
+    // one free per qualifying dish (an eligible one, or any other
+    // dish when none are listed) — the free dish itself never counts
+    const qualifying = eligible.filter(l => l.name !== promo.freeItem).reduce((s, l) => s + l.qty, 0);
+    if (qualifying === 0) {
+      return fail((promo.eligibleItems || []).length
+        ? `Add ${promo.eligibleItems.join(" or ")} to get ${promo.freeItem} free.`
+        : `Add another dish to get ${promo.freeItem} free.`);
+    }
+    let left = qualifying;
+    [...free].sort((a, b) => a.price - b.price).forEach(l => {
+      const n = Math.min(l.qty, left);
+      discount += n * (l.price || 0);
+      left -= n;
+    });
+  }
+  return { discount, error: null };
+}
+
+// Best automatic (code-less) offer for a pre-order, or null
+export function bestAutomaticPromotion(promotions, context) {
+  return promotions
+    .filter(p => !p.code && !(p.maxRedemptions && (p.redemptionCount || 0) >= p.maxRedemptions))
+    .map(p => ({ promo: p, ...evaluatePromotion(p, context) }))
+    .filter(r => !r.error && r.discount > 0)
+    .sort((a, b) => b.discount - a.discount)[0] || null;
+}
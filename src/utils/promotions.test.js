@@ -0,0 +1,100 @@
+import { evaluatePromotion, bestAutomaticPromotion, normaliseCode, describePromotion, EMPTY_PROMOTION } from "./promotions.js";
+
+const promo = (fields) => ({ ...EMPTY_PROMOTION, title: "Offer", ...fields });
+
+const pilau   = { name: "Pilau",   price: 12000, qty: 2 };
+const chapati = { name: "Chapati", price: 1000,  qty: 3 };
+const soda    = { name: "Soda",    price: 2500,  qty: 1 };
+
+// 2026-10-20 is a Tuesday
+const tuesdayLunch = { lines: [pilau, soda], date: "2026-10-20", time: "13:00" };
+
+describe("evaluatePromotion", () => {
+  it("takes a percentage off the eligible dishes only", () => {
+    expect(evaluatePromotion(promo({ type: "percent", value: 10, eligibleItems: ["Pilau"] }), tuesdayLunch))
+      .toEqual({ discount: 2400, error: null });
+    expect(evaluatePromotion(promo({ type: "percent", value: 150 }), tuesdayLunch).discount).toBe(26500);
+  });
+
+  it("never takes a fixed amount off more than the eligible total", () => {
+    expect(evaluatePromotion(promo({ type: "fixed", value: 5000 }), tuesdayLunch).discount).toBe(5000);
+    expect(evaluatePromotion(promo({ type: "fixed", value: 5000, eligibleItems: ["Soda"] }), tuesdayLunch).discount).toBe(2500);
+  });
+
+  it("checks the minimum spend against the eligible dishes", () => {
+    const p = promo({ type: "fixed", value: 1000, minSpend: 5000, eligibleItems: ["Soda"] });
+    expect(evaluatePromotion(p, tuesdayLunch)).toEqual({ discount: 0, error: "Spend at least 5,000 UGX to use this offer." });
+  });
+
+  it("applies the days, hours and dates it runs on", () => {
+    const lunch = promo({ type: "percent", value: 20, days: [2], startTime: "12:00", endTime: "15:00" });
+    expect(evaluatePromotion(lunch, tuesdayLunch).error).toBeNull();
+    expect(evaluatePromotion(lunch, { ...tuesdayLunch, date: "2026-10-21" }).error).toBe("Valid on Tue only.");
+    expect(evaluatePromotion(lunch, { ...tuesdayLunch, time: "15:00" }).error).toBe("Valid for bookings between 12:00 and 15:00.");
+    expect(evaluatePromotion(promo({ validTo: "2026-10-19" }), tuesdayLunch).error).toBe("This offer has ended.");
+    expect(evaluatePromotion(promo({ active: false }), tuesdayLunch).error).toBe("This offer isn't running right now.");
+  });
+
+  it("reads the weekday of the booking's Kampala date", () => {
+    // just after midnight on Tuesday in Kampala is still Monday in UTC
+    expect(evaluatePromotion(promo({ days: [2] }), { ...tuesdayLunch, time: "00:30" }).error).toBeNull();
+  });
+
+  it("needs a pre-order and an eligible dish", () => {
+    expect(evaluatePromotion(promo({}), { ...tuesdayLunch, lines: [] }).error).toBe("Add dishes to your pre-order to use this offer.");
+    expect(evaluatePromotion(promo({ eligibleItems: ["Rolex"] }), tuesdayLunch).error).toBe("Add Rolex to use this offer.");
+  });
+});
+
+describe("free-item offers", () => {
+  const withPilau = promo({ type: "free-item", freeItem: "Chapati", eligibleItems: ["Pilau"] });
+  const withAny   = promo({ type: "free-item", freeItem: "Chapati" });
+
+  it("gives one free item per qualifying dish", () => {
+    expect(evaluatePromotion(withPilau, { ...tuesdayLunch, lines: [pilau, chapati] }).discount).toBe(2000);
+    expect(evaluatePromotion(withAny, { ...tuesdayLunch, lines: [pilau, soda, chapati] }).discount).toBe(3000);
+  });
+
+  it("needs the free item in the order", () => {
+    expect(evaluatePromotion(withPilau, tuesdayLunch).error).toBe("Add Chapati to your order to get it free.");
+  });
+
+  it("gives nothing when no other dish qualifies", () => {
+    expect(evaluatePromotion(withAny, { ...tuesdayLunch, lines: [chapati] }))
+      .toEqual({ discount: 0, error: "Add another dish to get Chapati free." });
+    expect(evaluatePromotion(withPilau, { ...tuesdayLunch, lines: [soda, chapati] }))
+      .toEqual({ discount: 0, error: "Add Pilau to use this offer." });
+  });
+
+  it("frees the cheapest units first", () => {
+    const lines = [{ name: "Chapati", price: 1500, qty: 1 }, { name: "Chapati", price: 1000, qty: 1 }, { ...pilau, qty: 1 }];
+    expect(evaluatePromotion(withPilau, { ...tuesdayLunch, lines }).discount).toBe(1000);
+  });
+});
+
+describe("bestAutomaticPromotion", () => {
+  it("picks the biggest discount among code-less offers with uses left", () => {
+    const offers = [
+      promo({ id: "a", type: "fixed", value: 3000 }),
+      promo({ id: "b", type: "percent", value: 50, code: "HALF" }),
+      promo({ id: "c", type: "fixed", value: 9000, maxRedemptions: 5, redemptionCount: 5 }),
+      promo({ id: "d", type: "percent", value: 20 })
+    ];
+    expect(bestAutomaticPromotion(offers, tuesdayLunch)).toMatchObject({ promo: { id: "d" }, discount: 5300 });
+  });
+
+  it("is null when nothing applies", () => {
+    expect(bestAutomaticPromotion([promo({ days: [0] })], tuesdayLunch)).toBeNull();
+  });
+});
+
+describe("normaliseCode / describePromotion", () => {
+  it("upper-cases codes and drops spaces", () => {
+    expect(normaliseCode(" lunch 20 ")).toBe("LUNCH20");
+  });
+
+  it("summarises the offer", () => {
+    expect(describePromotion(promo({ type: "percent", value: 20, days: [2], startTime: "12:00", endTime: "15:00", minSpend: 20000 })))
+      .toBe("20% off • Tue • 12:00–15:00 • min 20,000 UGX");
+  });
+});
@@ -0,0 +1,301 @@
+// =============================================================
+// FILE: src/utils/scheduling.js
+// =============================================================
+// Pure time / slot helpers shared by BookingModal, DashboardPage
+// and firestoreService. No Firestore access in here.
+//
+// Every date and time here is Kampala wall-clock (EAT, UTC+3) —
+// whatever timezone the diner's device is set to.
+//
+//   toMinutes("13:30")          → 810
+//   fromMinutes(810)            → "13:30"
+//   kampalaClock([now])         → { date, minutes, day } in Kampala
+//   slotsForDate(r, date, n)    → ["08:00","08:30",…] start times
+//   slotLimit(capacity)         → max covers per slot (Infinity
+//                                 when the owner set no limit)
+//   slotId(date, time)          → Firestore doc id for a slot
+//   bookingInstant(date, time)  → Date for a Kampala wall-clock time
+//   isOpen(restaurant[, now])   → is the restaurant open now
+//   openStatus(restaurant[, now]) → { open, label } for cards
+//   validateBookingTime(restaurant, date, time[, now])
+//                               → error message string, or null
+//                                 when the booking is allowed
+//
+// Opening hours on the restaurant doc:
+//   weeklyHours       { mon: [{ open, close }], … sun: [] } — any
+//                     number of intervals a day, [] = closed;
+//                     close before open runs past midnight
+//   hoursExceptions   [{ date, closed, intervals, reason }] — a
+//                     dated day off or special hours
+//   temporarilyClosed boolean, closedNote string
+// Restaurants saved before weeklyHours fall back to the single
+// openTime / closeTime every day.
+// =============================================================
+
+export const DEFAULT_SLOT_MINUTES = 30;
+
+export const DEFAULT_CAPACITY = {
+  seats:            0,                     // 0 = not set
+  slotMinutes:      DEFAULT_SLOT_MINUTES,
+  maxCoversPerSlot: 0                      // 0 = fall back to seats
+};
+
+export const DEFAULT_BOOKING_RULES = {
+  minLeadMinutes: 30,    // how much notice a booking needs
+  maxAdvanceDays: 60,    // how far ahead diners may book
+  blackoutDates:  []     // [{ date: "YYYY-MM-DD", reason }]
+};
+
+export function toMinutes(hhmm) {
+  const [h, m] = String(hhmm || "0:0").split(":").map(Number);
+  return (h || 0) * 60 + (m || 0);
+}
+
+export function fromMinutes(total) {
+  const mins = ((total % 1440) + 1440) % 1440;
+  return `${String(Math.floor(mins / 60)).padStart(2, "0")}:${String(mins % 60).padStart(2, "0")}`;
+}
+
+// Max covers a single slot can take. maxCoversPerSlot wins, then
+// total seats; with neither set the restaurant is unlimited.
+export function slotLimit(capacity) {
+  const perSlot = parseInt(capacity?.maxCoversPerSlot, 10) || 0;
+  const seats   = parseInt(capacity?.seats, 10) || 0;
+  if (perSlot > 0) return seats > 0 ? Math.min(perSlot, seats) : perSlot;
+  if (seats > 0)   return seats;
+  return Infinity;
+}
+
+export function slotId(date, time) {
+  return `${date}_${String(time).replace(":", "")}`;
+}
+
+// ── Kampala time ──────────────────────────────────────────
+// Booking dates/times are Kampala wall-clock (UTC+3, no daylight
+// saving). The exact instant, for calendars and reminders.
+export const KAMPALA_UTC_OFFSET = "+03:00";
+const KAMPALA_OFFSET_MINUTES = 180;
+
+export function bookingInstant(date, time) {
+  return new Date(`${date}T${time}:00${KAMPALA_UTC_OFFSET}`);
+}
+
+// The Kampala wall clock at `now` →
+// { date: "YYYY-MM-DD", minutes: since midnight, day: 0 = Sunday }
+export function kampalaClock(now = new Date()) {
+  const local = new Date(now.getTime() + KAMPALA_OFFSET_MINUTES * 60000);
+  return {
+    date:    local.toISOString().slice(0, 10),
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes(),
+    day:     local.getUTCDay()
+  };
+}
+
+export function kampalaToday(now = new Date()) {
+  return kampalaClock(now).date;
+}
+
+// "YYYY-MM-DD" ± days, and its weekday (0 = Sunday)
+export function addDays(date, days) {
+  const d = new Date(`${date}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+export function dayOfWeek(date) {
+  return new Date(`${date}T12:00:00Z`).getUTCDay();
+}
+
+// ── opening hours ─────────────────────────────────────────
+// Monday first, as the owner's editor and DetailPage list them
+export const WEEK_DAYS = [
+  { key: "mon", label: "Monday",    short: "Mon" },
+  { key: "tue", label: "Tuesday",   short: "Tue" },
+  { key: "wed", label: "Wednesday", short: "Wed" },
+  { key: "thu", label: "Thursday",  short: "Thu" },
+  { key: "fri", label: "Friday",    short: "Fri" },
+  { key: "sat", label: "Saturday",  short: "Sat" },
+  { key: "sun", label: "Sunday",    short: "Sun" }
+];
+const DAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];   // by getUTCDay()
+
+export const DEFAULT_INTERVAL       = { open: "08:00", close: "22:00" };
+export const MAX_INTERVALS_PER_DAY  = 3;
+export const DEFAULT_WEEKLY_HOURS   = Object.fromEntries(DAY_KEYS.map((k) => [k, [DEFAULT_INTERVAL]]));
+
+export function dayMeta(date) {
+  return WEEK_DAYS.find((d) => d.key === DAY_KEYS[dayOfWeek(date)]);
+}
+
+// The restaurant's week, or its old openTime / closeTime every
+// day; null when it never set any hours
+export function weeklyHoursFor(restaurant) {
+  if (restaurant?.weeklyHours) {
+    return Object.fromEntries(DAY_KEYS.map((k) => [k, restaurant.weeklyHours[k] || []]));
+  }
+  if (restaurant?.openTime && restaurant?.closeTime) {
+    return Object.fromEntries(DAY_KEYS.map((k) => [k, [{ open: restaurant.openTime, close: restaurant.closeTime }]]));
+  }
+  return null;
+}
+
+export function hasHours(restaurant) {
+  return !!weeklyHoursFor(restaurant) || (restaurant?.hoursExceptions || []).length > 0;
+}
+
+export function exceptionOn(restaurant, date) {
+  return (restaurant?.hoursExceptions || []).find((e) => e.date === date) || null;
+}
+
+// Intervals that start on `date` ([] = closed that day)
+export function intervalsOn(restaurant, date) {
+  const exception = exceptionOn(restaurant, date);
+  if (exception) return exception.closed ? [] : exception.intervals || [];
+  return weeklyHoursFor(restaurant)?.[DAY_KEYS[dayOfWeek(date)]] || [];
+}
+
+// An interval in minutes from its day's midnight; overnight ones
+// end past 1440, and open == close is round the clock
+function span({ open, close }) {
+  const start = toMinutes(open);
+  let   end   = toMinutes(close);
+  if (end <= start) end += 1440;
+  return { start, end };
+}
+
+// "08:00–14:00, 17:00–22:00", or "Closed"
+export function formatIntervals(intervals) {
+  return intervals.length ? intervals.map((iv) => `${iv.open}–${iv.close}`).join(", ") : "Closed";
+}
+
+// Owner-entered intervals → sorted, complete ones only, capped
+export function cleanIntervals(intervals) {
+  return (intervals || [])
+    .filter((iv) => iv?.open && iv?.close)
+    .map((iv) => ({ open: iv.open, close: iv.close }))
+    .sort((a, b) => toMinutes(a.open) - toMinutes(b.open))
+    .slice(0, MAX_INTERVALS_PER_DAY);
+}
+
+// Is `minutes` (since midnight) inside open–close? Handles
+// overnight hours (e.g. 18:00 to 02:00).
+export function isOpenAt(openTime, closeTime, minutes) {
+  if (!openTime || !closeTime) return false;
+  const open  = toMinutes(openTime);
+  const close = toMinutes(closeTime);
+  if (close > open) return minutes >= open && minutes < close;
+  if (close < open) return minutes >= open || minutes < close;
+  return true; // open == close → open around the clock
+}
+
+// Open at `minutes` past midnight on `date`? Includes the early
+// hours of the day before's overnight intervals (Fri 18:00–02:00
+// → open at 01:00 on Saturday).
+export function isOpenOn(restaurant, date, minutes) {
+  if (restaurant?.temporarilyClosed) return false;
+  return intervalsOn(restaurant, date).some((iv) => { const s = span(iv); return minutes >= s.start && minutes < s.end; })
+      || intervalsOn(restaurant, addDays(date, -1)).some((iv) => minutes + 1440 < span(iv).end);
+}
+
+export function isOpen(restaurant, now = new Date()) {
+  const { date, minutes } = kampalaClock(now);
+  return isOpenOn(restaurant, date, minutes);
+}
+
+// Where the restaurant stands right now → { open, label }, e.g.
+// "Open until 22:00", "Opens 17:00", "Opens tomorrow 08:00",
+// "Closed today (Eid) · opens Tue 08:00", "Temporarily closed"
+export function openStatus(restaurant, now = new Date()) {
+  if (restaurant?.temporarilyClosed) return { open: false, label: restaurant.closedNote || "Temporarily closed" };
+  if (!hasHours(restaurant)) return { open: false, label: "Hours not listed" };
+
+  const { date, minutes } = kampalaClock(now);
+  if (isOpenOn(restaurant, date, minutes)) {
+    const current = [
+      ...intervalsOn(restaurant, date).map(span),
+      ...intervalsOn(restaurant, addDays(date, -1)).map(span).map((s) => ({ start: s.start - 1440, end: s.end - 1440 }))
+    ].find((s) => minutes >= s.start && minutes < s.end);
+    return { open: true, label: current.end - current.start >= 1440 ? "Open 24 hours" : `Open until ${fromMinutes(current.end)}` };
+  }
+
+  const exception = exceptionOn(restaurant, date);
+  const prefix    = exception?.closed ? `Closed today${exception.reason ? ` (${exception.reason})` : ""} · ` : "";
+  for (let ahead = 0; ahead < 8; ahead++) {
+    const day  = addDays(date, ahead);
+    const next = intervalsOn(restaurant, day).map(span)
+      .filter((s) => ahead > 0 || s.start > minutes)
+      .sort((a, b) => a.start - b.start)[0];
+    if (!next) continue;
+    const when = ahead === 0 ? "" : ahead === 1 ? "tomorrow " : `${dayMeta(day).short} `;
+    return { open: false, label: `${prefix}${prefix ? "opens" : "Opens"} ${when}${fromMinutes(next.start)}` };
+  }
+  return { open: false, label: exception?.closed ? prefix.replace(/ · $/, "") : "Closed" };
+}
+
+// Booking slot starts on `date`: every `slotMinutes` from opening
+// that still ends by closing time, including the early hours of
+// the day before's overnight intervals.
+export function slotsForDate(restaurant, date, slotMinutes = DEFAULT_SLOT_MINUTES) {
+  const step  = Math.max(5, parseInt(slotMinutes, 10) || DEFAULT_SLOT_MINUTES);
+  const times = new Set();
+  const add = (iv, shift) => {
+    const { start, end } = span(iv);
+    for (let t = start; t + step <= end; t += step) {
+      if (t - shift >= 0 && t - shift < 1440) times.add(t - shift);
+    }
+  };
+  intervalsOn(restaurant, date).forEach((iv) => add(iv, 0));
+  intervalsOn(restaurant, addDays(date, -1)).forEach((iv) => add(iv, 1440));
+  return [...times].sort((a, b) => a - b).map(fromMinutes);
+}
+
+// Why the restaurant takes no bookings at all on `date`, or null
+export function closedOnDate(restaurant, date) {
+  const name = restaurant?.name || "This restaurant";
+  if (restaurant?.temporarilyClosed) {
+    return `${name} is temporarily closed${restaurant.closedNote ? ` — ${restaurant.closedNote}` : ""}.`;
+  }
+  const exception = exceptionOn(restaurant, date);
+  if (exception?.closed) return `${name} is closed on ${date}${exception.reason ? ` (${exception.reason})` : ""}.`;
+  if (hasHours(restaurant) && slotsForDate(restaurant, date, 5).length === 0) {
+    return `${name} is closed on ${dayMeta(date).label}s.`;
+  }
+  return null;
+}
+
+// ── booking validation ────────────────────────────────────
+
+// Returns a diner-facing error message, or null if the restaurant
+// accepts a booking at `date` / `time`. Used by BookingModal for
+// instant feedback and again by createBooking as the authority.
+export function validateBookingTime(restaurant, date, time, now = new Date()) {
+  const rules = { ...DEFAULT_BOOKING_RULES, ...(restaurant?.bookingRules || {}) };
+  const when  = bookingInstant(date, time);
+  if (!date || !time || Number.isNaN(when.getTime())) return "Please choose a valid date and time.";
+  if (when < now) return "That time has already passed.";
+
+  const closed = closedOnDate(restaurant, date);
+  if (closed) return closed;
+
+  const blackout = (rules.blackoutDates || []).find((b) => b.date === date);
+  if (blackout) {
+    return `${restaurant?.name || "This restaurant"} is not taking bookings on ${date}${blackout.reason ? ` (${blackout.reason})` : ""}.`;
+  }
+
+  const lead = parseInt(rules.minLeadMinutes, 10) || 0;
+  if (when - now < lead * 60000) {
+    return lead >= 60 && lead % 60 === 0
+      ? `Bookings need at least ${lead / 60} hour${lead > 60 ? "s" : ""} notice.`
+      : `Bookings need at least ${lead} minutes notice.`;
+  }
+
+  const ahead = parseInt(rules.maxAdvanceDays, 10) || 0;
+  if (ahead > 0 && when - now > ahead * 86400000) {
+    return `Bookings can be made up to ${ahead} day${ahead > 1 ? "s" : ""} ahead.`;
+  }
+
+  if (hasHours(restaurant) && !isOpenOn(restaurant, date, toMinutes(time))) {
+    return `${restaurant.name || "The restaurant"} is closed at ${time} (open ${formatIntervals(intervalsOn(restaurant, date))}).`;
+  }
+  return null;
+}
@@ -0,0 +1,174 @@
+import {
+  kampalaClock, kampalaToday, dayOfWeek, weeklyHoursFor, intervalsOn, isOpenOn, isOpen,
+  openStatus, slotsForDate, closedOnDate, cleanIntervals, validateBookingTime, slotLimit
+} from "./scheduling.js";
+
+// 2026-10-19 is a Monday
+const restaurant = {
+  name: "Mama's Kitchen",
+  weeklyHours: {
+    mon: [{ open: "08:00", close: "11:00" }, { open: "17:00", close: "22:00" }],
+    tue: [{ open: "08:00", close: "22:00" }],
+    wed: [],
+    thu: [{ open: "08:00", close: "22:00" }],
+    fri: [{ open: "18:00", close: "02:00" }],
+    sat: [{ open: "10:00", close: "22:00" }],
+    sun: [{ open: "10:00", close: "10:00" }]
+  },
+  hoursExceptions: [
+    { date: "2026-10-20", closed: true, intervals: [], reason: "Eid" },
+    { date: "2026-10-22", closed: false, intervals: [{ open: "12:00", close: "14:00" }], reason: "Staff training" }
+  ],
+  bookingRules: { minLeadMinutes: 60, maxAdvanceDays: 30, blackoutDates: [{ date: "2026-10-26", reason: "Private event" }] }
+};
+
+// a UTC instant for a Kampala wall-clock time
+const at = (date, time) => new Date(`${date}T${time}:00+03:00`);
+
+describe("kampalaClock", () => {
+  it("uses Kampala time whatever the device timezone", () => {
+    expect(kampalaClock(new Date("2026-10-19T22:30:00Z"))).toEqual({ date: "2026-10-20", minutes: 90, day: 2 });
+  });
+
+  it("rolls the date over at Kampala midnight, not UTC midnight", () => {
+    expect(kampalaToday(new Date("2026-10-31T21:00:00Z"))).toBe("2026-11-01");
+    expect(kampalaToday(new Date("2026-10-31T20:59:00Z"))).toBe("2026-10-31");
+  });
+
+  it("gives the weekday of a calendar date", () => {
+    expect(dayOfWeek("2026-10-19")).toBe(1);
+    expect(dayOfWeek("2026-10-25")).toBe(0);
+  });
+});
+
+describe("weekly hours", () => {
+  it("falls back to the old openTime / closeTime every day", () => {
+    const hours = weeklyHoursFor({ openTime: "09:00", closeTime: "21:00" });
+    expect(hours.wed).toEqual([{ open: "09:00", close: "21:00" }]);
+    expect(weeklyHoursFor({})).toBeNull();
+  });
+
+  it("applies holiday closures and special hours over the week", () => {
+    expect(intervalsOn(restaurant, "2026-10-20")).toEqual([]);
+    expect(intervalsOn(restaurant, "2026-10-22")).toEqual([{ open: "12:00", close: "14:00" }]);
+    expect(intervalsOn(restaurant, "2026-10-27")).toEqual([{ open: "08:00", close: "22:00" }]);
+  });
+
+  it("handles split shifts", () => {
+    expect(isOpenOn(restaurant, "2026-10-19", 9 * 60)).toBe(true);
+    expect(isOpenOn(restaurant, "2026-10-19", 13 * 60)).toBe(false);
+    expect(isOpenOn(restaurant, "2026-10-19", 17 * 60)).toBe(true);
+    expect(isOpenOn(restaurant, "2026-10-19", 22 * 60)).toBe(false);
+  });
+
+  it("carries overnight hours into the next morning", () => {
+    expect(isOpenOn(restaurant, "2026-10-23", 23 * 60)).toBe(true);
+    expect(isOpenOn(restaurant, "2026-10-24", 60)).toBe(true);
+    expect(isOpenOn(restaurant, "2026-10-24", 2 * 60)).toBe(false);
+  });
+
+  it("treats open == close as 24 hours from opening", () => {
+    expect(isOpenOn(restaurant, "2026-10-25", 9 * 60)).toBe(false);
+    expect(isOpenOn(restaurant, "2026-10-26", 9 * 60)).toBe(true);
+    expect(openStatus(restaurant, at("2026-10-25", "15:00")).label).toBe("Open 24 hours");
+  });
+
+  it("is closed everywhere while temporarily closed", () => {
+    const closed = { ...restaurant, temporarilyClosed: true, closedNote: "Renovating" };
+    expect(isOpen(closed, at("2026-10-19", "09:00"))).toBe(false);
+    expect(openStatus(closed).label).toBe("Renovating");
+    expect(closedOnDate(closed, "2026-10-19")).toMatch(/temporarily closed — Renovating/);
+  });
+
+  it("sorts, completes and caps owner-entered intervals", () => {
+    expect(cleanIntervals([
+      { open: "17:00", close: "22:00" }, { open: "", close: "10:00" }, { open: "07:00", close: "10:00" },
+      { open: "11:00", close: "12:00" }, { open: "13:00", close: "14:00" }
+    ])).toEqual([
+      { open: "07:00", close: "10:00" }, { open: "11:00", close: "12:00" }, { open: "13:00", close: "14:00" }
+    ]);
+  });
+});
+
+describe("openStatus", () => {
+  it("says when the restaurant closes", () => {
+    expect(openStatus(restaurant, at("2026-10-19", "09:30"))).toEqual({ open: true, label: "Open until 11:00" });
+  });
+
+  it("says when it opens next, naming the holiday", () => {
+    expect(openStatus(restaurant, at("2026-10-19", "12:00")).label).toBe("Opens 17:00");
+    expect(openStatus(restaurant, at("2026-10-20", "09:00")).label).toBe("Closed today (Eid) · opens Thu 12:00");
+  });
+
+  it("reads the Kampala clock, not the device's", () => {
+    // 21:30 UTC on Monday is 00:30 on Tuesday in Kampala — the Eid closure
+    expect(openStatus(restaurant, new Date("2026-10-19T21:30:00Z")).open).toBe(false);
+  });
+});
+
+describe("slotsForDate", () => {
+  it("lists slots that end by closing time in every interval", () => {
+    expect(slotsForDate({ weeklyHours: { mon: [{ open: "08:00", close: "09:30" }, { open: "17:00", close: "18:00" }] } }, "2026-10-19", 30))
+      .toEqual(["08:00", "08:30", "09:00", "17:00", "17:30"]);
+  });
+
+  it("has none on a holiday and only the special hours on a special day", () => {
+    expect(slotsForDate(restaurant, "2026-10-20", 60)).toEqual([]);
+    expect(slotsForDate(restaurant, "2026-10-22", 60)).toEqual(["12:00", "13:00"]);
+  });
+
+  it("includes the early hours of the night before's overnight interval", () => {
+    expect(slotsForDate(restaurant, "2026-10-24", 60)).toEqual(["00:00", "01:00", "10:00", "11:00", "12:00",
+      "13:00", "14:00", "15:00", "16:00", "17:00", "18:00", "19:00", "20:00", "21:00"]);
+  });
+});
+
+describe("closedOnDate", () => {
+  it("gives the holiday reason", () => {
+    expect(closedOnDate(restaurant, "2026-10-20")).toBe("Mama's Kitchen is closed on 2026-10-20 (Eid).");
+  });
+
+  it("names the weekday the restaurant never opens", () => {
+    expect(closedOnDate(restaurant, "2026-10-28")).toBe("Mama's Kitchen is closed on Wednesdays.");
+  });
+
+  it("is null on an open day", () => {
+    expect(closedOnDate(restaurant, "2026-10-19")).toBeNull();
+  });
+});
+
+describe("validateBookingTime", () => {
+  const now = at("2026-10-19", "09:00");
+
+  it("allows a booking inside the hours with enough notice", () => {
+    expect(validateBookingTime(restaurant, "2026-10-19", "18:00", now)).toBeNull();
+  });
+
+  it("rejects past times and short notice", () => {
+    expect(validateBookingTime(restaurant, "2026-10-19", "08:30", now)).toBe("That time has already passed.");
+    expect(validateBookingTime(restaurant, "2026-10-19", "09:30", now)).toBe("Bookings need at least 1 hour notice.");
+  });
+
+  it("rejects holidays, blackout dates and closed hours", () => {
+    expect(validateBookingTime(restaurant, "2026-10-20", "12:00", now)).toMatch(/closed on 2026-10-20 \(Eid\)/);
+    expect(validateBookingTime(restaurant, "2026-10-26", "18:00", now)).toMatch(/not taking bookings on 2026-10-26 \(Private event\)/);
+    expect(validateBookingTime(restaurant, "2026-10-19", "13:00", now)).toMatch(/closed at 13:00/);
+  });
+
+  it("rejects bookings beyond the booking window", () => {
+    expect(validateBookingTime(restaurant, "2026-11-24", "18:00", now)).toBe("Bookings can be made up to 30 days ahead.");
+  });
+
+  it("accepts the early hours of an overnight interval", () => {
+    expect(validateBookingTime(restaurant, "2026-10-24", "01:00", now)).toBeNull();
+  });
+});
+
+describe("slotLimit", () => {
+  it("prefers max covers per slot, capped by seats, else unlimited", () => {
+    expect(slotLimit({ seats: 40, maxCoversPerSlot: 12 })).toBe(12);
+    expect(slotLimit({ seats: 10, maxCoversPerSlot: 12 })).toBe(10);
+    expect(slotLimit({ seats: 40 })).toBe(40);
+    expect(slotLimit({})).toBe(Infinity);
+  });
+});